@@ -0,0 +1,85 @@
+/**
+ * Manages the API keys of the vision server in the agent database
+ * Usage:
+ *   node scripts/api-keys.js issue <name> [--rate-limit N] [--vision-quota N] [--llm-quota N]
+ *   node scripts/api-keys.js list [--all]
+ *   node scripts/api-keys.js revoke <id>
+ *   node scripts/api-keys.js usage <id> [--days N]
+ * Limits take a count or "unlimited"; omitted ones use the API_KEY_* defaults.
+ * Keys belong to the standalone server unless --agent <agentId> names an agent of the agent process.
+ */
+
+import fs from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import { startApiKeys } from '../src/auth/apiKeys.js';
+import { initializeDatabase } from '../src/database/connection.js';
+
+const USAGE = `Usage:
+  node scripts/api-keys.js issue <name> [--rate-limit N] [--vision-quota N] [--llm-quota N]
+  node scripts/api-keys.js list [--all]
+  node scripts/api-keys.js revoke <id>
+  node scripts/api-keys.js usage <id> [--days N]
+Options: --agent <agentId> for the keys of an agent of the agent process`;
+
+const { values, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    'rate-limit': { type: 'string' },
+    'vision-quota': { type: 'string' },
+    'llm-quota': { type: 'string' },
+    days: { type: 'string' },
+    agent: { type: 'string' },
+    all: { type: 'boolean' }
+  }
+});
+const [command, argument] = positionals;
+
+const limit = value => (value === null ? 'unlimited' : value);
+const printKey = key => console.log(`${key.id}  ${key.prefix}…  ${key.name}  rate ${limit(key.rateLimit)}/min, `
+  + `vision ${limit(key.dailyVisionQuota)}/day, llm ${limit(key.dailyLlmQuota)}/day`
+  + `${key.revokedAt ? `  revoked ${key.revokedAt}` : ''}`);
+
+await import('dotenv/config').catch(() => {});
+
+// The same database as the server
+const dataDir = join(dirname(fileURLToPath(import.meta.url)), '../data');
+fs.mkdirSync(dataDir, { recursive: true });
+const db = initializeDatabase(dataDir);
+await db.init();
+const apiKeys = await startApiKeys({ db, agentId: values.agent });
+
+try {
+  if (command === 'issue' && argument) {
+    const { key, secret } = await apiKeys.issue({
+      name: argument,
+      rateLimit: values['rate-limit'],
+      dailyVisionQuota: values['vision-quota'],
+      dailyLlmQuota: values['llm-quota']
+    });
+    printKey(key);
+    console.log(`\nAPI key (shown only once): ${secret}`);
+  } else if (command === 'list') {
+    const keys = await apiKeys.list({ includeRevoked: values.all });
+    keys.forEach(printKey);
+    console.log(`${keys.length} key(s)`);
+  } else if (command === 'revoke' && argument) {
+    printKey(await apiKeys.revoke(argument));
+  } else if (command === 'usage' && argument) {
+    const { key, remaining, days, totals } = await apiKeys.usage(argument, { days: values.days });
+    printKey(key);
+    for (const { day, requests, visionCalls, llmCalls } of days) {
+      console.log(`${day}  ${requests} requests, ${visionCalls} vision calls, ${llmCalls} llm calls`);
+    }
+    console.log(`Total: ${totals.requests} requests, ${totals.visionCalls} vision calls, ${totals.llmCalls} llm calls`);
+    console.log(`Left today: ${limit(remaining.visionCalls)} vision calls, ${limit(remaining.llmCalls)} llm calls`);
+  } else {
+    console.log(USAGE);
+    process.exitCode = 1;
+  }
+} catch (error) {
+  console.error(`${error.code ?? 'ERROR'}: ${error.message}`);
+  process.exitCode = 1;
+}
+await db.close?.();
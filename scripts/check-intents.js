@@ -0,0 +1,27 @@
+/**
+ * Checks the intent classifier against the query corpus
+ * Usage: node scripts/check-intents.js [corpus.json]
+ * Exits with 1 when a query gets other intents than the expected ones.
+ */
+
+import fs from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { createIntentClassifier } from '../src/intents/intentClassifier.js';
+
+const corpusPath = process.argv[2] || join(dirname(fileURLToPath(import.meta.url)), '../src/intents/intentCorpus.json');
+const { queries } = JSON.parse(fs.readFileSync(corpusPath, 'utf8'));
+const classifier = createIntentClassifier();
+
+let failures = 0;
+for (const { query, intents } of queries) {
+  const found = classifier.classify(query).map(({ name }) => name);
+  if (found.join(',') !== intents.join(',')) {
+    failures++;
+    const scores = classifier.score(query).map(({ name, score }) => `${name} ${score}`).join(', ');
+    console.log(`FAIL "${query}": expected [${intents.join(', ')}], got [${found.join(', ')}] (${scores || 'no cues'})`);
+  }
+}
+
+console.log(`${queries.length - failures}/${queries.length} queries classified as expected`);
+process.exit(failures > 0 ? 1 : 0);
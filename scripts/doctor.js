@@ -0,0 +1,51 @@
+/**
+ * Checks the configuration of the agent process without starting it
+ * Usage: node --loader ts-node/esm scripts/doctor.js [--character <file>] [--characters <file,file>] [--json]
+ * Checks the characters the agent process starts with the same flags: the named character
+ * files, or the built-in character of src/character.ts without flags, with the settings of
+ * .env and the environment. Exits with 1 when a check fails; warnings alone exit with 0.
+ * Nothing is contacted over the network, so it runs in a deploy pipeline.
+ */
+
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import { character } from '../src/character.ts';
+import { resolveCharacterPath } from '../src/config/index.ts';
+import { runDoctor } from '../src/config/doctor.js';
+
+const { values } = parseArgs({
+  options: {
+    character: { type: 'string' },
+    characters: { type: 'string' },
+    json: { type: 'boolean' }
+  }
+});
+
+await import('dotenv/config').catch(() => {});
+
+const rootDir = join(dirname(fileURLToPath(import.meta.url)), '..');
+
+// The characters src/index.ts starts: the named files, resolved as it resolves them, or the built-in one
+const named = values.characters ?? values.character;
+const { sections, failed } = await runDoctor(named
+  ? { files: named.split(',').map(resolveCharacterPath), dataDir: join(rootDir, 'data') }
+  : { characters: [character], dataDir: join(rootDir, 'data') });
+
+if (values.json) {
+  console.log(JSON.stringify({ failed, sections }, null, 2));
+} else {
+  const counts = { pass: 0, warn: 0, fail: 0 };
+  for (const { title, results } of sections) {
+    console.log(`\n${title}`);
+    for (const { area, status, message, fix } of results) {
+      counts[status]++;
+      console.log(`  ${status.toUpperCase().padEnd(4)}  ${area.padEnd(10)}  ${message}`);
+      if (fix) {
+        console.log(`  ${''.padEnd(4)}  ${''.padEnd(10)}  fix: ${fix}`);
+      }
+    }
+  }
+  console.log(`\n${counts.pass} passed, ${counts.warn} warning(s), ${counts.fail} failed`);
+}
+process.exit(failed ? 1 : 0);
@@ -0,0 +1,74 @@
+/**
+ * ElizaOS action that analyzes the images in a message and answers the user's question
+ */
+
+import { elizaLogger, ServiceType } from '@elizaos/core';
+import { getMessageImageUrls } from '../services/visionService.js';
+
+const DEFAULT_QUERY = 'What can you tell me about this image?';
+
+export const analyzeImageAction = {
+  name: 'ANALYZE_IMAGE',
+  similes: ['DESCRIBE_IMAGE', 'LOOK_AT_IMAGE', 'IDENTIFY_IMAGE', 'QUERY_ORA'],
+  description: 'Analyzes the images attached to or linked in the message with Google Vision AI and answers questions about them',
+  suppressInitialMessage: true,
+
+  validate: async (runtime, message) => {
+    return getMessageImageUrls(message).length > 0;
+  },
+
+  handler: async (runtime, message, state, options, callback) => {
+    const visionService = runtime.getService(ServiceType.IMAGE_DESCRIPTION);
+    if (!visionService?.answerQuestion) {
+      elizaLogger.error('ANALYZE_IMAGE requires the vision plugin image description service');
+      return false;
+    }
+
+    const imageUrls = getMessageImageUrls(message);
+    const query = message.content.text?.replace(/https?:\/\/\S+/g, '').trim() || DEFAULT_QUERY;
+
+    const answers = [];
+    for (const imageUrl of imageUrls) {
+      try {
+        const { completion } = await visionService.answerQuestion(imageUrl, query);
+        answers.push(completion);
+      } catch (error) {
+        elizaLogger.error(`Error analyzing image ${imageUrl.substring(0, 50)}:`, error);
+        answers.push(`I couldn't analyze that image: ${error.message}`);
+      }
+    }
+
+    await callback?.({
+      text: answers.join('\n\n'),
+      action: 'ANALYZE_IMAGE'
+    });
+
+    return true;
+  },
+
+  examples: [
+    [
+      {
+        user: '{{user1}}',
+        content: {
+          text: 'what is in this picture?',
+          attachments: [{ id: 'a1', url: 'https://example.com/photo.jpg', title: 'photo.jpg', source: 'Image', description: '', text: '' }]
+        }
+      },
+      {
+        user: '{{agentName}}',
+        content: { text: 'let me take a look', action: 'ANALYZE_IMAGE' }
+      }
+    ],
+    [
+      {
+        user: '{{user1}}',
+        content: { text: 'can you read the text on https://example.com/sign.png' }
+      },
+      {
+        user: '{{agentName}}',
+        content: { text: 'sure, checking the image', action: 'ANALYZE_IMAGE' }
+      }
+    ]
+  ]
+};
@@ -0,0 +1,60 @@
+/**
+ * Appraisal action implementation
+ * This action appraises the collectible item shown in an analyzed image
+ */
+
+import { appraise, formatAppraisal } from '../appraisal/appraiser.js';
+import { getTaxonomy } from '../appraisal/taxonomy.js';
+import { toErrorResponse } from '../services/errors.js';
+
+export class AppraisalAction {
+  static actionName = 'appraise_item';
+  static description = 'Appraises a collectible item from its image analysis: category, brand, identifying marks and red flags';
+  static parameters = [
+    {
+      name: 'imageAnalysis',
+      type: 'object',
+      description: 'Analysis data from Google Vision AI, ideally with logo, text and web detection',
+      required: true
+    },
+    {
+      name: 'features',
+      type: 'array',
+      description: 'Features the analysis was made with',
+      required: false
+    }
+  ];
+
+  constructor(agent) {
+    this.agent = agent;
+  }
+
+  /**
+   * Executes the appraisal action
+   * @param {Object} parameters - Action parameters
+   * @returns {Promise<Object>} - Appraisal report and its summary
+   */
+  async execute(parameters) {
+    const { imageAnalysis, features } = parameters;
+
+    try {
+      const report = appraise(imageAnalysis, getTaxonomy(this.agent), { features });
+      console.log(`Appraisal: ${report.category?.name ?? 'unknown category'}, ${report.brand?.name ?? 'unknown brand'}, ${report.redFlags.length} red flags`);
+
+      return {
+        success: true,
+        source: imageAnalysis.source ?? 'live',
+        data: { ...report, summary: formatAppraisal(report) }
+      };
+    } catch (error) {
+      console.error('Error appraising item:', error.message);
+      const { code, message } = toErrorResponse(error);
+      return {
+        success: false,
+        error: `Failed to appraise item: ${message}`,
+        code,
+        httpStatus: error.httpStatus ?? 500
+      };
+    }
+  }
+}
@@ -0,0 +1,72 @@
+/**
+ * ElizaOS action that appraises the collectible items shown in the images of a message
+ */
+
+import { elizaLogger, ServiceType } from '@elizaos/core';
+import { getMessageImageUrls } from '../services/visionService.js';
+
+export const appraiseItemAction = {
+  name: 'APPRAISE_ITEM',
+  similes: ['AUTHENTICATE_ITEM', 'CHECK_AUTHENTICITY', 'IDENTIFY_BRAND', 'VALUE_ITEM', 'LEGIT_CHECK'],
+  description: 'Appraises the collectible items (watches, bags, sneakers, jewelry, cards, coins) in the images attached to or linked in the message: category, probable brand, identifying marks and authenticity red flags',
+  suppressInitialMessage: true,
+
+  validate: async (runtime, message) => {
+    return getMessageImageUrls(message).length > 0;
+  },
+
+  handler: async (runtime, message, state, options, callback) => {
+    const visionService = runtime.getService(ServiceType.IMAGE_DESCRIPTION);
+    if (!visionService?.appraiseImage) {
+      elizaLogger.error('APPRAISE_ITEM requires the vision plugin image description service');
+      return false;
+    }
+
+    const reports = [];
+    const answers = [];
+    for (const imageUrl of getMessageImageUrls(message)) {
+      try {
+        const report = await visionService.appraiseImage(imageUrl);
+        reports.push({ imageUrl, report });
+        answers.push(report.summary);
+      } catch (error) {
+        elizaLogger.error(`Error appraising image ${imageUrl.substring(0, 50)}:`, error);
+        answers.push(`I couldn't appraise that image: ${error.message}`);
+      }
+    }
+
+    await callback?.({
+      text: answers.join('\n\n'),
+      action: 'APPRAISE_ITEM',
+      appraisals: reports
+    });
+
+    return true;
+  },
+
+  examples: [
+    [
+      {
+        user: '{{user1}}',
+        content: { text: 'is this watch a real rolex? https://example.com/watch.jpg' }
+      },
+      {
+        user: '{{agentName}}',
+        content: { text: 'let me check the markings', action: 'APPRAISE_ITEM' }
+      }
+    ],
+    [
+      {
+        user: '{{user1}}',
+        content: {
+          text: 'legit check on these?',
+          attachments: [{ id: 'a1', url: 'https://example.com/sneakers.jpg', title: 'sneakers.jpg', source: 'Image', description: '', text: '' }]
+        }
+      },
+      {
+        user: '{{agentName}}',
+        content: { text: 'taking a close look', action: 'APPRAISE_ITEM' }
+      }
+    ]
+  ]
+};
@@ -0,0 +1,82 @@
+/**
+ * Image comparison action implementation
+ * This action compares the analyses of several images and asks ORA to describe the differences
+ */
+
+import { compareAnalyses, formatComparison, MAX_COMPARE_IMAGES, MIN_COMPARE_IMAGES } from '../services/imageComparison.js';
+import { InvalidRequestError, toErrorResponse } from '../services/errors.js';
+import { createOraClient } from '../services/oraClient.js';
+import { OraAction } from './oraAction.js';
+
+const DEFAULT_COMPARE_QUERY = 'Compare these images: what do they have in common and what is different?';
+
+export class CompareAction {
+  static actionName = 'compare_images';
+  static description = 'Compares several analyzed images: structured differences and a natural-language comparison';
+  static parameters = [
+    {
+      name: 'images',
+      type: 'array',
+      description: 'Images as { id, imageAnalysis, perceptualHash }, at least two',
+      required: true
+    },
+    {
+      name: 'query',
+      type: 'string',
+      description: 'User question about the images, e.g. "are these the same watch?"',
+      required: false
+    }
+  ];
+
+  constructor(agent) {
+    this.agent = agent;
+    this.oraAction = new OraAction(agent);
+    this.client = createOraClient(agent, ({ comparison }) => formatComparison(comparison));
+  }
+
+  /**
+   * Executes the comparison action
+   * @param {Object} parameters - Action parameters
+   * @returns {Promise<Object>} - Comparison with its natural-language description
+   */
+  async execute(parameters) {
+    const { images = [], query = DEFAULT_COMPARE_QUERY } = parameters;
+
+    try {
+      if (images.length < MIN_COMPARE_IMAGES || images.length > MAX_COMPARE_IMAGES) {
+        throw new InvalidRequestError(`Between ${MIN_COMPARE_IMAGES} and ${MAX_COMPARE_IMAGES} images can be compared`);
+      }
+
+      const comparison = compareAnalyses(images.map(({ id, imageAnalysis, perceptualHash }) => ({
+        id,
+        analysis: imageAnalysis,
+        perceptualHash
+      })));
+      console.log(`Comparing ${images.length} images (backend: ${this.client.backend})`);
+
+      // Each image gets the context of a single analysis, followed by the computed differences
+      const context = images
+        .map(({ id, imageAnalysis }) => `Image ${id}:\n${this.oraAction.prepareContextString(imageAnalysis)}`)
+        .join('\n') + `\nComparison: ${formatComparison(comparison)}\n`;
+      const response = await this.client.complete({ context, query, comparison });
+
+      // The comparison is only as good as its weakest analysis
+      const source = images.some(({ imageAnalysis }) => imageAnalysis.source === 'mock') ? 'mock' : 'live';
+
+      return {
+        success: true,
+        source,
+        data: { ...comparison, ...response }
+      };
+    } catch (error) {
+      console.error('Error comparing images:', error.message);
+      const { code, message } = toErrorResponse(error);
+      return {
+        success: false,
+        error: `Failed to compare images: ${message}`,
+        code,
+        httpStatus: error.httpStatus ?? 500
+      };
+    }
+  }
+}
@@ -0,0 +1,73 @@
+/**
+ * ElizaOS action that compares the images of a message
+ */
+
+import { elizaLogger, ServiceType } from '@elizaos/core';
+import { MAX_COMPARE_IMAGES, MIN_COMPARE_IMAGES } from '../services/imageComparison.js';
+import { getMessageImageUrls } from '../services/visionService.js';
+
+export const compareImagesAction = {
+  name: 'COMPARE_IMAGES',
+  similes: ['DIFF_IMAGES', 'SPOT_THE_DIFFERENCE', 'SAME_ITEM', 'WHAT_CHANGED'],
+  description: 'Compares two or more images attached to or linked in the message, e.g. "are these the same watch?" or "what changed between these photos?"',
+  suppressInitialMessage: true,
+
+  validate: async (runtime, message) => {
+    return getMessageImageUrls(message).length >= MIN_COMPARE_IMAGES;
+  },
+
+  handler: async (runtime, message, state, options, callback) => {
+    const visionService = runtime.getService(ServiceType.IMAGE_DESCRIPTION);
+    if (!visionService?.compareImages) {
+      elizaLogger.error('COMPARE_IMAGES requires the vision plugin image description service');
+      return false;
+    }
+
+    const imageUrls = getMessageImageUrls(message).slice(0, MAX_COMPARE_IMAGES);
+    try {
+      const comparison = await visionService.compareImages(imageUrls, message.content?.text || undefined);
+      await callback?.({
+        text: comparison.completion,
+        action: 'COMPARE_IMAGES',
+        comparison
+      });
+    } catch (error) {
+      elizaLogger.error('Error comparing images:', error);
+      await callback?.({
+        text: `I couldn't compare those images: ${error.message}`,
+        action: 'COMPARE_IMAGES'
+      });
+    }
+
+    return true;
+  },
+
+  examples: [
+    [
+      {
+        user: '{{user1}}',
+        content: { text: 'are these the same watch? https://example.com/listing.jpg https://example.com/mine.jpg' }
+      },
+      {
+        user: '{{agentName}}',
+        content: { text: 'putting them side by side', action: 'COMPARE_IMAGES' }
+      }
+    ],
+    [
+      {
+        user: '{{user1}}',
+        content: {
+          text: 'what changed between these two?',
+          attachments: [
+            { id: 'a1', url: 'https://example.com/before.jpg', title: 'before.jpg', source: 'Image', description: '', text: '' },
+            { id: 'a2', url: 'https://example.com/after.jpg', title: 'after.jpg', source: 'Image', description: '', text: '' }
+          ]
+        }
+      },
+      {
+        user: '{{agentName}}',
+        content: { text: 'let me spot the differences', action: 'COMPARE_IMAGES' }
+      }
+    ]
+  ]
+};
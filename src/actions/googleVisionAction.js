@@ -2,7 +2,11 @@
  * Action handler for Google Vision AI
  */
 
-import { GoogleVisionClient } from '../services/googleVisionService.js';
+import { getSetting, getVisionSettings } from '../config/settings.js';
+import { toErrorResponse } from '../services/errors.js';
+import { DEFAULT_FEATURES, GoogleVisionClient } from '../services/googleVisionService.js';
+import { getVisionProviderName } from '../services/visionProviders/index.js';
+import { describeImageInput } from '../utils/imageInput.js';
 
 export default class GoogleVisionAction {
   static actionName = 'analyze_image';
@@ -19,38 +23,87 @@ export default class GoogleVisionAction {
       type: 'array',
       description: 'Features to detect (LABEL_DETECTION, TEXT_DETECTION, etc.)',
       required: false,
-      default: ['LABEL_DETECTION', 'TEXT_DETECTION', 'OBJECT_LOCALIZATION']
+      default: DEFAULT_FEATURES
     }
   ];
 
-  constructor(agent) {
+  /**
+   * @param {Object} agent - Agent runtime or mock agent
+   * @param {Object} [options]
+   * @param {VisionCache} [options.cache] - Cache of analyses shared with the other actions
+   */
+  constructor(agent, { cache } = {}) {
     this.agent = agent;
-    this.visionClient = new GoogleVisionClient();
+    this.visionClient = new GoogleVisionClient({
+      provider: getVisionProviderName(agent),
+      cache,
+      strict: String(getVisionSettings(agent).strict ?? getSetting(agent, 'VISION_STRICT', 'true')) !== 'false'
+    });
   }
 
   /**
    * Executes the Google Vision action with the provided parameters
    * @param {Object} params - Parameters for the action
-   * @returns {Promise<Object>} - Analysis results from Google Vision AI
+   * @returns {Promise<Object>} - Analysis results from Google Vision AI, or the error
+   *   code, message and HTTP status when the analysis failed
    */
   async execute(params) {
     try {
-      const { imageUrl, features } = params;
+      const { imageUrl, features, cacheMode } = params;
       
-      console.log(`Executing Google Vision action for image: ${imageUrl.substring(0, 50)}...`);
+      console.log(`Executing Google Vision action for image: ${describeImageInput(imageUrl)}`);
       
-      const analysisResult = await this.visionClient.analyzeImage(imageUrl, features);
+      const analysisResult = await this.visionClient.analyzeImage(imageUrl, features, { cacheMode });
       
       return {
         success: true,
+        source: analysisResult.source,
+        provider: analysisResult.provider,
+        cache: analysisResult.cache,
         data: analysisResult
       };
     } catch (error) {
-      console.error('Error executing Google Vision action:', error);
+      console.error('Error executing Google Vision action:', error.message);
+      const { code, message } = toErrorResponse(error);
       return {
         success: false,
-        error: error.message
+        error: message,
+        code,
+        httpStatus: error.httpStatus ?? 500
       };
     }
   }
+
+  /**
+   * Analyzes many images with bounded concurrency
+   * @param {Object} params - Parameters for the action
+   * @param {Array<string|Buffer|Object>} params.images - Images to analyze
+   * @param {Array<string>} [params.features] - Features to detect
+   * @param {number} [params.concurrency] - Maximum provider calls in flight
+   * @param {string} [params.cacheMode] - default, refresh or bypass
+   * @param {Object} [options]
+   * @param {function(Object): void} [options.onResult] - Called with each item result as soon as it is done
+   * @param {AbortSignal} [options.signal] - Stops starting new analyses once aborted
+   * @returns {Promise<Array<Object>>} - One result per image, in order, shaped like the
+   *   result of execute() plus the image index
+   */
+  async executeBatch({ images, features, concurrency, cacheMode }, { onResult, signal } = {}) {
+    console.log(`Executing Google Vision batch action for ${images.length} images`);
+    
+    const toResult = ({ index, data, error }) => {
+      if (error) {
+        const { code, message } = toErrorResponse(error);
+        return { index, success: false, error: message, code, httpStatus: error.httpStatus ?? 500 };
+      }
+      return { index, success: true, source: data.source, provider: data.provider, cache: data.cache, data };
+    };
+    
+    const items = await this.visionClient.analyzeImages(images, features, {
+      concurrency,
+      cacheMode,
+      signal,
+      onResult: onResult && (item => onResult(toResult(item)))
+    });
+    return items.map(toResult);
+  }
 } 
\ No newline at end of file
@@ -3,6 +3,16 @@
  * This action queries the ORA API with image analysis data
  */
 
+import { extractDocument, formatDocument } from '../documents/documentExtractors.js';
+import { getIntentClassifier } from '../intents/intentClassifier.js';
+import { createIntentContext, describeImage } from '../intents/intentHandlers.js';
+import { isLikely } from '../services/analysisSchema.js';
+import { toErrorResponse } from '../services/errors.js';
+import { createOraClient } from '../services/oraClient.js';
+import { analyzeSpatial, formatLayout } from '../services/spatialAnalysis.js';
+
+const MOCK_ANALYSIS_NOTE = 'Note: the image could not be analyzed, so this answer is based on placeholder data rather than the actual image.';
+
 export class OraAction {
   static actionName = 'query_ora';
   static description = 'Queries the ORA API with image analysis data';
@@ -18,13 +28,32 @@ export class OraAction {
       type: 'string',
       description: 'User query about the image',
       required: true
+    },
+    {
+      name: 'history',
+      type: 'array',
+      description: 'Earlier questions and answers about the same image, oldest first',
+      required: false
+    },
+    {
+      name: 'onToken',
+      type: 'function',
+      description: 'Receives the answer as it is generated',
+      required: false
+    },
+    {
+      name: 'signal',
+      type: 'object',
+      description: 'AbortSignal cancelling the request',
+      required: false
     }
   ];
 
   constructor(agent) {
     this.agent = agent;
-    this.apiKey = process.env.ORA_API_KEY || 'mock-api-key';
-    this.apiUrl = process.env.ORA_API_URL || 'https://api.ora.ai/api/v1/query';
+    this.client = createOraClient(agent, ({ imageAnalysis, query, context }) =>
+      this.generateOfflineResponse(imageAnalysis, query, context)
+    );
   }
 
   /**
@@ -33,52 +62,69 @@ export class OraAction {
    * @returns {Promise<Object>} - ORA API response
    */
   async execute(parameters) {
-    const { imageAnalysis, query } = parameters;
+    const { imageAnalysis, query, history = [], onToken, signal } = parameters;
     
-    console.log(`ORA Action executing with query: "${query}"`);
-    console.log('Image analysis data:', JSON.stringify(imageAnalysis, null, 2));
+    console.log(`ORA Action executing with query: "${query}" (backend: ${this.client.backend})`);
     
     try {
       // Prepare context string with image analysis results
       const contextString = this.prepareContextString(imageAnalysis);
       
-      // In a real implementation, this would make an API call to ORA
-      // For example:
-      // const response = await fetch(this.apiUrl, {
-      //   method: 'POST',
-      //   headers: {
-      //     'Content-Type': 'application/json',
-      //     'Authorization': `Bearer ${this.apiKey}`
-      //   },
-      //   body: JSON.stringify({
-      //     context: contextString,
-      //     query: query
-      //   })
-      // });
-      // const data = await response.json();
+      // Never present an answer about a mock analysis as if it described the real image
+      const source = imageAnalysis.source ?? 'live';
+      if (source === 'mock') {
+        onToken?.(`${MOCK_ANALYSIS_NOTE} `);
+      }
       
-      // Simulate API call delay
-      await new Promise(resolve => setTimeout(resolve, 1000));
+      const response = await this.client.complete({
+        context: contextString,
+        query,
+        imageAnalysis,
+        history
+      }, { onToken, signal });
       
-      // Generate a response based on the image analysis and query
-      return this.generateResponse(imageAnalysis, query, contextString);
+      if (source === 'mock') {
+        response.completion = `${MOCK_ANALYSIS_NOTE} ${response.completion}`;
+      }
+      
+      return {
+        success: true,
+        source,
+        data: response
+      };
       
     } catch (error) {
       console.error('Error querying ORA API:', error.message);
+      const { code, message } = toErrorResponse(error);
       return {
-        error: true,
-        message: `Failed to query ORA API: ${error.message}`
+        success: false,
+        error: `Failed to query ORA API: ${message}`,
+        code,
+        httpStatus: error.httpStatus ?? 500
       };
     }
   }
 
   /**
-   * Prepares a context string from image analysis data
+   * Offline backend: answers from the local rule engine without network access
    * @param {Object} imageAnalysis - Image analysis data
+   * @param {string} query - User query
+   * @param {string} contextString - Context string for ORA API
+   * @returns {Promise<string>} - Completion text
+   */
+  async generateOfflineResponse(imageAnalysis, query, contextString) {
+    return this.generateResponse(imageAnalysis, query, contextString).completion;
+  }
+
+  /**
+   * Prepares a context string from image analysis data
+   * Sections for features that found nothing are left out, except for text.
+   * @param {Object} imageAnalysis - Image analysis data (see analysisSchema.js)
    * @returns {string} - Context string for ORA API
    */
   prepareContextString(imageAnalysis) {
-    const { labels, objects, text } = imageAnalysis;
+    const { labels, objects, text, faces, logos, landmarks, safeSearch, colors, web, cropHints, document } = imageAnalysis;
+    const percent = fraction => `${Math.round(fraction * 100)}%`;
     
     let context = 'Image Analysis Results:\n';
     
@@ -96,6 +142,17 @@ export class OraAction {
       context += 'Text detected: None\n';
     }
     
+    // Add the languages of the text and the fields of a recognized receipt, label or certificate
+    if (document?.languages.length > 0) {
+      context += `Text languages: ${document.languages.map(language => `${language.languageCode} (${percent(language.confidence)})`).join(', ')}\n`;
+    }
+    if (text && text.length > 0) {
+      const summary = formatDocument(extractDocument(imageAnalysis));
+      if (summary) {
+        context += `Document: ${summary}\n`;
+      }
+    }
+    
     // Add objects
     if (objects && objects.length > 0) {
       context += 'Objects: ';
@@ -103,261 +160,118 @@ export class OraAction {
       context += '\n';
     }
     
-    console.log('Prepared context for ORA:\n', context);
-    return context;
-  }
-
-  /**
-   * Generates a response based on image analysis and query
-   * @param {Object} imageAnalysis - Image analysis data
-   * @param {string} query - User query
-   * @param {string} contextString - Context string for ORA API
-   * @returns {Object} - Generated response
-   */
-  generateResponse(imageAnalysis, query, contextString) {
-    const { labels, objects, text } = imageAnalysis;
-    
-    // Extract the main subjects from the image
-    const mainLabels = labels.slice(0, 5).map(l => l.description.toLowerCase());
-    const mainObjects = objects.map(o => o.name.toLowerCase());
-    const allEntities = [...mainLabels, ...mainObjects];
-    
-    // Check for specific query types
-    const queryLower = query.toLowerCase();
+    // Add where the objects and faces are
+    const spatial = analyzeSpatial(imageAnalysis);
+    if (spatial.objects.length > 0) {
+      context += `Layout: ${formatLayout(spatial)}\n`;
+    }
     
-    // Luxury item identification - NEW SECTION
-    const luxuryItems = [
-      'watch', 'analog watch', 'timepiece', 'wristwatch', 'chronograph', 'rolex', 'omega', 'patek philippe',
-      'jewelry', 'ring', 'necklace', 'bracelet', 'diamond', 'gold', 'silver', 'platinum',
-      'sneakers', 'shoes', 'nike', 'adidas', 'jordan', 'yeezy', 'designer', 'luxury', 'fashion',
-      'handbag', 'purse', 'wallet', 'louis vuitton', 'gucci', 'prada', 'chanel', 'hermes'
-    ];
+    // Add logos
+    if (logos && logos.length > 0) {
+      context += 'Logos: ';
+      context += logos.map(logo => `${logo.description} (confidence: ${logo.score.toFixed(2)})`).join(', ');
+      context += '\n';
+    }
     
-    // Check if any luxury items are detected
-    const detectedLuxuryItems = allEntities.filter(item => luxuryItems.includes(item));
+    // Add landmarks with their coordinates
+    if (landmarks && landmarks.length > 0) {
+      context += 'Landmarks: ';
+      context += landmarks.map(landmark => {
+        const location = landmark.locations?.[0];
+        const coordinates = location ? ` at ${location.latitude.toFixed(4)}, ${location.longitude.toFixed(4)}` : '';
+        return `${landmark.description} (confidence: ${landmark.score.toFixed(2)})${coordinates}`;
+      }).join(', ');
+      context += '\n';
+    }
     
-    if (detectedLuxuryItems.length > 0 || 
-        mainLabels.some(label => label.includes('watch') || label.includes('jewelry') || label.includes('fashion'))) {
-      
-      // Specific handling for watches
-      if (mainLabels.includes('watch') || mainLabels.includes('analog watch') || 
-          mainObjects.includes('watch') || mainObjects.includes('analog watch')) {
-        
-        // Get watch details from labels
-        const watchDetails = labels
-          .filter(l => !['watch', 'analog watch'].includes(l.description.toLowerCase()))
-          .slice(0, 5)
-          .map(l => l.description);
-        
-        return {
-          completion: `This image shows a luxury timepiece. It appears to be an analog watch with the following characteristics: ${watchDetails.join(', ')}. Watches like this are precision instruments that combine craftsmanship with functionality, often serving as both a practical tool and a fashion statement or collectible item.`
-        };
-      }
-      
-      // Generic luxury item response
-      return {
-        completion: `This image shows a luxury collectible item: ${detectedLuxuryItems.join(', ')}. The item features ${mainLabels.slice(0, 3).join(', ')} design elements. Luxury items like this are often valued for their craftsmanship, brand prestige, and aesthetic appeal, making them desirable collectibles.`
-      };
+    // Add faces with their likely expressions
+    if (faces && faces.length > 0) {
+      context += `Faces: ${faces.length} detected`;
+      const details = faces.map((face, index) => {
+        const traits = ['joy', 'sorrow', 'anger', 'surprise', 'headwear', 'blurred']
+          .filter(trait => isLikely(face[trait]));
+        return traits.length > 0 ? `face ${index + 1}: likely ${traits.join(', ')}` : null;
+      }).filter(Boolean);
+      context += details.length > 0 ? ` (${details.join('; ')})\n` : '\n';
     }
     
-    // Animal identification
-    else if (queryLower.includes('animal') || queryLower.includes('pet')) {
-      if (allEntities.includes('cat')) {
-        return {
-          completion: "The image shows a cat. Cats are domestic felines known for their independent nature and grooming habits. They are popular pets worldwide."
-        };
-      } else if (allEntities.includes('dog')) {
-        return {
-          completion: "The image shows a dog. Dogs are domesticated mammals known for their loyalty and companionship. They are one of the most popular pets globally."
-        };
-      } else if (mainLabels.some(label => ['animal', 'mammal', 'wildlife'].includes(label))) {
-        const animalType = mainLabels.find(label => !['animal', 'mammal', 'wildlife'].includes(label));
-        return {
-          completion: `The image appears to show a ${animalType || 'wild animal'}. I can see characteristics typical of ${animalType || 'wildlife'} in the image.`
-        };
-      } else {
-        return {
-          completion: "I don't see any animals in this image. The image appears to show " + 
-                     (mainLabels[0] ? `a ${mainLabels[0]}` : "a scene without animals") + "."
-        };
-      }
+    // Add dominant colors
+    if (colors && colors.length > 0) {
+      context += 'Dominant colors: ';
+      context += colors.slice(0, 5).map(color => `${color.name} ${color.hex} (${percent(color.fraction ?? color.score)})`).join(', ');
+      context += '\n';
     }
     
-    // Object identification
-    else if (queryLower.includes('object') || queryLower.includes('thing') || 
-             queryLower.includes('what is') || queryLower.includes("what's in") || 
-             queryLower.includes('show me')) {
-      
-      if (objects.length > 0) {
-        const objectsList = objects.map(o => o.name).join(', ');
-        
-        // Check for luxury items first
-        if (detectedLuxuryItems.length > 0) {
-          return {
-            completion: `The main object in this image is a luxury item: ${objectsList}. It features ${mainLabels.slice(0, 3).join(', ')} design elements. This appears to be a high-quality collectible item.`
-          };
-        }
-        
-        return {
-          completion: `The main objects in this image are: ${objectsList}. The image primarily shows ${mainLabels[0] || 'a scene'} with ${objects.length} identifiable objects.`
-        };
-      } else if (mainLabels.length > 0) {
-        // If no objects but we have labels
-        return {
-          completion: `This image shows ${mainLabels[0]} with features including ${mainLabels.slice(1, 4).join(', ')}. ${
-            text && text.length > 0 ? `There is also text visible: "${text}".` : ''
-          }`
-        };
-      } else {
-        return {
-          completion: `The image doesn't contain clearly defined objects. It appears to be a scene.`
-        };
+    // Add web detection
+    if (web) {
+      if (web.bestGuessLabels.length > 0) {
+        context += `Best guess: ${web.bestGuessLabels.join(', ')}\n`;
+      }
+      if (web.entities.length > 0) {
+        context += `Web entities: ${web.entities.slice(0, 5).map(entity => entity.description).join(', ')}\n`;
+      }
+      if (web.pagesWithMatchingImages.length > 0) {
+        context += 'Pages with matching images: ';
+        context += web.pagesWithMatchingImages.slice(0, 3).map(page => page.title ? `${page.title} (${page.url})` : page.url).join(', ');
+        context += '\n';
       }
     }
     
-    // Color queries
-    else if (queryLower.includes('color') || queryLower.includes('colour')) {
-      // Check if any color labels exist
-      const colorLabels = mainLabels.filter(label => 
-        ['red', 'blue', 'green', 'yellow', 'black', 'white', 'purple', 'orange', 'pink', 'brown', 'gray', 'grey', 'silver', 'gold'].includes(label)
-      );
-      
-      if (colorLabels.length > 0) {
-        return {
-          completion: `The dominant colors in this image appear to be ${colorLabels.join(', ')}.`
-        };
-      } else if (mainLabels.includes('sky') || mainObjects.includes('sky')) {
-        return {
-          completion: "The image contains sky which appears blue, and likely has other natural colors typical of an outdoor scene."
-        };
-      } else if (mainLabels.includes('landscape') || mainLabels.includes('nature')) {
-        return {
-          completion: "The image shows a natural landscape with typical earth tones, greens from vegetation, and blues from the sky."
-        };
-      } else {
-        return {
-          completion: "I cannot specifically identify the colors in this image, but it appears to show " + 
-                     (mainLabels[0] ? `a ${mainLabels[0]}` : "a scene") + " with its typical coloration."
-        };
-      }
+    // Add safe search
+    if (safeSearch) {
+      context += 'Safe search: ';
+      context += Object.entries(safeSearch)
+        .map(([category, likelihood]) => `${category} ${likelihood.toLowerCase().replace('_', ' ')}`)
+        .join(', ');
+      context += '\n';
     }
     
-    // Text content - only prioritize if the query specifically asks about text
-    else if (queryLower.includes('text') || queryLower.includes('say') || queryLower.includes('write') || 
-             queryLower.includes('read')) {
-      if (text && text.length > 0) {
-        return {
-          completion: `The text in the image reads: "${text}"`
-        };
-      } else {
-        return {
-          completion: "There is no visible text in this image."
-        };
+    // Add crop hints
+    if (cropHints && cropHints.length > 0) {
+      const vertices = cropHints[0].boundingPoly?.vertices || [];
+      if (vertices.length === 4) {
+        context += `Suggested crop: (${vertices[0].x ?? 0}, ${vertices[0].y ?? 0}) to (${vertices[2].x ?? 0}, ${vertices[2].y ?? 0})\n`;
       }
     }
     
-    // Location queries
-    else if (queryLower.includes('where') || queryLower.includes('location')) {
-      if (mainLabels.includes('landscape') || mainLabels.includes('nature') || mainLabels.includes('outdoor')) {
-        return {
-          completion: "This appears to be an outdoor natural setting. Based on the visible elements like " + 
-                     (mainLabels.includes('tree') ? "trees" : "natural features") + 
-                     ", it's likely a park, forest, or natural landscape area."
-        };
-      } else if (mainLabels.includes('indoor') || mainLabels.includes('room')) {
-        return {
-          completion: "This appears to be an indoor setting, possibly a " + 
-                     (mainLabels.includes('kitchen') ? "kitchen" : 
-                      mainLabels.includes('bedroom') ? "bedroom" : 
-                      mainLabels.includes('office') ? "office" : "room or building interior") + "."
-        };
-      } else if (mainLabels.includes('urban') || mainLabels.includes('city')) {
-        return {
-          completion: "This appears to be an urban setting, possibly in a city or town environment."
-        };
-      } else {
-        return {
-          completion: "I cannot determine the specific location from this image. It appears to show " + 
-                     (mainLabels[0] ? `a ${mainLabels[0]}` : "a scene") + "."
-        };
+    console.log('Prepared context for ORA:\n', context);
+    return context;
+  }
+
+  /**
+   * Generates a response based on image analysis and query
+   * The question is classified into intents (see src/intents), and each intent that can
+   * answer from the analysis adds its answer, best scoring first.
+   * @param {Object} imageAnalysis - Image analysis data
+   * @param {string} query - User query
+   * @param {string} contextString - Context string for ORA API
+   * @returns {Object} - Generated response with the intents it answered
+   */
+  generateResponse(imageAnalysis, query, contextString) {
+    const classifier = getIntentClassifier(this.agent);
+    const context = createIntentContext(imageAnalysis, query, this.agent);
+    
+    const answers = [];
+    const answered = [];
+    for (const { name, score } of classifier.classify(query)) {
+      const answer = classifier.get(name).handle(context);
+      if (answer) {
+        answers.push(answer);
+        answered.push({ name, score });
       }
     }
     
-    // Default response based on image content
-    else {
-      // Check for luxury items first
-      if (detectedLuxuryItems.length > 0) {
-        if (mainLabels.includes('watch') || mainLabels.includes('analog watch') || 
-            mainObjects.includes('watch') || mainObjects.includes('analog watch')) {
-          
-          // Get watch details from labels
-          const watchDetails = labels
-            .filter(l => !['watch', 'analog watch'].includes(l.description.toLowerCase()))
-            .slice(0, 5)
-            .map(l => l.description);
-          
-          return {
-            completion: `This image shows a luxury timepiece. It appears to be an analog watch with the following characteristics: ${watchDetails.join(', ')}. Watches like this are precision instruments that combine craftsmanship with functionality, often serving as both a practical tool and a fashion statement or collectible item.`
-          };
-        }
-        
-        return {
-          completion: `This image shows a luxury collectible item: ${detectedLuxuryItems.join(', ')}. The item features ${mainLabels.slice(0, 3).join(', ')} design elements. Luxury items like this are often valued for their craftsmanship, brand prestige, and aesthetic appeal, making them desirable collectibles.`
-        };
-      }
-      
-      // Other specific categories
-      if (mainLabels.includes('cat') || mainObjects.includes('cat')) {
-        return {
-          completion: "This image shows a cat. It appears to be a domestic feline, commonly kept as a pet. Cats are known for their independent nature, agility, and grooming habits."
-        };
-      } else if (mainLabels.includes('dog') || mainObjects.includes('dog')) {
-        return {
-          completion: "This image shows a dog. Dogs are domesticated mammals that have been bred for various tasks such as hunting, herding, protection, and companionship."
-        };
-      } else if (mainLabels.includes('person') || mainObjects.includes('person')) {
-        return {
-          completion: "This image shows a person. I can see a human figure in the frame, though I cannot identify specific individuals."
-        };
-      } else if (mainLabels.includes('food') || mainObjects.includes('food')) {
-        return {
-          completion: "This image shows food. It appears to be a prepared dish or meal, though I cannot identify the specific cuisine or ingredients in detail."
-        };
-      } else if (mainLabels.includes('car') || mainObjects.includes('car')) {
-        return {
-          completion: "This image shows a car. It's a motor vehicle designed for transportation on roads, typically with four wheels."
-        };
-      } else if (text && text.length > 0 && text.length > 10) {
-        // Only prioritize text if it's substantial and no other significant objects are detected
-        return {
-          completion: `This image contains text that reads: "${text}". It appears to be a document or text-containing image.`
-        };
-      } else if (mainLabels.includes('landscape') || mainLabels.includes('nature')) {
-        return {
-          completion: "This image depicts a landscape photo featuring trees and sky with clouds. It's a natural outdoor scene showing elements of nature."
-        };
-      } else {
-        // Enhanced generic response based on top labels and objects
-        const topLabels = mainLabels.slice(0, 5).filter(l => l.length > 0);
-        
-        if (objects.length > 0) {
-          return {
-            completion: `This image shows ${objects.map(o => o.name).join(', ')}. The key features include ${topLabels.join(', ')}. ${
-              text && text.length > 0 ? `There is also some text visible: "${text}".` : ''
-            }`
-          };
-        } else if (topLabels.length > 0) {
-          return {
-            completion: `This image shows ${topLabels[0]} with features including ${topLabels.slice(1).join(', ')}. ${
-              text && text.length > 0 ? `There is also some text visible: "${text}".` : ''
-            }`
-          };
-        } else {
-          return {
-            completion: "This image doesn't contain clearly identifiable objects or features that I can describe with confidence."
-          };
-        }
-      }
+    // Questions without a recognized intent get a description of the image
+    if (answers.length === 0) {
+      return {
+        completion: describeImage(context),
+        intents: []
+      };
     }
+    
+    return {
+      completion: answers.join(' '),
+      intents: answered
+    };
   }
-} 
\ No newline at end of file
+}
@@ -0,0 +1,119 @@
+import { afterAll, beforeAll, describe, expect, jest, test } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// The chat clients are not started here, so the agents have none
+jest.unstable_mockModule('../clients/index.ts', () => ({
+  getClientHealth: () => [],
+  restartClient: async () => {}
+}));
+
+const { elizaLogger } = await import('@elizaos/core');
+const { AgentManager } = await import('./index.ts');
+
+const BASE = {
+  name: 'Tester',
+  modelProvider: 'openai',
+  bio: 'Looks at images',
+  lore: [],
+  messageExamples: [],
+  postExamples: [],
+  topics: [],
+  adjectives: [],
+  clients: [],
+  plugins: [],
+  style: { all: [], chat: [], post: [] }
+};
+
+// Hooks that start a runtime per character unless its bio asks to fail
+const createHooks = () => {
+  const running = new Set();
+  return {
+    running,
+    start: jest.fn(async character => {
+      if (character.bio === 'Fails to start') {
+        throw new Error('Database unreachable');
+      }
+      const runtime = { agentId: character.id, character };
+      running.add(runtime);
+      return runtime;
+    }),
+    stop: jest.fn(async runtime => {
+      running.delete(runtime);
+    })
+  };
+};
+
+let dir;
+
+const writeCharacter = (name, character) => {
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, JSON.stringify(character, null, 2));
+  return file;
+};
+
+beforeAll(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'agents-'));
+  jest.spyOn(elizaLogger, 'warn').mockImplementation(() => {});
+  jest.spyOn(elizaLogger, 'error').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('AgentManager', () => {
+  test('reloads an agent from its file', async () => {
+    const hooks = createHooks();
+    const manager = new AgentManager(hooks);
+    const file = writeCharacter('reloaded.json', { ...BASE, name: 'Reloaded' });
+    const { id } = await manager.startFile(file);
+
+    writeCharacter('reloaded.json', { ...BASE, name: 'Reloaded', bio: 'Reads menus' });
+    expect(await manager.reload(id)).toMatchObject({ id, status: 'running', error: null });
+    expect(manager.getRuntime(id).character.bio).toBe('Reads menus');
+    expect(hooks.running.size).toBe(1);
+  });
+
+  test('starts the previous character again when the new one fails to start', async () => {
+    const hooks = createHooks();
+    const manager = new AgentManager(hooks);
+    const file = writeCharacter('failing.json', { ...BASE, name: 'Failing' });
+    const { id } = await manager.startFile(file);
+
+    writeCharacter('failing.json', { ...BASE, name: 'Failing', bio: 'Fails to start' });
+    await expect(manager.reload(id)).rejects.toThrow('Database unreachable');
+
+    expect(manager.get(id)).toMatchObject({
+      status: 'running',
+      error: 'Failing failed to start, running the previous character: Database unreachable'
+    });
+    expect(manager.getRuntime(id).character.bio).toBe('Looks at images');
+    expect([...hooks.running]).toEqual([manager.getRuntime(id)]);
+
+    // The fixed file loads again
+    writeCharacter('failing.json', { ...BASE, name: 'Failing', bio: 'Reads menus' });
+    expect(await manager.reload(id)).toMatchObject({ status: 'running', error: null });
+  });
+
+  test('keeps the previous agent of a renamed character that fails to start', async () => {
+    const hooks = createHooks();
+    const manager = new AgentManager(hooks);
+    const file = writeCharacter('renamed.json', { ...BASE, name: 'Before' });
+    const { id } = await manager.startFile(file);
+
+    writeCharacter('renamed.json', { ...BASE, name: 'After', bio: 'Fails to start' });
+    await expect(manager.reload(id)).rejects.toThrow('Database unreachable');
+
+    expect(manager.list().map(({ name, status }) => ({ name, status }))).toEqual([{ name: 'Before', status: 'running' }]);
+    expect(hooks.running.size).toBe(1);
+  });
+
+  test('leaves a new agent that fails to start failed', async () => {
+    const manager = new AgentManager(createHooks());
+    await expect(manager.start({ ...BASE, name: 'Broken', bio: 'Fails to start' })).rejects.toThrow('Database unreachable');
+    expect(manager.get('broken')).toMatchObject({ status: 'failed', error: 'Database unreachable' });
+  });
+});
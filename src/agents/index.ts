@@ -0,0 +1,418 @@
+/**
+ * Agents of the process: started, stopped and reloaded without restarting it
+ *
+ * Each agent is started from a character, read from a file or given in code. Character
+ * files in the watched directory are validated when they change: an edited file restarts
+ * its agent, a new file starts one, a deleted file stops and removes its agent, and an
+ * invalid file is reported while the running agent keeps serving, and an agent whose new
+ * character fails to start is started again with its previous one. Files in subdirectories
+ * are fragments: a change restarts the agents whose characters extend or include them.
+ * The admin endpoints under /admin/agents list, start, stop and reload the agents by id, and
+ * restart single clients; GET /health reports every agent and client without a key.
+ */
+
+import {
+  elizaLogger,
+  stringToUuid,
+  type Character,
+  type IAgentRuntime,
+} from "@elizaos/core";
+import fs from "fs";
+import path from "path";
+import { getRequestApiKey, requireAdminKey } from "../auth/apiKeys.js";
+import { getClientHealth, restartClient } from "../clients/index.ts";
+import { CHARACTER_EXTENSIONS, readCharacterFile } from "../config/index.ts";
+import {
+  ConflictError,
+  NotFoundError,
+  toErrorResponse,
+} from "../services/errors.js";
+
+export type AgentStatus = "running" | "stopped" | "failed";
+
+export interface AgentHooks {
+  // Throws when a character cannot be started, before the agent it replaces is stopped
+  check?(character: Character): void;
+  // Starts a runtime for a character and registers it with the clients of the process
+  start(character: Character): Promise<IAgentRuntime>;
+  // Stops a runtime started by start, with its clients
+  stop(runtime: IAgentRuntime): Promise<void>;
+}
+
+interface ManagedAgent {
+  id: string;
+  name: string;
+  character: Character;
+  // Character as read, to tell edits from saves that change nothing
+  definition: string;
+  file: string | null;
+  // Files the character is composed from, its own file included
+  files: string[];
+  status: AgentStatus;
+  runtime: IAgentRuntime | null;
+  startedAt: string | null;
+  error: string | null;
+}
+
+// Editors write a file in several steps, so a change is handled once the file is quiet
+const WATCH_DEBOUNCE_MS = 500;
+
+const toSummary = (agent: ManagedAgent) => {
+  const clients = agent.runtime ? getClientHealth(agent.runtime) : [];
+  return {
+    id: agent.id,
+    name: agent.name,
+    status: agent.status,
+    // ok when every client is up, degraded while one is retrying or has given up
+    health: agent.status !== "running"
+      ? null
+      : clients.every(({ status }) => status === "running")
+        ? "ok"
+        : "degraded",
+    file: agent.file,
+    startedAt: agent.startedAt,
+    clients,
+    error: agent.error,
+  };
+};
+
+export type AgentSummary = ReturnType<typeof toSummary>;
+
+// Reads the character of an agent again, from its file when it has one
+const readAgentCharacter = async (agent: ManagedAgent) =>
+  agent.file
+    ? await readCharacterFile(agent.file)
+    : { character: agent.character, files: [] };
+
+export class AgentManager {
+  private agents = new Map<string, ManagedAgent>();
+  // Operations run one at a time, so that a reload never overlaps a stop of the same agent
+  private queue: Promise<unknown> = Promise.resolve();
+  private watcher: fs.FSWatcher | null = null;
+  private directory: string | null = null;
+  private hooks: AgentHooks;
+
+  constructor(hooks: AgentHooks) {
+    this.hooks = hooks;
+  }
+
+  private serialize<T>(operation: () => Promise<T>): Promise<T> {
+    const result = this.queue.then(operation);
+    this.queue = result.catch(() => undefined);
+    return result;
+  }
+
+  // Finds an agent by id or, as the DirectClient does, by character name
+  private find(idOrName: string): ManagedAgent {
+    const agent =
+      this.agents.get(idOrName) ??
+      [...this.agents.values()].find(
+        ({ name }) => name.toLowerCase() === idOrName.toLowerCase()
+      );
+    if (!agent) {
+      throw new NotFoundError(`Agent ${idOrName} not found`, {
+        code: "AGENT_NOT_FOUND",
+      });
+    }
+    return agent;
+  }
+
+  list(): AgentSummary[] {
+    return [...this.agents.values()].map(toSummary);
+  }
+
+  get(idOrName: string): AgentSummary {
+    return toSummary(this.find(idOrName));
+  }
+
+  getRuntime(idOrName: string): IAgentRuntime | null {
+    return this.find(idOrName).runtime;
+  }
+
+  // Starts an agent for a character, restarting the agent already running with its id
+  start(character: Character): Promise<AgentSummary> {
+    return this.serialize(() => this.load(null, character, null));
+  }
+
+  /**
+   * Starts an agent from a character file, watched for changes when it is in the watched directory
+   * @throws CharacterError when the file cannot be loaded
+   */
+  startFile(file: string): Promise<AgentSummary> {
+    return this.serialize(async () => {
+      const { character, files } = await readCharacterFile(file);
+      return this.load(null, character, file, files);
+    });
+  }
+
+  // Starts a stopped agent, from its file again when it has one
+  startAgent(idOrName: string): Promise<AgentSummary> {
+    return this.serialize(async () => {
+      const agent = this.find(idOrName);
+      if (agent.status === "running") {
+        return toSummary(agent);
+      }
+      const { character, files } = await readAgentCharacter(agent);
+      return this.load(agent, character, agent.file, files);
+    });
+  }
+
+  // Restarts one client of a running agent, with a fresh series of retries
+  restartClient(idOrName: string, client: string): Promise<AgentSummary> {
+    return this.serialize(async () => {
+      const agent = this.find(idOrName);
+      if (!agent.runtime) {
+        throw new ConflictError(`Agent ${agent.name} is not running`, {
+          code: "AGENT_NOT_RUNNING",
+        });
+      }
+      await restartClient(agent.runtime, client);
+      return toSummary(agent);
+    });
+  }
+
+  stop(idOrName: string): Promise<AgentSummary> {
+    return this.serialize(async () => {
+      const agent = this.find(idOrName);
+      await this.shutdown(agent);
+      return toSummary(agent);
+    });
+  }
+
+  // Restarts an agent, reading its file again when it has one
+  reload(idOrName: string): Promise<AgentSummary> {
+    return this.serialize(async () => {
+      const agent = this.find(idOrName);
+      const { character, files } = await readAgentCharacter(agent);
+      return this.load(agent, character, agent.file, files);
+    });
+  }
+
+  /**
+   * Starts the agent of a character in place of the agent it replaces, if any
+   * A character whose name changed gets a new id, so the agent it replaces is removed.
+   */
+  private async load(
+    previous: ManagedAgent | null,
+    character: Character,
+    file: string | null,
+    files: string[] = []
+  ): Promise<AgentSummary> {
+    this.hooks.check?.(character);
+    const definition = JSON.stringify(character);
+    character.id ??= stringToUuid(character.name);
+    character.username ??= character.name;
+
+    const current = this.agents.get(character.id);
+    if (current && current !== previous && current.file && file && current.file !== file) {
+      throw new ConflictError(
+        `Agent ${character.name} is already loaded from ${current.file}`,
+        { code: "AGENT_CONFLICT" }
+      );
+    }
+    // Running agents the character replaces, started again if it fails to start
+    const replaced = [...new Set([previous, current])].filter(
+      (entry): entry is ManagedAgent => entry?.status === "running"
+    );
+    if (previous && previous.id !== character.id) {
+      await this.shutdown(previous);
+      this.agents.delete(previous.id);
+    }
+    if (current) {
+      await this.shutdown(current);
+    }
+
+    const agent: ManagedAgent = {
+      id: character.id,
+      name: character.name,
+      character,
+      definition,
+      file,
+      files,
+      status: "stopped",
+      runtime: null,
+      startedAt: null,
+      error: null,
+    };
+    this.agents.set(agent.id, agent);
+    try {
+      agent.runtime = await this.hooks.start(character);
+      agent.status = "running";
+      agent.startedAt = new Date().toISOString();
+    } catch (error) {
+      agent.status = "failed";
+      agent.error = error.message;
+      if (replaced.length > 0) {
+        await this.restore(agent, replaced, error);
+      }
+      throw error;
+    }
+    return toSummary(agent);
+  }
+
+  // Starts the agents a character that failed to start was to replace, with their own characters
+  private async restore(failed: ManagedAgent, replaced: ManagedAgent[], cause: Error) {
+    this.agents.delete(failed.id);
+    for (const agent of replaced) {
+      this.agents.set(agent.id, agent);
+      try {
+        agent.runtime = await this.hooks.start(agent.character);
+        agent.status = "running";
+        agent.startedAt = new Date().toISOString();
+        agent.error = `${failed.name} failed to start, running the previous character: ${cause.message}`;
+        elizaLogger.warn(agent.error);
+      } catch (error) {
+        agent.status = "failed";
+        agent.error = error.message;
+        elizaLogger.error(`Error restarting ${agent.name} with its previous character:`, error);
+      }
+    }
+  }
+
+  private async shutdown(agent: ManagedAgent) {
+    const runtime = agent.runtime;
+    if (!runtime) {
+      return;
+    }
+    agent.runtime = null;
+    agent.status = "stopped";
+    agent.startedAt = null;
+    try {
+      await this.hooks.stop(runtime);
+    } catch (error) {
+      elizaLogger.error(`Error stopping agent ${agent.name}:`, error);
+    }
+  }
+
+  /**
+   * Watches a directory of character files and their fragments, starting, restarting and
+   * stopping their agents as the files change
+   */
+  watch(directory: string) {
+    const timers = new Map<string, NodeJS.Timeout>();
+    this.directory = path.resolve(directory);
+    this.watcher = fs.watch(this.directory, { recursive: true }, (_event, filename) => {
+      if (!filename || !CHARACTER_EXTENSIONS.includes(path.extname(filename).toLowerCase())) {
+        return;
+      }
+      const file = path.resolve(this.directory, filename);
+      clearTimeout(timers.get(file));
+      timers.set(
+        file,
+        setTimeout(() => {
+          timers.delete(file);
+          this.serialize(() => this.handleFileChange(file)).catch((error) =>
+            elizaLogger.error(`Error applying changes of ${file}:`, error)
+          );
+        }, WATCH_DEBOUNCE_MS)
+      );
+    });
+    elizaLogger.log(`Watching ${this.directory} for character changes`);
+  }
+
+  unwatch() {
+    this.watcher?.close();
+    this.watcher = null;
+  }
+
+  private async handleFileChange(file: string) {
+    const agents = [...this.agents.values()];
+    const owner = agents.find((entry) => entry.file === file) ?? null;
+    // Characters sit in the directory itself; dot files such as .secrets.json are not characters
+    const isCharacterFile =
+      path.dirname(file) === this.directory && !path.basename(file).startsWith(".");
+
+    if (owner || isCharacterFile) {
+      await this.applyFile(owner, file);
+    }
+    for (const agent of agents) {
+      if (agent !== owner && agent.file && agent.files.includes(file)) {
+        await this.applyFile(agent, agent.file, file);
+      }
+    }
+  }
+
+  // Applies a change of a character file, or of a fragment it is composed from (changed)
+  private async applyFile(agent: ManagedAgent | null, file: string, changed = file) {
+    if (!fs.existsSync(file)) {
+      if (agent) {
+        elizaLogger.log(`${file} was removed, removing ${agent.name}`);
+        await this.shutdown(agent);
+        this.agents.delete(agent.id);
+      }
+      return;
+    }
+    // Agents stopped on purpose stay stopped; starting them reads the file again
+    if (agent?.status === "stopped") {
+      return;
+    }
+
+    let loaded: { character: Character; files: string[] };
+    try {
+      loaded = await readCharacterFile(file);
+      this.hooks.check?.(loaded.character);
+    } catch (error) {
+      elizaLogger.error(
+        `${error.message}${agent?.runtime ? ` (${agent.name} keeps running)` : ""}`
+      );
+      if (agent) {
+        agent.error = error.message;
+      }
+      return;
+    }
+
+    if (agent?.status === "running" && agent.definition === JSON.stringify(loaded.character)) {
+      agent.files = loaded.files;
+      return;
+    }
+    elizaLogger.log(
+      agent ? `${changed} changed, restarting ${agent.name}` : `Starting ${loaded.character.name} from ${file}`
+    );
+    await this.load(agent, loaded.character, file, loaded.files);
+  }
+
+  /**
+   * Serves the admin endpoints on the express app of the DirectClient; they take the admin key
+   * (ADMIN_API_KEY) as a bearer token or X-API-Key header
+   * GET /admin/agents, GET /admin/agents/:agentId, POST /admin/agents/:agentId/start|stop|reload,
+   * POST /admin/agents/:agentId/clients/:client/restart
+   * GET /health needs no key and leaves out errors; it answers 503 when no agent is running.
+   */
+  mount(app: any) {
+    const route = (handler: (req: any) => Promise<object> | object) => async (req: any, res: any) => {
+      try {
+        requireAdminKey(getRequestApiKey(req.headers), { action: "manage agents" });
+        res.json({ success: true, ...(await handler(req)) });
+      } catch (error) {
+        const { code, message } = toErrorResponse(error);
+        res.status(error.httpStatus || 500).json({ success: false, error: message, code });
+      }
+    };
+
+    app.get("/admin/agents", route(() => ({ agents: this.list() })));
+    app.get("/admin/agents/:agentId", route((req) => ({ agent: this.get(req.params.agentId) })));
+    app.post("/admin/agents/:agentId/start", route(async (req) => ({ agent: await this.startAgent(req.params.agentId) })));
+    app.post("/admin/agents/:agentId/stop", route(async (req) => ({ agent: await this.stop(req.params.agentId) })));
+    app.post("/admin/agents/:agentId/reload", route(async (req) => ({ agent: await this.reload(req.params.agentId) })));
+    app.post("/admin/agents/:agentId/clients/:client/restart", route(async (req) => ({ agent: await this.restartClient(req.params.agentId, req.params.client) })));
+
+    app.get("/health", (_req: any, res: any) => {
+      const agents = this.list().map(({ id, name, status, health, clients }) => ({
+        id,
+        name,
+        status,
+        health,
+        clients: clients.map(({ name, status }) => ({ name, status })),
+      }));
+      // Agents stopped on purpose do not count against the process
+      const active = agents.filter(({ status }) => status !== "stopped");
+      const running = active.filter(({ status }) => status === "running");
+      const status = running.length === 0
+        ? "down"
+        : running.length === active.length && running.every(({ health }) => health === "ok")
+          ? "ok"
+          : "degraded";
+      res.status(status === "down" ? 503 : 200).json({ status, agents });
+    });
+  }
+}
@@ -0,0 +1,700 @@
+/**
+ * Schemas and operations of the vision REST API
+ *
+ * This table is the single description of the API: requests are validated against it
+ * (see openApi.js), responses are checked against it, and both the OpenAPI document and
+ * the home page are generated from it. Paths are relative to the mount path of the API.
+ * Descriptions use `backticks` for code, which the home page renders as such.
+ */
+
+import { MAX_USAGE_DAYS } from '../auth/apiKeys.js';
+import { DOCUMENT_TYPES } from '../documents/documentExtractors.js';
+import { ANALYSIS_MODES } from '../documents/documentLayout.js';
+import { JOB_STATUSES } from '../jobs/jobStore.js';
+import { VISION_FEATURES } from '../services/analysisSchema.js';
+import { TASK_TYPES } from '../services/analysisTasks.js';
+import { MAX_COMPARE_IMAGES, MIN_COMPARE_IMAGES } from '../services/imageComparison.js';
+import { MAX_SESSION_LIST_LIMIT } from '../sessions/imageSessions.js';
+import { ANNOTATION_FORMATS } from '../utils/annotateImage.js';
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const string = description => ({ type: 'string', description });
+const integer = description => ({ type: 'integer', description });
+const arrayOf = (items, description) => ({ type: 'array', items, description });
+const object = (properties, { required, description } = {}) => ({ type: 'object', description, properties, required });
+
+// Fields shared by the responses of the endpoints that analyze one image
+const ANALYZED = {
+  success: ref('Success'),
+  source: string('Where the analysis comes from, e.g. live or mock'),
+  provider: string('Vision provider that made the analysis'),
+  cache: ref('CacheStatus')
+};
+
+// Fields shared by the requests of the endpoints that take one image
+const IMAGE_REQUEST = {
+  imageUrl: ref('ImageUrl'),
+  features: ref('Features')
+};
+
+export const SCHEMAS = {
+  Success: { type: 'boolean', enum: [true] },
+  ImageUrl: { type: 'string', minLength: 1, description: 'URL or data URL of the image; required unless the image is uploaded' },
+  Features: {
+    description: `Vision features to detect, as an array or a comma-separated list: ${VISION_FEATURES.join(', ')}`,
+    anyOf: [
+      { type: 'array', items: { type: 'string', enum: VISION_FEATURES } },
+      { type: 'string' }
+    ]
+  },
+  Mode: {
+    type: 'string',
+    enum: ANALYSIS_MODES,
+    description: 'document reads the text with DOCUMENT_TEXT_DETECTION and keeps its layout'
+  },
+  Query: { type: 'string', minLength: 1, description: 'Question about the image' },
+  CacheStatus: {
+    type: 'string',
+    enum: ['hit', 'miss', 'bypass', 'off'],
+    description: 'Whether the analysis came from the vision cache'
+  },
+  Limit: {
+    description: 'Count, or null (or "unlimited") for no limit',
+    anyOf: [{ type: 'integer', minimum: 0 }, { type: 'null' }, { type: 'string', enum: ['unlimited'] }]
+  },
+  ImageAnalysis: object({
+    schemaVersion: integer('Version of the analysis schema'),
+    labels: arrayOf(object({ description: { type: 'string' }, score: { type: 'number' } })),
+    text: { type: 'string' },
+    objects: arrayOf({ type: 'object' }),
+    faces: arrayOf({ type: 'object' }),
+    logos: arrayOf({ type: 'object' }),
+    landmarks: arrayOf({ type: 'object' }),
+    safeSearch: { type: ['object', 'null'] },
+    colors: arrayOf({ type: 'object' }),
+    web: { type: ['object', 'null'] },
+    cropHints: arrayOf({ type: 'object' }),
+    document: { type: ['object', 'null'], description: 'Text layout, in document mode' }
+  }, { description: 'Normalized image analysis, whichever provider made it' }),
+  OraResponse: object({
+    completion: string('Answer to the question'),
+    backend: string('ORA backend that answered'),
+    intents: arrayOf(object({ name: { type: 'string' }, score: { type: 'number' } }), 'Intents of the question that were answered')
+  }, { required: ['completion'] }),
+  BatchItemRequest: {
+    description: 'Image URL, or an object with its own query and an id to find its result',
+    anyOf: [
+      ref('ImageUrl'),
+      object({ imageUrl: ref('ImageUrl'), query: ref('Query'), id: { type: 'string' } }, { required: ['imageUrl'] })
+    ]
+  },
+  BatchItemResult: object({
+    index: integer('Position of the image in the request'),
+    id: { type: 'string' },
+    success: { type: 'boolean' },
+    source: { type: 'string' },
+    provider: { type: 'string' },
+    cache: ref('CacheStatus'),
+    imageAnalysis: ref('ImageAnalysis'),
+    oraResponse: ref('OraResponse'),
+    error: string('Why the image failed'),
+    code: { type: 'string' },
+    httpStatus: { type: 'integer' }
+  }, { required: ['index', 'success'] }),
+  BatchSummary: object({
+    total: { type: 'integer' },
+    succeeded: { type: 'integer' },
+    failed: { type: 'integer' },
+    cacheHits: { type: 'integer' }
+  }, { required: ['total', 'succeeded', 'failed', 'cacheHits'] }),
+  Job: object({
+    id: { type: 'string' },
+    agentId: { type: ['string', 'null'] },
+    apiKeyId: { type: ['string', 'null'], description: 'API key that submitted the job, the only one that can read or cancel it' },
+    type: { type: 'string', enum: TASK_TYPES },
+    status: { type: 'string', enum: JOB_STATUSES },
+    progress: { type: ['object', 'null'] },
+    result: { type: ['object', 'null'], description: 'Response of the endpoint of the task, once the job succeeded' },
+    error: { type: ['object', 'null'] },
+    callbackUrl: { type: ['string', 'null'] },
+    createdAt: { type: 'string' },
+    updatedAt: { type: 'string' },
+    startedAt: { type: ['string', 'null'] },
+    finishedAt: { type: ['string', 'null'] }
+  }, { required: ['id', 'type', 'status', 'createdAt'] }),
+  Session: object({
+    id: { type: 'string' },
+    image: string('URL of the image, or the hash of its bytes'),
+    features: arrayOf({ type: 'string' }),
+    turnCount: { type: 'integer' },
+    createdAt: { type: 'string' },
+    updatedAt: { type: 'string' },
+    analysis: ref('ImageAnalysis'),
+    turns: arrayOf(ref('Turn'))
+  }, { required: ['id', 'image', 'turnCount', 'createdAt'] }),
+  Turn: object({
+    index: { type: 'integer' },
+    query: { type: 'string' },
+    completion: { type: 'string' },
+    backend: { type: ['string', 'null'] },
+    createdAt: { type: 'string' }
+  }, { required: ['index', 'query', 'completion'] }),
+  ApiKey: object({
+    id: { type: 'string' },
+    name: { type: 'string' },
+    prefix: string('First characters of the secret'),
+    rateLimit: { type: ['integer', 'null'] },
+    dailyVisionQuota: { type: ['integer', 'null'] },
+    dailyLlmQuota: { type: ['integer', 'null'] },
+    createdAt: { type: 'string' },
+    revokedAt: { type: ['string', 'null'] }
+  }, { required: ['id', 'name', 'prefix', 'createdAt'] }),
+  UsageDay: object({
+    day: string('UTC day, YYYY-MM-DD'),
+    requests: { type: 'integer' },
+    visionCalls: { type: 'integer' },
+    llmCalls: { type: 'integer' }
+  }, { required: ['day', 'requests', 'visionCalls', 'llmCalls'] }),
+  FieldError: object({
+    field: string('Field at fault, e.g. images[1].imageUrl'),
+    message: { type: 'string' }
+  }, { required: ['field', 'message'] }),
+  Error: object({
+    success: { type: 'boolean', enum: [false] },
+    error: { type: 'string' },
+    code: string('Stable error code, e.g. VALIDATION_FAILED'),
+    errors: arrayOf(ref('FieldError'), 'Fields of the request that are invalid')
+  }, { required: ['success', 'error', 'code'] }),
+
+  AnalyzeImageRequest: object({ ...IMAGE_REQUEST, mode: ref('Mode') }),
+  QueryOraRequest: object({
+    imageAnalysis: ref('ImageAnalysis'),
+    query: ref('Query')
+  }, { required: ['imageAnalysis', 'query'] }),
+  AnalyzeAndQueryRequest: object({ ...IMAGE_REQUEST, query: ref('Query'), mode: ref('Mode') }, { required: ['query'] }),
+  BatchAnalyzeRequest: object({
+    images: { ...arrayOf(ref('BatchItemRequest'), 'Images to analyze; required unless they are uploaded'), minItems: 1 },
+    query: ref('Query'),
+    features: ref('Features'),
+    mode: ref('Mode'),
+    concurrency: { type: 'integer', minimum: 1, description: 'Maximum analyses in flight, capped by the server' }
+  }),
+  AppraiseRequest: object({ ...IMAGE_REQUEST }),
+  AnnotateRequest: object({
+    ...IMAGE_REQUEST,
+    format: { type: 'string', enum: ANNOTATION_FORMATS, description: 'jpeg for PNG and JPEG images, svg for any image' }
+  }),
+  ExtractDocumentRequest: object({
+    ...IMAGE_REQUEST,
+    documentType: { type: 'string', enum: ['auto', ...DOCUMENT_TYPES], description: 'Detected when auto or not given' }
+  }),
+  CompareRequest: object({
+    images: {
+      ...arrayOf(ref('BatchItemRequest'), 'Images to compare; required unless they are uploaded'),
+      minItems: MIN_COMPARE_IMAGES,
+      maxItems: MAX_COMPARE_IMAGES
+    },
+    query: ref('Query'),
+    features: ref('Features'),
+    perceptualHash: { type: 'boolean', description: 'Also compare the pictures themselves with perceptual hashes' }
+  }),
+  SubmitJobRequest: object({
+    type: { type: 'string', enum: TASK_TYPES, description: 'Task to run; guessed from the fields when not given' },
+    callbackUrl: { type: 'string', format: 'uri', description: 'Receives a signed webhook when the job finishes' }
+  }, { description: 'The fields of the endpoint of the task, plus the job fields' }),
+  CreateSessionRequest: object({ ...IMAGE_REQUEST, mode: ref('Mode'), query: ref('Query') }),
+  AskSessionRequest: object({ query: ref('Query') }, { required: ['query'] }),
+  IssueApiKeyRequest: object({
+    name: { type: 'string', minLength: 1, description: 'Who or what the key is for' },
+    rateLimit: {
+      description: 'Requests per minute, or null for no limit',
+      anyOf: [{ type: 'integer', minimum: 1 }, { type: 'null' }, { type: 'string', enum: ['unlimited'] }]
+    },
+    dailyVisionQuota: { ...ref('Limit'), description: 'Vision calls per UTC day' },
+    dailyLlmQuota: { ...ref('Limit'), description: 'LLM calls per UTC day' }
+  }, { required: ['name'] }),
+
+  AnalyzeImageResponse: object({ ...ANALYZED, data: ref('ImageAnalysis') }, { required: ['success', 'source', 'cache', 'data'] }),
+  QueryOraResponse: object({
+    success: ref('Success'),
+    source: { type: 'string' },
+    data: ref('OraResponse')
+  }, { required: ['success', 'data'] }),
+  AnalyzeAndQueryResponse: object({
+    ...ANALYZED,
+    imageAnalysis: ref('ImageAnalysis'),
+    oraResponse: ref('OraResponse')
+  }, { required: ['success', 'cache', 'imageAnalysis', 'oraResponse'] }),
+  BatchAnalyzeResponse: object({
+    success: ref('Success'),
+    total: { type: 'integer' },
+    succeeded: { type: 'integer' },
+    failed: { type: 'integer' },
+    cacheHits: { type: 'integer' },
+    results: arrayOf(ref('BatchItemResult'))
+  }, { required: ['success', 'total', 'results'] }),
+  BatchStreamLine: object({
+    type: { type: 'string', enum: ['start', 'item', 'done', 'error'] }
+  }, {
+    required: ['type'],
+    description: 'start with the total, then one item per image with the fields of BatchItemResult, then done with the summary (or error)'
+  }),
+  AnalysisStreamEvent: object({
+    type: { type: 'string', enum: ['fetching', 'vision', 'token', 'done', 'error', 'cancelled'] },
+    text: { type: 'string' }
+  }, {
+    required: ['type'],
+    description: 'fetching when the image is fetched and analyzed, vision with the analysis, one token per piece of the answer, '
+      + 'then done with the fields of AnalyzeAndQueryResponse (or error). Over WebSocket each event also carries the `id` '
+      + 'of its request, and cancelled confirms a cancel message.'
+  }),
+  AppraiseResponse: object({
+    ...ANALYZED,
+    imageAnalysis: ref('ImageAnalysis'),
+    appraisal: object({
+      category: { type: ['object', 'null'] },
+      brand: { type: ['object', 'null'] },
+      alternatives: arrayOf({ type: 'object' }),
+      identifyingMarks: arrayOf({ type: 'object' }),
+      confidence: { type: 'object' },
+      redFlags: arrayOf({ type: 'object' }),
+      disclaimer: { type: 'string' }
+    }, { required: ['category', 'brand', 'confidence', 'redFlags'] })
+  }, { required: ['success', 'cache', 'imageAnalysis', 'appraisal'] }),
+  AnnotateResponse: object({
+    ...ANALYZED,
+    imageAnalysis: ref('ImageAnalysis'),
+    spatial: object({ objects: arrayOf({ type: 'object' }), relations: arrayOf({ type: 'object' }) }),
+    annotatedImage: object({
+      mimeType: { type: 'string' },
+      width: { type: 'integer' },
+      height: { type: 'integer' },
+      boxes: arrayOf({ type: 'object' }),
+      dataUrl: { type: 'string' }
+    }, { required: ['mimeType', 'dataUrl'] })
+  }, { required: ['success', 'cache', 'imageAnalysis', 'spatial', 'annotatedImage'] }),
+  ExtractDocumentResponse: object({
+    ...ANALYZED,
+    imageAnalysis: ref('ImageAnalysis'),
+    extraction: object({
+      type: { type: ['string', 'null'], description: 'Document type, null when none was recognized' },
+      scores: { type: 'object' },
+      languages: arrayOf({ type: 'object' }),
+      fields: { type: 'object' }
+    }, { required: ['type', 'fields'] })
+  }, { required: ['success', 'cache', 'imageAnalysis', 'extraction'] }),
+  CompareResponse: object({
+    success: ref('Success'),
+    images: arrayOf(object({
+      id: { type: 'string' },
+      source: { type: 'string' },
+      provider: { type: 'string' },
+      cache: ref('CacheStatus'),
+      imageAnalysis: ref('ImageAnalysis'),
+      perceptualHash: { type: ['string', 'null'] }
+    }, { required: ['id', 'imageAnalysis'] })),
+    comparison: { type: 'object', description: 'Shared and distinct labels, objects, logos, text and colors, pairs and their description' }
+  }, { required: ['success', 'images', 'comparison'] }),
+  JobResponse: object({ success: ref('Success'), job: ref('Job') }, { required: ['success', 'job'] }),
+  CreateSessionResponse: object({
+    success: ref('Success'),
+    session: ref('Session'),
+    source: { type: 'string' },
+    cache: ref('CacheStatus'),
+    turn: ref('Turn')
+  }, { required: ['success', 'session'] }),
+  SessionListResponse: object({ success: ref('Success'), sessions: arrayOf(ref('Session')) }, { required: ['success', 'sessions'] }),
+  SessionResponse: object({ success: ref('Success'), session: ref('Session') }, { required: ['success', 'session'] }),
+  AskSessionResponse: object({
+    success: ref('Success'),
+    sessionId: { type: 'string' },
+    source: { type: 'string' },
+    turn: ref('Turn')
+  }, { required: ['success', 'sessionId', 'turn'] }),
+  DeletedResponse: object({ success: ref('Success') }, { required: ['success'] }),
+  IssuedApiKeyResponse: object({
+    success: ref('Success'),
+    key: ref('ApiKey'),
+    secret: string('The API key, shown only this once')
+  }, { required: ['success', 'key', 'secret'] }),
+  ApiKeyListResponse: object({ success: ref('Success'), keys: arrayOf(ref('ApiKey')) }, { required: ['success', 'keys'] }),
+  ApiKeyResponse: object({ success: ref('Success'), key: ref('ApiKey') }, { required: ['success', 'key'] }),
+  UsageResponse: object({
+    success: ref('Success'),
+    key: ref('ApiKey'),
+    today: ref('UsageDay'),
+    remaining: object({
+      visionCalls: { type: ['integer', 'null'] },
+      llmCalls: { type: ['integer', 'null'] }
+    }, { description: 'Calls left today, null without a quota' }),
+    days: arrayOf(ref('UsageDay'), 'Days with requests, most recent first'),
+    totals: object({
+      requests: { type: 'integer' },
+      visionCalls: { type: 'integer' },
+      llmCalls: { type: 'integer' }
+    })
+  }, { required: ['success', 'key', 'today', 'remaining', 'days', 'totals'] })
+};
+
+// Groups of operations, in the order of the documentation
+export const TAGS = [
+  {
+    name: 'Analysis',
+    description: 'Analyze an image with the vision provider and ask ORA about it.\n\n'
+      + 'The analysis and answer can also be streamed over a WebSocket at `/ws` (pass the API key as `?apiKey=` from '
+      + 'browsers): send `{ "id": "1", "type": "analyze-and-query", "imageUrl": "...", "query": "..." }` and receive the '
+      + 'events of `/analyze-and-query?stream=true` tagged with the id, or send `{ "id": "1", "type": "cancel" }`.'
+  },
+  {
+    name: 'Batch',
+    description: 'Analyze many images, and optionally ask the same question about each, with bounded concurrency. '
+      + 'Results and errors are reported per image.'
+  },
+  {
+    name: 'Jobs',
+    description: 'Run an analysis in the background. The job answers `202` with the job, whose status can then be polled, '
+      + 'and can post a signed webhook to a `callbackUrl` when it finishes.'
+  },
+  {
+    name: 'Sessions',
+    description: 'Analyze an image once and hold a conversation about it; follow-up questions are answered with the earlier turns.'
+  },
+  {
+    name: 'Appraisal',
+    description: 'Appraise the collectible item an image shows: category, probable brand, identifying marks such as serial or '
+      + 'reference numbers, a confidence breakdown and authenticity red flags.'
+  },
+  {
+    name: 'Annotation',
+    description: 'Draw the located objects and faces on an image, as JPEG (PNG and JPEG images) or as SVG with labels (any image).'
+  },
+  {
+    name: 'Comparison',
+    description: 'Line up the labels, objects, logos, text and colors of two to ten images: what they share, what only one '
+      + 'of them has, and a similarity score per pair, described through ORA.'
+  },
+  {
+    name: 'Documents',
+    description: 'Read an image with `DOCUMENT_TEXT_DETECTION` and extract the fields of the receipt, product label or '
+      + 'certificate it shows: totals, taxes and items, dates, serial, lot and certificate numbers, barcodes. Other '
+      + 'endpoints read text in document mode with `"mode": "document"`.'
+  },
+  {
+    name: 'API Keys',
+    description: 'Once an API key is issued (or with `API_KEYS_REQUIRED=true`), requests must send one as '
+      + '`Authorization: Bearer <key>` or `X-API-Key: <key>`. Each key has a rate limit in requests per minute and daily '
+      + 'quotas of Vision calls (one per analyzed image) and LLM calls (one per question or comparison); over them the '
+      + 'server answers `429` with a `Retry-After` header. The admin endpoints take the admin key (`ADMIN_API_KEY`) '
+      + 'instead; keys can also be managed with `npm run api-keys`.'
+  },
+  { name: 'Documentation', description: 'This description of the API, as an OpenAPI document.' }
+];
+
+// Said of the endpoints that take one image
+const UPLOAD_NOTE = 'The image can also be uploaded as `multipart/form-data` (an `image` file field plus the other fields) '
+  + 'or sent as an `image/*` body with the other fields in the query string.';
+
+/**
+ * Operations of the API
+ * uploads is the number of image files the operation accepts as multipart/form-data or
+ * image/* bodies besides JSON, auth is key (client API key), admin (admin key) or none,
+ * and responses map statuses to the schema of their JSON body, or to content types.
+ */
+export const OPERATIONS = [
+  {
+    operationId: 'analyzeImage',
+    method: 'post',
+    path: '/analyze-image',
+    tag: 'Analysis',
+    summary: 'Analyze Image',
+    description: `Analyzes an image with the vision provider. ${UPLOAD_NOTE}`,
+    request: 'AnalyzeImageRequest',
+    uploads: 1,
+    example: { imageUrl: 'https://example.com/image.jpg', features: ['LABEL_DETECTION', 'TEXT_DETECTION', 'OBJECT_LOCALIZATION'] },
+    responses: { 200: 'AnalyzeImageResponse' }
+  },
+  {
+    operationId: 'queryOra',
+    method: 'post',
+    path: '/query-ora',
+    tag: 'Analysis',
+    summary: 'Query ORA',
+    description: 'Asks ORA a question about an image analysis made earlier.',
+    request: 'QueryOraRequest',
+    example: { imageAnalysis: { labels: [{ description: 'Dog', score: 0.97 }], text: '' }, query: 'What can you tell me about this image?' },
+    responses: { 200: 'QueryOraResponse' }
+  },
+  {
+    operationId: 'analyzeAndQuery',
+    method: 'post',
+    path: '/analyze-and-query',
+    tag: 'Analysis',
+    summary: 'Analyze and Query',
+    description: `Analyzes an image and asks ORA about it in a single request. ${UPLOAD_NOTE} With \`?stream=true\` (or `
+      + '`Accept: text/event-stream`) the response is a stream of Server-Sent Events: the stages as they complete, the '
+      + 'answer token by token, then the whole response.',
+    request: 'AnalyzeAndQueryRequest',
+    uploads: 1,
+    parameters: [{ name: 'stream', schema: { type: 'boolean' }, description: 'Stream the stages and answer as Server-Sent Events' }],
+    example: { imageUrl: 'https://example.com/image.jpg', query: 'What can you tell me about this image?' },
+    responses: { 200: { 'application/json': 'AnalyzeAndQueryResponse', 'text/event-stream': 'AnalysisStreamEvent' } }
+  },
+  {
+    operationId: 'batchAnalyze',
+    method: 'post',
+    path: '/batch-analyze',
+    tag: 'Batch',
+    summary: 'Batch Analyze',
+    description: 'Analyzes a list of images, or several uploaded `image` files. With `?stream=true` (or '
+      + '`Accept: application/x-ndjson`) the response is one NDJSON line per image as it completes. '
+      + 'The server caps the number of images (`BATCH_MAX_ITEMS`).',
+    request: 'BatchAnalyzeRequest',
+    uploads: 'many',
+    parameters: [{ name: 'stream', schema: { type: 'boolean' }, description: 'Stream the results as NDJSON' }],
+    example: {
+      images: ['https://example.com/a.jpg', { imageUrl: 'https://example.com/b.jpg', query: 'Is there a dog?', id: 'b' }],
+      query: 'What can you tell me about this image?',
+      concurrency: 4
+    },
+    responses: { 200: { 'application/json': 'BatchAnalyzeResponse', 'application/x-ndjson': 'BatchStreamLine' } }
+  },
+  {
+    operationId: 'submitJob',
+    method: 'post',
+    path: '/jobs',
+    tag: 'Jobs',
+    summary: 'Submit Job',
+    description: 'Takes the fields or uploads of the endpoint of the task, plus an optional `type` (guessed from the fields '
+      + 'when not given) and `callbackUrl`.',
+    request: 'SubmitJobRequest',
+    uploads: 'many',
+    example: {
+      imageUrl: 'https://example.com/image.jpg',
+      query: 'What can you tell me about this image?',
+      callbackUrl: 'https://example.com/hooks/vision'
+    },
+    responses: { 202: 'JobResponse' }
+  },
+  {
+    operationId: 'getJob',
+    method: 'get',
+    path: '/jobs/{id}',
+    tag: 'Jobs',
+    summary: 'Get Job',
+    description: 'Status, progress and, once finished, result or error of a job.',
+    responses: { 200: 'JobResponse' }
+  },
+  {
+    operationId: 'cancelJob',
+    method: 'post',
+    path: '/jobs/{id}/cancel',
+    tag: 'Jobs',
+    summary: 'Cancel Job',
+    description: 'Cancels a queued or running job; `DELETE /jobs/{id}` does the same.',
+    responses: { 200: 'JobResponse' }
+  },
+  {
+    operationId: 'deleteJob',
+    method: 'delete',
+    path: '/jobs/{id}',
+    tag: 'Jobs',
+    summary: 'Cancel Job',
+    description: 'Cancels a queued or running job.',
+    responses: { 200: 'JobResponse' }
+  },
+  {
+    operationId: 'createSession',
+    method: 'post',
+    path: '/sessions',
+    tag: 'Sessions',
+    summary: 'Create Session',
+    description: `Analyzes an image and starts a session about it, answering the first \`query\` if any. ${UPLOAD_NOTE}`,
+    request: 'CreateSessionRequest',
+    uploads: 1,
+    example: { imageUrl: 'https://example.com/image.jpg', query: 'What can you tell me about this image?' },
+    responses: { 201: 'CreateSessionResponse' }
+  },
+  {
+    operationId: 'listSessions',
+    method: 'get',
+    path: '/sessions',
+    tag: 'Sessions',
+    summary: 'List Sessions',
+    description: 'Sessions of the agent, most recently used first.',
+    parameters: [
+      { name: 'limit', schema: { type: 'integer', minimum: 1, maximum: MAX_SESSION_LIST_LIMIT }, description: 'Sessions returned, 20 by default' },
+      { name: 'offset', schema: { type: 'integer', minimum: 0 }, description: 'Sessions skipped' }
+    ],
+    responses: { 200: 'SessionListResponse' }
+  },
+  {
+    operationId: 'getSession',
+    method: 'get',
+    path: '/sessions/{id}',
+    tag: 'Sessions',
+    summary: 'Get Session',
+    description: 'A session with its analysis and all its turns.',
+    responses: { 200: 'SessionResponse' }
+  },
+  {
+    operationId: 'askSession',
+    method: 'post',
+    path: '/sessions/{id}/messages',
+    tag: 'Sessions',
+    summary: 'Ask a Follow-up Question',
+    description: 'Answers a question about the image of a session, with its earlier turns.',
+    request: 'AskSessionRequest',
+    example: { query: 'What about the text on it?' },
+    responses: { 200: 'AskSessionResponse' }
+  },
+  {
+    operationId: 'deleteSession',
+    method: 'delete',
+    path: '/sessions/{id}',
+    tag: 'Sessions',
+    summary: 'Delete Session',
+    description: 'Deletes a session and its turns.',
+    responses: { 200: 'DeletedResponse' }
+  },
+  {
+    operationId: 'appraise',
+    method: 'post',
+    path: '/appraise',
+    tag: 'Appraisal',
+    summary: 'Appraise',
+    description: `Analyzes an image with label, text, object, logo and web detection and appraises the item it shows. ${UPLOAD_NOTE}`,
+    request: 'AppraiseRequest',
+    uploads: 1,
+    example: { imageUrl: 'https://example.com/watch.jpg' },
+    responses: { 200: 'AppraiseResponse' }
+  },
+  {
+    operationId: 'annotate',
+    method: 'post',
+    path: '/annotate',
+    tag: 'Annotation',
+    summary: 'Annotate',
+    description: 'Answers with the annotated image, so the endpoint can be used as an image source. With '
+      + `\`Accept: application/json\` the response carries the analysis, the positions and relations of the objects, and the `
+      + `annotated image as a data URL. ${UPLOAD_NOTE}`,
+    request: 'AnnotateRequest',
+    uploads: 1,
+    example: { imageUrl: 'https://example.com/street.jpg', format: 'jpeg' },
+    responses: { 200: { 'application/json': 'AnnotateResponse', 'image/jpeg': null, 'image/svg+xml': null } }
+  },
+  {
+    operationId: 'compare',
+    method: 'post',
+    path: '/compare',
+    tag: 'Comparison',
+    summary: 'Compare',
+    description: 'Compares a list of images, or several uploaded `image` files, answering the optional `query`. '
+      + 'With `"perceptualHash": true` each pair also gets a perceptual similarity telling whether the photos are the same picture.',
+    request: 'CompareRequest',
+    uploads: 'many',
+    example: {
+      images: ['https://example.com/watch-1.jpg', { imageUrl: 'https://example.com/watch-2.jpg', id: 'listing' }],
+      query: 'Are these the same watch?',
+      perceptualHash: true
+    },
+    responses: { 200: 'CompareResponse' }
+  },
+  {
+    operationId: 'extractDocument',
+    method: 'post',
+    path: '/extract-document',
+    tag: 'Documents',
+    summary: 'Extract Document',
+    description: 'The analysis keeps the layout of the text (pages, blocks, paragraphs and words with their boxes) and its '
+      + `languages. ${UPLOAD_NOTE}`,
+    request: 'ExtractDocumentRequest',
+    uploads: 1,
+    example: { imageUrl: 'https://example.com/receipt.jpg', documentType: 'receipt' },
+    responses: { 200: 'ExtractDocumentResponse' }
+  },
+  {
+    operationId: 'getUsage',
+    method: 'get',
+    path: '/usage',
+    tag: 'API Keys',
+    summary: 'Usage',
+    description: 'Usage and remaining quotas of the API key of the request.',
+    parameters: [{ name: 'days', schema: { type: 'integer', minimum: 1, maximum: MAX_USAGE_DAYS }, description: 'Days reported, 30 by default' }],
+    responses: { 200: 'UsageResponse' }
+  },
+  {
+    operationId: 'issueApiKey',
+    method: 'post',
+    path: '/admin/keys',
+    tag: 'API Keys',
+    summary: 'Issue API Key',
+    description: 'Issues a key; limits that are not given take the `API_KEY_*` defaults.',
+    auth: 'admin',
+    request: 'IssueApiKeyRequest',
+    example: { name: 'mobile app', rateLimit: 60, dailyVisionQuota: 1000, dailyLlmQuota: 500 },
+    responses: { 201: 'IssuedApiKeyResponse' }
+  },
+  {
+    operationId: 'listApiKeys',
+    method: 'get',
+    path: '/admin/keys',
+    tag: 'API Keys',
+    summary: 'List API Keys',
+    description: 'Keys of the agent, newest first.',
+    auth: 'admin',
+    parameters: [{ name: 'includeRevoked', schema: { type: 'boolean' }, description: 'Also list revoked keys' }],
+    responses: { 200: 'ApiKeyListResponse' }
+  },
+  {
+    operationId: 'getApiKey',
+    method: 'get',
+    path: '/admin/keys/{id}',
+    tag: 'API Keys',
+    summary: 'Get API Key',
+    description: 'A key and its limits.',
+    auth: 'admin',
+    responses: { 200: 'ApiKeyResponse' }
+  },
+  {
+    operationId: 'revokeApiKey',
+    method: 'delete',
+    path: '/admin/keys/{id}',
+    tag: 'API Keys',
+    summary: 'Revoke API Key',
+    description: 'Revokes a key; its usage is kept.',
+    auth: 'admin',
+    responses: { 200: 'ApiKeyResponse' }
+  },
+  {
+    operationId: 'getApiKeyUsage',
+    method: 'get',
+    path: '/admin/keys/{id}/usage',
+    tag: 'API Keys',
+    summary: 'API Key Usage',
+    description: 'Usage and remaining quotas of a key.',
+    auth: 'admin',
+    parameters: [{ name: 'days', schema: { type: 'integer', minimum: 1, maximum: MAX_USAGE_DAYS }, description: 'Days reported, 30 by default' }],
+    responses: { 200: 'UsageResponse' }
+  },
+  {
+    operationId: 'getOpenApi',
+    method: 'get',
+    path: '/openapi.json',
+    tag: 'Documentation',
+    summary: 'OpenAPI Document',
+    description: 'This API as an OpenAPI 3.1 document, with the paths of the server it is fetched from.',
+    auth: 'none',
+    responses: { 200: { 'application/json': null } }
+  }
+];
+
+// Operation whose request schema applies to the fields of a job of each task type
+export const TASK_OPERATIONS = {
+  analyze: 'analyzeImage',
+  'analyze-and-query': 'analyzeAndQuery',
+  annotate: 'annotate',
+  appraise: 'appraise',
+  batch: 'batchAnalyze',
+  compare: 'compare',
+  'extract-document': 'extractDocument'
+};
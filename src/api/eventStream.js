@@ -0,0 +1,47 @@
+/**
+ * Server-Sent Events responses of the vision API
+ * Each event is named after its type and carries the whole event as JSON, as the
+ * WebSocket messages do.
+ */
+
+// Comments keep proxies from closing the connection while the vision or LLM calls run
+const HEARTBEAT_MS = 15000;
+
+/**
+ * Starts a Server-Sent Events response
+ * @param {http.ServerResponse} res - Response, with no status sent yet
+ * @returns {{send: function(Object): void, close: function(): void, signal: AbortSignal}} - send writes
+ *   an event with a type, close ends the response, and signal is aborted when the client goes away
+ */
+export function openEventStream(res) {
+  const controller = new AbortController();
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), HEARTBEAT_MS);
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    if (!res.writableFinished) {
+      controller.abort();
+    }
+  });
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    // Nginx buffers responses unless told otherwise
+    'X-Accel-Buffering': 'no'
+  });
+
+  let id = 0;
+  return {
+    signal: controller.signal,
+    send: event => {
+      if (!controller.signal.aborted && !res.writableEnded) {
+        res.write(`id: ${++id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+      }
+    },
+    close: () => {
+      clearInterval(heartbeat);
+      res.end();
+    }
+  };
+}
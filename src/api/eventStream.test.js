@@ -0,0 +1,248 @@
+import { afterAll, afterEach, beforeAll, beforeEach, describe, expect, jest, test } from '@jest/globals';
+import { DirectClient } from '@elizaos/client-direct';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import WebSocket from 'ws';
+import { VisionApi } from './visionApi.js';
+
+const IMAGE_URL = 'https://example.com/dog.jpg';
+const ANALYSIS = { labels: [{ description: 'Dog', score: 0.97 }], text: '', objects: [] };
+const TOKENS = ['A dog ', 'on the ', 'grass.'];
+
+// Asking this keeps the completion open after its first token, until the request is cancelled
+const SLOW_QUERY = 'Take your time';
+
+const ENV = {
+  ORA_BACKEND: 'openai',
+  ORA_MAX_RETRIES: '0',
+  VISION_PROVIDER: 'fixture',
+  API_KEYS_REQUIRED: 'false'
+};
+
+let fixturesDir;
+let llmServer;
+let llmRequests;
+let server;
+let baseUrl;
+let sockets;
+
+// Polls a condition, failing the test if it does not hold within a second
+const waitFor = async (condition, timeoutMs = 1000) => {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() > deadline) {
+      throw new Error(`Timed out waiting for ${condition}`);
+    }
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+};
+
+// Chat completions endpoint streaming the answer in TOKENS, closed requests are marked closed
+const startLlm = () => http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => {
+    body += chunk;
+  });
+  req.on('end', () => {
+    const request = { body: JSON.parse(body), closed: false };
+    llmRequests.push(request);
+    res.on('close', () => {
+      request.closed = true;
+    });
+
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    const chunk = content => res.write(`data: ${JSON.stringify({ choices: [{ delta: { content } }] })}\n\n`);
+    if (request.body.messages.at(-1).content === SLOW_QUERY) {
+      chunk(TOKENS[0]);
+      return;
+    }
+    TOKENS.forEach(chunk);
+    res.end('data: [DONE]\n\n');
+  });
+});
+
+// Reads the Server-Sent Events of a response as they arrive
+async function* readEvents(response) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for await (const chunk of response.body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    const blocks = buffer.split('\n\n');
+    buffer = blocks.pop();
+    for (const block of blocks.filter(block => !block.startsWith(':'))) {
+      const fields = Object.fromEntries(block.split('\n').map(line => [line.slice(0, line.indexOf(': ')), line.slice(line.indexOf(': ') + 2)]));
+      yield { id: Number(fields.id), event: fields.event, data: JSON.parse(fields.data) };
+    }
+  }
+}
+
+const postStream = (query, signal) => fetch(`${baseUrl}/agent-1/vision/analyze-and-query?stream=true`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify({ imageUrl: IMAGE_URL, query }),
+  signal
+});
+
+// WebSocket connection to the agent, with the messages it received
+const connect = async () => {
+  const ws = new WebSocket(`${baseUrl.replace('http', 'ws')}/agent-1/vision/ws`);
+  const messages = [];
+  sockets.push(ws);
+  ws.on('message', data => messages.push(JSON.parse(data)));
+  await new Promise((resolve, reject) => {
+    ws.once('open', resolve);
+    ws.once('error', reject);
+  });
+  return { ws, messages };
+};
+
+beforeAll(async () => {
+  llmRequests = [];
+  llmServer = startLlm();
+  await new Promise(resolve => llmServer.listen(0, '127.0.0.1', resolve));
+
+  fixturesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vision-fixtures-'));
+  const fixturesPath = path.join(fixturesDir, 'fixtures.json');
+  fs.writeFileSync(fixturesPath, JSON.stringify({ fixtures: [{ url: IMAGE_URL, result: ANALYSIS }] }));
+  Object.assign(process.env, ENV, {
+    VISION_FIXTURES_PATH: fixturesPath,
+    ORA_OPENAI_BASE_URL: `http://127.0.0.1:${llmServer.address().port}/v1`
+  });
+
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  const visionApi = new VisionApi();
+  await visionApi.addAgent({ runtime: { agentId: 'agent-1', character: { name: 'Viewer' }, getSetting: () => undefined } });
+  await visionApi.startJobQueue(null);
+
+  const directClient = new DirectClient();
+  visionApi.mount(directClient.app);
+  server = http.createServer(directClient.app);
+  await visionApi.attachWebSockets(server);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  for (const name of [...Object.keys(ENV), 'VISION_FIXTURES_PATH', 'ORA_OPENAI_BASE_URL']) {
+    delete process.env[name];
+  }
+  fs.rmSync(fixturesDir, { recursive: true, force: true });
+  for (const httpServer of [server, llmServer]) {
+    httpServer.closeAllConnections();
+    await new Promise(resolve => httpServer.close(resolve));
+  }
+});
+
+beforeEach(() => {
+  llmRequests = [];
+  sockets = [];
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  sockets.forEach(ws => ws.terminate());
+  llmServer.closeAllConnections();
+  jest.restoreAllMocks();
+});
+
+describe('Streamed analyze-and-query over Server-Sent Events', () => {
+  test('sends fetching, vision, the tokens of the answer and then the whole response', async () => {
+    const response = await postStream('What is it?');
+    expect(response.headers.get('content-type')).toBe('text/event-stream');
+
+    const events = [];
+    for await (const event of readEvents(response)) {
+      events.push(event);
+    }
+    expect(events.map(({ event }) => event)).toEqual(['fetching', 'vision', 'token', 'token', 'token', 'done']);
+    expect(events.map(({ id }) => id)).toEqual([1, 2, 3, 4, 5, 6]);
+    expect(events[1].data).toMatchObject({ type: 'vision', provider: 'fixture', cache: 'off', imageAnalysis: { labels: [{ description: 'Dog' }] } });
+    expect(events.slice(2, 5).map(({ data }) => data.text)).toEqual(TOKENS);
+    expect(events[5].data).toMatchObject({
+      type: 'done',
+      success: true,
+      imageAnalysis: { labels: [{ description: 'Dog' }] },
+      oraResponse: { completion: TOKENS.join('').trim(), backend: 'openai' }
+    });
+    expect(llmRequests[0].body).toMatchObject({ stream: true });
+  });
+
+  test('ends with an error event when the analysis fails', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const response = await fetch(`${baseUrl}/agent-1/vision/analyze-and-query?stream=true`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ imageUrl: 'https://example.com/unknown.jpg', query: 'What is it?' })
+    });
+
+    const events = [];
+    for await (const event of readEvents(response)) {
+      events.push(event);
+    }
+    expect(events.map(({ event }) => event)).toEqual(['fetching', 'error']);
+    expect(events[1].data).toMatchObject({ success: false, code: 'VISION_PROVIDER_ERROR' });
+    expect(llmRequests).toHaveLength(0);
+  });
+
+  test('cancels the completion when the client goes away', async () => {
+    const errors = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const controller = new AbortController();
+    const response = await postStream(SLOW_QUERY, controller.signal);
+
+    const events = [];
+    try {
+      for await (const event of readEvents(response)) {
+        events.push(event.event);
+        if (event.event === 'token') {
+          controller.abort();
+        }
+      }
+    } catch (error) {
+      expect(error.name).toBe('AbortError');
+    }
+    expect(events).toEqual(['fetching', 'vision', 'token']);
+
+    await waitFor(() => llmRequests[0]?.closed);
+    expect(errors).not.toHaveBeenCalledWith('Streamed analysis failed:', expect.anything());
+  });
+});
+
+describe('Streamed analyze-and-query over WebSocket', () => {
+  test('sends the stages and tokens tagged with the id of the request', async () => {
+    const { ws, messages } = await connect();
+    ws.send(JSON.stringify({ id: 'q1', type: 'analyze-and-query', imageUrl: IMAGE_URL, query: 'What is it?' }));
+    await waitFor(() => messages.some(({ type }) => type === 'done'));
+    ws.close();
+
+    expect(messages.map(({ id, type }) => `${id}:${type}`)).toEqual(['q1:fetching', 'q1:vision', 'q1:token', 'q1:token', 'q1:token', 'q1:done']);
+    expect(messages.filter(({ type }) => type === 'token').map(({ text }) => text)).toEqual(TOKENS);
+    expect(messages.at(-1).oraResponse.completion).toBe(TOKENS.join('').trim());
+  });
+
+  test('cancels a running analysis and confirms it, sending no more of its events', async () => {
+    const { ws, messages } = await connect();
+    ws.send(JSON.stringify({ id: 'q1', type: 'analyze-and-query', imageUrl: IMAGE_URL, query: SLOW_QUERY }));
+    await waitFor(() => messages.some(({ type }) => type === 'token'));
+    ws.send(JSON.stringify({ id: 'q1', type: 'cancel' }));
+    await waitFor(() => llmRequests[0].closed && messages.some(({ type }) => type === 'cancelled'));
+
+    // A cancellation of an id that is not running is not confirmed
+    ws.send(JSON.stringify({ id: 'q2', type: 'cancel' }));
+    await waitFor(() => messages.length === 5);
+    ws.close();
+
+    expect(messages.map(({ id, type }) => `${id}:${type}`)).toEqual(['q1:fetching', 'q1:vision', 'q1:token', 'q1:cancelled', 'q2:cancelled']);
+    expect(messages.slice(3).map(({ success }) => success)).toEqual([true, false]);
+  });
+
+  test('aborts the running analyses when the connection closes', async () => {
+    const { ws, messages } = await connect();
+    ws.send(JSON.stringify({ id: 'q1', type: 'analyze-and-query', imageUrl: IMAGE_URL, query: SLOW_QUERY }));
+    await waitFor(() => messages.some(({ type }) => type === 'token'));
+    ws.close();
+
+    await waitFor(() => llmRequests[0].closed);
+  });
+});
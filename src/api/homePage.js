@@ -0,0 +1,304 @@
+/**
+ * Home page of the vision API: the endpoints and a form to try them
+ * The endpoints are rendered from the OpenAPI document, so the page follows the schemas
+ * the requests are validated against.
+ */
+
+import { buildOpenApiDocument } from './openApi.js';
+
+const escapeHtml = text => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Renders a description with `backticks` as code, and blank lines between paragraphs
+const renderInline = text => escapeHtml(text).replace(/`([^`]+)`/g, '<code>$1</code>');
+const renderText = text => text.split('\n\n').map(paragraph => `<p>${renderInline(paragraph)}</p>`).join('\n');
+
+const resolve = (document, schema) => (schema.$ref ? document.components.schemas[schema.$ref.split('/').pop()] : schema);
+
+// Short description of the type of a field, e.g. "array or string" or "default | document"
+const describeType = (document, schema) => {
+  const resolved = resolve(document, schema);
+  if (resolved.enum) {
+    return resolved.enum.map(value => JSON.stringify(value)).join(' | ');
+  }
+  if (resolved.anyOf) {
+    return resolved.anyOf.map(branch => describeType(document, branch)).join(' or ');
+  }
+  if (schema.$ref && resolved.type === 'object') {
+    return schema.$ref.split('/').pop();
+  }
+  return [].concat(resolved.type ?? 'any').join(' or ');
+};
+
+const renderField = (document, name, schema, required) => {
+  const description = schema.description ?? resolve(document, schema).description;
+  return `<li><code>${escapeHtml(name)}</code> (${escapeHtml(describeType(document, schema))}${required ? ', required' : ''})`
+    + `${description ? `: ${renderInline(description)}` : ''}</li>`;
+};
+
+const renderOperation = (document, path, method, operation, basePath) => {
+  const parts = [
+    `<p><strong>${method.toUpperCase()} ${escapeHtml(basePath + path)}</strong>: ${escapeHtml(operation.summary)}</p>`,
+    renderText(operation.description)
+  ];
+
+  const queryParameters = (operation.parameters ?? []).filter(parameter => parameter.in === 'query');
+  if (queryParameters.length > 0) {
+    parts.push('<p>Query parameters:</p>', `<ul>${queryParameters
+      .map(({ name, schema, description }) => renderField(document, name, { ...schema, description }, false))
+      .join('')}</ul>`);
+  }
+
+  const json = operation.requestBody?.content['application/json'];
+  if (json) {
+    const schema = resolve(document, json.schema);
+    const required = schema.required ?? [];
+    parts.push('<p>Request body:</p>', `<ul>${Object.entries(schema.properties)
+      .map(([name, property]) => renderField(document, name, property, required.includes(name)))
+      .join('')}</ul>`);
+    if (schema.description) {
+      parts.push(renderText(schema.description));
+    }
+    parts.push(`<pre>${escapeHtml(JSON.stringify(json.example, null, 2))}</pre>`);
+  }
+  return parts.join('\n');
+};
+
+// Renders the operations of a tag as one section
+const renderTag = (document, tag, number, basePath) => {
+  const operations = Object.entries(document.paths).flatMap(([path, item]) => Object.entries(item)
+    .filter(([, operation]) => operation.tags.includes(tag.name))
+    .map(([method, operation]) => renderOperation(document, path, method, operation, basePath)));
+  return `
+      <div class="endpoint">
+        <h3>${number}. ${escapeHtml(tag.name)}</h3>
+        ${renderText(tag.description)}
+        ${operations.join('\n<hr>\n')}
+      </div>`;
+};
+
+/**
+ * Renders the home page
+ * @param {Object} [options]
+ * @param {string} [options.basePath] - Path the endpoints are mounted under, e.g. /api
+ * @returns {string} - HTML document
+ */
+export function renderHomePage({ basePath = '/api' } = {}) {
+  const document = buildOpenApiDocument({ basePath });
+  return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <title>ElizaOS Vision Agent</title>
+      <style>
+        body {
+          font-family: Arial, sans-serif;
+          max-width: 800px;
+          margin: 0 auto;
+          padding: 20px;
+          line-height: 1.6;
+        }
+        h1 {
+          color: #333;
+          border-bottom: 1px solid #eee;
+          padding-bottom: 10px;
+        }
+        .endpoint {
+          background: #f5f5f5;
+          padding: 15px;
+          border-radius: 5px;
+          margin-bottom: 20px;
+        }
+        pre {
+          background: #eee;
+          padding: 10px;
+          border-radius: 3px;
+          overflow-x: auto;
+        }
+        .try-it {
+          margin-top: 30px;
+          padding: 20px;
+          border: 1px solid #ddd;
+          border-radius: 5px;
+        }
+        input, textarea, button {
+          margin: 10px 0;
+          padding: 8px;
+          width: 100%;
+        }
+        button {
+          background: #4CAF50;
+          color: white;
+          border: none;
+          cursor: pointer;
+          padding: 10px;
+        }
+        #dropZone {
+          margin: 10px 0;
+          padding: 20px;
+          border: 2px dashed #bbb;
+          border-radius: 5px;
+          text-align: center;
+          color: #777;
+          cursor: pointer;
+        }
+        #dropZone.dragover {
+          border-color: #4CAF50;
+          background: #f0fff0;
+        }
+        #dropZone img {
+          max-width: 100%;
+          max-height: 200px;
+          display: block;
+          margin: 10px auto 0;
+        }
+        #imageFile {
+          display: none;
+        }
+        #result {
+          white-space: pre-wrap;
+          background: #f9f9f9;
+          padding: 15px;
+          border-radius: 5px;
+          margin-top: 20px;
+          display: none;
+        }
+      </style>
+    </head>
+    <body>
+      <h1>${escapeHtml(document.info.title)}</h1>
+      ${renderText(document.info.description)}
+      <p>The OpenAPI document of this API is served at <a href="${basePath}/openapi.json">${basePath}/openapi.json</a>.</p>
+      
+      <h2>Available Endpoints:</h2>
+      
+${document.tags.map((tag, index) => renderTag(document, tag, index + 1, basePath)).join('\n')}
+      
+      <div class="try-it">
+        <h2>Try it out:</h2>
+        <p>Analyze an image and get ORA's response:</p>
+        <input type="text" id="imageUrl" placeholder="Image URL (e.g., https://example.com/image.jpg)" value="">
+        <div id="dropZone">Or drop an image here, or click to choose a file</div>
+        <input type="file" id="imageFile" accept="image/*">
+        <input type="text" id="query" placeholder="Your question about the image" value="What can you tell me about this image?">
+        <button onclick="analyzeAndQuery()">Analyze and Query</button>
+        <div id="result"></div>
+        
+        <script>
+          const dropZone = document.getElementById('dropZone');
+          const fileInput = document.getElementById('imageFile');
+          let selectedFile = null;
+          
+          function selectFile(file) {
+            if (!file || !file.type.startsWith('image/')) {
+              alert('Please choose an image file');
+              return;
+            }
+            selectedFile = file;
+            dropZone.textContent = file.name + ' (' + Math.round(file.size / 1024) + ' KB), click to change';
+            const preview = document.createElement('img');
+            preview.src = URL.createObjectURL(file);
+            dropZone.appendChild(preview);
+          }
+          
+          dropZone.addEventListener('click', () => fileInput.click());
+          fileInput.addEventListener('change', () => selectFile(fileInput.files[0]));
+          dropZone.addEventListener('dragover', event => {
+            event.preventDefault();
+            dropZone.classList.add('dragover');
+          });
+          dropZone.addEventListener('dragleave', () => dropZone.classList.remove('dragover'));
+          dropZone.addEventListener('drop', event => {
+            event.preventDefault();
+            dropZone.classList.remove('dragover');
+            selectFile(event.dataTransfer.files[0]);
+          });
+          
+          async function analyzeAndQuery() {
+            const imageUrl = document.getElementById('imageUrl').value;
+            const query = document.getElementById('query').value;
+            const resultDiv = document.getElementById('result');
+            
+            if ((!imageUrl && !selectedFile) || !query) {
+              alert('Please provide an image URL or file, and a query');
+              return;
+            }
+            
+            resultDiv.textContent = 'Processing...';
+            resultDiv.style.display = 'block';
+            
+            try {
+              let request;
+              if (selectedFile) {
+                const form = new FormData();
+                form.append('query', query);
+                form.append('image', selectedFile);
+                request = { method: 'POST', body: form };
+              } else {
+                request = {
+                  method: 'POST',
+                  headers: {
+                    'Content-Type': 'application/json'
+                  },
+                  body: JSON.stringify({ imageUrl, query })
+                };
+              }
+              // Stream the stages and the answer as they arrive
+              const response = await fetch('${basePath}/analyze-and-query?stream=true', request);
+              if (!response.ok) {
+                const data = await response.json();
+                resultDiv.textContent = 'Error: ' + (data.error || 'Unknown error');
+                return;
+              }
+              
+              resultDiv.innerHTML = '<h3>Results:</h3>' +
+                '<p id="stage">Fetching the image...</p>' +
+                '<h4>Image Analysis:</h4><pre id="analysis"></pre>' +
+                '<h4>ORA Response:</h4><p id="answer"></p>';
+              const stage = document.getElementById('stage');
+              const answer = document.getElementById('answer');
+              const showEvent = event => {
+                if (event.type === 'vision') {
+                  stage.textContent = 'Asking ORA...';
+                  document.getElementById('analysis').textContent = JSON.stringify(event.imageAnalysis, null, 2);
+                } else if (event.type === 'token') {
+                  answer.textContent += event.text;
+                } else if (event.type === 'done') {
+                  stage.textContent = 'Done (cache: ' + event.cache + ')';
+                  answer.textContent = event.oraResponse.completion;
+                } else if (event.type === 'error') {
+                  stage.textContent = 'Error: ' + event.error;
+                }
+              };
+              
+              const reader = response.body.getReader();
+              const decoder = new TextDecoder();
+              let buffer = '';
+              for (;;) {
+                const { done, value } = await reader.read();
+                if (done) {
+                  break;
+                }
+                buffer += decoder.decode(value, { stream: true });
+                const messages = buffer.split('\\n\\n');
+                buffer = messages.pop();
+                messages.forEach(message => {
+                  const data = message.split('\\n').find(line => line.startsWith('data: '));
+                  if (data) {
+                    showEvent(JSON.parse(data.slice(6)));
+                  }
+                });
+              }
+            } catch (error) {
+              resultDiv.textContent = 'Error: ' + error.message;
+            }
+          }
+        </script>
+      </div>
+    </body>
+    </html>
+  `;
+}
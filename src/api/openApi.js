@@ -0,0 +1,228 @@
+/**
+ * OpenAPI document of the vision REST API, and validation of its requests and responses
+ * against the schemas of its operations (see apiSchemas.js)
+ *
+ * Requests that do not match their schema are rejected with a ValidationError listing the
+ * fields at fault. Responses are checked as they are sent: mismatches are logged by
+ * default, answered with a 500 with API_VALIDATE_RESPONSES=strict, or not checked at all
+ * with API_VALIDATE_RESPONSES=off.
+ */
+
+import fs from 'fs';
+import { ServiceError, ValidationError } from '../services/errors.js';
+import { OPERATIONS, SCHEMAS, TAGS } from './apiSchemas.js';
+import { formatValidationErrors, validateSchema } from './schemaValidator.js';
+
+export const RESPONSE_VALIDATION_MODES = ['warn', 'strict', 'off'];
+
+const { version } = JSON.parse(fs.readFileSync(new URL('../../package.json', import.meta.url), 'utf8'));
+
+const DESCRIPTION = [
+  'Analyzes images with the configured vision provider and answers questions about them through ORA.',
+  'Errors are answered as `{ "success": false, "error": "...", "code": "..." }`. Requests that do not match the schema '
+    + 'of their endpoint are answered `400` with the code `VALIDATION_FAILED` and the fields at fault in `errors`, e.g. '
+    + '`{ "field": "images[1].imageUrl", "message": "is required" }`.',
+  'Analyses are cached by image content and feature set. Responses carry `"cache": "hit" | "miss" | "bypass" | "off"` '
+    + 'and the `X-Vision-Cache` header. Send `X-Vision-Cache: bypass` (or `Cache-Control: no-store`) to skip the cache, '
+    + 'or `X-Vision-Cache: refresh` (or `Cache-Control: no-cache`) to analyze again.'
+].join('\n\n');
+
+const STATUS_DESCRIPTIONS = { 200: 'OK', 201: 'Created', 202: 'Accepted' };
+
+const BINARY = { type: 'string', contentEncoding: 'binary' };
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+
+const OPERATIONS_BY_ID = new Map(OPERATIONS.map(operation => [operation.operationId, operation]));
+
+// Path templates as regular expressions, e.g. /jobs/{id} matches /jobs/1234
+const ROUTES = OPERATIONS.map(operation => ({
+  operation,
+  pattern: new RegExp(`^${operation.path.replace(/\./g, '\\.').replace(/\{[^}]+\}/g, '([^/]+)')}$`)
+}));
+
+/**
+ * How responses are checked against their schema, from API_VALIDATE_RESPONSES
+ * @returns {string} - One of RESPONSE_VALIDATION_MODES, warn by default
+ */
+export function getResponseValidation() {
+  const mode = (process.env.API_VALIDATE_RESPONSES || 'warn').toLowerCase();
+  return RESPONSE_VALIDATION_MODES.includes(mode) ? mode : 'warn';
+}
+
+/**
+ * Finds the operation serving a request
+ * @param {string} method - HTTP method
+ * @param {string} path - Path below the mount path of the API, e.g. /jobs/1234
+ * @returns {Object|null} - Operation from OPERATIONS, null when no operation matches
+ */
+export function findOperation(method, path) {
+  const lowerMethod = method.toLowerCase();
+  return ROUTES.find(({ operation, pattern }) => operation.method === lowerMethod && pattern.test(path))?.operation ?? null;
+}
+
+const getOperation = operationId => {
+  const operation = OPERATIONS_BY_ID.get(operationId);
+  if (!operation) {
+    throw new Error(`Unknown operation ${operationId}`);
+  }
+  return operation;
+};
+
+/**
+ * Validates the fields of a request against the request schema of its operation
+ * Fields from forms and query strings are strings, so numbers and booleans are converted.
+ * @param {string} operationId - Operation of the request
+ * @param {Object} fields - JSON body, form fields or query string fields
+ * @returns {Object} - The fields, with numbers and booleans converted
+ * @throws {ValidationError} - With the fields at fault
+ */
+export function validateRequest(operationId, fields) {
+  const { request } = getOperation(operationId);
+  if (!request) {
+    return fields;
+  }
+  const { value, errors } = validateSchema(ref(request), fields, { components: SCHEMAS, coerce: true });
+  if (errors.length > 0) {
+    throw new ValidationError(`Invalid request: ${formatValidationErrors(errors)}`, { errors });
+  }
+  return value;
+}
+
+/**
+ * Validates the query string parameters of an operation
+ * @param {string} operationId - Operation of the request
+ * @param {Object} query - Parsed query string
+ * @returns {Object} - The query, with numbers and booleans converted
+ * @throws {ValidationError} - With the parameters at fault
+ */
+export function validateParameters(operationId, query) {
+  const { parameters = [] } = getOperation(operationId);
+  const schema = {
+    type: 'object',
+    properties: Object.fromEntries(parameters.map(({ name, schema }) => [name, schema]))
+  };
+  const { value, errors } = validateSchema(schema, { ...query }, { components: SCHEMAS, coerce: true });
+  if (errors.length > 0) {
+    throw new ValidationError(`Invalid query parameters: ${formatValidationErrors(errors)}`, { errors });
+  }
+  return value;
+}
+
+/**
+ * Checks a JSON response against the schema of its operation and status
+ * Error statuses are checked against the Error schema.
+ * @param {Object|null} operation - Operation from findOperation; responses of no operation are not checked
+ * @param {number} status - HTTP status
+ * @param {Object} body - Response body
+ * @returns {Object} - The body
+ * @throws {ServiceError} - When the body does not match and API_VALIDATE_RESPONSES=strict
+ */
+export function checkResponse(operation, status, body) {
+  const mode = getResponseValidation();
+  if (mode === 'off' || !operation) {
+    return body;
+  }
+  const response = operation.responses[status];
+  const schema = response === undefined ? 'Error' : typeof response === 'string' ? response : response['application/json'];
+  if (!schema) {
+    return body;
+  }
+
+  const { errors } = validateSchema(ref(schema), body, { components: SCHEMAS });
+  if (errors.length > 0) {
+    const message = `Response of ${operation.operationId} (${status}) does not match its schema: ${formatValidationErrors(errors)}`;
+    if (mode === 'strict') {
+      throw new ServiceError(message, { code: 'RESPONSE_INVALID' });
+    }
+    console.warn(message);
+  }
+  return body;
+}
+
+// Content of a response, by content type
+const toContent = response => {
+  const types = typeof response === 'string' ? { 'application/json': response } : response;
+  return Object.fromEntries(Object.entries(types).map(([type, schema]) => [
+    type,
+    { schema: schema ? ref(schema) : type === 'application/json' ? { type: 'object' } : BINARY }
+  ]));
+};
+
+const toRequestBody = ({ request, uploads, example }) => {
+  const content = { 'application/json': { schema: ref(request), example } };
+  if (uploads) {
+    const image = uploads === 1 ? BINARY : { type: 'array', items: BINARY };
+    content['multipart/form-data'] = {
+      schema: { allOf: [ref(request), { type: 'object', properties: { image } }] }
+    };
+    content['image/*'] = { schema: BINARY };
+  }
+  return { required: true, content };
+};
+
+const toPathItem = operation => {
+  const pathParameters = [...operation.path.matchAll(/\{([^}]+)\}/g)].map(([, name]) => ({
+    name,
+    in: 'path',
+    required: true,
+    schema: { type: 'string' }
+  }));
+  const queryParameters = (operation.parameters ?? []).map(parameter => ({ in: 'query', ...parameter }));
+
+  const item = {
+    operationId: operation.operationId,
+    tags: [operation.tag],
+    summary: operation.summary,
+    description: operation.description
+  };
+  if (pathParameters.length + queryParameters.length > 0) {
+    item.parameters = [...pathParameters, ...queryParameters];
+  }
+  if (operation.request) {
+    item.requestBody = toRequestBody(operation);
+  }
+  item.responses = {
+    ...Object.fromEntries(Object.entries(operation.responses).map(([status, response]) => [
+      status,
+      { description: STATUS_DESCRIPTIONS[status] ?? 'OK', content: toContent(response) }
+    ])),
+    default: { description: 'Error', content: toContent('Error') }
+  };
+  if (operation.auth === 'none') {
+    item.security = [];
+  } else if (operation.auth === 'admin') {
+    item.description += ' Requires the admin key.';
+  }
+  return item;
+};
+
+/**
+ * Builds the OpenAPI document of the API
+ * @param {Object} [options]
+ * @param {string} [options.basePath] - Path the endpoints are mounted under, e.g. /api
+ * @param {string} [options.title] - Title of the document
+ * @returns {Object} - OpenAPI 3.1 document
+ */
+export function buildOpenApiDocument({ basePath = '/api', title = 'ElizaOS Vision Agent API' } = {}) {
+  const paths = {};
+  for (const operation of OPERATIONS) {
+    paths[operation.path] = { ...paths[operation.path], [operation.method]: toPathItem(operation) };
+  }
+
+  return {
+    openapi: '3.1.0',
+    info: { title, version, description: DESCRIPTION },
+    servers: [{ url: basePath }],
+    tags: TAGS,
+    paths,
+    components: {
+      schemas: SCHEMAS,
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', description: 'API key as a bearer token' },
+        apiKeyHeader: { type: 'apiKey', in: 'header', name: 'X-API-Key' }
+      }
+    },
+    security: [{ bearerAuth: [] }, { apiKeyHeader: [] }]
+  };
+}
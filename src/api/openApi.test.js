@@ -0,0 +1,116 @@
+import { afterEach, describe, expect, jest, test } from '@jest/globals';
+import { OPERATIONS, SCHEMAS } from './apiSchemas.js';
+import { buildOpenApiDocument, checkResponse, findOperation, validateParameters, validateRequest } from './openApi.js';
+import { validateSchema } from './schemaValidator.js';
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  delete process.env.API_VALIDATE_RESPONSES;
+});
+
+describe('validateRequest', () => {
+  test('returns the fields, with form strings converted', () => {
+    expect(validateRequest('batchAnalyze', { images: ['https://example.com/a.jpg'], concurrency: '2' })).toEqual({
+      images: ['https://example.com/a.jpg'],
+      concurrency: 2
+    });
+  });
+
+  test('throws a ValidationError listing the fields at fault', () => {
+    let error;
+    try {
+      validateRequest('batchAnalyze', { images: ['https://example.com/a.jpg', { query: 'Is there a dog?' }], concurrency: 0 });
+    } catch (caught) {
+      error = caught;
+    }
+    expect(error).toMatchObject({
+      code: 'VALIDATION_FAILED',
+      httpStatus: 400,
+      message: 'Invalid request: images[1].imageUrl is required; concurrency must be at least 1',
+      errors: [
+        { field: 'images[1].imageUrl', message: 'is required' },
+        { field: 'concurrency', message: 'must be at least 1' }
+      ]
+    });
+    expect(error.toJSON().errors).toHaveLength(2);
+  });
+
+  test('requires the fields the operation needs', () => {
+    expect(() => validateRequest('queryOra', { query: 'What is this?' })).toThrow('imageAnalysis is required');
+  });
+
+  test('refuses unknown operations', () => {
+    expect(() => validateRequest('teleport', {})).toThrow('Unknown operation teleport');
+  });
+});
+
+describe('validateParameters', () => {
+  test('converts and checks query string parameters', () => {
+    expect(validateParameters('listSessions', { limit: '5', offset: '0' })).toEqual({ limit: 5, offset: 0 });
+    expect(() => validateParameters('listSessions', { limit: '0' })).toThrow('Invalid query parameters: limit must be at least 1');
+  });
+});
+
+describe('findOperation', () => {
+  test('matches path templates', () => {
+    expect(findOperation('GET', '/jobs/1234')?.operationId).toBe('getJob');
+    expect(findOperation('POST', '/jobs/1234/cancel')?.operationId).toBe('cancelJob');
+    expect(findOperation('GET', '/jobs/1234/cancel')).toBeNull();
+  });
+});
+
+describe('checkResponse', () => {
+  const operation = findOperation('POST', '/analyze-image');
+  const invalid = { success: true, source: 'live' };
+
+  test('logs responses that do not match their schema', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    expect(checkResponse(operation, 200, invalid)).toBe(invalid);
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('Response of analyzeImage (200) does not match its schema: cache is required'));
+  });
+
+  test('checks error statuses against the Error schema', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    checkResponse(operation, 400, { success: false, error: 'Bad image', code: 'INVALID_IMAGE' });
+    expect(warn).not.toHaveBeenCalled();
+    checkResponse(operation, 400, { success: false });
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('error is required'));
+  });
+
+  test('fails the response with API_VALIDATE_RESPONSES=strict', () => {
+    process.env.API_VALIDATE_RESPONSES = 'strict';
+    expect(() => checkResponse(operation, 200, invalid)).toThrow(expect.objectContaining({ code: 'RESPONSE_INVALID' }));
+  });
+
+  test('does not check with API_VALIDATE_RESPONSES=off', () => {
+    process.env.API_VALIDATE_RESPONSES = 'off';
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    expect(checkResponse(operation, 200, invalid)).toBe(invalid);
+    expect(warn).not.toHaveBeenCalled();
+  });
+});
+
+describe('buildOpenApiDocument', () => {
+  const document = buildOpenApiDocument({ basePath: '/agent/vision' });
+
+  test('lists every operation under its path and method', () => {
+    for (const { operationId, method, path } of OPERATIONS) {
+      expect(document.paths[path][method].operationId).toBe(operationId);
+    }
+    expect(document.servers).toEqual([{ url: '/agent/vision' }]);
+  });
+
+  test('resolves every schema reference', () => {
+    const refs = JSON.stringify(document).match(/#\/components\/schemas\/[A-Za-z]+/g);
+    for (const ref of new Set(refs)) {
+      expect(document.components.schemas[ref.split('/').pop()]).toBeDefined();
+    }
+  });
+
+  test('has request examples that match their own schema', () => {
+    for (const { operationId, request, example } of OPERATIONS.filter(operation => operation.request && operation.example)) {
+      const { errors } = validateSchema({ $ref: `#/components/schemas/${request}` }, example, { components: SCHEMAS });
+      expect({ operationId, errors }).toEqual({ operationId, errors: [] });
+    }
+  });
+});
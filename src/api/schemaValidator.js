@@ -0,0 +1,202 @@
+/**
+ * Validation of request and response bodies against the JSON schemas of the API
+ *
+ * Supports the subset of JSON Schema the API schemas use: type (one or a list), enum,
+ * properties, required, additionalProperties, items, minItems, maxItems, minLength,
+ * maxLength, minimum, maximum, pattern, format uri, anyOf and $ref to
+ * #/components/schemas/<name>. Errors name the field at fault, e.g. images[1].imageUrl.
+ *
+ * Form fields and query string parameters are strings, so with the coerce option numbers
+ * and booleans are converted where the schema expects them.
+ */
+
+const REF_PREFIX = '#/components/schemas/';
+
+// Helper function to describe the JSON type of a value
+const typeOf = value => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+};
+
+const matchesType = (type, value) => {
+  if (type === 'integer') return Number.isInteger(value);
+  if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+  return typeOf(value) === type;
+};
+
+// Converts a string to the first of the types it can stand for, or returns it unchanged
+const coerceString = (types, value) => {
+  for (const type of types) {
+    if ((type === 'integer' || type === 'number') && /^-?\d+(\.\d+)?$/.test(value.trim())) {
+      const number = Number(value);
+      if (type === 'number' || Number.isInteger(number)) return number;
+    }
+    if (type === 'boolean' && (value === 'true' || value === 'false')) {
+      return value === 'true';
+    }
+  }
+  return value;
+};
+
+const isUri = value => {
+  try {
+    return Boolean(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+};
+
+const joinField = (field, key) => (typeof key === 'number' ? `${field}[${key}]` : field ? `${field}.${key}` : key);
+
+const listValues = values => values.map(value => JSON.stringify(value)).join(', ');
+
+// Short description of a schema for the errors of anyOf
+const describe = (schema, components) => {
+  const resolved = resolve(schema, components);
+  if (resolved.enum) return resolved.enum.length === 1 ? listValues(resolved.enum) : `one of ${listValues(resolved.enum)}`;
+  if (resolved.anyOf) return resolved.anyOf.map(branch => describe(branch, components)).join(' or ');
+  const types = [].concat(resolved.type ?? 'any value');
+  return types.map(type => (type === 'integer' || type === 'array' || type === 'object' ? `an ${type}` : `a ${type}`))
+    .join(' or ')
+    .replace('a null', 'null');
+};
+
+function resolve(schema, components) {
+  if (!schema.$ref) {
+    return schema;
+  }
+  const name = schema.$ref.startsWith(REF_PREFIX) && schema.$ref.slice(REF_PREFIX.length);
+  const target = name && components[name];
+  if (!target) {
+    throw new Error(`Unknown schema reference ${schema.$ref}`);
+  }
+  return resolve(target, components);
+}
+
+function check(schema, value, field, options, errors) {
+  const { components, coerce } = options;
+  schema = resolve(schema, components);
+  const error = message => {
+    errors.push({ field: field || 'body', message });
+    return value;
+  };
+
+  if (schema.anyOf) {
+    for (const branch of schema.anyOf) {
+      const branchErrors = [];
+      const checked = check(branch, value, field, options, branchErrors);
+      if (branchErrors.length === 0) {
+        return checked;
+      }
+    }
+    // Report the errors of the branch of the right type, e.g. an object missing a property
+    const typed = schema.anyOf.find(branch => {
+      const { type } = resolve(branch, components);
+      return type && [].concat(type).some(candidate => matchesType(candidate, value));
+    });
+    if (typed) {
+      return check(typed, value, field, options, errors);
+    }
+    return error(`must be ${describe(schema, components)}`);
+  }
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (coerce && typeof value === 'string') {
+      value = coerceString(types, value);
+    }
+    if (!types.some(type => matchesType(type, value))) {
+      return error(`must be ${describe(schema, components)}`);
+    }
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return error(`must be one of ${listValues(schema.enum)}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      error(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters long`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      error(`must be at most ${schema.maxLength} characters long`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      error(`must match ${schema.pattern}`);
+    }
+    if (schema.format === 'uri' && !isUri(value)) {
+      error('must be an absolute URL');
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      error(`must be at least ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      error(`must be at most ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      error(`must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      error(`must have at most ${schema.maxItems} item${schema.maxItems === 1 ? '' : 's'}`);
+    }
+    if (schema.items) {
+      return value.map((item, index) => check(schema.items, item, joinField(field, index), options, errors));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties ?? {};
+    for (const name of schema.required ?? []) {
+      if (value[name] === undefined) {
+        errors.push({ field: joinField(field, name), message: 'is required' });
+      }
+    }
+    const result = { ...value };
+    for (const [name, property] of Object.entries(value)) {
+      if (property === undefined) {
+        continue;
+      }
+      if (properties[name]) {
+        result[name] = check(properties[name], property, joinField(field, name), options, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ field: joinField(field, name), message: 'is not allowed' });
+      } else if (typeof schema.additionalProperties === 'object') {
+        result[name] = check(schema.additionalProperties, property, joinField(field, name), options, errors);
+      }
+    }
+    return result;
+  }
+
+  return value;
+}
+
+/**
+ * Validates a value against a schema
+ * @param {Object} schema - JSON schema
+ * @param {*} value - Value to validate
+ * @param {Object} [options]
+ * @param {Object} [options.components] - Schemas $ref can point to, by name
+ * @param {boolean} [options.coerce] - Convert strings to the numbers and booleans the schema expects
+ * @returns {{value: *, errors: Array<{field: string, message: string}>}} - The value, coerced if asked,
+ *   and the errors, empty when it is valid
+ */
+export function validateSchema(schema, value, { components = {}, coerce = false } = {}) {
+  const errors = [];
+  const checked = check(schema, value, '', { components, coerce }, errors);
+  return { value: checked, errors };
+}
+
+/**
+ * Formats validation errors as one message
+ * @param {Array<{field: string, message: string}>} errors - Errors from validateSchema
+ * @returns {string} - "images[1].imageUrl is required; mode must be one of "default", "document""
+ */
+export function formatValidationErrors(errors) {
+  return errors.map(({ field, message }) => `${field} ${message}`).join('; ');
+}
@@ -0,0 +1,75 @@
+import { describe, expect, test } from '@jest/globals';
+import { formatValidationErrors, validateSchema } from './schemaValidator.js';
+
+const components = {
+  Query: { type: 'string', minLength: 1 },
+  Item: {
+    anyOf: [
+      { type: 'string', format: 'uri' },
+      { type: 'object', properties: { imageUrl: { type: 'string' }, query: { $ref: '#/components/schemas/Query' } }, required: ['imageUrl'] }
+    ]
+  }
+};
+
+const errorsOf = (schema, value, options) => validateSchema(schema, value, { components, ...options }).errors;
+
+describe('validateSchema', () => {
+  test('accepts values matching the schema', () => {
+    const schema = { type: 'object', properties: { images: { type: 'array', items: { $ref: '#/components/schemas/Item' } } } };
+    expect(errorsOf(schema, { images: ['https://example.com/a.jpg', { imageUrl: 'b', query: 'What?' }] })).toEqual([]);
+  });
+
+  test('names the fields at fault with their path', () => {
+    const schema = {
+      type: 'object',
+      properties: { images: { type: 'array', items: { $ref: '#/components/schemas/Item' }, minItems: 1 }, mode: { type: 'string', enum: ['default', 'document'] } },
+      required: ['images'],
+      additionalProperties: false
+    };
+    expect(errorsOf(schema, { images: ['https://example.com/a.jpg', { query: '' }], mode: 'fast', extra: 1 })).toEqual([
+      { field: 'images[1].imageUrl', message: 'is required' },
+      { field: 'images[1].query', message: 'must not be empty' },
+      { field: 'mode', message: 'must be one of "default", "document"' },
+      { field: 'extra', message: 'is not allowed' }
+    ]);
+    expect(errorsOf(schema, {})).toEqual([{ field: 'images', message: 'is required' }]);
+  });
+
+  test('describes the branches of anyOf when no branch has the type of the value', () => {
+    expect(errorsOf({ $ref: '#/components/schemas/Item' }, 42)).toEqual([{ field: 'body', message: 'must be a string or an object' }]);
+  });
+
+  test('checks lengths, ranges, patterns and URLs', () => {
+    expect(errorsOf({ type: 'string', maxLength: 3, pattern: '^[a-z]+$' }, 'ABCD')).toEqual([
+      { field: 'body', message: 'must be at most 3 characters long' },
+      { field: 'body', message: 'must match ^[a-z]+$' }
+    ]);
+    expect(errorsOf({ type: 'integer', minimum: 1, maximum: 10 }, 11)).toEqual([{ field: 'body', message: 'must be at most 10' }]);
+    expect(errorsOf({ type: 'integer' }, 1.5)).toEqual([{ field: 'body', message: 'must be an integer' }]);
+    expect(errorsOf({ type: 'array', maxItems: 1 }, [1, 2])).toEqual([{ field: 'body', message: 'must have at most 1 item' }]);
+    expect(errorsOf({ type: 'string', format: 'uri' }, 'example.com')).toEqual([{ field: 'body', message: 'must be an absolute URL' }]);
+  });
+
+  test('converts form strings to the numbers and booleans the schema expects', () => {
+    const schema = { type: 'object', properties: { limit: { type: 'integer' }, stream: { type: 'boolean' }, query: { type: 'string' } } };
+    expect(validateSchema(schema, { limit: '5', stream: 'true', query: '7' }, { coerce: true })).toEqual({
+      value: { limit: 5, stream: true, query: '7' },
+      errors: []
+    });
+    expect(errorsOf(schema, { limit: '5' })).toEqual([{ field: 'limit', message: 'must be an integer' }]);
+    expect(errorsOf(schema, { limit: 'five' }, { coerce: true })).toEqual([{ field: 'limit', message: 'must be an integer' }]);
+  });
+
+  test('refuses unknown references', () => {
+    expect(() => validateSchema({ $ref: '#/components/schemas/Missing' }, 1)).toThrow('Unknown schema reference #/components/schemas/Missing');
+  });
+});
+
+describe('formatValidationErrors', () => {
+  test('joins the errors in one message', () => {
+    expect(formatValidationErrors([
+      { field: 'images[1].imageUrl', message: 'is required' },
+      { field: 'mode', message: 'must be one of "default", "document"' }
+    ])).toBe('images[1].imageUrl is required; mode must be one of "default", "document"');
+  });
+});
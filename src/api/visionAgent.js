@@ -0,0 +1,57 @@
+/**
+ * Agent behind the vision API: runs the vision and ORA actions by name
+ * In the agent process it wraps an ElizaOS runtime, so the actions read the settings and
+ * secrets of its character and the runtime ORA backend uses its model. The standalone
+ * server has no runtime and reads its settings from the environment.
+ */
+
+import GoogleVisionAction from '../actions/googleVisionAction.js';
+import { AppraisalAction } from '../actions/appraisalAction.js';
+import { CompareAction } from '../actions/compareAction.js';
+import { OraAction } from '../actions/oraAction.js';
+import { runBatchAnalysis } from '../services/batchAnalysis.js';
+
+/**
+ * Creates the agent of the vision API
+ * @param {Object} [options]
+ * @param {Object} [options.runtime] - ElizaOS agent runtime; none for the standalone server
+ * @param {string} [options.name] - Agent name, defaults to the name of the runtime's character
+ * @returns {{name: string, agentId: string|null, runtime: Object|null, visionCache: Object|null,
+ *   executeAction: function(string, Object): Promise<Object>}}
+ */
+export function createVisionAgent({ runtime = null, name = runtime?.character?.name ?? 'ElizaOS Vision Agent' } = {}) {
+  const agent = {
+    name,
+    agentId: runtime?.agentId ?? null,
+    runtime,
+    // Set once the agent database is open
+    visionCache: null,
+    executeAction: async (actionName, params) => {
+      console.log(`Executing action: ${actionName}`);
+      // The actions read settings from the runtime when there is one
+      const owner = runtime ?? agent;
+
+      if (actionName === 'analyze_image') {
+        return new GoogleVisionAction(owner, { cache: agent.visionCache }).execute(params);
+      }
+      if (actionName === 'query_ora') {
+        return new OraAction(owner).execute(params);
+      }
+      if (actionName === 'appraise_item') {
+        return new AppraisalAction(owner).execute(params);
+      }
+      if (actionName === 'compare_images') {
+        return new CompareAction(owner).execute(params);
+      }
+      if (actionName === 'analyze_batch') {
+        return runBatchAnalysis({
+          visionAction: new GoogleVisionAction(owner, { cache: agent.visionCache }),
+          oraAction: new OraAction(owner),
+          ...params
+        });
+      }
+      throw new Error(`Unknown action: ${actionName}`);
+    }
+  };
+  return agent;
+}
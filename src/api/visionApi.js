@@ -0,0 +1,790 @@
+/**
+ * Vision REST API
+ * Serves the image endpoints of one or more agents. The standalone server (src/server.js)
+ * mounts them under /api for a single agent without runtime; the agent process mounts them
+ * on the ElizaOS DirectClient under /:agentId/vision for every agent it runs, next to the
+ * chat routes. Each agent has its own API keys, image sessions and settings, while the job
+ * queue is shared by the agents of the process and runs each job with the tasks of its agent.
+ */
+
+import http from 'http';
+import url from 'url';
+import { getApiKeySettings, getRequestApiKey, getTaskUsage, startApiKeys } from '../auth/apiKeys.js';
+import { createVisionCache, getCacheModeFromHeaders } from '../cache/visionCache.js';
+import { withDocumentText } from '../documents/documentLayout.js';
+import { startJobQueue } from '../jobs/jobQueue.js';
+import { createAnalysisTasks } from '../services/analysisTasks.js';
+import { getBatchLimits } from '../services/batchAnalysis.js';
+import {
+  ForbiddenError,
+  InvalidRequestError,
+  ServiceError,
+  ServiceUnavailableError,
+  UnauthorizedError,
+  ValidationError,
+  toErrorResponse
+} from '../services/errors.js';
+import { DEFAULT_FEATURES } from '../services/googleVisionService.js';
+import { MAX_COMPARE_IMAGES, MIN_COMPARE_IMAGES } from '../services/imageComparison.js';
+import { startImageSessions } from '../sessions/imageSessions.js';
+import { toDataUrl } from '../utils/imageInput.js';
+import { getJsonLimit, getUploadLimits, parseFeatures, readImageRequest, readJsonBody } from '../utils/requestBody.js';
+import { TASK_OPERATIONS } from './apiSchemas.js';
+import { openEventStream } from './eventStream.js';
+import { renderHomePage } from './homePage.js';
+import { buildOpenApiDocument, checkResponse, findOperation, validateParameters, validateRequest } from './openApi.js';
+import { createVisionAgent } from './visionAgent.js';
+
+/**
+ * Sends a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {Object} body - Response body
+ */
+export function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+// Origins allowed to call the API from a browser, "*" for any
+const getCorsOrigins = () => (process.env.CORS_ORIGINS || '*').split(',').map(origin => origin.trim()).filter(Boolean);
+
+// WebSocket connections are not subject to CORS, so their origin is checked when they open
+const isAllowedOrigin = origin => !origin || getCorsOrigins().some(allowed => allowed === '*' || allowed === origin);
+
+// Checks connections for liveness, so that those of vanished clients are closed
+const WEBSOCKET_PING_MS = 30000;
+
+// Starts a feature stored in the agent database, keeping the error when it cannot start
+const startFeature = async (name, db, start) => {
+  if (!db) {
+    return { error: new Error('the agent database is unavailable') };
+  }
+  try {
+    return { value: await start() };
+  } catch (error) {
+    console.error(`${name} unavailable:`, error.message);
+    return { error };
+  }
+};
+
+// The image fields are optional in the schemas, since the images may be uploaded instead
+const missingImages = (field, message) => new ValidationError(`Invalid request: ${field} ${message}`, {
+  errors: [{ field, message }]
+});
+
+// Helper function to turn the body of a batch request into batch items
+const parseBatchItems = (fields, uploads, toImage) => {
+  if (uploads.length > 0) {
+    return uploads.map(upload => ({ image: toImage(upload), id: upload.filename }));
+  }
+  if (!fields.images) {
+    throw missingImages('images', 'is required unless images are uploaded');
+  }
+  return fields.images.map(entry => {
+    const item = typeof entry === 'string' ? { imageUrl: entry } : entry;
+    return { image: item.imageUrl, query: item.query, id: item.id };
+  });
+};
+
+// Helper function to build the parameters of a task from the fields of a request, once validated
+// toImage converts uploads, e.g. to data URLs for jobs that are stored before they run
+const buildTaskParams = (type, req, fields, uploads = [], toImage = upload => upload) => {
+  const mode = fields.mode || 'default';
+  // Document mode reads the text with DOCUMENT_TEXT_DETECTION and keeps its layout
+  const requested = parseFeatures(fields.features) || DEFAULT_FEATURES;
+  const features = mode === 'document' ? withDocumentText(requested) : requested;
+  const cacheMode = getCacheModeFromHeaders(req.headers);
+  
+  if (type === 'batch') {
+    const limits = getBatchLimits();
+    const items = parseBatchItems(fields, uploads, toImage);
+    if (items.length > limits.maxItems) {
+      throw new InvalidRequestError(`A batch may contain at most ${limits.maxItems} images`);
+    }
+    const concurrency = Math.min(Number(fields.concurrency) || limits.concurrency, limits.concurrency);
+    return { items, query: fields.query, features, concurrency, cacheMode };
+  }
+  
+  if (type === 'compare') {
+    const items = parseBatchItems(fields, uploads, toImage);
+    if (items.length < MIN_COMPARE_IMAGES || items.length > MAX_COMPARE_IMAGES) {
+      throw new InvalidRequestError(`Between ${MIN_COMPARE_IMAGES} and ${MAX_COMPARE_IMAGES} images can be compared`);
+    }
+    // Without explicit features the task uses the features the comparison lines up
+    return {
+      items,
+      query: fields.query,
+      features: parseFeatures(fields.features),
+      perceptualHash: fields.perceptualHash === true,
+      concurrency: getBatchLimits().concurrency,
+      cacheMode
+    };
+  }
+  
+  const imageUrl = uploads.length > 0 ? toImage(uploads[0]) : fields.imageUrl;
+  if (!imageUrl) {
+    throw missingImages('imageUrl', 'is required unless an image is uploaded');
+  }
+  if (type === 'analyze') {
+    return { imageUrl, features, cacheMode };
+  }
+  if (type === 'appraise') {
+    // Without explicit features the task uses the features the appraisal relies on
+    return { imageUrl, features: parseFeatures(fields.features), cacheMode };
+  }
+  if (type === 'annotate') {
+    return { imageUrl, features: parseFeatures(fields.features), format: fields.format || 'jpeg', cacheMode };
+  }
+  if (type === 'extract-document') {
+    const documentType = fields.documentType || 'auto';
+    // Without explicit features the task only reads the text in document mode
+    const explicit = parseFeatures(fields.features);
+    return { imageUrl, features: explicit && withDocumentText(explicit), documentType, cacheMode };
+  }
+  return { imageUrl, query: fields.query, features, cacheMode };
+};
+
+// Converts an error to the last event of a stream
+const toErrorEvent = error => {
+  const { code, message, errors } = toErrorResponse(error);
+  return { type: 'error', success: false, error: message, code, errors };
+};
+
+// Runs an analysis and query, sending its stages, the tokens of the answer and, last, the
+// response of /analyze-and-query as a done event, or an error event
+const streamAnalyzeAndQuery = async (tasks, params, send, signal) => {
+  try {
+    const result = await tasks['analyze-and-query'](params, { signal, onEvent: event => signal.aborted || send(event) });
+    if (!signal.aborted) {
+      send({ type: 'done', success: true, ...result });
+    }
+  } catch (error) {
+    if (!signal.aborted) {
+      console.error('Streamed analysis failed:', error.message);
+      send(toErrorEvent(error));
+    }
+  }
+};
+
+// Answers an upgrade request that is refused
+const rejectUpgrade = (socket, status, body) => {
+  const json = JSON.stringify(body);
+  socket.end(`HTTP/1.1 ${status} ${http.STATUS_CODES[status]}\r\nContent-Type: application/json\r\n`
+    + `Content-Length: ${Buffer.byteLength(json)}\r\nConnection: close\r\n\r\n${json}`);
+};
+
+// Helper function to read an image request that may carry a whole batch of uploads
+const readBatchRequest = (req, query) => {
+  const limits = getBatchLimits();
+  return readImageRequest(req, {
+    query,
+    maxFiles: limits.maxItems,
+    maxTotalBytes: limits.maxUploadBytes
+  });
+};
+
+export class VisionApi {
+  constructor() {
+    // Agents served, by agent id (null for the standalone agent)
+    this.agents = new Map();
+    this.jobQueue = null;
+    this.jobQueueError = null;
+  }
+
+  /**
+   * Serves the endpoints of an agent, starting its features stored in the agent database:
+   * the vision cache, shared with the chat clients, the API keys and the image sessions
+   * @param {Object} [options]
+   * @param {Object} [options.runtime] - ElizaOS agent runtime; none for the standalone server
+   * @param {Object|null} [options.db] - Initialized database adapter, null when it could not be opened
+   * @returns {Promise<Object>} - Context of the agent, passed to handle()
+   */
+  async addAgent({ runtime, db = null } = {}) {
+    const agent = createVisionAgent({ runtime });
+    const agentId = agent.agentId;
+
+    if (db) {
+      try {
+        agent.visionCache = await createVisionCache(db, runtime ?? agent);
+      } catch (error) {
+        console.error('Vision cache unavailable:', error.message);
+      }
+    }
+    const apiKeys = await startFeature('API keys', db, () => startApiKeys({ db, agentId: agentId ?? undefined }));
+    const imageSessions = await startFeature('Image sessions', db, () => startImageSessions({ db, agent, agentId: agentId ?? undefined }));
+
+    const context = {
+      agent,
+      agentId,
+      tasks: createAnalysisTasks(agent),
+      apiKeys: apiKeys.value ?? null,
+      apiKeysError: apiKeys.error ?? null,
+      imageSessions: imageSessions.value ?? null,
+      imageSessionsError: imageSessions.error ?? null
+    };
+    this.agents.set(agentId, context);
+    return context;
+  }
+
+  /**
+   * Stops serving the endpoints of an agent; its jobs that start meanwhile fail with AGENT_UNAVAILABLE
+   * @param {string|null} agentId - Agent id
+   * @returns {boolean} - Whether the agent was served
+   */
+  removeAgent(agentId) {
+    return this.agents.delete(agentId);
+  }
+
+  /**
+   * Starts the job queue shared by the agents, once they are added so that resumed jobs find their agent
+   * @param {Object|null} db - Initialized database adapter, null when it could not be opened
+   */
+  async startJobQueue(db) {
+    const { value, error } = await startFeature('Job queue', db, () => startJobQueue({
+      db,
+      tasks: agentId => this.agents.get(agentId)?.tasks
+    }));
+    this.jobQueue = value ?? null;
+    this.jobQueueError = error ?? null;
+  }
+
+  /**
+   * Finds a served agent from its id or, as the DirectClient does, its character name
+   * @param {string} idOrName - Agent id or name
+   * @returns {Object|undefined} - Context of the agent
+   */
+  findAgent(idOrName) {
+    return this.agents.get(idOrName)
+      ?? [...this.agents.values()].find(({ agent }) => agent.name.toLowerCase() === String(idOrName).toLowerCase());
+  }
+
+  /**
+   * Serves the endpoints of the agents on the express app of the ElizaOS DirectClient,
+   * under /:agentId/vision next to its chat routes; agents are found by id or name
+   * The route is placed ahead of the middleware of the DirectClient, whose body parsers would
+   * otherwise read every JSON body with their 100kb limit, and whose CORS headers allow any origin.
+   * @param {Object} app - Express app of the DirectClient (directClient.app)
+   */
+  mount(app) {
+    app.all(['/:agentId/vision', '/:agentId/vision/*'], (req, res) => {
+      const context = this.findAgent(req.params.agentId);
+      if (!context) {
+        sendJson(res, 404, { success: false, error: `Agent ${req.params.agentId} not found`, code: 'AGENT_NOT_FOUND' });
+        return;
+      }
+      const basePath = req.path.match(/^\/[^/]+\/vision/)[0];
+      return this.handle(req, res, { context, path: req.path.slice(basePath.length) || '/', basePath });
+    });
+
+    // Right after the query and expressInit layers express adds first, which set up req and res
+    const stack = app._router?.stack;
+    if (stack) {
+      const first = stack.findIndex(layer => layer.name !== 'query' && layer.name !== 'expressInit');
+      stack.splice(first, 0, stack.pop());
+    } else {
+      // Express 5 keeps its router elsewhere, so the middleware of the DirectClient runs first
+      console.warn('Could not place the vision routes ahead of the DirectClient middleware (no app._router): '
+        + 'JSON bodies over 100kb are refused and any origin gets CORS headers');
+    }
+  }
+
+  /**
+   * Serves the streaming analysis of the agents over WebSocket, at /ws below their mount path
+   * Clients send { id, type: 'analyze-and-query', ...fields } and receive the events of
+   * /analyze-and-query?stream=true tagged with the id, or send { id, type: 'cancel' }.
+   * Browsers cannot set headers on WebSocket requests, so the API key may also be passed as
+   * ?apiKey= when connecting.
+   * @param {http.Server} server - HTTP server of the API
+   * @param {function(string): ({context: Object, basePath: string}|null)} [route] - Finds the agent
+   *   served at a WebSocket path, by default the agents mounted on the DirectClient at /:agentId/vision/ws
+   */
+  async attachWebSockets(server, route = pathname => {
+    const match = pathname.match(/^(\/([^/]+)\/vision)\/ws$/);
+    const context = match && this.findAgent(decodeURIComponent(match[2]));
+    return context ? { context, basePath: match[1] } : null;
+  }) {
+    let WebSocketServer;
+    try {
+      // Loaded lazily so the HTTP endpoints keep working where ws is not installed
+      ({ WebSocketServer } = await import('ws'));
+    } catch (error) {
+      console.warn('WebSocket streaming unavailable:', error.message);
+      return;
+    }
+
+    // Messages carry the same fields as JSON requests, images included as data URLs
+    const wss = new WebSocketServer({ noServer: true, maxPayload: getJsonLimit(getUploadLimits().maxBytes) });
+    const ping = setInterval(() => wss.clients.forEach(ws => {
+      if (!ws.isAlive) {
+        ws.terminate();
+        return;
+      }
+      ws.isAlive = false;
+      ws.ping();
+    }), WEBSOCKET_PING_MS);
+    ping.unref();
+    server.on('close', () => clearInterval(ping));
+
+    server.on('upgrade', async (req, socket, head) => {
+      const { pathname, query } = url.parse(req.url, true);
+      const target = route(pathname);
+      if (!target) {
+        rejectUpgrade(socket, 404, { success: false, error: 'Not Found', code: 'NOT_FOUND' });
+        return;
+      }
+      try {
+        if (!isAllowedOrigin(req.headers.origin)) {
+          throw new ForbiddenError(`Origin ${req.headers.origin} may not connect`, { code: 'ORIGIN_NOT_ALLOWED' });
+        }
+        const headers = { ...req.headers };
+        if (query.apiKey && !getRequestApiKey(headers)) {
+          headers['x-api-key'] = query.apiKey;
+        }
+        await this.authenticate(target.context, { headers });
+        wss.handleUpgrade(req, socket, head, ws => this.handleWebSocket(ws, { context: target.context, headers }));
+      } catch (error) {
+        const { code, message } = toErrorResponse(error);
+        rejectUpgrade(socket, error.httpStatus || 500, { success: false, error: message, code });
+      }
+    });
+  }
+
+  /**
+   * Runs the analyses requested over a WebSocket connection, each authenticated and charged
+   * like a request
+   * @param {WebSocket} ws - Connection
+   * @param {Object} options
+   * @param {Object} options.context - Context of the agent
+   * @param {Object} options.headers - Headers of the upgrade request, with its API key
+   */
+  handleWebSocket(ws, { context, headers }) {
+    // Analyses in progress by id, aborted when the connection closes
+    const running = new Map();
+    const send = event => {
+      if (ws.readyState === ws.OPEN) {
+        ws.send(JSON.stringify(event));
+      }
+    };
+
+    ws.isAlive = true;
+    ws.on('pong', () => {
+      ws.isAlive = true;
+    });
+    ws.on('close', () => running.forEach(controller => controller.abort()));
+
+    ws.on('message', async data => {
+      let message;
+      try {
+        message = JSON.parse(data);
+      } catch (error) {
+        send({ id: null, ...toErrorEvent(new InvalidRequestError('Messages must be JSON')) });
+        return;
+      }
+      const { id = null, type, ...fields } = message ?? {};
+      if (type === 'cancel') {
+        // Aborted analyses send no more events, so the cancellation is confirmed here
+        const controller = running.get(id);
+        controller?.abort();
+        send({ id, type: 'cancelled', success: Boolean(controller) });
+        return;
+      }
+
+      const controller = new AbortController();
+      const emit = event => send({ id, ...event });
+      running.set(id, controller);
+      try {
+        if (type !== 'analyze-and-query') {
+          throw new InvalidRequestError(`Unknown message type ${type}, expected analyze-and-query or cancel`);
+        }
+        const { key } = await this.authenticate(context, { headers });
+        const params = buildTaskParams('analyze-and-query', { headers }, validateRequest('analyzeAndQuery', fields));
+        await context.apiKeys?.charge(key, getTaskUsage('analyze-and-query', params));
+        await streamAnalyzeAndQuery(context.tasks, params, emit, controller.signal);
+      } catch (error) {
+        emit(toErrorEvent(error));
+      } finally {
+        running.delete(id);
+      }
+    });
+  }
+
+  getJobQueue() {
+    if (!this.jobQueue) {
+      throw new ServiceUnavailableError(
+        this.jobQueueError ? `The job queue is unavailable: ${this.jobQueueError.message}` : 'The job queue is not started',
+        { code: 'JOBS_UNAVAILABLE' }
+      );
+    }
+    return this.jobQueue;
+  }
+
+  getImageSessions(context) {
+    if (!context.imageSessions) {
+      throw new ServiceUnavailableError(
+        context.imageSessionsError ? `Image sessions are unavailable: ${context.imageSessionsError.message}` : 'Image sessions are not started',
+        { code: 'SESSIONS_UNAVAILABLE' }
+      );
+    }
+    return context.imageSessions;
+  }
+
+  getApiKeys(context) {
+    if (!context.apiKeys) {
+      throw new ServiceUnavailableError(
+        context.apiKeysError ? `API keys are unavailable: ${context.apiKeysError.message}` : 'API keys are not started',
+        { code: 'API_KEYS_UNAVAILABLE' }
+      );
+    }
+    return context.apiKeys;
+  }
+
+  // Finds the API key of a request and applies its rate limit
+  // Without the key store, requests are refused unless keys are explicitly not required
+  async authenticate(context, req) {
+    if (!context.apiKeys && getApiKeySettings().required === false) {
+      return { key: null, rate: null };
+    }
+    return this.getApiKeys(context).authenticate(getRequestApiKey(req.headers));
+  }
+
+  /**
+   * Handles a request to the endpoints of an agent
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   * @param {Object} options
+   * @param {Object} options.context - Context of the agent, from addAgent or findAgent
+   * @param {string} options.path - Path of the endpoint below the mount path, e.g. /analyze-image, or / for the home page
+   * @param {string} options.basePath - Mount path of the endpoints, e.g. /api
+   */
+  async handle(req, res, { context, path, basePath }) {
+    const { agent, tasks } = context;
+
+    // Set CORS headers, for the configured origins only
+    const corsOrigins = getCorsOrigins();
+    if (corsOrigins.includes('*')) {
+      res.setHeader('Access-Control-Allow-Origin', '*');
+    } else {
+      res.setHeader('Vary', 'Origin');
+      if (corsOrigins.includes(req.headers.origin)) {
+        res.setHeader('Access-Control-Allow-Origin', req.headers.origin);
+      }
+    }
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Cache-Control, X-Vision-Cache, Authorization, X-API-Key');
+    res.setHeader('Access-Control-Expose-Headers', 'X-Vision-Cache, Retry-After, X-RateLimit-Limit, X-RateLimit-Remaining');
+
+    // Handle preflight requests
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+
+    const { query } = url.parse(req.url, true);
+    // JSON responses are checked against the schema of their operation
+    const operation = findOperation(req.method, path);
+    const send = (status, body) => sendJson(res, status, checkResponse(operation, status, body));
+
+    try {
+      // Serve a simple HTML page for the root path, rendered from the OpenAPI document
+      if (path === '/' && req.method === 'GET') {
+        res.writeHead(200, { 'Content-Type': 'text/html' });
+        res.end(renderHomePage({ basePath }));
+        return;
+      }
+      if (path === '/openapi.json' && req.method === 'GET') {
+        send(200, buildOpenApiDocument({ basePath }));
+        return;
+      }
+      
+      // Admin endpoints take the admin key instead of a client key
+      if (path === '/admin/keys' || path.startsWith('/admin/keys/')) {
+        const keys = this.getApiKeys(context);
+        keys.requireAdmin(getRequestApiKey(req.headers));
+      
+        if (path === '/admin/keys' && req.method === 'POST') {
+          // Key settings are a few fields, whatever the image limits
+          const body = await readJsonBody(req, { maxBytes: 16 * 1024 });
+          const { key, secret } = await keys.issue(validateRequest('issueApiKey', body));
+          res.setHeader('Location', `${basePath}/admin/keys/${key.id}`);
+          send(201, { success: true, key, secret });
+          return;
+        }
+        if (path === '/admin/keys' && req.method === 'GET') {
+          const { includeRevoked } = validateParameters('listApiKeys', query);
+          send(200, { success: true, keys: await keys.list({ includeRevoked: includeRevoked === true }) });
+          return;
+        }
+      
+        const keyMatch = path.match(/^\/admin\/keys\/([^/]+)(\/usage)?$/);
+        if (keyMatch) {
+          const [, id, usage] = keyMatch;
+          if (usage && req.method === 'GET') {
+            send(200, { success: true, ...(await keys.usage(id, validateParameters('getApiKeyUsage', query))) });
+            return;
+          }
+          if (!usage && req.method === 'GET') {
+            send(200, { success: true, key: await keys.get(id) });
+            return;
+          }
+          if (!usage && req.method === 'DELETE') {
+            send(200, { success: true, key: await keys.revoke(id) });
+            return;
+          }
+        }
+        send(404, { success: false, error: 'Not Found', code: 'NOT_FOUND' });
+        return;
+      }
+      
+      // Every other request is made with a client key once keys are required
+      const { key: apiKey, rate } = await this.authenticate(context, req);
+      if (rate) {
+        res.setHeader('X-RateLimit-Limit', rate.limit);
+        res.setHeader('X-RateLimit-Remaining', rate.remaining);
+      }
+      // Charges the Vision and LLM calls of a task to the daily quotas of the key, before it runs
+      const charge = (type, params) => context.apiKeys?.charge(apiKey, getTaskUsage(type, params));
+      // Jobs and sessions are only found with the key that created them
+      const owner = { agentId: context.agentId, apiKeyId: apiKey?.id ?? null };
+      
+      if (path === '/usage' && req.method === 'GET') {
+        if (!apiKey) {
+          throw new UnauthorizedError('Usage is reported for the API key of the request');
+        }
+        send(200, { success: true, ...(await this.getApiKeys(context).usage(apiKey.id, validateParameters('getUsage', query))) });
+        return;
+      }
+      
+      // API endpoints
+      if (path === '/analyze-image' && req.method === 'POST') {
+        const { fields, image } = await readImageRequest(req, { query });
+        const params = buildTaskParams('analyze', req, validateRequest('analyzeImage', fields), image ? [image] : []);
+        await charge('analyze', params);
+        const result = await tasks.analyze(params);
+      
+        res.setHeader('X-Vision-Cache', result.cache.toUpperCase());
+        send(200, { success: true, ...result });
+        return;
+      }
+      
+      if (path === '/query-ora' && req.method === 'POST') {
+        const body = validateRequest('queryOra', await readJsonBody(req, { maxBytes: getJsonLimit(getUploadLimits().maxBytes) }));
+        await charge('query-ora', body);
+      
+        const result = await agent.executeAction('query_ora', {
+          imageAnalysis: body.imageAnalysis,
+          query: body.query
+        });
+      
+        if (!result.success) {
+          throw new ServiceError(result.error, { code: result.code, httpStatus: result.httpStatus });
+        }
+      
+        send(200, result);
+        return;
+      }
+      
+      if (path === '/analyze-and-query' && req.method === 'POST') {
+        // Stream the stages and the answer as Server-Sent Events when asked to
+        const stream = validateParameters('analyzeAndQuery', query).stream === true
+          || (req.headers.accept || '').includes('text/event-stream');
+        const { fields, image } = await readImageRequest(req, { query });
+        const params = buildTaskParams('analyze-and-query', req, validateRequest('analyzeAndQuery', fields), image ? [image] : []);
+        await charge('analyze-and-query', params);
+      
+        if (stream) {
+          const events = openEventStream(res);
+          await streamAnalyzeAndQuery(tasks, params, events.send, events.signal);
+          events.close();
+          return;
+        }
+      
+        const result = await tasks['analyze-and-query'](params);
+      
+        // Log the responses for debugging
+        console.log('Analyze and query result:', JSON.stringify(result, null, 2));
+      
+        res.setHeader('X-Vision-Cache', result.cache.toUpperCase());
+        send(200, { success: true, ...result });
+        return;
+      }
+      
+      if (path === '/appraise' && req.method === 'POST') {
+        const { fields, image } = await readImageRequest(req, { query });
+        const params = buildTaskParams('appraise', req, validateRequest('appraise', fields), image ? [image] : []);
+        await charge('appraise', params);
+        const result = await tasks.appraise(params);
+      
+        res.setHeader('X-Vision-Cache', result.cache.toUpperCase());
+        send(200, { success: true, ...result });
+        return;
+      }
+      
+      if (path === '/annotate' && req.method === 'POST') {
+        const { fields, image } = await readImageRequest(req, { query });
+        const params = buildTaskParams('annotate', req, validateRequest('annotate', fields), image ? [image] : []);
+        await charge('annotate', params);
+        const result = await tasks.annotate(params);
+      
+        res.setHeader('X-Vision-Cache', result.cache.toUpperCase());
+        if ((req.headers.accept || '').includes('application/json')) {
+          send(200, { success: true, ...result });
+          return;
+        }
+      
+        // The image itself by default, so the endpoint can be used as an image source
+        const { mimeType, dataUrl } = result.annotatedImage;
+        res.writeHead(200, { 'Content-Type': mimeType });
+        res.end(Buffer.from(dataUrl.slice(dataUrl.indexOf(',') + 1), 'base64'));
+        return;
+      }
+      
+      if (path === '/extract-document' && req.method === 'POST') {
+        const { fields, image } = await readImageRequest(req, { query });
+        const params = buildTaskParams('extract-document', req, validateRequest('extractDocument', fields), image ? [image] : []);
+        await charge('extract-document', params);
+        const result = await tasks['extract-document'](params);
+      
+        res.setHeader('X-Vision-Cache', result.cache.toUpperCase());
+        send(200, { success: true, ...result });
+        return;
+      }
+      
+      if (path === '/compare' && req.method === 'POST') {
+        const { fields, images = [], image } = await readBatchRequest(req, query);
+        const params = buildTaskParams('compare', req, validateRequest('compare', fields), image && images.length === 0 ? [image] : images);
+        await charge('compare', params);
+        const result = await tasks.compare(params);
+      
+        send(200, { success: true, ...result });
+        return;
+      }
+      
+      if (path === '/batch-analyze' && req.method === 'POST') {
+        const { fields, images = [], image } = await readBatchRequest(req, query);
+        const batch = buildTaskParams('batch', req, validateRequest('batchAnalyze', fields), image && images.length === 0 ? [image] : images);
+        await charge('batch', batch);
+      
+        const stream = validateParameters('batchAnalyze', query).stream === true || (req.headers.accept || '').includes('application/x-ndjson');
+        if (!stream) {
+          const result = await tasks.batch(batch);
+          send(200, { success: true, ...result });
+          return;
+        }
+      
+        // Stream one NDJSON line per item as it completes, and stop when the client goes away
+        const controller = new AbortController();
+        res.on('close', () => {
+          if (!res.writableFinished) {
+            controller.abort();
+          }
+        });
+        const writeLine = line => res.write(`${JSON.stringify(line)}\n`);
+      
+        res.writeHead(200, { 'Content-Type': 'application/x-ndjson' });
+        writeLine({ type: 'start', total: batch.items.length });
+        try {
+          const { results, ...summary } = await tasks.batch(batch, {
+            signal: controller.signal,
+            onItem: result => writeLine({ type: 'item', ...result })
+          });
+          writeLine({ type: 'done', ...summary });
+        } catch (error) {
+          if (!controller.signal.aborted) {
+            const { code, message } = toErrorResponse(error);
+            writeLine({ type: 'error', error: message, code });
+          }
+        }
+        res.end();
+        return;
+      }
+      
+      if (path === '/jobs' && req.method === 'POST') {
+        const queue = this.getJobQueue();
+        const { fields: jobFields, images = [], image } = await readBatchRequest(req, query);
+        const uploads = image && images.length === 0 ? [image] : images;
+        const fields = validateRequest('submitJob', jobFields);
+      
+        // Without an explicit type, the fields tell which task is meant
+        const type = fields.type
+          ?? (fields.images || uploads.length > 1 ? 'batch' : fields.query ? 'analyze-and-query' : 'analyze');
+      
+        // The fields are those of the endpoint of the task; jobs are charged when they are submitted
+        const params = buildTaskParams(type, req, validateRequest(TASK_OPERATIONS[type], fields), uploads, toDataUrl);
+        await charge(type, params);
+        const job = await queue.submit(type, params, { callbackUrl: fields.callbackUrl, ...owner });
+        res.setHeader('Location', `${basePath}/jobs/${job.id}`);
+        send(202, { success: true, job });
+        return;
+      }
+      
+      const jobMatch = path.match(/^\/jobs\/([^/]+)(\/cancel)?$/);
+      if (jobMatch) {
+        const [, id, cancel] = jobMatch;
+        if (!cancel && req.method === 'GET') {
+          send(200, { success: true, job: await this.getJobQueue().get(id, owner) });
+          return;
+        }
+        if ((cancel && req.method === 'POST') || (!cancel && req.method === 'DELETE')) {
+          send(200, { success: true, job: await this.getJobQueue().cancel(id, owner) });
+          return;
+        }
+      }
+      
+      if (path === '/sessions' && req.method === 'POST') {
+        const sessions = this.getImageSessions(context);
+        const { fields, image } = await readImageRequest(req, { query });
+        const params = buildTaskParams('analyze', req, validateRequest('createSession', fields), image ? [image] : []);
+        await charge(fields.query ? 'analyze-and-query' : 'analyze', params);
+        const result = await sessions.create({ ...params, query: fields.query, apiKeyId: owner.apiKeyId });
+      
+        res.setHeader('Location', `${basePath}/sessions/${result.session.id}`);
+        res.setHeader('X-Vision-Cache', result.cache.toUpperCase());
+        send(201, { success: true, ...result });
+        return;
+      }
+      
+      if (path === '/sessions' && req.method === 'GET') {
+        const sessions = await this.getImageSessions(context).list({ ...validateParameters('listSessions', query), apiKeyId: owner.apiKeyId });
+        send(200, { success: true, sessions });
+        return;
+      }
+      
+      const sessionMatch = path.match(/^\/sessions\/([^/]+)(\/messages)?$/);
+      if (sessionMatch) {
+        const [, id, messages] = sessionMatch;
+        if (messages && req.method === 'POST') {
+          const body = validateRequest('askSession', await readJsonBody(req, { maxBytes: getJsonLimit(getUploadLimits().maxBytes) }));
+          const sessions = this.getImageSessions(context);
+          await charge('query-ora', body);
+          send(200, { success: true, ...(await sessions.ask(id, body.query, owner)) });
+          return;
+        }
+        if (!messages && req.method === 'GET') {
+          send(200, { success: true, session: await this.getImageSessions(context).get(id, owner) });
+          return;
+        }
+        if (!messages && req.method === 'DELETE') {
+          await this.getImageSessions(context).delete(id, owner);
+          send(200, { success: true });
+          return;
+        }
+      }
+      
+      // Handle 404
+      send(404, { success: false, error: 'Not Found', code: 'NOT_FOUND' });
+    } catch (error) {
+      console.error('Server error:', error);
+      // A body rejected before it was fully read leaves the connection unusable
+      if (!req.complete) {
+        res.setHeader('Connection', 'close');
+      }
+      if (error.retryAfterSeconds) {
+        res.setHeader('Retry-After', error.retryAfterSeconds);
+      }
+      const { code, message, errors } = toErrorResponse(error);
+      sendJson(res, error.httpStatus || 500, { success: false, error: message, code, errors });
+    }
+  }
+}
@@ -0,0 +1,90 @@
+import { afterAll, afterEach, beforeAll, describe, expect, jest, test } from '@jest/globals';
+import { DirectClient } from '@elizaos/client-direct';
+import http from 'http';
+import { VisionApi } from './visionApi.js';
+
+// An analysis larger than the 100kb the body parser of the DirectClient accepts
+const LARGE_ANALYSIS = {
+  labels: [{ description: 'dog', score: 0.98 }],
+  text: 'WOOF '.repeat(30 * 1024)
+};
+
+let server;
+let baseUrl;
+
+const post = (path, body) => fetch(`${baseUrl}${path}`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify(body)
+});
+
+beforeAll(async () => {
+  process.env.ORA_BACKEND = 'offline';
+  process.env.API_KEYS_REQUIRED = 'false';
+  const visionApi = new VisionApi();
+  await visionApi.addAgent({ runtime: { agentId: 'agent-1', character: { name: 'Viewer' }, getSetting: () => undefined } });
+  await visionApi.startJobQueue(null);
+
+  const directClient = new DirectClient();
+  visionApi.mount(directClient.app);
+  server = http.createServer(directClient.app);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  delete process.env.ORA_BACKEND;
+  delete process.env.API_KEYS_REQUIRED;
+  server.closeAllConnections();
+  await new Promise(resolve => server.close(resolve));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  delete process.env.UPLOAD_MAX_BYTES;
+  delete process.env.CORS_ORIGINS;
+});
+
+describe('VisionApi mounted on the DirectClient', () => {
+  test('reads JSON bodies over 100kb with the limits of the vision API', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    expect(JSON.stringify(LARGE_ANALYSIS).length).toBeGreaterThan(100 * 1024);
+
+    const response = await post('/agent-1/vision/query-ora', { imageAnalysis: LARGE_ANALYSIS, query: 'What does it say?' });
+    expect(response.status).toBe(200);
+    expect(await response.json()).toMatchObject({ success: true, data: { backend: 'offline' } });
+  });
+
+  test('refuses JSON bodies over the configured limit with its own error', async () => {
+    // 1 kB images allow JSON bodies of about 65 kB
+    process.env.UPLOAD_MAX_BYTES = '1024';
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const response = await post('/Viewer/vision/query-ora', { imageAnalysis: LARGE_ANALYSIS, query: 'What does it say?' });
+    expect(response.status).toBe(413);
+    expect(await response.json()).toMatchObject({ success: false, code: 'PAYLOAD_TOO_LARGE' });
+  });
+
+  test('answers with the CORS headers of the vision API only', async () => {
+    process.env.CORS_ORIGINS = 'https://app.example.com';
+
+    const response = await fetch(`${baseUrl}/agent-1/vision/openapi.json`, { headers: { Origin: 'https://evil.example.com' } });
+    expect(response.status).toBe(200);
+    expect(response.headers.get('access-control-allow-origin')).toBeNull();
+  });
+
+  test('leaves other routes to the DirectClient', async () => {
+    const response = await fetch(`${baseUrl}/agents`);
+    expect(response.status).toBe(200);
+    expect(await response.json()).toEqual({ agents: [] });
+  });
+
+  test('warns when the app has no router to place its routes ahead of the DirectClient middleware', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const app = { all: jest.fn() };
+
+    new VisionApi().mount(app);
+    expect(app.all).toHaveBeenCalledWith(['/:agentId/vision', '/:agentId/vision/*'], expect.any(Function));
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('no app._router'));
+  });
+});
@@ -0,0 +1,308 @@
+/**
+ * Appraisal of collectible items from an image analysis
+ *
+ * Combines the labels, objects and web entities (category), the logos, text and web
+ * entities (brand) and the text (identifying marks such as serial or reference numbers)
+ * of an analysis against the taxonomy, and reports how confident each part is together
+ * with the signs that the item may not be authentic. It works from the photo alone, so
+ * the report is an assessment to guide a closer inspection, not an authentication.
+ */
+
+import { isLikely } from '../services/analysisSchema.js';
+import { normalizeTerm } from './taxonomy.js';
+
+// Features that feed the appraisal
+export const APPRAISAL_FEATURES = ['LABEL_DETECTION', 'TEXT_DETECTION', 'OBJECT_LOCALIZATION', 'LOGO_DETECTION', 'WEB_DETECTION'];
+
+export const APPRAISAL_DISCLAIMER = 'Automated assessment from a photo, not an authentication. Have valuable items inspected by a specialist.';
+
+// Weight of each kind of brand evidence; logos and labels use their own scores
+const BRAND_TEXT_WEIGHT = 0.6;
+const BRAND_MODEL_WEIGHT = 0.5;
+const BRAND_SIGNAL_FACTOR = 0.6;
+const CATEGORY_SIGNAL_FACTOR = 0.8;
+const WEB_GUESS_SCORE = 0.6;
+
+// Below this confidence a category or brand is not reported
+const MIN_CONFIDENCE = 0.3;
+
+const RED_FLAG_PENALTIES = { high: 0.3, medium: 0.15, low: 0.05 };
+
+// Mark types that identify an individual item or model, rather than generic markings
+const IDENTIFYING_MARK_TYPES = ['serial', 'reference', 'date-code', 'style-code', 'certificate'];
+
+const clamp = value => Math.min(Math.max(value, 0), 1);
+const round = value => Math.round(value * 100) / 100;
+
+// Probability that at least one piece of evidence is right
+const combine = weights => 1 - weights.reduce((rest, weight) => rest * (1 - clamp(weight)), 1);
+
+const escapeRegex = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+function containsTerm(text, term) {
+  return new RegExp(`(^|[^a-z0-9])${escapeRegex(term)}($|[^a-z0-9])`).test(text);
+}
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Collects the descriptive terms of an analysis with their scores
+ * @param {Object} analysis - Image analysis
+ * @returns {Array<{text: string, original: string, score: number, source: string}>}
+ */
+function collectSignals(analysis) {
+  const signal = (original, score, source) => ({ text: normalizeTerm(original), original, score: clamp(score ?? 0), source });
+  return [
+    ...(analysis.labels || []).map(label => signal(label.description, label.score, 'label')),
+    ...(analysis.objects || []).map(object => signal(object.name, object.score, 'object')),
+    ...(analysis.web?.entities || []).map(entity => signal(entity.description, entity.score, 'web')),
+    ...(analysis.web?.bestGuessLabels || []).map(label => signal(label, WEB_GUESS_SCORE, 'web'))
+  ];
+}
+
+function detectCategory(signals, taxonomy) {
+  let best = null;
+  for (const category of taxonomy.categories) {
+    const matches = signals.filter(signal => category.keywords.some(keyword => containsTerm(signal.text, keyword)));
+    if (matches.length === 0) {
+      continue;
+    }
+    const confidence = combine(matches.map(match => match.score * CATEGORY_SIGNAL_FACTOR));
+    if (!best || confidence > best.confidence) {
+      best = {
+        id: category.id,
+        name: category.name,
+        confidence,
+        evidence: matches.map(match => `${match.source}: ${match.original}`)
+      };
+    }
+  }
+  return best;
+}
+
+function detectBrands(analysis, signals, ocr, taxonomy) {
+  const candidates = [];
+  for (const brand of taxonomy.brands) {
+    const evidence = [];
+    for (const logo of analysis.logos || []) {
+      if (brand.aliases.some(alias => containsTerm(normalizeTerm(logo.description), alias))) {
+        evidence.push({ source: 'logo', detail: logo.description, weight: clamp(logo.score) });
+      }
+    }
+    const alias = brand.aliases.find(alias => containsTerm(ocr, alias));
+    if (alias) {
+      evidence.push({ source: 'text', detail: alias, weight: BRAND_TEXT_WEIGHT });
+    }
+    const model = brand.models.find(model => containsTerm(ocr, model));
+    if (model) {
+      evidence.push({ source: 'model', detail: model, weight: BRAND_MODEL_WEIGHT });
+    }
+    for (const signal of signals) {
+      if (brand.aliases.some(alias => containsTerm(signal.text, alias))) {
+        evidence.push({ source: signal.source, detail: signal.original, weight: signal.score * BRAND_SIGNAL_FACTOR });
+      }
+    }
+
+    if (evidence.length > 0) {
+      candidates.push({ brand, confidence: combine(evidence.map(item => item.weight)), evidence });
+    }
+  }
+  return candidates.sort((a, b) => b.confidence - a.confidence);
+}
+
+function findMarks(text, patterns) {
+  const marks = [];
+  for (const { type, regex } of patterns) {
+    for (const match of text.matchAll(regex)) {
+      const value = (match[1] ?? match[0]).trim();
+      // Looser patterns of a type also match parts of the codes found by stricter ones
+      if (!marks.some(mark => mark.type === type && mark.value.includes(value))) {
+        marks.push({ type, value });
+      }
+    }
+  }
+  return marks;
+}
+
+function findMisspelledBrands(ocr, taxonomy) {
+  const tokens = new Set(ocr.split(/[^a-z0-9]+/).filter(token => token.length >= 5));
+  const found = [];
+  for (const brand of taxonomy.brands) {
+    for (const alias of brand.aliases.filter(alias => /^[a-z]{5,}$/.test(alias))) {
+      const misspelling = [...tokens].find(token =>
+        token !== alias && Math.abs(token.length - alias.length) <= 1 && editDistance(token, alias) === 1
+      );
+      if (misspelling && !tokens.has(alias)) {
+        found.push({ brand: brand.name, misspelling });
+      }
+    }
+  }
+  return found;
+}
+
+function findRedFlags({ analysis, ocr, signals, category, candidates, marks, taxonomy, features }) {
+  const flags = [];
+  const flag = (code, severity, message) => flags.push({ code, severity, message });
+  const top = candidates[0];
+
+  if (analysis.source === 'mock') {
+    flag('MOCK_ANALYSIS', 'high', 'The image could not be analyzed; this report is based on placeholder data.');
+  }
+
+  const replicaTerms = taxonomy.redFlagTerms.filter(term =>
+    containsTerm(ocr, term) || signals.some(signal => signal.source === 'web' && containsTerm(signal.text, term))
+  );
+  if (replicaTerms.length > 0) {
+    flag('REPLICA_TERMS', 'high', `The text or web matches mention: ${replicaTerms.join(', ')}.`);
+  }
+
+  for (const { brand, misspelling } of findMisspelledBrands(ocr, taxonomy)) {
+    flag('MISSPELLED_BRAND', 'high', `The text reads "${misspelling}", a misspelling of ${brand}.`);
+  }
+
+  // Sub-brands such as Jordan (parent: Nike) legitimately carry the marks of their parent
+  const strongBrands = candidates.filter(candidate =>
+    candidate.evidence.some(item => item.source === 'logo' || item.source === 'text')
+  );
+  const families = new Set(strongBrands.map(candidate => candidate.brand.parent ?? candidate.brand.name));
+  if (families.size > 1) {
+    flag('CONFLICTING_BRANDS', 'medium', `Marks of several brands were found: ${strongBrands.map(c => c.brand.name).join(', ')}.`);
+  }
+
+  if (top && category && category.confidence >= MIN_CONFIDENCE && !top.brand.categories.includes(category.id)) {
+    flag('BRAND_CATEGORY_MISMATCH', 'medium', `${top.brand.name} is not known to make items of the ${category.name.toLowerCase()} category.`);
+  }
+
+  if (top && features?.includes('LOGO_DETECTION') &&
+      top.evidence.some(item => item.source === 'text') && !top.evidence.some(item => item.source === 'logo')) {
+    flag('NO_LOGO', 'low', `${top.brand.name} is named in the text but its logo was not recognized.`);
+  }
+
+  const categoryEntry = category && taxonomy.categories.find(entry => entry.id === category.id);
+  if (categoryEntry?.expectsMarks && !marks.some(mark => IDENTIFYING_MARK_TYPES.includes(mark.type))) {
+    flag('MISSING_MARKS', 'low', 'No serial, reference, date or style code is readable; a close-up of the markings is needed to verify the item.');
+  }
+
+  if (analysis.web?.fullMatchingImages?.length > 0) {
+    flag('IMAGE_FOUND_ONLINE', 'medium', 'The same photo appears online, so it may be a stock or listing photo rather than the item itself.');
+  }
+
+  if (analysis.safeSearch && isLikely(analysis.safeSearch.spoof)) {
+    flag('EDITED_IMAGE', 'medium', 'The photo is likely edited.');
+  }
+
+  return flags;
+}
+
+/**
+ * Appraises the item shown in an analyzed image
+ * @param {Object} analysis - Image analysis (see analysisSchema.js)
+ * @param {Object} taxonomy - Compiled taxonomy from loadTaxonomy
+ * @param {Object} [options]
+ * @param {Array<string>} [options.features] - Features the analysis was made with
+ * @returns {Object} - Report with category, brand, identifying marks, confidence breakdown and red flags
+ */
+export function appraise(analysis, taxonomy, { features } = {}) {
+  const text = analysis.text || '';
+  const ocr = normalizeTerm(text);
+  const signals = collectSignals(analysis);
+
+  let category = detectCategory(signals, taxonomy);
+  const candidates = detectBrands(analysis, signals, ocr, taxonomy);
+  const top = candidates[0]?.confidence >= MIN_CONFIDENCE ? candidates[0] : null;
+
+  // A recognized brand implies its main category when nothing else tells it
+  if ((!category || category.confidence < MIN_CONFIDENCE) && top) {
+    const implied = taxonomy.categories.find(entry => entry.id === top.brand.categories[0]);
+    category = {
+      id: implied.id,
+      name: implied.name,
+      confidence: top.confidence * 0.6,
+      evidence: [`brand: ${top.brand.name}`]
+    };
+  }
+  if (category && category.confidence < MIN_CONFIDENCE) {
+    category = null;
+  }
+
+  const categoryEntry = category && taxonomy.categories.find(entry => entry.id === category.id);
+  const marks = findMarks(text, [
+    ...taxonomy.markPatterns,
+    ...(categoryEntry?.markPatterns || []),
+    ...(top?.brand.markPatterns || [])
+  ]);
+  const model = top?.evidence.find(item => item.source === 'model');
+  if (model) {
+    marks.unshift({ type: 'model', value: model.detail });
+  }
+
+  const redFlags = findRedFlags({ analysis, ocr, signals, category, candidates, marks, taxonomy, features });
+
+  const confidence = {
+    category: round(category?.confidence ?? 0),
+    brand: round(top?.confidence ?? 0),
+    marks: round(combine(marks.map(mark => (IDENTIFYING_MARK_TYPES.includes(mark.type) ? 0.4 : 0.2))))
+  };
+  const penalty = redFlags.reduce((sum, flag) => sum + RED_FLAG_PENALTIES[flag.severity], 0);
+  confidence.overall = round(clamp(0.3 * confidence.category + 0.5 * confidence.brand + 0.2 * confidence.marks - penalty));
+
+  return {
+    taxonomyVersion: taxonomy.version,
+    category: category && { ...category, confidence: round(category.confidence) },
+    brand: top && {
+      name: top.brand.name,
+      tier: top.brand.tier ?? null,
+      confidence: round(top.confidence),
+      evidence: top.evidence.map(item => ({ ...item, weight: round(item.weight) }))
+    },
+    alternatives: candidates
+      .slice(top ? 1 : 0)
+      .filter(candidate => candidate.confidence >= MIN_CONFIDENCE / 2)
+      .slice(0, 3)
+      .map(candidate => ({ name: candidate.brand.name, confidence: round(candidate.confidence) })),
+    identifyingMarks: marks,
+    confidence,
+    redFlags,
+    disclaimer: APPRAISAL_DISCLAIMER
+  };
+}
+
+/**
+ * Writes an appraisal report as a short answer for the user
+ * @param {Object} report - Report from appraise
+ * @returns {string}
+ */
+export function formatAppraisal(report) {
+  if (!report.category && !report.brand) {
+    return `I couldn't recognize a collectible item or brand in this image. ${report.disclaimer}`;
+  }
+
+  const sentences = [];
+  if (report.category) {
+    sentences.push(`Category: ${report.category.name.toLowerCase()} (confidence ${report.category.confidence.toFixed(2)}).`);
+  }
+  if (report.brand) {
+    const sources = [...new Set(report.brand.evidence.map(item => item.source))].join(', ');
+    sentences.push(`Probable brand: ${report.brand.name} (confidence ${report.brand.confidence.toFixed(2)}, from ${sources}).`);
+  }
+  if (report.identifyingMarks.length > 0) {
+    sentences.push(`Identifying marks: ${report.identifyingMarks.map(mark => `${mark.type} ${mark.value}`).join(', ')}.`);
+  }
+  if (report.redFlags.length > 0) {
+    sentences.push(`Red flags: ${report.redFlags.map(flag => flag.message).join(' ')}`);
+  } else {
+    sentences.push('No red flags were found in the photo.');
+  }
+  sentences.push(`Overall confidence: ${report.confidence.overall.toFixed(2)}. ${report.disclaimer}`);
+  return sentences.join(' ');
+}
@@ -0,0 +1,117 @@
+/**
+ * Brand and category taxonomy of the appraisal pipeline
+ *
+ * The taxonomy file lists the collectible categories (keywords matched against labels,
+ * objects and web entities, and the identifying marks expected in their text) and the
+ * brands (aliases, categories, tier, parent brand, model names and brand-specific marks).
+ * The default file is src/appraisal/taxonomy.json; APPRAISAL_TAXONOMY_PATH or
+ * settings.vision.appraisal.taxonomyPath point to another one.
+ */
+
+import fs from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { getSetting, getVisionSettings } from '../config/settings.js';
+
+export const DEFAULT_TAXONOMY_PATH = join(dirname(fileURLToPath(import.meta.url)), 'taxonomy.json');
+
+// Parsed taxonomies by path, so actions created per request don't read the file again
+const taxonomies = new Map();
+
+/**
+ * Lowercases a text and strips its accents, so that "Hermès" matches "hermes"
+ * @param {string} text - Text to normalize
+ * @returns {string}
+ */
+export function normalizeTerm(text) {
+  return String(text).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+function compilePatterns(entries = [], where) {
+  return entries.map(({ type, pattern, flags = '' }, index) => {
+    if (!type || !pattern) {
+      throw new Error(`${where}.markPatterns[${index}] needs a type and a pattern`);
+    }
+    try {
+      return { type, regex: new RegExp(pattern, `${flags.replace('g', '')}g`) };
+    } catch (error) {
+      throw new Error(`${where}.markPatterns[${index}] is not a valid regular expression: ${error.message}`);
+    }
+  });
+}
+
+/**
+ * Validates a parsed taxonomy and compiles its patterns
+ * @param {Object} raw - Parsed taxonomy file
+ * @returns {Object} - Taxonomy with normalized terms and compiled patterns
+ * @throws {Error} - When an entry is malformed
+ */
+export function compileTaxonomy(raw) {
+  if (!Array.isArray(raw?.categories) || !Array.isArray(raw?.brands)) {
+    throw new Error('The taxonomy needs categories and brands arrays');
+  }
+
+  const categories = raw.categories.map((category, index) => {
+    if (!category.id || !Array.isArray(category.keywords)) {
+      throw new Error(`categories[${index}] needs an id and keywords`);
+    }
+    return {
+      ...category,
+      name: category.name ?? category.id,
+      keywords: category.keywords.map(normalizeTerm),
+      markPatterns: compilePatterns(category.markPatterns, `categories[${index}]`)
+    };
+  });
+  const categoryIds = new Set(categories.map(category => category.id));
+
+  const brands = raw.brands.map((brand, index) => {
+    if (!brand.name || !Array.isArray(brand.categories)) {
+      throw new Error(`brands[${index}] needs a name and categories`);
+    }
+    const unknown = brand.categories.filter(id => !categoryIds.has(id));
+    if (unknown.length > 0) {
+      throw new Error(`brands[${index}] (${brand.name}) refers to unknown categories: ${unknown.join(', ')}`);
+    }
+    return {
+      ...brand,
+      aliases: (brand.aliases?.length ? brand.aliases : [brand.name]).map(normalizeTerm),
+      models: (brand.models || []).map(normalizeTerm),
+      markPatterns: compilePatterns(brand.markPatterns, `brands[${index}]`)
+    };
+  });
+
+  return {
+    version: raw.version ?? 1,
+    categories,
+    brands,
+    redFlagTerms: (raw.redFlagTerms || []).map(normalizeTerm),
+    markPatterns: compilePatterns(raw.markPatterns, 'taxonomy')
+  };
+}
+
+/**
+ * Reads and compiles a taxonomy file, once per path
+ * @param {string} [path] - Taxonomy file
+ * @returns {Object} - Compiled taxonomy
+ * @throws {Error} - When the file cannot be read or is malformed, naming the file
+ */
+export function loadTaxonomy(path = DEFAULT_TAXONOMY_PATH) {
+  if (!taxonomies.has(path)) {
+    try {
+      taxonomies.set(path, compileTaxonomy(JSON.parse(fs.readFileSync(path, 'utf8'))));
+    } catch (error) {
+      throw new Error(`Invalid appraisal taxonomy ${path}: ${error.message}`);
+    }
+  }
+  return taxonomies.get(path);
+}
+
+/**
+ * Loads the taxonomy configured for an agent
+ * @param {Object} agent - Agent runtime or mock agent
+ * @returns {Object} - Compiled taxonomy
+ */
+export function getTaxonomy(agent) {
+  const path = getVisionSettings(agent).appraisal?.taxonomyPath ?? getSetting(agent, 'APPRAISAL_TAXONOMY_PATH');
+  return loadTaxonomy(path || DEFAULT_TAXONOMY_PATH);
+}
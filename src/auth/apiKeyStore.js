@@ -0,0 +1,228 @@
+/**
+ * Persistence of API keys and their usage in the agent database (SQLite or Postgres)
+ *
+ * Keys are stored as SHA-256 hashes: the secret is only returned when the key is issued.
+ * Usage is counted per key and UTC day. Quotas are enforced by the update that counts the
+ * calls, which only applies while the day's counts stay within the key's quotas, so
+ * concurrent requests cannot overrun them.
+ */
+
+import crypto from 'crypto';
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS vision_api_keys (
+    id TEXT PRIMARY KEY,
+    agent_id TEXT,
+    name TEXT NOT NULL,
+    key_hash TEXT NOT NULL UNIQUE,
+    key_prefix TEXT NOT NULL,
+    rate_limit INTEGER,
+    daily_vision_quota INTEGER,
+    daily_llm_quota INTEGER,
+    created_at TEXT NOT NULL,
+    revoked_at TEXT
+  );
+  CREATE TABLE IF NOT EXISTS vision_api_usage (
+    key_id TEXT NOT NULL,
+    day TEXT NOT NULL,
+    requests INTEGER NOT NULL DEFAULT 0,
+    vision_calls INTEGER NOT NULL DEFAULT 0,
+    llm_calls INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (key_id, day)
+  );
+`;
+
+// Secrets start with a recognizable prefix, so leaked keys are easy to search for
+const SECRET_PREFIX = 'vak_';
+
+const nullableNumber = value => (value === null || value === undefined ? null : Number(value));
+
+/**
+ * Hashes an API key secret for storage and lookup
+ * @param {string} secret - API key as sent by clients
+ * @returns {string} - Hex SHA-256 digest
+ */
+export function hashApiKey(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+/**
+ * Converts a row to the key returned by the API, without its hash
+ * @param {Object} row - vision_api_keys row
+ * @returns {Object}
+ */
+function toApiKey(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    prefix: row.key_prefix,
+    rateLimit: nullableNumber(row.rate_limit),
+    dailyVisionQuota: nullableNumber(row.daily_vision_quota),
+    dailyLlmQuota: nullableNumber(row.daily_llm_quota),
+    createdAt: row.created_at,
+    revokedAt: row.revoked_at ?? null
+  };
+}
+
+function toUsage(row) {
+  return {
+    day: row.day,
+    requests: Number(row.requests),
+    visionCalls: Number(row.vision_calls),
+    llmCalls: Number(row.llm_calls)
+  };
+}
+
+export class ApiKeyStore {
+  /**
+   * @param {SqlClient} sql - Client returned by createSqlClient
+   * @param {Object} [options]
+   * @param {string} [options.agentId] - Agent owning the keys; keys of other agents are not visible
+   */
+  constructor(sql, { agentId = null } = {}) {
+    this.sql = sql;
+    this.agentId = agentId;
+  }
+
+  /**
+   * Creates the key and usage tables when they do not exist
+   */
+  async init() {
+    await this.sql.exec(SCHEMA);
+  }
+
+  // Matches the keys of this store's agent, including those of no agent when it has none
+  agentFilter() {
+    return this.agentId ? { clause: 'agent_id = ?', params: [this.agentId] } : { clause: 'agent_id IS NULL', params: [] };
+  }
+
+  /**
+   * Issues a new key
+   * @param {Object} key
+   * @param {string} key.name - Who or what the key is for
+   * @param {number|null} key.rateLimit - Requests per minute, null for no limit
+   * @param {number|null} key.dailyVisionQuota - Vision calls per UTC day, null for no limit
+   * @param {number|null} key.dailyLlmQuota - LLM calls per UTC day, null for no limit
+   * @returns {Promise<{key: Object, secret: string}>} - The key, and its secret, which is not stored
+   */
+  async create({ name, rateLimit, dailyVisionQuota, dailyLlmQuota }) {
+    const id = crypto.randomUUID();
+    const secret = `${SECRET_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+    await this.sql.run(
+      `INSERT INTO vision_api_keys (id, agent_id, name, key_hash, key_prefix, rate_limit, daily_vision_quota, daily_llm_quota, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [id, this.agentId, name, hashApiKey(secret), secret.slice(0, SECRET_PREFIX.length + 6), rateLimit, dailyVisionQuota,
+        dailyLlmQuota, new Date().toISOString()]
+    );
+    return { key: await this.get(id), secret };
+  }
+
+  /**
+   * @param {string} id - Key id
+   * @returns {Promise<Object|null>} - The key, or null when it does not exist
+   */
+  async get(id) {
+    const { clause, params } = this.agentFilter();
+    const row = await this.sql.get(`SELECT * FROM vision_api_keys WHERE id = ? AND ${clause}`, [id, ...params]);
+    return row ? toApiKey(row) : null;
+  }
+
+  /**
+   * @param {string} secret - API key as sent by a client
+   * @returns {Promise<Object|null>} - The key, revoked or not, or null when it is unknown
+   */
+  async findBySecret(secret) {
+    const { clause, params } = this.agentFilter();
+    const row = await this.sql.get(`SELECT * FROM vision_api_keys WHERE key_hash = ? AND ${clause}`, [hashApiKey(secret), ...params]);
+    return row ? toApiKey(row) : null;
+  }
+
+  /**
+   * Keys of the agent, newest first
+   * @param {Object} [options]
+   * @param {boolean} [options.includeRevoked] - Also list revoked keys
+   * @returns {Promise<Array<Object>>}
+   */
+  async list({ includeRevoked = false } = {}) {
+    const { clause, params } = this.agentFilter();
+    const rows = await this.sql.all(
+      `SELECT * FROM vision_api_keys WHERE ${clause}${includeRevoked ? '' : ' AND revoked_at IS NULL'} ORDER BY created_at DESC`,
+      params
+    );
+    return rows.map(toApiKey);
+  }
+
+  /**
+   * Whether the agent has keys that are not revoked
+   * @returns {Promise<boolean>}
+   */
+  async hasActiveKeys() {
+    const { clause, params } = this.agentFilter();
+    return Boolean(await this.sql.get(`SELECT id FROM vision_api_keys WHERE ${clause} AND revoked_at IS NULL LIMIT 1`, params));
+  }
+
+  /**
+   * Revokes a key; its usage is kept
+   * @param {string} id - Key id
+   * @returns {Promise<Object|null>} - The revoked key, or null when it does not exist
+   */
+  async revoke(id) {
+    const { clause, params } = this.agentFilter();
+    await this.sql.run(
+      `UPDATE vision_api_keys SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL AND ${clause}`,
+      [new Date().toISOString(), id, ...params]
+    );
+    return this.get(id);
+  }
+
+  /**
+   * Counts requests and calls of a key, unless the day's calls would exceed its quotas
+   * @param {Object} key - Key returned by get or findBySecret
+   * @param {string} day - UTC day, YYYY-MM-DD
+   * @param {Object} usage
+   * @param {number} [usage.requests] - Requests made
+   * @param {number} [usage.visionCalls] - Vision calls made
+   * @param {number} [usage.llmCalls] - LLM calls made
+   * @returns {Promise<{counted: boolean, usage: Object}>} - Whether the usage was counted, and the day's usage
+   */
+  async addUsage(key, day, { requests = 0, visionCalls = 0, llmCalls = 0 }) {
+    await this.sql.run(
+      'INSERT INTO vision_api_usage (key_id, day) VALUES (?, ?) ON CONFLICT (key_id, day) DO NOTHING',
+      [key.id, day]
+    );
+
+    const conditions = ['key_id = ?', 'day = ?'];
+    const params = [requests, visionCalls, llmCalls, key.id, day];
+    if (key.dailyVisionQuota !== null && visionCalls > 0) {
+      conditions.push('vision_calls + ? <= ?');
+      params.push(visionCalls, key.dailyVisionQuota);
+    }
+    if (key.dailyLlmQuota !== null && llmCalls > 0) {
+      conditions.push('llm_calls + ? <= ?');
+      params.push(llmCalls, key.dailyLlmQuota);
+    }
+    const { changes } = await this.sql.run(
+      `UPDATE vision_api_usage SET requests = requests + ?, vision_calls = vision_calls + ?, llm_calls = llm_calls + ?
+       WHERE ${conditions.join(' AND ')}`,
+      params
+    );
+
+    const row = await this.sql.get('SELECT * FROM vision_api_usage WHERE key_id = ? AND day = ?', [key.id, day]);
+    return { counted: changes > 0, usage: toUsage(row) };
+  }
+
+  /**
+   * Daily usage of a key, most recent day first; days without requests are left out
+   * @param {string} id - Key id
+   * @param {Object} [options]
+   * @param {string} [options.since] - First UTC day included, YYYY-MM-DD
+   * @returns {Promise<Array<Object>>}
+   */
+  async listUsage(id, { since = '0000-00-00' } = {}) {
+    const rows = await this.sql.all(
+      'SELECT * FROM vision_api_usage WHERE key_id = ? AND day >= ? ORDER BY day DESC',
+      [id, since]
+    );
+    return rows.map(toUsage);
+  }
+}
@@ -0,0 +1,338 @@
+/**
+ * API keys of the REST server: authentication, rate limits and daily quotas
+ *
+ * Clients send their key as `Authorization: Bearer <key>` or `X-API-Key: <key>`. Each key
+ * has a rate limit in requests per minute, enforced in memory with a token bucket, and
+ * daily quotas of Vision calls (one per analyzed image) and LLM calls (one per question
+ * or comparison), counted in the agent database per UTC day. Requests are charged for the
+ * calls they ask for before they run, cached analyses included, so a quota caps what a key
+ * can cost whatever the cache holds.
+ *
+ * Keys are required once one is issued, or always with API_KEYS_REQUIRED=true. Keys are
+ * issued and revoked with the admin key (ADMIN_API_KEY) or with scripts/api-keys.js.
+ */
+
+import crypto from 'crypto';
+import { createSqlClient } from '../database/sql.js';
+import {
+  ForbiddenError,
+  InvalidRequestError,
+  NotFoundError,
+  QuotaExceededError,
+  RateLimitError,
+  UnauthorizedError
+} from '../services/errors.js';
+import { ApiKeyStore, hashApiKey } from './apiKeyStore.js';
+
+export const DEFAULT_RATE_LIMIT = 60;
+export const DEFAULT_DAILY_VISION_QUOTA = 1000;
+export const DEFAULT_DAILY_LLM_QUOTA = 500;
+export const MAX_USAGE_DAYS = 90;
+
+const RATE_WINDOW_MS = 60 * 1000;
+
+// A limit from the environment: a count, "unlimited", or the default when unset
+const parseEnvLimit = (value, defaultValue) => {
+  if (value === undefined || value === '') {
+    return defaultValue;
+  }
+  if (value === 'unlimited') {
+    return null;
+  }
+  return Number.isInteger(Number(value)) && Number(value) >= 0 ? Number(value) : defaultValue;
+};
+
+/**
+ * API key settings from the environment
+ * @returns {{required: boolean|null, adminKey: string|null, defaults: {rateLimit: number|null,
+ *   dailyVisionQuota: number|null, dailyLlmQuota: number|null}}} - required is null when keys
+ *   are required as soon as one is issued
+ */
+export function getApiKeySettings() {
+  const required = process.env.API_KEYS_REQUIRED;
+  return {
+    required: required === 'true' ? true : required === 'false' ? false : null,
+    adminKey: process.env.ADMIN_API_KEY || null,
+    defaults: {
+      rateLimit: parseEnvLimit(process.env.API_KEY_RATE_LIMIT, DEFAULT_RATE_LIMIT) || null,
+      dailyVisionQuota: parseEnvLimit(process.env.API_KEY_DAILY_VISION_QUOTA, DEFAULT_DAILY_VISION_QUOTA),
+      dailyLlmQuota: parseEnvLimit(process.env.API_KEY_DAILY_LLM_QUOTA, DEFAULT_DAILY_LLM_QUOTA)
+    }
+  };
+}
+
+/**
+ * The API key of a request, from its Authorization or X-API-Key header
+ * @param {Object} headers - Request headers, lower-cased
+ * @returns {string|null}
+ */
+export function getRequestApiKey(headers) {
+  const match = /^Bearer\s+(\S+)$/i.exec(headers.authorization || '');
+  return match ? match[1] : headers['x-api-key'] || null;
+}
+
+/**
+ * Vision and LLM calls a task asks for
+ * @param {string} type - Task type (see TASK_TYPES), or query-ora for a question about an analysis
+ * @param {Object} params - Task parameters
+ * @returns {{visionCalls: number, llmCalls: number}}
+ */
+export function getTaskUsage(type, params) {
+  switch (type) {
+    case 'query-ora':
+      return { visionCalls: 0, llmCalls: 1 };
+    case 'analyze-and-query':
+      return { visionCalls: 1, llmCalls: 1 };
+    case 'batch':
+      return {
+        visionCalls: params.items.length,
+        llmCalls: params.items.filter(item => item.query || params.query).length
+      };
+    case 'compare':
+      return { visionCalls: params.items.length, llmCalls: 1 };
+    default:
+      return { visionCalls: 1, llmCalls: 0 };
+  }
+}
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+const secondsToNextDay = () => {
+  const now = new Date();
+  return Math.ceil((Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1) - now.getTime()) / 1000);
+};
+
+// Compares secrets in constant time, whatever their lengths
+const sameSecret = (a, b) => crypto.timingSafeEqual(Buffer.from(hashApiKey(a), 'hex'), Buffer.from(hashApiKey(b), 'hex'));
+
+/**
+ * Checks that a request carries the admin key
+ * @param {string|null} secret - Key sent with the request
+ * @param {Object} [options]
+ * @param {string|null} [options.adminKey] - Admin key, ADMIN_API_KEY by default
+ * @param {string} [options.action] - What the key is needed for, e.g. "manage agents"
+ * @throws {ForbiddenError} - When no admin key is configured, or UnauthorizedError when it is not the one sent
+ */
+export function requireAdminKey(secret, { adminKey = getApiKeySettings().adminKey, action = 'use the admin endpoints' } = {}) {
+  if (!adminKey) {
+    throw new ForbiddenError(`Set ADMIN_API_KEY to ${action} over the API`, { code: 'ADMIN_DISABLED' });
+  }
+  if (!secret || !sameSecret(secret, adminKey)) {
+    throw new UnauthorizedError('A valid admin key is required');
+  }
+}
+
+// A limit given for a key: a count, null for no limit, or undefined for the default
+const parseLimit = (value, name, defaultValue, { min = 0 } = {}) => {
+  if (value === undefined) {
+    return defaultValue;
+  }
+  if (value === null || value === 'unlimited') {
+    return null;
+  }
+  if (!Number.isInteger(Number(value)) || Number(value) < min) {
+    throw new InvalidRequestError(`${name} must be an integer of at least ${min}, or null for no limit`);
+  }
+  return Number(value);
+};
+
+export class ApiKeys {
+  /**
+   * @param {Object} options
+   * @param {ApiKeyStore} options.store - Key and usage persistence
+   * @param {Object} [options.settings] - Settings, defaults to getApiKeySettings()
+   */
+  constructor({ store, settings = getApiKeySettings() }) {
+    this.store = store;
+    this.settings = settings;
+    // Token buckets by key id: { tokens, updatedAt }
+    this.buckets = new Map();
+  }
+
+  /**
+   * Whether requests must carry a key
+   * @returns {Promise<boolean>}
+   */
+  async isRequired() {
+    return this.settings.required ?? (await this.store.hasActiveKeys());
+  }
+
+  /**
+   * Checks the admin key of a request
+   * @param {string|null} secret - Key sent with the request
+   * @throws {ForbiddenError} - When no admin key is configured, or UnauthorizedError when it is not the one sent
+   */
+  requireAdmin(secret) {
+    requireAdminKey(secret, { adminKey: this.settings.adminKey, action: 'manage API keys' });
+  }
+
+  /**
+   * Finds the key of a request and applies its rate limit
+   * @param {string|null} secret - Key sent with the request
+   * @returns {Promise<{key: Object|null, rate: {limit: number, remaining: number}|null}>} - No key when
+   *   none was sent and keys are not required
+   * @throws {UnauthorizedError} - When the key is missing, unknown or revoked
+   * @throws {RateLimitError} - When the key exceeded its rate limit
+   */
+  async authenticate(secret) {
+    if (!secret) {
+      if (await this.isRequired()) {
+        throw new UnauthorizedError('An API key is required: send it as "Authorization: Bearer <key>" or "X-API-Key: <key>"');
+      }
+      return { key: null, rate: null };
+    }
+    const key = await this.store.findBySecret(secret);
+    if (!key) {
+      throw new UnauthorizedError('Unknown API key', { code: 'INVALID_API_KEY' });
+    }
+    if (key.revokedAt) {
+      throw new UnauthorizedError('This API key was revoked', { code: 'API_KEY_REVOKED' });
+    }
+
+    const rate = this.takeToken(key);
+    await this.store.addUsage(key, today(), { requests: 1 });
+    return { key, rate };
+  }
+
+  // Takes a request from the key's token bucket, refilled at its rate limit per minute
+  takeToken(key) {
+    if (key.rateLimit === null) {
+      return null;
+    }
+    const now = Date.now();
+    const bucket = this.buckets.get(key.id) ?? { tokens: key.rateLimit, updatedAt: now };
+    bucket.tokens = Math.min(key.rateLimit, bucket.tokens + ((now - bucket.updatedAt) / RATE_WINDOW_MS) * key.rateLimit);
+    bucket.updatedAt = now;
+    this.buckets.set(key.id, bucket);
+
+    if (bucket.tokens < 1) {
+      const retryAfterSeconds = Math.ceil(((1 - bucket.tokens) / key.rateLimit) * RATE_WINDOW_MS / 1000);
+      throw new RateLimitError(`Rate limit of ${key.rateLimit} requests per minute exceeded`, { retryAfterSeconds });
+    }
+    bucket.tokens -= 1;
+    return { limit: key.rateLimit, remaining: Math.floor(bucket.tokens) };
+  }
+
+  /**
+   * Charges the Vision and LLM calls of a request to the daily quotas of its key
+   * @param {Object|null} key - Key of the request; requests without a key are not charged
+   * @param {{visionCalls: number, llmCalls: number}} usage - Calls asked for, see getTaskUsage
+   * @throws {QuotaExceededError} - When the calls do not fit in what is left of a quota today
+   */
+  async charge(key, { visionCalls = 0, llmCalls = 0 }) {
+    if (!key || (visionCalls === 0 && llmCalls === 0)) {
+      return;
+    }
+    const { counted, usage } = await this.store.addUsage(key, today(), { visionCalls, llmCalls });
+    if (counted) {
+      return;
+    }
+
+    const exceeded = key.dailyVisionQuota !== null && usage.visionCalls + visionCalls > key.dailyVisionQuota
+      ? `${visionCalls} Vision calls would exceed the daily quota of ${key.dailyVisionQuota} (${usage.visionCalls} used today)`
+      : `${llmCalls} LLM calls would exceed the daily quota of ${key.dailyLlmQuota} (${usage.llmCalls} used today)`;
+    throw new QuotaExceededError(exceeded, { retryAfterSeconds: secondsToNextDay() });
+  }
+
+  /**
+   * Issues a key, with the default limits for those not given
+   * @param {Object} options
+   * @param {string} options.name - Who or what the key is for
+   * @param {number|null} [options.rateLimit] - Requests per minute, null for no limit
+   * @param {number|null} [options.dailyVisionQuota] - Vision calls per UTC day, null for no limit
+   * @param {number|null} [options.dailyLlmQuota] - LLM calls per UTC day, null for no limit
+   * @returns {Promise<{key: Object, secret: string}>} - The key, and its secret, shown only this once
+   */
+  async issue({ name, rateLimit, dailyVisionQuota, dailyLlmQuota } = {}) {
+    if (!name || typeof name !== 'string') {
+      throw new InvalidRequestError('name is required');
+    }
+    const { defaults } = this.settings;
+    const issued = await this.store.create({
+      name: name.trim().substring(0, 100),
+      rateLimit: parseLimit(rateLimit, 'rateLimit', defaults.rateLimit, { min: 1 }),
+      dailyVisionQuota: parseLimit(dailyVisionQuota, 'dailyVisionQuota', defaults.dailyVisionQuota),
+      dailyLlmQuota: parseLimit(dailyLlmQuota, 'dailyLlmQuota', defaults.dailyLlmQuota)
+    });
+    console.log(`Issued API key ${issued.key.id} (${issued.key.name})`);
+    return issued;
+  }
+
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.includeRevoked] - Also list revoked keys
+   * @returns {Promise<Array<Object>>} - Keys, newest first
+   */
+  async list(options) {
+    return this.store.list(options);
+  }
+
+  /**
+   * @param {string} id - Key id
+   * @returns {Promise<Object>} - The key
+   */
+  async get(id) {
+    const key = await this.store.get(id);
+    if (!key) {
+      throw new NotFoundError(`API key ${id} not found`, { code: 'API_KEY_NOT_FOUND' });
+    }
+    return key;
+  }
+
+  /**
+   * Revokes a key; requests made with it are refused from now on
+   * @param {string} id - Key id
+   * @returns {Promise<Object>} - The revoked key
+   */
+  async revoke(id) {
+    await this.get(id);
+    const key = await this.store.revoke(id);
+    this.buckets.delete(id);
+    console.log(`Revoked API key ${id}`);
+    return key;
+  }
+
+  /**
+   * Usage of a key over the last days, with what is left of its quotas today
+   * @param {string} id - Key id
+   * @param {Object} [options]
+   * @param {number} [options.days] - Days reported, today included, at most MAX_USAGE_DAYS
+   * @returns {Promise<{key: Object, today: Object, remaining: Object, days: Array<Object>, totals: Object}>}
+   */
+  async usage(id, { days } = {}) {
+    const key = await this.get(id);
+    const count = Math.min(Math.max(Number(days) || 30, 1), MAX_USAGE_DAYS);
+    const since = new Date(Date.now() - (count - 1) * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    const usage = await this.store.listUsage(id, { since });
+
+    const day = today();
+    const current = usage.find(entry => entry.day === day) ?? { day, requests: 0, visionCalls: 0, llmCalls: 0 };
+    return {
+      key,
+      today: current,
+      remaining: {
+        visionCalls: key.dailyVisionQuota === null ? null : Math.max(key.dailyVisionQuota - current.visionCalls, 0),
+        llmCalls: key.dailyLlmQuota === null ? null : Math.max(key.dailyLlmQuota - current.llmCalls, 0)
+      },
+      days: usage,
+      totals: usage.reduce((totals, entry) => ({
+        requests: totals.requests + entry.requests,
+        visionCalls: totals.visionCalls + entry.visionCalls,
+        llmCalls: totals.llmCalls + entry.llmCalls
+      }), { requests: 0, visionCalls: 0, llmCalls: 0 })
+    };
+  }
+}
+
+/**
+ * Creates the API keys of an agent over its database
+ * @param {Object} options
+ * @param {Object} options.db - Database adapter from initializeDatabase, already initialized
+ * @param {string} [options.agentId] - Agent owning the keys
+ * @returns {Promise<ApiKeys>}
+ */
+export async function startApiKeys({ db, agentId }) {
+  const store = new ApiKeyStore(createSqlClient(db), { agentId });
+  await store.init();
+  return new ApiKeys({ store });
+}
@@ -0,0 +1,203 @@
+/**
+ * Content-addressed cache of vision analyses
+ *
+ * Analyses are stored through an ElizaOS CacheManager under keys derived from the image
+ * (SHA-256 of its bytes, or its normalized URL), the provider and the requested feature
+ * set. Entries expire after a TTL, and an index entry tracks their sizes so the oldest
+ * are evicted once the cache grows past its size cap. The index is kept consistent within
+ * a process only, so with several processes on one database the cap is best effort.
+ *
+ * The cache lives in one namespace of the agent database shared by every agent and by the
+ * REST server, since an analysis does not depend on the agent that asked for it.
+ */
+
+import crypto from 'crypto';
+import { getSetting, getVisionSettings } from '../config/settings.js';
+import { hashImageBytes, normalizeImageInput } from '../utils/imageInput.js';
+
+// Bump when the shape of cached analyses changes
+const KEY_VERSION = 'v3';
+const KEY_PREFIX = `vision/${KEY_VERSION}`;
+const INDEX_KEY = `${KEY_PREFIX}/index`;
+
+// Cache id shared by the agents and the REST server in the cache table
+export const VISION_CACHE_NAMESPACE = 'vision-cache';
+
+export const DEFAULT_CACHE_TTL_SECONDS = 24 * 60 * 60;
+export const DEFAULT_CACHE_MAX_BYTES = 50 * 1024 * 1024;
+
+// Index updates of every cache of the process run one at a time, since the caches of all
+// agents share one index and each update reads, changes and writes it back whole
+let indexQueue = Promise.resolve();
+
+const updateIndex = update => {
+  const result = indexQueue.then(update);
+  indexQueue = result.catch(() => undefined);
+  return result;
+};
+
+/**
+ * Cache modes of a single lookup
+ * - default: read the cache, store misses
+ * - refresh: skip the lookup, store the new analysis
+ * - bypass: neither read nor store
+ */
+export const CACHE_MODES = ['default', 'refresh', 'bypass'];
+
+/**
+ * Normalizes an image URL so that equivalent URLs share a cache entry: lowercase scheme
+ * and host, no default port, no fragment and sorted query parameters
+ * @param {string} imageUrl - Image URL
+ * @returns {string}
+ */
+export function normalizeImageUrl(imageUrl) {
+  let parsed;
+  try {
+    parsed = new URL(imageUrl);
+  } catch {
+    return imageUrl.trim();
+  }
+  parsed.hash = '';
+  parsed.searchParams.sort();
+  // URL already lowercases the scheme and host and drops default ports
+  return parsed.toString();
+}
+
+/**
+ * Reads the cache mode requested by an HTTP request
+ * X-Vision-Cache: bypass | refresh takes precedence over Cache-Control: no-store | no-cache.
+ * @param {Object} headers - Request headers
+ * @returns {string} - One of CACHE_MODES
+ */
+export function getCacheModeFromHeaders(headers = {}) {
+  const requested = String(headers['x-vision-cache'] || '').toLowerCase();
+  if (CACHE_MODES.includes(requested)) {
+    return requested;
+  }
+  const cacheControl = String(headers['cache-control'] || '').toLowerCase();
+  if (cacheControl.includes('no-store')) {
+    return 'bypass';
+  }
+  if (cacheControl.includes('no-cache')) {
+    return 'refresh';
+  }
+  return 'default';
+}
+
+export class VisionCache {
+  /**
+   * @param {Object} options
+   * @param {CacheManager} options.cacheManager - Cache storage (get, set with { expires }, delete)
+   * @param {number} [options.ttlSeconds] - Lifetime of an entry
+   * @param {number} [options.maxBytes] - Size cap of all entries together
+   */
+  constructor({ cacheManager, ttlSeconds = DEFAULT_CACHE_TTL_SECONDS, maxBytes = DEFAULT_CACHE_MAX_BYTES }) {
+    this.cacheManager = cacheManager;
+    this.ttlMs = ttlSeconds * 1000;
+    this.maxBytes = maxBytes;
+    // Entries larger than this would evict too much of the cache
+    this.maxEntryBytes = Math.floor(maxBytes / 10);
+  }
+
+  /**
+   * Computes the cache key of an analysis
+   * @param {string|Buffer|Object} image - URL, data URL or bytes of the image
+   * @param {Array<string>} features - Requested features
+   * @param {string} provider - Name of the vision provider
+   * @returns {string}
+   */
+  keyFor(image, features, provider) {
+    const { url, buffer } = normalizeImageInput(image);
+    const identity = buffer ? `sha256:${hashImageBytes(buffer)}` : `url:${normalizeImageUrl(url)}`;
+    const featureSet = [...new Set(features)].sort().join(',');
+    const digest = crypto.createHash('sha256').update(`${provider}\n${featureSet}\n${identity}`).digest('hex');
+    return `${KEY_PREFIX}/${digest}`;
+  }
+
+  /**
+   * @param {string} key - Key from keyFor
+   * @returns {Promise<Object|undefined>} - Cached analysis, unless missing or expired
+   */
+  async get(key) {
+    try {
+      return await this.cacheManager.get(key);
+    } catch (error) {
+      console.warn('Vision cache lookup failed:', error.message);
+      return undefined;
+    }
+  }
+
+  /**
+   * Stores an analysis and evicts the oldest entries beyond the size cap
+   * @param {string} key - Key from keyFor
+   * @param {Object} analysis - Analysis to store
+   */
+  async set(key, analysis) {
+    const bytes = Buffer.byteLength(JSON.stringify(analysis));
+    if (bytes > this.maxEntryBytes) {
+      return;
+    }
+
+    try {
+      const now = Date.now();
+      await this.cacheManager.set(key, analysis, { expires: now + this.ttlMs });
+
+      await updateIndex(async () => {
+        const index = await this.loadIndex();
+        index[key] = { bytes, storedAt: now };
+        await this.evict(index, now);
+        await this.cacheManager.set(INDEX_KEY, index);
+      });
+    } catch (error) {
+      console.warn('Vision cache store failed:', error.message);
+    }
+  }
+
+  async loadIndex() {
+    // Read again on every write to pick up the entries other processes indexed meanwhile; updates
+    // are only serialized within a process, so concurrent writers can drop each other's records and
+    // the size cap is best effort across processes (an unindexed entry still expires with its TTL)
+    return (await this.cacheManager.get(INDEX_KEY)) ?? {};
+  }
+
+  async evict(index, now) {
+    // Expired entries are already unreadable, only their index records remain
+    for (const [key, { storedAt }] of Object.entries(index)) {
+      if (storedAt + this.ttlMs <= now) {
+        delete index[key];
+      }
+    }
+
+    const entries = Object.entries(index).sort((a, b) => a[1].storedAt - b[1].storedAt);
+    let total = entries.reduce((sum, [, { bytes }]) => sum + bytes, 0);
+    for (const [key, { bytes }] of entries) {
+      if (total <= this.maxBytes) {
+        break;
+      }
+      await this.cacheManager.delete(key);
+      delete index[key];
+      total -= bytes;
+    }
+  }
+}
+
+/**
+ * Creates the vision cache of an agent over its database, unless disabled with
+ * VISION_CACHE=false or settings.vision.cache.enabled: false
+ * @param {Object} db - Database adapter implementing the ElizaOS cache methods
+ * @param {Object} [agent] - Agent runtime or mock agent, for settings
+ * @returns {Promise<VisionCache|null>}
+ */
+export async function createVisionCache(db, agent) {
+  const settings = getVisionSettings(agent).cache ?? {};
+  if (String(settings.enabled ?? getSetting(agent, 'VISION_CACHE', 'true')) === 'false') {
+    return null;
+  }
+
+  const { CacheManager, DbCacheAdapter } = await import('@elizaos/core');
+  return new VisionCache({
+    cacheManager: new CacheManager(new DbCacheAdapter(db, VISION_CACHE_NAMESPACE)),
+    ttlSeconds: Number(settings.ttlSeconds ?? getSetting(agent, 'VISION_CACHE_TTL_SECONDS')) || DEFAULT_CACHE_TTL_SECONDS,
+    maxBytes: Number(settings.maxBytes ?? getSetting(agent, 'VISION_CACHE_MAX_BYTES')) || DEFAULT_CACHE_MAX_BYTES
+  });
+}
@@ -0,0 +1,80 @@
+import { describe, expect, test } from '@jest/globals';
+import { setImmediate as nextTick } from 'timers/promises';
+import { getCacheModeFromHeaders, normalizeImageUrl, VisionCache } from './visionCache.js';
+
+// Cache storage over a Map that, as a database does, answers after the other pending calls
+const createStore = () => {
+  const entries = new Map();
+  return {
+    entries,
+    async get(key) {
+      await nextTick();
+      return structuredClone(entries.get(key));
+    },
+    async set(key, value) {
+      await nextTick();
+      entries.set(key, structuredClone(value));
+    },
+    async delete(key) {
+      await nextTick();
+      entries.delete(key);
+    }
+  };
+};
+
+const indexOf = store => [...store.entries].find(([key]) => key.endsWith('/index'))[1];
+
+describe('VisionCache', () => {
+  test('keys equivalent URLs alike and keeps providers and features apart', () => {
+    const cache = new VisionCache({ cacheManager: createStore() });
+    const key = cache.keyFor('https://Example.com:443/a.jpg?b=2&a=1#top', ['labels', 'text'], 'google');
+    expect(cache.keyFor('https://example.com/a.jpg?a=1&b=2', ['text', 'labels', 'text'], 'google')).toBe(key);
+    expect(cache.keyFor('https://example.com/a.jpg?a=1&b=2', ['labels'], 'google')).not.toBe(key);
+    expect(cache.keyFor('https://example.com/a.jpg?a=1&b=2', ['labels', 'text'], 'mock')).not.toBe(key);
+  });
+
+  test('indexes every entry stored at once, by the caches of all agents', async () => {
+    const store = createStore();
+    const caches = [new VisionCache({ cacheManager: store }), new VisionCache({ cacheManager: store })];
+    const keys = Array.from({ length: 20 }, (_, i) => `vision/v3/entry-${i}`);
+
+    await Promise.all(keys.map((key, i) => caches[i % 2].set(key, { labels: [i] })));
+    expect(Object.keys(indexOf(store)).sort()).toEqual([...keys].sort());
+  });
+
+  test('keeps concurrent stores under the size cap', async () => {
+    const store = createStore();
+    const analysis = { text: 'x'.repeat(90) };
+    const bytes = Buffer.byteLength(JSON.stringify(analysis));
+    const cache = new VisionCache({ cacheManager: store, maxBytes: bytes * 10 });
+
+    await Promise.all(Array.from({ length: 30 }, (_, i) => cache.set(`vision/v3/entry-${i}`, analysis)));
+    const index = indexOf(store);
+    expect(Object.keys(index)).toHaveLength(10);
+    // The index and the entries it lists are all that is left
+    expect(store.entries.size).toBe(11);
+    expect(Object.values(index).reduce((sum, entry) => sum + entry.bytes, 0)).toBeLessThanOrEqual(bytes * 10);
+  });
+
+  test('does not store entries over a tenth of the cap', async () => {
+    const store = createStore();
+    const cache = new VisionCache({ cacheManager: store, maxBytes: 100 });
+    await cache.set('vision/v3/large', { text: 'x'.repeat(20) });
+    expect(store.entries.size).toBe(0);
+  });
+});
+
+describe('normalizeImageUrl', () => {
+  test('leaves strings that are not URLs trimmed', () => {
+    expect(normalizeImageUrl(' not a url ')).toBe('not a url');
+  });
+});
+
+describe('getCacheModeFromHeaders', () => {
+  test('prefers X-Vision-Cache over Cache-Control', () => {
+    expect(getCacheModeFromHeaders({ 'x-vision-cache': 'Refresh', 'cache-control': 'no-store' })).toBe('refresh');
+    expect(getCacheModeFromHeaders({ 'cache-control': 'no-store' })).toBe('bypass');
+    expect(getCacheModeFromHeaders({ 'cache-control': 'max-age=0, no-cache' })).toBe('refresh');
+    expect(getCacheModeFromHeaders({})).toBe('default');
+  });
+});
@@ -0,0 +1,173 @@
+import { afterEach, beforeAll, beforeEach, describe, expect, jest, test } from '@jest/globals';
+
+// The chat clients and the libraries whose connections are kept are replaced by fakes
+const telegramStart = jest.fn();
+jest.unstable_mockModule('@elizaos/client-auto', () => ({ AutoClientInterface: { start: jest.fn() } }));
+jest.unstable_mockModule('@elizaos/client-discord', () => ({ DiscordClientInterface: { start: jest.fn() } }));
+jest.unstable_mockModule('@elizaos/client-telegram', () => ({ TelegramClientInterface: { start: telegramStart } }));
+jest.unstable_mockModule('@elizaos/client-twitter', () => ({ TwitterClientInterface: { start: jest.fn() } }));
+jest.unstable_mockModule('discord.js', () => ({
+  Client: class { login() { return Promise.resolve(); } },
+  Events: { ClientReady: 'ready' }
+}));
+jest.unstable_mockModule('telegraf', () => ({
+  Telegraf: class { launch() { return this.polling; } }
+}));
+
+const { elizaLogger, settings } = await import('@elizaos/core');
+const { Telegraf } = await import('telegraf');
+const { getClientHealth, initializeClients, restartClient, stopClients } = await import('./index.ts');
+
+const NOW = Date.parse('2026-01-01T00:00:00.000Z');
+const at = ms => new Date(NOW + ms).toISOString();
+
+// Starts an agent whose only client is a plugin client started by `start`
+const startAgent = async start => {
+  const character = { name: 'Tester', clients: [], plugins: [{ name: 'chat', clients: [{ start }] }] };
+  const runtime = { character };
+  runtime.clients = await initializeClients(character, runtime);
+  return runtime;
+};
+
+const healthOf = (runtime, name = 'chat') => getClientHealth(runtime).find(client => client.name === name);
+
+const unreachable = () => Promise.reject(new Error('Service unreachable'));
+
+beforeAll(() => {
+  jest.spyOn(elizaLogger, 'warn').mockImplementation(() => {});
+  jest.spyOn(elizaLogger, 'error').mockImplementation(() => {});
+});
+
+beforeEach(() => {
+  jest.useFakeTimers({ now: NOW });
+  telegramStart.mockReset();
+  Object.assign(settings, { CLIENT_RETRY_ATTEMPTS: '3', CLIENT_RETRY_BASE_MS: '1000', CLIENT_RETRY_MAX_MS: '3000' });
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  delete settings.CLIENT_RETRY_ATTEMPTS;
+  delete settings.CLIENT_RETRY_BASE_MS;
+  delete settings.CLIENT_RETRY_MAX_MS;
+});
+
+describe('initializeClients', () => {
+  test('retries a failing client with doubling delays up to CLIENT_RETRY_MAX_MS, then gives up', async () => {
+    const start = jest.fn(unreachable);
+    const runtime = await startAgent(start);
+    expect(healthOf(runtime)).toEqual({
+      name: 'chat', status: 'retrying', attempts: 1, startedAt: null, nextRetryAt: at(1000), error: 'Service unreachable'
+    });
+
+    await jest.advanceTimersByTimeAsync(999);
+    expect(start).toHaveBeenCalledTimes(1);
+    await jest.advanceTimersByTimeAsync(1);
+    expect(healthOf(runtime)).toMatchObject({ status: 'retrying', attempts: 2, nextRetryAt: at(1000 + 2000) });
+
+    await jest.advanceTimersByTimeAsync(2000);
+    // 4000ms is capped to CLIENT_RETRY_MAX_MS
+    expect(healthOf(runtime)).toMatchObject({ status: 'retrying', attempts: 3, nextRetryAt: at(3000 + 3000) });
+
+    await jest.advanceTimersByTimeAsync(3000);
+    expect(healthOf(runtime)).toMatchObject({ status: 'failed', attempts: 4, nextRetryAt: null, error: 'Service unreachable' });
+    await jest.advanceTimersByTimeAsync(60000);
+    expect(start).toHaveBeenCalledTimes(4);
+    expect(runtime.clients).toEqual({});
+  });
+
+  test('runs a client once a retry starts it', async () => {
+    const client = { stop: jest.fn() };
+    const runtime = await startAgent(jest.fn(unreachable).mockImplementationOnce(unreachable).mockResolvedValue(client));
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(healthOf(runtime)).toEqual({
+      name: 'chat', status: 'running', attempts: 2, startedAt: at(1000), nextRetryAt: null, error: null
+    });
+    expect(runtime.clients).toEqual({ chat: client });
+  });
+
+  test('stops and retries a Telegram bot whose polling fails after it started', async () => {
+    let failPolling;
+    const stop = jest.fn();
+    telegramStart.mockImplementation(async () => {
+      const bot = new Telegraf();
+      bot.polling = new Promise((resolve, reject) => {
+        failPolling = reject;
+      });
+      bot.launch();
+      return { bot, stop };
+    });
+    const character = { name: 'Tester', clients: ['telegram'], plugins: [] };
+    const runtime = { character };
+    runtime.clients = await initializeClients(character, runtime);
+    expect(healthOf(runtime, 'telegram')).toMatchObject({ status: 'running', attempts: 1 });
+
+    await jest.advanceTimersByTimeAsync(5000);
+    failPolling(new Error('409: Conflict: terminated by other getUpdates request'));
+    await jest.advanceTimersByTimeAsync(0);
+    expect(healthOf(runtime, 'telegram')).toMatchObject({
+      status: 'retrying', attempts: 1, startedAt: null, nextRetryAt: at(5000 + 1000), error: '409: Conflict: terminated by other getUpdates request'
+    });
+    expect(stop).toHaveBeenCalledTimes(1);
+    expect(runtime.clients).toEqual({});
+
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(telegramStart).toHaveBeenCalledTimes(2);
+    expect(healthOf(runtime, 'telegram')).toMatchObject({ status: 'running', attempts: 2 });
+    expect(runtime.clients.telegram.stop).toBe(stop);
+  });
+
+  test('warns about a Telegram bot whose launch() was not recorded', async () => {
+    telegramStart.mockResolvedValue({ bot: {}, stop: jest.fn() });
+    const character = { name: 'Tester', clients: ['telegram'], plugins: [] };
+    const runtime = { character };
+    await initializeClients(character, runtime);
+    expect(healthOf(runtime, 'telegram')).toMatchObject({ status: 'running' });
+    expect(elizaLogger.warn).toHaveBeenCalledWith(expect.stringContaining('The telegram client of Tester started without a recorded connection'));
+  });
+});
+
+describe('restartClient', () => {
+  test('starts a client that gave up with a fresh series of attempts', async () => {
+    const start = jest.fn(unreachable);
+    const runtime = await startAgent(start);
+    await jest.advanceTimersByTimeAsync(6000);
+    expect(healthOf(runtime)).toMatchObject({ status: 'failed', attempts: 4 });
+
+    await restartClient(runtime, 'chat');
+    expect(healthOf(runtime)).toMatchObject({ status: 'retrying', attempts: 1, nextRetryAt: at(6000 + 1000) });
+
+    const client = { stop: jest.fn() };
+    start.mockResolvedValue(client);
+    await restartClient(runtime, 'chat');
+    expect(healthOf(runtime)).toMatchObject({ status: 'running', attempts: 1, nextRetryAt: null, error: null });
+    expect(jest.getTimerCount()).toBe(0);
+  });
+
+  test('refuses clients the agent does not have', async () => {
+    const runtime = await startAgent(async () => ({}));
+    await expect(restartClient(runtime, 'discord')).rejects.toThrow(expect.objectContaining({ code: 'CLIENT_NOT_FOUND', httpStatus: 404 }));
+  });
+});
+
+describe('stopClients', () => {
+  test('stops the running clients and cancels pending retries', async () => {
+    const client = { stop: jest.fn() };
+    const failing = jest.fn(unreachable);
+    const character = {
+      name: 'Tester',
+      clients: [],
+      plugins: [{ name: 'chat', clients: [{ start: async () => client }, { start: failing }] }]
+    };
+    const runtime = { character };
+    runtime.clients = await initializeClients(character, runtime);
+    expect(getClientHealth(runtime).map(({ name, status }) => [name, status])).toEqual([['chat/0', 'running'], ['chat/1', 'retrying']]);
+    expect(jest.getTimerCount()).toBe(1);
+
+    await stopClients(runtime);
+    expect(getClientHealth(runtime).map(({ status, nextRetryAt }) => [status, nextRetryAt])).toEqual([['stopped', null], ['stopped', null]]);
+    expect(client.stop).toHaveBeenCalledTimes(1);
+    expect(jest.getTimerCount()).toBe(0);
+    await jest.advanceTimersByTimeAsync(60000);
+    expect(failing).toHaveBeenCalledTimes(1);
+  });
+});
@@ -1,44 +1,381 @@
+/**
+ * Chat clients of the agents: Discord, Telegram, Twitter, the auto client and plugin clients
+ *
+ * Each client is started on its own: a client that fails to start is retried with
+ * exponential backoff (CLIENT_RETRY_ATTEMPTS, CLIENT_RETRY_BASE_MS, CLIENT_RETRY_MAX_MS)
+ * while the other clients and agents keep running. runtime.clients holds the clients that
+ * are up, by name, and getClientHealth reports every client with its status.
+ *
+ * A client counts as running once it is connected: Discord after its ready event (within
+ * CLIENT_START_TIMEOUT_MS), Telegram once its bot answered and polling has not failed. A
+ * Telegram bot whose polling fails later is stopped and retried in the same way.
+ */
+
 import { AutoClientInterface } from "@elizaos/client-auto";
 import { DiscordClientInterface } from "@elizaos/client-discord";
 import { TelegramClientInterface } from "@elizaos/client-telegram";
 import { TwitterClientInterface } from "@elizaos/client-twitter";
-import { Character, IAgentRuntime } from "@elizaos/core";
+import {
+  Character,
+  elizaLogger,
+  IAgentRuntime,
+  settings,
+} from "@elizaos/core";
+import { Client as DiscordJsClient, Events as DiscordEvents } from "discord.js";
+import { Telegraf } from "telegraf";
+import { NotFoundError } from "../services/errors.js";
 
-export async function initializeClients(
-  character: Character,
-  runtime: IAgentRuntime
+export type ClientStatus =
+  | "starting"
+  | "running"
+  | "retrying"
+  | "failed"
+  | "stopped";
+
+export interface ClientHealth {
+  name: string;
+  status: ClientStatus;
+  // Start attempts since the client was last started or restarted
+  attempts: number;
+  startedAt: string | null;
+  nextRetryAt: string | null;
+  error: string | null;
+}
+
+// onFailure reports a client that stopped working after it started
+type ClientStarter = (
+  runtime: IAgentRuntime,
+  onFailure: (error: Error) => void
+) => Promise<any>;
+
+interface SupervisedClient extends ClientHealth {
+  start: ClientStarter;
+  timer: NodeJS.Timeout | null;
+  // Bumped when the client is stopped, so that a start still pending is discarded
+  run: number;
+}
+
+const retrySettings = () => ({
+  retries: Number(settings.CLIENT_RETRY_ATTEMPTS || 5),
+  baseDelayMs: Number(settings.CLIENT_RETRY_BASE_MS || 5000),
+  maxDelayMs: Number(settings.CLIENT_RETRY_MAX_MS || 300000),
+  startTimeoutMs: Number(settings.CLIENT_START_TIMEOUT_MS || 60000),
+});
+
+// The Discord and Telegram clients call login() and launch() without awaiting them. Both are
+// wrapped so that their promise is kept for the starters below, and so that a failure is
+// not an unhandled rejection, which would end the process. This patches the discord.js and
+// telegraf imported here, so they must be the copies the clients use (see package.json).
+const connections = new WeakMap<object, Promise<unknown>>();
+
+function keepConnection(prototype: any, method: string) {
+  const original = prototype[method];
+  prototype[method] = function (...args: any[]) {
+    const connection = original.apply(this, args);
+    connections.set(this, connection);
+    connection.catch(() => {});
+    return connection;
+  };
+}
+
+keepConnection(DiscordJsClient.prototype, "login");
+keepConnection(Telegraf.prototype, "launch");
+
+// The connection a started client opened; none is recorded when the client uses another copy
+// of discord.js or telegraf than this module, and then its connection failures go unseen
+function connectionOf(runtime: IAgentRuntime, name: string, target: object) {
+  const connection = connections.get(target);
+  if (!connection) {
+    elizaLogger.warn(
+      `The ${name} client of ${runtime.character.name} started without a recorded connection, so its connection failures are not detected; check that discord.js and telegraf are deduped with the copies of @elizaos/client-${name}`
+    );
+  }
+  return connection;
+}
+
+// Resolves when the Discord client is ready, rejects when its login fails or takes too long
+function discordReady(
+  client: DiscordJsClient,
+  connection: Promise<unknown> | undefined,
+  timeoutMs: number
 ) {
-  const clients = [];
-  const clientTypes = character.clients?.map((str) => str.toLowerCase()) || [];
+  if (client.isReady()) {
+    return Promise.resolve();
+  }
+  return new Promise<void>((resolve, reject) => {
+    const done = (error?: Error) => {
+      clearTimeout(timer);
+      client.off(DiscordEvents.ClientReady, onReady);
+      if (error) {
+        reject(error);
+      } else {
+        resolve();
+      }
+    };
+    const onReady = () => done();
+    const timer = setTimeout(
+      () => done(new Error(`Discord did not become ready within ${timeoutMs}ms`)),
+      timeoutMs
+    );
+    client.once(DiscordEvents.ClientReady, onReady);
+    connection?.catch(done);
+  });
+}
+
+const STARTERS: Record<string, ClientStarter> = {
+  auto: (runtime) => AutoClientInterface.start(runtime),
+  discord: async (runtime) => {
+    const discord: any = await DiscordClientInterface.start(runtime);
+    try {
+      await discordReady(
+        discord.client,
+        connectionOf(runtime, "discord", discord.client),
+        retrySettings().startTimeoutMs
+      );
+    } catch (error) {
+      await stopClient(runtime, "discord", discord);
+      throw error;
+    }
+    return discord;
+  },
+  // The client itself waits for the bot to answer getMe; launch() keeps polling while the bot
+  // runs and rejects when it fails, e.g. when another process polls with the same token
+  telegram: async (runtime, onFailure) => {
+    const telegram: any = await TelegramClientInterface.start(runtime);
+    const launched =
+      connectionOf(runtime, "telegram", telegram.bot) ?? Promise.resolve();
+    try {
+      // Catches only a launch() rejection that has already settled, i.e. launch() failed
+      // while the client was starting; a pending launch() loses the race to the resolved
+      // promise, and its later failure reaches onFailure through launched.catch below
+      await Promise.race([launched, Promise.resolve()]);
+    } catch (error) {
+      await stopClient(runtime, "telegram", telegram);
+      throw error;
+    }
+    launched.catch(onFailure);
+    return telegram;
+  },
+  twitter: (runtime) => TwitterClientInterface.start(runtime),
+};
+
+// Clients are stopped through their own stop(); the auto client has none, so its timer is cleared
+async function stopClient(runtime: IAgentRuntime, name: string, client: any) {
+  try {
+    if (typeof client?.stop === "function") {
+      await client.stop();
+    } else if (client?.interval) {
+      clearInterval(client.interval);
+    } else if (client) {
+      elizaLogger.warn(
+        `The ${name} client of ${runtime.character.name} cannot be stopped and keeps running`
+      );
+    }
+  } catch (error) {
+    elizaLogger.error(
+      `Error stopping the ${name} client of ${runtime.character.name}:`,
+      error
+    );
+  }
+}
+
+class ClientSupervisor {
+  // Clients that are up, by name; this is runtime.clients
+  readonly clients: Record<string, any> = {};
+  private entries = new Map<string, SupervisedClient>();
+  private stopped = false;
+  private runtime: IAgentRuntime;
+  private retry = retrySettings();
+
+  constructor(runtime: IAgentRuntime) {
+    this.runtime = runtime;
+  }
+
+  // Starts a client; a failure is retried later instead of being thrown
+  add(name: string, start: ClientStarter): Promise<void> {
+    const entry: SupervisedClient = {
+      name,
+      status: "starting",
+      attempts: 0,
+      startedAt: null,
+      nextRetryAt: null,
+      error: null,
+      start,
+      timer: null,
+      run: 0,
+    };
+    this.entries.set(name, entry);
+    return this.attempt(entry);
+  }
+
+  private async attempt(entry: SupervisedClient) {
+    const run = entry.run;
+    entry.timer = null;
+    entry.status = "starting";
+    entry.nextRetryAt = null;
+    entry.attempts++;
 
-  if (clientTypes.includes("auto")) {
-    const autoClient = await AutoClientInterface.start(runtime);
-    if (autoClient) clients.push(autoClient);
+    let client: any;
+    try {
+      client = await entry.start(this.runtime, (error) =>
+        this.fail(entry, run, error)
+      );
+    } catch (error) {
+      if (entry.run !== run) {
+        return;
+      }
+      this.retryLater(entry, `failed to start (${error.message})`, error);
+      return;
+    }
+
+    if (entry.run !== run) {
+      await stopClient(this.runtime, entry.name, client);
+      return;
+    }
+    if (client) {
+      this.clients[entry.name] = client;
+    }
+    entry.status = "running";
+    entry.startedAt = new Date().toISOString();
+    entry.error = null;
+  }
+
+  // Marks a client as failed, or schedules its next attempt with exponential backoff
+  private retryLater(entry: SupervisedClient, reason: string, error: Error) {
+    const agentName = this.runtime.character.name;
+    entry.error = error.message;
+    if (entry.attempts > this.retry.retries) {
+      entry.status = "failed";
+      elizaLogger.error(
+        `The ${entry.name} client of ${agentName} failed ${entry.attempts} times, giving up: ${error.message}`
+      );
+      return;
+    }
+    const delay = Math.min(
+      this.retry.baseDelayMs * 2 ** (entry.attempts - 1),
+      this.retry.maxDelayMs
+    );
+    entry.status = "retrying";
+    entry.nextRetryAt = new Date(Date.now() + delay).toISOString();
+    entry.timer = setTimeout(() => this.attempt(entry), delay);
+    elizaLogger.warn(
+      `The ${entry.name} client of ${agentName} ${reason}, retrying in ${delay}ms (attempt ${entry.attempts}/${this.retry.retries + 1})`
+    );
+  }
+
+  // A running client stopped working: it is stopped and retried like a failed start
+  private async fail(entry: SupervisedClient, run: number, error: Error) {
+    if (entry.run !== run || entry.status !== "running") {
+      return;
+    }
+    const client = this.clients[entry.name];
+    delete this.clients[entry.name];
+    entry.startedAt = null;
+    this.retryLater(entry, `stopped (${error.message})`, error);
+    await stopClient(this.runtime, entry.name, client);
   }
 
-  if (clientTypes.includes("discord")) {
-    clients.push(await DiscordClientInterface.start(runtime));
+  // Stops a client and starts it again with a fresh series of attempts
+  async restart(name: string) {
+    const entry = this.entries.get(name);
+    if (!entry || this.stopped) {
+      throw new NotFoundError(
+        `${this.runtime.character.name} has no ${name} client`,
+        { code: "CLIENT_NOT_FOUND" }
+      );
+    }
+    await this.halt(entry);
+    entry.attempts = 0;
+    await this.attempt(entry);
   }
 
-  if (clientTypes.includes("telegram")) {
-    const telegramClient = await TelegramClientInterface.start(runtime);
-    if (telegramClient) clients.push(telegramClient);
+  private async halt(entry: SupervisedClient) {
+    entry.run++;
+    clearTimeout(entry.timer);
+    entry.timer = null;
+    entry.status = "stopped";
+    entry.startedAt = null;
+    entry.nextRetryAt = null;
+    const client = this.clients[entry.name];
+    delete this.clients[entry.name];
+    await stopClient(this.runtime, entry.name, client);
   }
 
-  if (clientTypes.includes("twitter")) {
-    const twitterClients = await TwitterClientInterface.start(runtime);
-    clients.push(twitterClients);
+  health(): ClientHealth[] {
+    return [...this.entries.values()].map(({ start, timer, run, ...health }) => health);
+  }
+
+  async stop() {
+    this.stopped = true;
+    for (const entry of this.entries.values()) {
+      await this.halt(entry);
+    }
+  }
+}
+
+const supervisors = new WeakMap<IAgentRuntime, ClientSupervisor>();
+
+/**
+ * Starts the clients of a character; the first attempt of each is awaited, failed ones are
+ * retried in the background
+ * @returns the clients that started, by name, to be set as runtime.clients
+ */
+export async function initializeClients(
+  character: Character,
+  runtime: IAgentRuntime
+) {
+  const supervisor = new ClientSupervisor(runtime);
+  supervisors.set(runtime, supervisor);
+  const clientTypes = character.clients?.map((str) => str.toLowerCase()) || [];
+
+  for (const [name, start] of Object.entries(STARTERS)) {
+    if (clientTypes.includes(name)) {
+      await supervisor.add(name, start);
+    }
   }
 
   if (character.plugins?.length > 0) {
     for (const plugin of character.plugins) {
-      if (plugin.clients) {
-        for (const client of plugin.clients) {
-          clients.push(await client.start(runtime));
-        }
+      for (const [index, client] of (plugin.clients ?? []).entries()) {
+        const name =
+          plugin.clients.length > 1 ? `${plugin.name}/${index}` : plugin.name;
+        await supervisor.add(name, (runtime) => client.start(runtime));
       }
     }
   }
 
-  return clients;
+  return supervisor.clients;
+}
+
+// Status of every client initializeClients started for a runtime, running or not
+export function getClientHealth(runtime: IAgentRuntime): ClientHealth[] {
+  return supervisors.get(runtime)?.health() ?? [];
+}
+
+/**
+ * Restarts one client of a runtime, e.g. one that gave up after its retries
+ * @throws NotFoundError when the runtime has no such client
+ */
+export async function restartClient(runtime: IAgentRuntime, name: string) {
+  const supervisor = supervisors.get(runtime);
+  if (!supervisor) {
+    throw new NotFoundError(`${runtime.character.name} has no ${name} client`, {
+      code: "CLIENT_NOT_FOUND",
+    });
+  }
+  await supervisor.restart(name);
+}
+
+/**
+ * Stops the clients initializeClients started for a runtime, and their pending retries
+ */
+export async function stopClients(runtime: IAgentRuntime) {
+  const supervisor = supervisors.get(runtime);
+  if (supervisor) {
+    await supervisor.stop();
+    return;
+  }
+  for (const [name, client] of Object.entries(runtime.clients ?? {})) {
+    await stopClient(runtime, name, client);
+  }
 }
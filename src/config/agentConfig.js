@@ -3,14 +3,16 @@
  * This file registers all available actions for the ElizaOS agent
  */
 
-import GoogleVisionAction from '../actions/googleVisionAction.js';
-import OraAction from '../actions/oraAction.js';
+import { analyzeImageAction } from '../actions/analyzeImageAction.js';
+import { appraiseItemAction } from '../actions/appraiseItemAction.js';
+import { compareImagesAction } from '../actions/compareImagesAction.js';
 
-// Export the action registry
+// Export the action registry, picked up by the vision plugin
 export const actionRegistry = [
   // Add our vision and ORA actions
-  GoogleVisionAction,
-  OraAction,
-  
+  analyzeImageAction,
+  appraiseItemAction,
+  compareImagesAction,
+
   // Other actions would be registered here
-]; 
\ No newline at end of file
+];
@@ -0,0 +1,354 @@
+/**
+ * Character files: formats, composition and references
+ *
+ * Characters are read from JSON, JSON5 (.json5) or YAML (.yaml, .yml) files and composed
+ * before they are validated:
+ * - "extends": a file, or a list of files, the character builds on. Objects are merged key
+ *   by key; arrays and other values of the character replace those of its bases.
+ * - { "$include": "file" } or { "$include": "file#/json/pointer" }: replaced by the file, or
+ *   the part of it the pointer selects. Keys next to $include are merged over an included
+ *   object, and an included array inside an array is spliced into it.
+ * - "${NAME}" and "${NAME:-default}" in strings: replaced by environment variables; "$${"
+ *   stands for a literal "${".
+ * - { "$secret": "NAME" }: replaced by the NAME environment variable or, failing that, the
+ *   NAME entry of the secrets file (CHARACTER_SECRETS_FILE, characters/.secrets.json by
+ *   default), so that secrets stay out of character files.
+ * Paths of extends and $include are relative to the file they appear in. Errors are
+ * CharacterErrors naming the file, the path in the character and, where it can be found,
+ * the line.
+ */
+
+import { CharacterSchema } from '@elizaos/core';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { CharacterError } from '../services/errors.js';
+
+const FORMATS = { '.json': 'JSON', '.json5': 'JSON5', '.yaml': 'YAML', '.yml': 'YAML' };
+
+export const CHARACTER_EXTENSIONS = Object.keys(FORMATS);
+
+const DEFAULT_SECRETS_FILE = fileURLToPath(new URL('../../characters/.secrets.json', import.meta.url));
+
+const isObject = value => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+// Files are named relative to the working directory in errors
+const displayName = file => path.relative(process.cwd(), file) || file;
+
+// Path of a value as a string, e.g. settings.secrets or bio[2]
+const formatPath = segments => segments.reduce(
+  (text, segment) => (typeof segment === 'number' ? `${text}[${segment}]` : text ? `${text}.${segment}` : String(segment)),
+  ''
+);
+
+const toLineColumn = (source, offset) => {
+  const lines = source.slice(0, offset).split('\n');
+  return { line: lines.length, column: lines[lines.length - 1].length + 1 };
+};
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Finds the line of a path in a source by following its keys in order; array indexes are
+// skipped, so the line is that of the closest key found
+const locate = (source, segments) => {
+  let offset = -1;
+  for (const segment of segments) {
+    if (typeof segment === 'number') {
+      continue;
+    }
+    const pattern = new RegExp(`(?<![\\w$])(["']?)${escapeRegExp(segment)}\\1\\s*:`, 'g');
+    pattern.lastIndex = Math.max(offset, 0);
+    const match = pattern.exec(source);
+    if (!match) {
+      break;
+    }
+    offset = match.index;
+  }
+  return offset < 0 ? {} : toLineColumn(source, offset);
+};
+
+// JSON errors give the offset of the error, or the unexpected token with up to 10
+// characters of source on each side
+const JSON_POSITION = /(?: in JSON)? at position (\d+)(?: \(line \d+ column \d+\))?/;
+const JSON_TOKEN = /, (\.\.\.)?"([\s\S]*?)"(?:\.\.\.)? is not valid JSON$/;
+
+// Position of a parse error: YAML errors carry linePos, JSON5 errors lineNumber
+const parseErrorPosition = (source, error) => {
+  if (error.linePos) {
+    return { line: error.linePos[0].line, column: error.linePos[0].col };
+  }
+  if (error.lineNumber) {
+    return { line: error.lineNumber, column: error.columnNumber };
+  }
+  const position = JSON_POSITION.exec(error.message);
+  if (position) {
+    return toLineColumn(source, Number(position[1]));
+  }
+  const token = /^Unexpected token '(.+?)'/.exec(error.message);
+  const snippet = JSON_TOKEN.exec(error.message);
+  const start = snippet ? source.indexOf(snippet[2]) : -1;
+  if (!token || start < 0) {
+    return {};
+  }
+  return toLineColumn(source, start + (snippet[1] ? 10 : Math.max(snippet[2].indexOf(token[1]), 0)));
+};
+
+// Message of a parse error without its position, reported separately, or the code frame of YAML errors
+const parseErrorMessage = error => error.message
+  .replace(JSON_POSITION, '')
+  .replace(JSON_TOKEN, '')
+  .split('\n')[0];
+
+// The parsers of the other formats are only needed by the characters written in them
+const importParser = async (name, format) => {
+  try {
+    const module = await import(name);
+    return module.default ?? module;
+  } catch (error) {
+    throw new Error(`the ${name} package is required to read ${format} characters (${error.message})`);
+  }
+};
+
+const getFormat = file => {
+  const format = FORMATS[path.extname(file).toLowerCase()];
+  if (!format) {
+    throw new CharacterError(`Unsupported file type, expected one of ${CHARACTER_EXTENSIONS.join(', ')}`, {
+      file: displayName(file)
+    });
+  }
+  return format;
+};
+
+const parse = async (file, format, source) => {
+  try {
+    if (format === 'JSON') {
+      return JSON.parse(source);
+    }
+    const parser = await importParser(format === 'YAML' ? 'yaml' : 'json5', format);
+    return parser.parse(source);
+  } catch (error) {
+    throw new CharacterError(`Invalid ${format}: ${parseErrorMessage(error)}`, {
+      file: displayName(file),
+      ...parseErrorPosition(source, error)
+    });
+  }
+};
+
+// Merges objects key by key; any other value of the override replaces the base
+const deepMerge = (base, override) => {
+  if (!isObject(base) || !isObject(override)) {
+    return override;
+  }
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(override)) {
+    merged[key] = key in base ? deepMerge(base[key], value) : value;
+  }
+  return merged;
+};
+
+// Selects the part of a document a JSON pointer names, e.g. #/style/all
+const selectPointer = (document, pointer) => pointer
+  .split('/')
+  .slice(1)
+  .map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'))
+  .reduce((value, token) => (value !== null && typeof value === 'object' ? value[token] : undefined), document);
+
+// Reads the files of one character, keeping their sources to point errors at their lines
+class CharacterReader {
+  constructor({ secretsFile }) {
+    this.secretsFile = secretsFile;
+    this.secrets = null;
+    this.documents = new Map();
+  }
+
+  get files() {
+    return [...this.documents.keys()];
+  }
+
+  error(message, file, segments = []) {
+    const source = this.documents.get(file)?.source ?? '';
+    return new CharacterError(message, { file: displayName(file), path: formatPath(segments), ...locate(source, segments) });
+  }
+
+  async read(file) {
+    if (!this.documents.has(file)) {
+      const format = getFormat(file);
+      let source;
+      try {
+        source = await fs.promises.readFile(file, 'utf8');
+      } catch (error) {
+        throw new CharacterError(error.code === 'ENOENT' ? 'File not found' : `Cannot read file: ${error.message}`, {
+          file: displayName(file)
+        });
+      }
+      this.documents.set(file, { source, data: await parse(file, format, source) });
+    }
+    return structuredClone(this.documents.get(file).data);
+  }
+
+  /**
+   * Reads a file with its bases and includes
+   * @param {string} file - Absolute path
+   * @param {string[]} stack - Files being composed, to detect cycles
+   * @returns {Promise<*>} - Composed document
+   */
+  async compose(file, stack = []) {
+    if (stack.includes(file)) {
+      throw new CharacterError(`Circular extends or $include: ${[...stack, file].map(displayName).join(' -> ')}`, {
+        file: displayName(file)
+      });
+    }
+    const within = [...stack, file];
+    const document = await this.resolve(await this.read(file), file, [], within);
+    if (!isObject(document) || document.extends === undefined) {
+      return document;
+    }
+
+    const { extends: bases, ...own } = document;
+    let composed = {};
+    for (const [index, base] of [].concat(bases).entries()) {
+      if (typeof base !== 'string') {
+        throw this.error('must be a file path or a list of file paths', file, Array.isArray(bases) ? ['extends', index] : ['extends']);
+      }
+      composed = deepMerge(composed, await this.compose(path.resolve(path.dirname(file), base), within));
+    }
+    return deepMerge(composed, own);
+  }
+
+  async resolve(value, file, segments, stack) {
+    if (typeof value === 'string') {
+      return this.interpolate(value, file, segments);
+    }
+    if (Array.isArray(value)) {
+      const items = [];
+      for (const [index, item] of value.entries()) {
+        const resolved = await this.resolve(item, file, [...segments, index], stack);
+        if (isObject(item) && item.$include !== undefined && Array.isArray(resolved)) {
+          items.push(...resolved);
+        } else {
+          items.push(resolved);
+        }
+      }
+      return items;
+    }
+    if (!isObject(value)) {
+      return value;
+    }
+    if (value.$secret !== undefined) {
+      return this.resolveSecret(value, file, segments);
+    }
+    if (value.$include !== undefined) {
+      return this.include(value, file, segments, stack);
+    }
+
+    const resolved = {};
+    for (const [key, item] of Object.entries(value)) {
+      resolved[key] = await this.resolve(item, file, [...segments, key], stack);
+    }
+    return resolved;
+  }
+
+  async include({ $include: reference, ...siblings }, file, segments, stack) {
+    if (typeof reference !== 'string' || reference === '') {
+      throw this.error('must be a file path, optionally followed by #/pointer', file, [...segments, '$include']);
+    }
+    const [target, pointer = ''] = reference.split('#');
+    const document = await this.compose(path.resolve(path.dirname(file), target), stack);
+    const included = pointer ? selectPointer(document, pointer) : document;
+    if (included === undefined) {
+      throw this.error(`${target} has nothing at #${pointer}`, file, [...segments, '$include']);
+    }
+    if (Object.keys(siblings).length === 0) {
+      return included;
+    }
+    if (!isObject(included)) {
+      throw this.error(`keys next to $include need ${reference} to be an object`, file, segments);
+    }
+    return deepMerge(included, await this.resolve(siblings, file, segments, stack));
+  }
+
+  interpolate(text, file, segments) {
+    return text.replace(/\$?\$\{([A-Za-z_][A-Za-z0-9_]*)(?::-([^}]*))?\}/g, (match, name, fallback) => {
+      if (match.startsWith('$$')) {
+        return match.slice(1);
+      }
+      const value = process.env[name];
+      if (value !== undefined && (value !== '' || fallback === undefined)) {
+        return value;
+      }
+      if (fallback !== undefined) {
+        return fallback;
+      }
+      throw this.error(`environment variable ${name} is not set`, file, segments);
+    });
+  }
+
+  resolveSecret({ $secret: name, ...rest }, file, segments) {
+    if (typeof name !== 'string' || Object.keys(rest).length > 0) {
+      throw this.error('a secret reference is { "$secret": "NAME" }', file, segments);
+    }
+    const value = process.env[name] || this.readSecrets()[name];
+    if (value === undefined || value === '') {
+      throw this.error(`secret ${name} is not set in the environment or ${displayName(this.secretsFile)}`, file, segments);
+    }
+    return String(value);
+  }
+
+  // The secrets file is read once per character, when a secret is not in the environment
+  readSecrets() {
+    if (!this.secrets) {
+      let source;
+      try {
+        source = fs.readFileSync(this.secretsFile, 'utf8');
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw new CharacterError(`Cannot read secrets: ${error.message}`, { file: displayName(this.secretsFile) });
+        }
+        return (this.secrets = {});
+      }
+      try {
+        this.secrets = JSON.parse(source);
+      } catch (error) {
+        throw new CharacterError(`Invalid JSON: ${parseErrorMessage(error)}`, {
+          file: displayName(this.secretsFile),
+          ...parseErrorPosition(source, error)
+        });
+      }
+      if (!isObject(this.secrets)) {
+        throw new CharacterError('Secrets must be an object of names and values', { file: displayName(this.secretsFile) });
+      }
+      this.documents.set(this.secretsFile, { source, data: this.secrets });
+    }
+    return this.secrets;
+  }
+}
+
+/**
+ * Reads, composes and validates a character file
+ * @param {string} file - Path of the character file
+ * @param {Object} [options]
+ * @param {string} [options.secretsFile] - Secrets of $secret references missing from the
+ *   environment, CHARACTER_SECRETS_FILE or characters/.secrets.json by default
+ * @returns {Promise<{character: Object, files: string[]}>} - The character, and every file it was
+ *   composed from, itself and the secrets file included, to reload it when one of them changes
+ * @throws {CharacterError} - When a file cannot be read or parsed, a reference cannot be
+ *   resolved, or the character is not valid
+ */
+export async function readCharacterFile(file, { secretsFile = process.env.CHARACTER_SECRETS_FILE || DEFAULT_SECRETS_FILE } = {}) {
+  const absolute = path.resolve(file);
+  const reader = new CharacterReader({ secretsFile: path.resolve(secretsFile) });
+  const character = await reader.compose(absolute);
+  if (!isObject(character)) {
+    throw new CharacterError('A character must be an object', { file: displayName(absolute) });
+  }
+
+  const result = CharacterSchema.safeParse(character);
+  if (!result.success) {
+    const [first, ...others] = result.error.issues;
+    const message = others.length > 0
+      ? `${first.message} (and ${others.map(issue => `${formatPath(issue.path)}: ${issue.message}`).join('; ')})`
+      : first.message;
+    throw reader.error(message, absolute, first.path);
+  }
+  return { character, files: reader.files };
+}
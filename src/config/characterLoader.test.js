@@ -0,0 +1,144 @@
+import { afterAll, afterEach, beforeAll, describe, expect, test } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { readCharacterFile } from './characterLoader.js';
+
+const BASE = {
+  name: 'Tester',
+  modelProvider: 'openai',
+  bio: 'Looks at images',
+  lore: [],
+  messageExamples: [],
+  postExamples: [],
+  topics: [],
+  adjectives: [],
+  clients: [],
+  plugins: [],
+  style: { all: [], chat: [], post: [] }
+};
+
+let dir;
+
+// Writes a file of the test directory and returns its path; objects are written as JSON
+const write = (name, content) => {
+  const file = path.join(dir, name);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, typeof content === 'string' ? content : JSON.stringify(content, null, 2));
+  return file;
+};
+
+const read = file => readCharacterFile(file, { secretsFile: path.join(dir, '.secrets.json') });
+
+// The CharacterError a character file is refused with
+const errorOf = async file => {
+  try {
+    await read(file);
+  } catch (error) {
+    return error;
+  }
+  throw new Error(`${file} was loaded`);
+};
+
+beforeAll(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'characters-'));
+});
+
+afterAll(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+afterEach(() => {
+  delete process.env.TEST_CHARACTER_NAME;
+  delete process.env.TEST_OPENAI_KEY;
+});
+
+describe('readCharacterFile', () => {
+  test('composes extends, $include, environment variables and secrets', async () => {
+    write('shared/base.json', BASE);
+    write('shared/style.yaml', 'all:\n  - concise\nchat: []\npost: []\n');
+    write('.secrets.json', { TEST_OPENAI_KEY: 'from-file' });
+    const file = write('vision.json', {
+      extends: './shared/base.json',
+      name: '${TEST_CHARACTER_NAME:-Vision}',
+      bio: 'Costs $${PRICE}',
+      style: { $include: './shared/style.yaml' },
+      settings: { secrets: { OPENAI_API_KEY: { $secret: 'TEST_OPENAI_KEY' } } }
+    });
+
+    const { character, files } = await read(file);
+    expect(character).toMatchObject({
+      name: 'Vision',
+      bio: 'Costs ${PRICE}',
+      lore: [],
+      style: { all: ['concise'], chat: [], post: [] },
+      settings: { secrets: { OPENAI_API_KEY: 'from-file' } }
+    });
+    expect(files.sort()).toEqual([file, path.join(dir, '.secrets.json'), path.join(dir, 'shared/base.json'), path.join(dir, 'shared/style.yaml')].sort());
+
+    process.env.TEST_CHARACTER_NAME = 'Env';
+    process.env.TEST_OPENAI_KEY = 'from-env';
+    expect((await read(file)).character).toMatchObject({ name: 'Env', settings: { secrets: { OPENAI_API_KEY: 'from-env' } } });
+  });
+
+  test('accepts JSON5 characters', async () => {
+    const file = write('json5.json5', `// comments and trailing commas\n${JSON.stringify(BASE).slice(0, -1)}, clients: [],}`);
+    expect((await read(file)).character.name).toBe('Tester');
+  });
+
+  test('reports JSON syntax errors with file, line and column', async () => {
+    const file = write('broken.json', '{\n  "name": "Tester",\n  "bio": "unterminated\n}\n');
+    const error = await errorOf(file);
+    expect(error).toMatchObject({ code: 'INVALID_CHARACTER', file: path.relative(process.cwd(), file), line: 3 });
+    expect(error.message).toMatch(/^.*broken\.json:3:\d+: Invalid JSON: /);
+  });
+
+  test('reports YAML syntax errors with their line', async () => {
+    const file = write('broken.yaml', 'name: Tester\nbio: [unclosed\nlore: []\n');
+    const error = await errorOf(file);
+    expect(error.message).toMatch(/broken\.yaml:\d+:\d+: Invalid YAML: /);
+    expect(error.line).toBeGreaterThan(1);
+  });
+
+  test('reports unset environment variables with the path and line of the value', async () => {
+    const file = write('env.json', { ...BASE, settings: { model: '${TEST_UNSET_MODEL}' } });
+    const error = await errorOf(file);
+    expect(error).toMatchObject({ path: 'settings.model', line: 18 });
+    expect(error.message).toBe(`${path.relative(process.cwd(), file)}:18:5: settings.model: environment variable TEST_UNSET_MODEL is not set`);
+  });
+
+  test('reports missing secrets with the secrets file they were looked up in', async () => {
+    const file = write('secret.json', { ...BASE, settings: { secrets: { KEY: { $secret: 'TEST_MISSING_SECRET' } } } });
+    const error = await errorOf(file);
+    expect(error.path).toBe('settings.secrets.KEY');
+    expect(error.message).toContain('secret TEST_MISSING_SECRET is not set in the environment or');
+  });
+
+  test('reports schema errors with the path and line of the field', async () => {
+    const file = write('invalid.json', { ...BASE, style: { all: [], chat: 'friendly', post: [] } });
+    const error = await errorOf(file);
+    expect(error).toMatchObject({ path: 'style.chat', line: 14 });
+  });
+
+  test('reports errors of an included file in that file', async () => {
+    write('fragments/bad.json', { nested: { value: '${TEST_UNSET_FRAGMENT}' } });
+    const file = write('includer.json', { ...BASE, lore: { $include: './fragments/bad.json' } });
+    const error = await errorOf(file);
+    expect(error).toMatchObject({ file: path.relative(process.cwd(), path.join(dir, 'fragments/bad.json')), path: 'nested.value', line: 3 });
+  });
+
+  test('reports missing files, pointers and cycles', async () => {
+    expect((await errorOf(write('missing.json', { ...BASE, lore: { $include: './nowhere.json' } }))).message)
+      .toMatch(/nowhere\.json: File not found$/);
+    write('lore.json', { lore: ['a'] });
+    expect((await errorOf(write('pointer.json', { ...BASE, lore: { $include: './lore.json#/legends' } }))).message)
+      .toContain('lore.$include: ./lore.json has nothing at #/legends');
+    write('a.json', { extends: './b.json' });
+    write('b.json', { extends: './a.json' });
+    expect((await errorOf(path.join(dir, 'a.json'))).message).toMatch(/Circular extends or \$include: .*a\.json -> .*b\.json -> .*a\.json$/);
+  });
+
+  test('refuses other file types', async () => {
+    expect((await errorOf(write('character.txt', 'name: Tester'))).message).toMatch(/Unsupported file type, expected one of \.json, \.json5, \.yaml, \.yml$/);
+  });
+});
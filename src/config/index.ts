@@ -1,8 +1,16 @@
 
-import { Character, ModelProviderName, settings, validateCharacterConfig } from "@elizaos/core";
-import fs from "fs";
+import { Character, ModelProviderName, settings } from "@elizaos/core";
 import path from "path";
 import yargs from "yargs";
+import { readCharacterFile } from "./characterLoader.js";
+import { resolveModelProvider } from "./modelProviders.js";
+
+export { CHARACTER_EXTENSIONS, readCharacterFile } from "./characterLoader.js";
+export {
+  getModelProviders,
+  requireModelProvider,
+  resolveModelProvider,
+} from "./modelProviders.js";
 
 export function parseArguments(): {
   character?: string;
@@ -12,11 +20,11 @@ export function parseArguments(): {
     return yargs(process.argv.slice(2))
       .option("character", {
         type: "string",
-        description: "Path to the character JSON file",
+        description: "Path to the character file (JSON, JSON5 or YAML)",
       })
       .option("characters", {
         type: "string",
-        description: "Comma separated list of paths to character JSON files",
+        description: "Comma separated list of paths to character files",
       })
       .parseSync();
   } catch (error) {
@@ -25,30 +33,38 @@ export function parseArguments(): {
   }
 }
 
+// Bare file names are looked up in the characters directory
+export function resolveCharacterPath(filePath: string): string {
+  filePath = filePath.trim();
+  if (path.basename(filePath) === filePath) {
+    filePath = "../characters/" + filePath;
+  }
+  return path.resolve(process.cwd(), filePath);
+}
+
+/**
+ * Reads, composes and validates one character file (see characterLoader.js)
+ * @throws CharacterError naming the file, line and path at fault
+ */
+export async function loadCharacter(filePath: string): Promise<Character> {
+  const { character } = await readCharacterFile(filePath);
+  return character;
+}
+
 export async function loadCharacters(
   charactersArg: string
 ): Promise<Character[]> {
-  let characterPaths = charactersArg?.split(",").map((filePath) => {
-    if (path.basename(filePath) === filePath) {
-      filePath = "../characters/" + filePath;
-    }
-    return path.resolve(process.cwd(), filePath.trim());
-  });
+  let characterPaths = charactersArg?.split(",").map(resolveCharacterPath);
 
   const loadedCharacters = [];
 
   if (characterPaths?.length > 0) {
     for (const path of characterPaths) {
       try {
-        const character = JSON.parse(fs.readFileSync(path, "utf8"));
-
-        validateCharacterConfig(character);
-
-        loadedCharacters.push(character);
+        loadedCharacters.push(await loadCharacter(path));
       } catch (e) {
-        console.error(`Error loading character from ${path}: ${e}`);
-        // don't continue to load if a specified file is not found
-        process.exit(1);
+        // the other characters still load; a fixed file is picked up when it is watched
+        console.error(`Error loading character: ${e.message}`);
       }
     }
   }
@@ -56,48 +72,10 @@ export async function loadCharacters(
   return loadedCharacters;
 }
 
+// API key of a model provider, from the character secrets or the environment (see modelProviders.js)
 export function getTokenForProvider(
   provider: ModelProviderName,
   character: Character
-) {
-  switch (provider) {
-    case ModelProviderName.OPENAI:
-      return (
-        character.settings?.secrets?.OPENAI_API_KEY || settings.OPENAI_API_KEY
-      );
-    case ModelProviderName.LLAMACLOUD:
-      return (
-        character.settings?.secrets?.LLAMACLOUD_API_KEY ||
-        settings.LLAMACLOUD_API_KEY ||
-        character.settings?.secrets?.TOGETHER_API_KEY ||
-        settings.TOGETHER_API_KEY ||
-        character.settings?.secrets?.XAI_API_KEY ||
-        settings.XAI_API_KEY ||
-        character.settings?.secrets?.OPENAI_API_KEY ||
-        settings.OPENAI_API_KEY
-      );
-    case ModelProviderName.ANTHROPIC:
-      return (
-        character.settings?.secrets?.ANTHROPIC_API_KEY ||
-        character.settings?.secrets?.CLAUDE_API_KEY ||
-        settings.ANTHROPIC_API_KEY ||
-        settings.CLAUDE_API_KEY
-      );
-    case ModelProviderName.REDPILL:
-      return (
-        character.settings?.secrets?.REDPILL_API_KEY || settings.REDPILL_API_KEY
-      );
-    case ModelProviderName.OPENROUTER:
-      return (
-        character.settings?.secrets?.OPENROUTER || settings.OPENROUTER_API_KEY
-      );
-    case ModelProviderName.GROK:
-      return character.settings?.secrets?.GROK_API_KEY || settings.GROK_API_KEY;
-    case ModelProviderName.HEURIST:
-      return (
-        character.settings?.secrets?.HEURIST_API_KEY || settings.HEURIST_API_KEY
-      );
-    case ModelProviderName.GROQ:
-      return character.settings?.secrets?.GROQ_API_KEY || settings.GROQ_API_KEY;
-  }
+): string | undefined {
+  return resolveModelProvider(provider, character)?.apiKey;
 }
@@ -0,0 +1,148 @@
+/**
+ * Model providers of the characters: API keys and endpoints
+ *
+ * The registry lists the providers by the modelProvider value of a character, with the
+ * settings holding its API key (apiKeys, tried in order), keys of other services it accepts
+ * when those are unset (fallbackKeys), its base URL and the setting overriding it
+ * (baseUrlSetting), and whether it runs without a key (requiresApiKey: false). The default
+ * file is src/config/modelProviders.json; the providers of the file MODEL_PROVIDERS_PATH
+ * names are added to it, replacing those with the same name.
+ * Keys are looked up in the character's settings.secrets first, then in the environment, so
+ * that a character's own key wins over the keys of the process.
+ */
+
+import { ModelProviderName, settings } from '@elizaos/core';
+import fs from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { CharacterError } from '../services/errors.js';
+
+export const DEFAULT_MODEL_PROVIDERS_PATH = join(dirname(fileURLToPath(import.meta.url)), 'modelProviders.json');
+
+// Compiled registries by path, read once per process
+const registries = new Map();
+
+const isNameList = value => Array.isArray(value) && value.every(name => typeof name === 'string' && name !== '');
+
+/**
+ * Validates a parsed registry and fills in the defaults of its entries
+ * @param {Object} raw - Parsed registry file
+ * @returns {Object<string, Object>} - Providers by modelProvider value
+ * @throws {Error} - When an entry is malformed
+ */
+export function compileModelProviders(raw) {
+  if (typeof raw !== 'object' || raw === null || Array.isArray(raw)) {
+    throw new Error('The registry must be an object of providers by modelProvider value');
+  }
+  return Object.fromEntries(Object.entries(raw).map(([id, entry]) => {
+    if (!isNameList(entry?.apiKeys)) {
+      throw new Error(`${id}.apiKeys must be a list of setting names`);
+    }
+    if (entry.fallbackKeys !== undefined && !isNameList(entry.fallbackKeys)) {
+      throw new Error(`${id}.fallbackKeys must be a list of setting names`);
+    }
+    const requiresApiKey = entry.requiresApiKey !== false;
+    if (requiresApiKey && entry.apiKeys.length === 0) {
+      throw new Error(`${id} needs apiKeys, or requiresApiKey: false`);
+    }
+    return [id, {
+      id,
+      name: entry.name ?? id,
+      apiKeys: entry.apiKeys,
+      fallbackKeys: entry.fallbackKeys ?? [],
+      requiresApiKey,
+      baseUrl: entry.baseUrl ?? null,
+      baseUrlSetting: entry.baseUrlSetting ?? null
+    }];
+  }));
+}
+
+function loadRegistry(path) {
+  if (!registries.has(path)) {
+    try {
+      registries.set(path, compileModelProviders(JSON.parse(fs.readFileSync(path, 'utf8'))));
+    } catch (error) {
+      throw new Error(`Invalid model provider registry ${path}: ${error.message}`);
+    }
+  }
+  return registries.get(path);
+}
+
+/**
+ * Returns the registry: the default providers and those of MODEL_PROVIDERS_PATH
+ * @returns {Object<string, Object>} - Providers by modelProvider value
+ * @throws {Error} - When a registry file cannot be read or is malformed, naming the file
+ */
+export function getModelProviders() {
+  const extraPath = settings.MODEL_PROVIDERS_PATH;
+  return extraPath
+    ? { ...loadRegistry(DEFAULT_MODEL_PROVIDERS_PATH), ...loadRegistry(extraPath) }
+    : loadRegistry(DEFAULT_MODEL_PROVIDERS_PATH);
+}
+
+// First of the names set in the character secrets or, failing that, in the environment
+function findSetting(character, names) {
+  for (const source of [character?.settings?.secrets ?? {}, settings]) {
+    const name = names.find(candidate => source[candidate]);
+    if (name) {
+      return { name, value: source[name] };
+    }
+  }
+  return null;
+}
+
+/**
+ * Looks up the API key and base URL of a model provider for a character
+ * @param {string} providerId - modelProvider value, e.g. openai
+ * @param {Object} character - Character whose settings.secrets are read first
+ * @returns {{provider: Object, apiKey: (string|undefined), apiKeyName: (string|undefined),
+ *   fallback: boolean, baseUrl: (string|null)}|null} - apiKeyName is the setting the key
+ *   was read from and fallback tells whether it is one of the fallbackKeys; null when the
+ *   registry has no such provider
+ */
+export function resolveModelProvider(providerId, character) {
+  const provider = getModelProviders()[providerId];
+  if (!provider) {
+    return null;
+  }
+  const apiKey = findSetting(character, provider.apiKeys) ?? findSetting(character, provider.fallbackKeys);
+  const baseUrl = provider.baseUrlSetting && findSetting(character, [provider.baseUrlSetting]);
+  return {
+    provider,
+    apiKey: apiKey?.value,
+    apiKeyName: apiKey?.name,
+    fallback: apiKey !== null && !provider.apiKeys.includes(apiKey.name),
+    baseUrl: baseUrl?.value ?? provider.baseUrl
+  };
+}
+
+/**
+ * Checks that the model provider of a character is known and has a key when it needs one
+ * Providers of @elizaos/core that the registry does not list are let through without a key check.
+ * @param {Object} character - Character to check
+ * @returns {Object|null} - Credentials, as resolveModelProvider returns them; null for a provider
+ *   the registry does not list
+ * @throws {CharacterError} - Naming the character, its provider and the settings that would fix it
+ */
+export function requireModelProvider(character) {
+  const providerId = character.modelProvider;
+  const resolved = resolveModelProvider(providerId, character);
+  if (!resolved && Object.values(ModelProviderName).includes(providerId)) {
+    return null;
+  }
+  if (!resolved) {
+    throw new CharacterError(
+      `${character.name} uses the model provider ${providerId}, which is not in the provider registry; add it to the file MODEL_PROVIDERS_PATH names`,
+      { path: 'modelProvider' }
+    );
+  }
+  const { provider, apiKey } = resolved;
+  if (provider.requiresApiKey && !apiKey) {
+    const fallbacks = provider.fallbackKeys.length > 0 ? ` (or ${provider.fallbackKeys.join(', ')})` : '';
+    throw new CharacterError(
+      `${character.name} uses ${provider.name}, which needs ${provider.apiKeys.join(' or ')}${fallbacks} in settings.secrets or the environment`,
+      { path: 'modelProvider' }
+    );
+  }
+  return resolved;
+}
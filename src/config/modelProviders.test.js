@@ -0,0 +1,56 @@
+import { describe, expect, test } from '@jest/globals';
+import { compileModelProviders, requireModelProvider, resolveModelProvider } from './modelProviders.js';
+
+const character = (modelProvider, secrets = {}) => ({ name: 'Tester', modelProvider, settings: { secrets } });
+
+describe('resolveModelProvider', () => {
+  test('reads the key and base URL from the character secrets first', () => {
+    expect(resolveModelProvider('deepseek', character('deepseek', { DEEPSEEK_API_KEY: 'sk-1', DEEPSEEK_API_URL: 'https://proxy.example.com' })))
+      .toMatchObject({ apiKey: 'sk-1', apiKeyName: 'DEEPSEEK_API_KEY', fallback: false, baseUrl: 'https://proxy.example.com' });
+  });
+
+  test('uses the fallback keys when the keys of the provider are unset', () => {
+    expect(resolveModelProvider('grok', character('grok', { XAI_API_KEY: 'xai-1' })))
+      .toMatchObject({ apiKey: 'xai-1', apiKeyName: 'XAI_API_KEY', fallback: true, baseUrl: 'https://api.x.ai/v1' });
+  });
+
+  test('returns null for providers the registry does not list', () => {
+    expect(resolveModelProvider('mistral', character('mistral'))).toBeNull();
+  });
+});
+
+describe('requireModelProvider', () => {
+  test('refuses listed providers without their key', () => {
+    expect(() => requireModelProvider(character('redpill'))).toThrow(
+      expect.objectContaining({ path: 'modelProvider', message: expect.stringContaining('Tester uses RedPill, which needs REDPILL_API_KEY') })
+    );
+  });
+
+  test('accepts providers that run without a key', () => {
+    expect(requireModelProvider(character('llama_local')).provider.name).toBe('Local Llama');
+  });
+
+  test.each(['mistral', 'galadriel', 'hyperbolic', 'claude_vertex', 'eternalai', 'gaianet'])(
+    'lets %s of @elizaos/core through without a key check',
+    providerId => {
+      expect(requireModelProvider(character(providerId))).toBeNull();
+    }
+  );
+
+  test('refuses providers @elizaos/core does not know', () => {
+    expect(() => requireModelProvider(character('skynet'))).toThrow('Tester uses the model provider skynet, which is not in the provider registry');
+  });
+});
+
+describe('compileModelProviders', () => {
+  test('fills in the defaults of the entries', () => {
+    expect(compileModelProviders({ mistral: { apiKeys: ['MISTRAL_API_KEY'] } })).toEqual({
+      mistral: { id: 'mistral', name: 'mistral', apiKeys: ['MISTRAL_API_KEY'], fallbackKeys: [], requiresApiKey: true, baseUrl: null, baseUrlSetting: null }
+    });
+  });
+
+  test('refuses malformed entries', () => {
+    expect(() => compileModelProviders({ mistral: { apiKeys: 'MISTRAL_API_KEY' } })).toThrow('mistral.apiKeys must be a list of setting names');
+    expect(() => compileModelProviders({ mistral: { apiKeys: [] } })).toThrow('mistral needs apiKeys, or requiresApiKey: false');
+  });
+});
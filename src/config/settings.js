@@ -0,0 +1,25 @@
+/**
+ * Settings lookup shared by the vision actions and services
+ */
+
+/**
+ * Reads a setting from the agent runtime (character secrets and settings) and
+ * falls back to the process environment
+ * @param {Object} agent - Agent runtime or mock agent
+ * @param {string} key - Setting name
+ * @param {*} [defaultValue] - Value returned when the setting is not configured
+ * @returns {*} - Setting value
+ */
+export function getSetting(agent, key, defaultValue) {
+  const value = agent?.getSetting?.(key) ?? process.env[key];
+  return value === undefined || value === '' ? defaultValue : value;
+}
+
+/**
+ * Returns the vision block of the character settings (settings.vision)
+ * @param {Object} agent - Agent runtime or mock agent
+ * @returns {Object} - Vision settings, empty when the character defines none
+ */
+export function getVisionSettings(agent) {
+  return agent?.character?.settings?.vision ?? {};
+}
@@ -0,0 +1,29 @@
+/**
+ * Database connection shared by the agent runtime and the REST server
+ * Connects to Postgres when POSTGRES_URL is set, otherwise to a SQLite file.
+ */
+
+import { PostgresDatabaseAdapter } from '@elizaos/adapter-postgres';
+import { SqliteDatabaseAdapter } from '@elizaos/adapter-sqlite';
+import Database from 'better-sqlite3';
+import path from 'path';
+
+/**
+ * Creates the database adapter; callers run `await db.init()` before using it
+ * @param {string} dataDir - Directory of the default SQLite file
+ * @returns {PostgresDatabaseAdapter|SqliteDatabaseAdapter}
+ */
+export function initializeDatabase(dataDir) {
+  if (process.env.POSTGRES_URL) {
+    const db = new PostgresDatabaseAdapter({
+      connectionString: process.env.POSTGRES_URL,
+    });
+    return db;
+  } else {
+    const filePath =
+      process.env.SQLITE_FILE ?? path.resolve(dataDir, 'db.sqlite');
+    // ":memory:";
+    const db = new SqliteDatabaseAdapter(new Database(filePath));
+    return db;
+  }
+}
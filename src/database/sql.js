@@ -0,0 +1,53 @@
+/**
+ * Minimal SQL client over the ElizaOS database adapters
+ * Lets the vision features keep their own tables in the agent's database, whether it is
+ * SQLite (better-sqlite3 behind SqliteDatabaseAdapter) or Postgres (PostgresDatabaseAdapter).
+ * Statements use `?` placeholders, which are rewritten to `$1, $2, ...` for Postgres.
+ */
+
+/**
+ * @typedef {Object} SqlClient
+ * @property {'sqlite'|'postgres'} dialect
+ * @property {function(string): Promise<void>} exec - Runs statements without parameters
+ * @property {function(string, Array=): Promise<{changes: number}>} run - Runs a statement
+ * @property {function(string, Array=): Promise<Object|undefined>} get - Returns the first row
+ * @property {function(string, Array=): Promise<Array<Object>>} all - Returns every row
+ */
+
+/**
+ * Wraps a database adapter
+ * @param {Object} adapter - SqliteDatabaseAdapter or PostgresDatabaseAdapter
+ * @returns {SqlClient}
+ */
+export function createSqlClient(adapter) {
+  if (adapter?.db?.prepare) {
+    const { db } = adapter;
+    return {
+      dialect: 'sqlite',
+      exec: async sql => {
+        db.exec(sql);
+      },
+      run: async (sql, params = []) => ({ changes: db.prepare(sql).run(...params).changes }),
+      get: async (sql, params = []) => db.prepare(sql).get(...params),
+      all: async (sql, params = []) => db.prepare(sql).all(...params)
+    };
+  }
+
+  if (typeof adapter?.query === 'function') {
+    const query = (sql, params = []) => {
+      let position = 0;
+      return adapter.query(sql.replace(/\?/g, () => `$${++position}`), params);
+    };
+    return {
+      dialect: 'postgres',
+      exec: async sql => {
+        await adapter.query(sql);
+      },
+      run: async (sql, params) => ({ changes: (await query(sql, params)).rowCount }),
+      get: async (sql, params) => (await query(sql, params)).rows[0],
+      all: async (sql, params) => (await query(sql, params)).rows
+    };
+  }
+
+  throw new Error('Unsupported database adapter: expected a SQLite or Postgres adapter');
+}
@@ -5,7 +5,7 @@
 
 // Import action handlers
 import GoogleVisionAction from './actions/googleVisionAction.js';
-import OraAction from './actions/oraAction.js';
+import { OraAction } from './actions/oraAction.js';
 
 // Set environment variables manually if dotenv fails
 try {
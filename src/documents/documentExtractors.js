@@ -0,0 +1,444 @@
+/**
+ * Structured field extraction from OCR text
+ *
+ * Receipts, product labels and certificates are recognized from weighted keyword cues, and
+ * each has an extractor that reads its fields line by line. Every field found is an object
+ * with the line it was read from (`text`), so answers can quote their source; fields that
+ * were not found are null.
+ *
+ * Dates are normalized to ISO 8601 when the order of day and month is certain: numeric
+ * dates such as 03/04/2024 keep `iso: null`, while 13/04/2024 and 2024-04-03 do not.
+ */
+
+import { InvalidRequestError } from '../services/errors.js';
+import { getTextLines } from './documentLayout.js';
+
+export const DOCUMENT_TYPES = ['receipt', 'label', 'certificate'];
+
+// Score a document type needs to be detected without being asked for
+const DETECTION_THRESHOLD = 0.5;
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const MONTH_NAME = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)\\.?';
+
+const DATE_PATTERNS = [
+  // 2024-03-12, 2024/03/12, 2024.03.12
+  { pattern: /\b(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})\b/, parse: ([, y, m, d]) => ({ year: y, month: m, day: d }) },
+  // 12 March 2024, 12 Mar 24
+  { pattern: new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+${MONTH_NAME}\\s*,?\\s+(\\d{4}|\\d{2})\\b`, 'i'), parse: ([, d, m, y]) => ({ year: y, month: m, day: d }) },
+  // March 12, 2024
+  { pattern: new RegExp(`\\b${MONTH_NAME}\\s+(\\d{1,2})(?:st|nd|rd|th)?\\s*,?\\s+(\\d{4})\\b`, 'i'), parse: ([, m, d, y]) => ({ year: y, month: m, day: d }) },
+  // 12/03/2024, 03-12-24, 12.03.2024: day and month are told apart only when one is above 12
+  { pattern: /\b(\d{1,2})[-/.](\d{1,2})[-/.](\d{4}|\d{2})\b/, parse: ([, a, b, y]) => ({ year: y, first: a, second: b }) },
+  // 03/2026, 2026-03 (expiry dates)
+  { pattern: /\b(\d{4})[-/](\d{1,2})\b(?![-/.]\d)/, parse: ([, y, m]) => ({ year: y, month: m }) },
+  { pattern: /\b(\d{1,2})[-/](\d{4})\b/, parse: ([, m, y]) => ({ year: y, month: m }) }
+];
+
+const CURRENCIES = { $: 'USD', '€': 'EUR', '£': 'GBP', '¥': 'JPY', '₹': 'INR' };
+const CURRENCY_CODES = ['USD', 'EUR', 'GBP', 'JPY', 'CHF', 'CAD', 'AUD', 'INR', 'CNY', 'SEK', 'NOK', 'DKK'];
+const AMOUNT_PATTERN = new RegExp(
+  `(?:([$€£¥₹]|\\b(?:${CURRENCY_CODES.join('|')}))\\s?)?(-?\\d{1,3}(?:[,.' ]\\d{3})*[.,]\\d{2}|-?\\d+[.,]\\d{2})(?!\\d)\\s?([$€£¥₹]|(?:${CURRENCY_CODES.join('|')})\\b)?`,
+  'g'
+);
+
+// Keyword cues of each document type, combined like intent cues
+const TYPE_CUES = {
+  receipt: [
+    { pattern: /\b(?:sub[- ]?total|grand total|amount due|balance due|total due)\b/i, weight: 0.7 },
+    { pattern: /\btotal\b/i, weight: 0.4 },
+    { pattern: /\b(?:receipt|invoice|bill)\b/i, weight: 0.6 },
+    { pattern: /\b(?:tax|vat|gst|hst)\b/i, weight: 0.3 },
+    { pattern: /\b(?:cash|change|visa|mastercard|amex|debit|credit card|tip)\b/i, weight: 0.4 },
+    { pattern: /\b(?:thank you|cashier|qty)\b/i, weight: 0.3 }
+  ],
+  label: [
+    { pattern: /\b(?:ingredients|nutrition facts|net\s*(?:wt|weight|vol|contents)|best before|use by)\b/i, weight: 0.7 },
+    { pattern: /\b(?:s\/n|serial(?: no| number)?|model(?: no| number)?|p\/n|part no)\b/i, weight: 0.6 },
+    { pattern: /\b(?:lot|batch|exp(?:iry|iration)?|mfg|mfd)\b/i, weight: 0.5 },
+    { pattern: /\b(?:made in|warning|caution|keep refrigerated|store in)\b/i, weight: 0.4 },
+    { pattern: /\b\d{12,13}\b/, weight: 0.3 }
+  ],
+  certificate: [
+    { pattern: /\bcertific(?:ate|ation)\b/i, weight: 0.7 },
+    { pattern: /\b(?:certify|certifies|hereby|awarded to|presented to|granted to|issued to)\b/i, weight: 0.7 },
+    { pattern: /\b(?:diploma|authenticity|accreditation|licen[cs]e)\b/i, weight: 0.6 },
+    { pattern: /\b(?:signature|signed|issued by|date of issue)\b/i, weight: 0.3 }
+  ]
+};
+
+const round = value => Math.round(value * 1000) / 1000;
+
+const pad = value => String(value).padStart(2, '0');
+
+const toYear = year => (year.length === 2 ? 2000 + Number(year) : Number(year));
+
+const toMonth = month => (/^\d+$/.test(month) ? Number(month) : MONTHS.indexOf(month.slice(0, 3).toLowerCase()) + 1);
+
+const validDay = (year, month, day) => month >= 1 && month <= 12 && day >= 1 && day <= new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+/**
+ * Finds the first date in a line of text
+ * @param {string} line - Text
+ * @returns {{iso: string|null, raw: string}|null} - The date as written and, when the order
+ *   of day and month is certain, as yyyy-mm-dd (yyyy-mm for month dates); null without a date
+ */
+export function parseDate(line) {
+  for (const { pattern, parse } of DATE_PATTERNS) {
+    const match = line.match(pattern);
+    if (!match) {
+      continue;
+    }
+    const parts = parse(match);
+    const year = toYear(parts.year);
+
+    if (parts.first !== undefined) {
+      const [a, b] = [Number(parts.first), Number(parts.second)];
+      // Day first when the first number cannot be a month, month first when the second cannot
+      const order = a > 12 ? [b, a] : b > 12 ? [a, b] : null;
+      if (!order) {
+        return validDay(year, a, b) || validDay(year, b, a) ? { iso: null, raw: match[0] } : null;
+      }
+      const [month, day] = order;
+      if (validDay(year, month, day)) {
+        return { iso: `${year}-${pad(month)}-${pad(day)}`, raw: match[0] };
+      }
+      continue;
+    }
+
+    const month = toMonth(parts.month);
+    if (parts.day === undefined) {
+      if (month >= 1 && month <= 12) {
+        return { iso: `${year}-${pad(month)}`, raw: match[0] };
+      }
+      continue;
+    }
+    const day = Number(parts.day);
+    if (validDay(year, month, day)) {
+      return { iso: `${year}-${pad(month)}-${pad(day)}`, raw: match[0] };
+    }
+  }
+  return null;
+}
+
+// Reads "1,234.56", "1.234,56" and "1 234,56": the last separator before two digits is the decimal point
+const toNumber = digits => Number(digits.replace(/[,.' ](?=\d{3}(?:\D|$))/g, '').replace(',', '.'));
+
+/**
+ * Finds the amounts of money in a line of text
+ * @param {string} line - Text
+ * @returns {Array<{amount: number, currency: string|null, raw: string}>}
+ */
+export function parseAmounts(line) {
+  return [...line.matchAll(AMOUNT_PATTERN)].map(([raw, before, digits, after]) => {
+    const symbol = before || after;
+    return {
+      amount: toNumber(digits),
+      currency: symbol ? CURRENCIES[symbol] ?? symbol.toUpperCase() : null,
+      raw: raw.trim()
+    };
+  });
+}
+
+/**
+ * Checks the check digit of a GTIN (EAN-8, UPC-A, EAN-13 or GTIN-14)
+ * @param {string} digits - Barcode digits
+ * @returns {boolean}
+ */
+export function isValidGtin(digits) {
+  if (!/^(?:\d{8}|\d{12,14})$/.test(digits)) {
+    return false;
+  }
+  const values = [...digits].map(Number);
+  const check = values.pop();
+  // Weights alternate 3 and 1 from the rightmost digit before the check digit
+  const sum = values.reverse().reduce((total, value, index) => total + value * (index % 2 === 0 ? 3 : 1), 0);
+  return (10 - (sum % 10)) % 10 === check;
+}
+
+const GTIN_FORMATS = { 8: 'EAN-8', 12: 'UPC-A', 13: 'EAN-13', 14: 'GTIN-14' };
+
+// First line matching a pattern, with the index it was found at
+const findLine = (lines, pattern, from = 0) => {
+  for (let index = from; index < lines.length; index++) {
+    if (pattern.test(lines[index])) {
+      return { line: lines[index], index };
+    }
+  }
+  return null;
+};
+
+// Value following a keyword on the same line, e.g. "S/N: AB12345"
+const findValue = (lines, pattern) => {
+  for (const line of lines) {
+    const value = line.match(pattern)?.[1];
+    if (value) {
+      return { value: value.replace(/[.,;:]$/, ''), text: line };
+    }
+  }
+  return null;
+};
+
+// Date on the first line matching a keyword, or on the line after it
+const findDate = (lines, pattern) => {
+  const found = findLine(lines, pattern);
+  if (!found) {
+    return null;
+  }
+  for (const line of [found.line, lines[found.index + 1]].filter(Boolean)) {
+    const date = parseDate(line);
+    if (date) {
+      return { ...date, text: line };
+    }
+  }
+  return null;
+};
+
+// Amount on the last line matching a keyword (totals are repeated after discounts), or on the line after it
+const findAmount = (lines, pattern, exclude) => {
+  for (let index = lines.length - 1; index >= 0; index--) {
+    if (!pattern.test(lines[index]) || exclude?.test(lines[index])) {
+      continue;
+    }
+    for (const line of [lines[index], lines[index + 1]].filter(Boolean)) {
+      const amounts = parseAmounts(line);
+      if (amounts.length > 0) {
+        const { amount, currency } = amounts[amounts.length - 1];
+        return { amount, currency, text: line };
+      }
+    }
+  }
+  return null;
+};
+
+const firstDate = lines => {
+  for (const line of lines) {
+    const date = parseDate(line);
+    if (date) {
+      return { ...date, text: line };
+    }
+  }
+  return null;
+};
+
+const SUMMARY_LINE = /\b(?:sub[- ]?total|total|tax|vat|gst|hst|tip|gratuity|change|cash|balance|amount|visa|mastercard|amex|debit|credit|card|discount|savings|tender)\b/i;
+
+function extractReceipt(lines) {
+  const total = findAmount(lines, /\b(?:grand total|total due|amount due|balance due|to pay)\b/i)
+    ?? findAmount(lines, /\btotal\b/i, /\b(?:sub[- ]?total|total (?:tax|savings|discount|items?|qty))\b/i);
+  const subtotal = findAmount(lines, /\bsub[- ]?total\b/i);
+  const tax = findAmount(lines, /\b(?:tax|vat|gst|hst)\b/i, /\b(?:total|incl(?:uded|\.)?|excl(?:uded|\.)?)\b/i)
+    ?? findAmount(lines, /\b(?:tax|vat|gst|hst)\b/i, /\b(?:sub[- ]?total|grand total)\b/i);
+  const tip = findAmount(lines, /\b(?:tip|gratuity)\b/i);
+  const date = firstDate(lines);
+  const time = findValue(lines, /\b((?:[01]?\d|2[0-3]):[0-5]\d(?::[0-5]\d)?(?:\s?[ap]m)?)\b/i);
+  const payment = findValue(lines, /\b(visa|mastercard|master card|amex|american express|discover|cash|debit|credit card|apple pay|google pay)\b/i);
+
+  // The merchant heads the receipt, before any amount
+  const merchantLine = lines.find(line => /\p{L}{3,}/u.test(line)
+    && parseAmounts(line).length === 0
+    && !parseDate(line)
+    && !/\b(?:receipt|invoice|welcome|tel|phone|www\.|https?:)\b/i.test(line));
+
+  // Items are the lines with a price before the first summary line
+  const summaryStart = lines.findIndex(line => SUMMARY_LINE.test(line) && parseAmounts(line).length > 0);
+  const items = [];
+  for (const line of lines.slice(0, summaryStart === -1 ? lines.length : summaryStart)) {
+    const amounts = parseAmounts(line);
+    const description = line.replace(AMOUNT_PATTERN, '').replace(/[\s.:-]+$/, '').trim();
+    if (amounts.length === 0 || !/\p{L}{2,}/u.test(description) || parseDate(line)) {
+      continue;
+    }
+    const quantity = description.match(/^(\d+)\s*(?:x|@|\*)\s*/i);
+    items.push({
+      description: quantity ? description.slice(quantity[0].length) : description,
+      quantity: quantity ? Number(quantity[1]) : 1,
+      amount: amounts[amounts.length - 1].amount,
+      text: line
+    });
+  }
+
+  // Amounts printed without a symbol are in the currency of the receipt
+  const currency = total?.currency
+    ?? lines.flatMap(parseAmounts).find(amount => amount.currency)?.currency
+    ?? null;
+  for (const field of [total, subtotal, tax, tip]) {
+    if (field) {
+      field.currency ??= currency;
+    }
+  }
+
+  return {
+    merchant: merchantLine ? { value: merchantLine, text: merchantLine } : null,
+    date,
+    time,
+    total,
+    subtotal,
+    tax,
+    tip,
+    currency,
+    paymentMethod: payment ? { value: payment.value.toLowerCase(), text: payment.text } : null,
+    items
+  };
+}
+
+function extractLabel(lines) {
+  let barcode = null;
+  for (const line of lines) {
+    const digits = line.replace(/(?<=\d) (?=\d)/g, '').match(/\b(\d{8}|\d{12,14})\b/)?.[1];
+    if (digits && (isValidGtin(digits) || !barcode)) {
+      barcode = { value: digits, format: GTIN_FORMATS[digits.length], valid: isValidGtin(digits), text: line };
+      if (barcode.valid) {
+        break;
+      }
+    }
+  }
+
+  const quantity = findValue(lines, /\bnet\s*(?:wt|weight|vol|volume|contents|qty|quantity)?\.?\s*:?\s*(\d+(?:[.,]\d+)?\s?(?:kg|mg|g|lbs?|fl\.?\s?oz|oz|ml|cl|l)\b)/i)
+    ?? findValue(lines, /\b(\d+(?:[.,]\d+)?\s?(?:kg|mg|g|lbs?|fl\.?\s?oz|oz|ml|cl|l))\b/i);
+  const ingredients = findLine(lines, /^ingredients\b/i);
+  const nameLine = lines.find(line => /\p{L}{3,}/u.test(line)
+    && !/[:#]/.test(line)
+    && !/\b(?:ingredients|net|exp|lot|batch|serial|model|best before|use by|made in|warning)\b/i.test(line));
+
+  return {
+    productName: nameLine ? { value: nameLine, text: nameLine } : null,
+    barcode,
+    serialNumber: findValue(lines, /\b(?:s\/n|sn|serial(?:\s*(?:no\.?|number|#))?)\s*[:#.]?\s*([A-Z0-9][A-Z0-9-]{3,})/i),
+    modelNumber: findValue(lines, /\b(?:model(?:\s*(?:no\.?|number|#))?|p\/n|part\s*(?:no\.?|number|#)|ref\.?)\s*[:#.]?\s*([A-Z0-9][A-Z0-9-./]{2,})/i),
+    lotNumber: findValue(lines, /\b(?:lot|batch)(?:\s*(?:no\.?|number|#))?\s*[:#.]?\s*([A-Z0-9][A-Z0-9-]{2,})/i),
+    expiryDate: findDate(lines, /\b(?:exp(?:iry|iration|ires)?\.?(?:\s*date)?|best before|best by|use by|bbe?)\b/i),
+    manufactureDate: findDate(lines, /\b(?:mfg|mfd|manufactured|production date|prod\.?|made on|packed on)\b/i),
+    netQuantity: quantity,
+    ingredients: ingredients
+      ? { value: ingredients.line.replace(/^ingredients\s*:?\s*/i, ''), text: ingredients.line }
+      : null
+  };
+}
+
+function extractCertificate(lines) {
+  const title = findLine(lines, /\b(?:certificate|certification|diploma|award|accreditation|licen[cs]e)\b/i);
+
+  // The recipient follows "awarded to" on the same line, or on the next one
+  let recipient = null;
+  const recipientLine = findLine(lines, /\b(?:awarded to|presented to|granted to|issued to|this (?:is to )?certif(?:y|ies) that)\b/i);
+  if (recipientLine) {
+    const rest = recipientLine.line.replace(/^.*?\b(?:awarded to|presented to|granted to|issued to|this (?:is to )?certif(?:y|ies) that)\b\s*:?\s*/i, '');
+    const value = rest || lines[recipientLine.index + 1] || '';
+    if (value) {
+      recipient = { value: value.replace(/\s+(?:has|for|in recognition)\b.*$/i, ''), text: rest ? recipientLine.line : value };
+    }
+  }
+
+  return {
+    title: title ? { value: title.line, text: title.line } : null,
+    recipient,
+    issuer: findValue(lines, /\b(?:issued by|certified by|awarded by|signed by|authori[sz]ed by)\s*:?\s*(.+)$/i),
+    issueDate: findDate(lines, /\b(?:date of issue|issue date|issued(?: on)?|dated|awarded on|date)\b/i) ?? firstDate(lines),
+    expiryDate: findDate(lines, /\b(?:valid until|valid through|expires?(?: on)?|expiry|expiration)\b/i),
+    certificateNumber: findValue(lines, /\b(?:certificate|cert\.?|registration|reg\.?|licen[cs]e|credential)\s*(?:no\.?|number|#|id)\s*[:#.]?\s*([A-Z0-9][A-Z0-9-/]{2,})/i),
+    serialNumber: findValue(lines, /\b(?:s\/n|serial(?:\s*(?:no\.?|number|#))?)\s*[:#.]?\s*([A-Z0-9][A-Z0-9-]{3,})/i)
+  };
+}
+
+const EXTRACTORS = {
+  receipt: extractReceipt,
+  label: extractLabel,
+  certificate: extractCertificate
+};
+
+/**
+ * Scores how much the text reads like each document type
+ * @param {Array<string>} lines - Lines of text
+ * @returns {Object<string, number>} - Score from 0 to 1 by document type
+ */
+export function scoreDocumentTypes(lines) {
+  const text = lines.join('\n');
+  return Object.fromEntries(DOCUMENT_TYPES.map(type => {
+    const miss = TYPE_CUES[type].reduce((product, { pattern, weight }) => product * (pattern.test(text) ? 1 - weight : 1), 1);
+    return [type, round(1 - miss)];
+  }));
+}
+
+/**
+ * Extracts the fields of the document an analysis shows
+ * @param {Object} analysis - Image analysis with text, and a document layout in document mode
+ * @param {Object} [options]
+ * @param {string} [options.type] - One of DOCUMENT_TYPES, or 'auto' to detect it
+ * @returns {{type: string|null, scores: Object<string, number>, languages: Array<Object>, fields: Object}} -
+ *   type is null when no document type was detected, and fields is then empty
+ */
+export function extractDocument(analysis, { type = 'auto' } = {}) {
+  if (type !== 'auto' && !DOCUMENT_TYPES.includes(type)) {
+    throw new InvalidRequestError(`Unknown document type "${type}". Expected one of: auto, ${DOCUMENT_TYPES.join(', ')}`);
+  }
+
+  const lines = getTextLines(analysis);
+  const scores = scoreDocumentTypes(lines);
+  let detected = type;
+  if (type === 'auto') {
+    const [best, score] = Object.entries(scores).sort((a, b) => b[1] - a[1])[0];
+    detected = score >= DETECTION_THRESHOLD ? best : null;
+  }
+
+  return {
+    type: detected,
+    scores,
+    languages: analysis.document?.languages ?? [],
+    fields: detected && lines.length > 0 ? EXTRACTORS[detected](lines) : {}
+  };
+}
+
+/**
+ * Formats an extracted amount, e.g. "12.50 USD"
+ * @param {{amount: number, currency: string|null}} field - Amount field
+ * @returns {string}
+ */
+export function formatAmount({ amount, currency }) {
+  return `${amount.toFixed(2)}${currency ? ` ${currency}` : ''}`;
+}
+
+/**
+ * Formats an extracted date, in ISO 8601 when its day and month are certain
+ * @param {{iso: string|null, raw: string}} field - Date field
+ * @returns {string}
+ */
+export function formatDate({ iso, raw }) {
+  return iso ?? raw;
+}
+
+/**
+ * Summarizes an extraction in one sentence, e.g. for the ORA context
+ * @param {Object} extraction - Result of extractDocument
+ * @returns {string} - Empty when no document type was detected
+ */
+export function formatDocument({ type, fields }) {
+  if (!type) {
+    return '';
+  }
+  const parts = [];
+  if (type === 'receipt') {
+    if (fields.merchant) parts.push(`from ${fields.merchant.value}`);
+    if (fields.date) parts.push(`dated ${formatDate(fields.date)}`);
+    if (fields.total) parts.push(`total ${formatAmount(fields.total)}`);
+    if (fields.tax) parts.push(`tax ${formatAmount(fields.tax)}`);
+    if (fields.items.length > 0) parts.push(`${fields.items.length} item${fields.items.length === 1 ? '' : 's'}`);
+    if (fields.paymentMethod) parts.push(`paid by ${fields.paymentMethod.value}`);
+  } else if (type === 'label') {
+    if (fields.productName) parts.push(fields.productName.value);
+    if (fields.barcode) parts.push(`${fields.barcode.format} ${fields.barcode.value}${fields.barcode.valid ? '' : ' (invalid check digit)'}`);
+    if (fields.serialNumber) parts.push(`serial number ${fields.serialNumber.value}`);
+    if (fields.modelNumber) parts.push(`model ${fields.modelNumber.value}`);
+    if (fields.lotNumber) parts.push(`lot ${fields.lotNumber.value}`);
+    if (fields.expiryDate) parts.push(`expires ${formatDate(fields.expiryDate)}`);
+    if (fields.netQuantity) parts.push(`net ${fields.netQuantity.value}`);
+  } else {
+    if (fields.title) parts.push(fields.title.value);
+    if (fields.recipient) parts.push(`issued to ${fields.recipient.value}`);
+    if (fields.issuer) parts.push(`by ${fields.issuer.value}`);
+    if (fields.issueDate) parts.push(`on ${formatDate(fields.issueDate)}`);
+    if (fields.certificateNumber) parts.push(`number ${fields.certificateNumber.value}`);
+    if (fields.serialNumber) parts.push(`serial number ${fields.serialNumber.value}`);
+  }
+  return `${type[0].toUpperCase()}${type.slice(1)}${parts.length > 0 ? `: ${parts.join(', ')}` : ''}`;
+}
@@ -0,0 +1,140 @@
+import { describe, expect, test } from '@jest/globals';
+import { extractDocument, formatDocument, isValidGtin, parseAmounts, parseDate } from './documentExtractors.js';
+
+const RECEIPT = [
+  'CORNER CAFE',
+  '123 Main St',
+  '2024-03-12 14:32',
+  '2 x Latte 9.00',
+  'Croissant 3.50',
+  'Subtotal 12.50',
+  'Tax 8% 1.00',
+  'Total $13.50',
+  'VISA **** 1234 13.50',
+  'Thank you!'
+].join('\n');
+
+const LABEL = [
+  'ACME Cordless Drill',
+  'Model No: DR-2000X',
+  'S/N: AB1234567',
+  'Made in Germany',
+  'Mfg 2023-11-05',
+  'EXP 03/2026',
+  '4 006381 333931'
+].join('\n');
+
+const CERTIFICATE = [
+  'Certificate of Authenticity',
+  'This is to certify that',
+  'Jane Doe',
+  'has completed the Advanced Welding course',
+  'Issued by: Northern Trade Institute',
+  'Date of issue: 14 March 2024',
+  'Valid until March 14, 2027',
+  'Certificate No: NTI-2024-0042',
+  'Serial No. 000731'
+].join('\n');
+
+const values = fields => Object.fromEntries(Object.entries(fields).map(([name, field]) => [name, field?.value ?? field?.iso ?? field?.amount ?? field]));
+
+describe('extractDocument', () => {
+  test('reads the total of a receipt past its subtotal and tax lines', () => {
+    const { type, fields } = extractDocument({ text: RECEIPT });
+    expect(type).toBe('receipt');
+    expect(fields.total).toEqual({ amount: 13.5, currency: 'USD', text: 'Total $13.50' });
+    expect(fields.subtotal).toEqual({ amount: 12.5, currency: 'USD', text: 'Subtotal 12.50' });
+    expect(fields.tax).toEqual({ amount: 1, currency: 'USD', text: 'Tax 8% 1.00' });
+    expect(values(fields)).toMatchObject({
+      merchant: 'CORNER CAFE',
+      date: '2024-03-12',
+      time: '14:32',
+      currency: 'USD',
+      paymentMethod: 'visa',
+      tip: null
+    });
+    expect(fields.items).toEqual([
+      { description: 'Latte', quantity: 2, amount: 9, text: '2 x Latte 9.00' },
+      { description: 'Croissant', quantity: 1, amount: 3.5, text: 'Croissant 3.50' }
+    ]);
+  });
+
+  test('prefers the amount due over other totals', () => {
+    const { fields } = extractDocument({ text: 'Total 20.00\nDiscount -5.00\nAmount due 15.00 EUR' }, { type: 'receipt' });
+    expect(fields.total).toEqual({ amount: 15, currency: 'EUR', text: 'Amount due 15.00 EUR' });
+  });
+
+  test('reads the serial and model numbers, dates and barcode of a label', () => {
+    const { type, fields } = extractDocument({ text: LABEL });
+    expect(type).toBe('label');
+    expect(values(fields)).toMatchObject({
+      productName: 'ACME Cordless Drill',
+      serialNumber: 'AB1234567',
+      modelNumber: 'DR-2000X',
+      manufactureDate: '2023-11-05',
+      expiryDate: '2026-03',
+      lotNumber: null,
+      ingredients: null
+    });
+    expect(fields.barcode).toEqual({ value: '4006381333931', format: 'EAN-13', valid: true, text: '4 006381 333931' });
+  });
+
+  test('reads the recipient, issuer, dates and numbers of a certificate', () => {
+    const { type, fields } = extractDocument({ text: CERTIFICATE });
+    expect(type).toBe('certificate');
+    expect(values(fields)).toEqual({
+      title: 'Certificate of Authenticity',
+      recipient: 'Jane Doe',
+      issuer: 'Northern Trade Institute',
+      issueDate: '2024-03-14',
+      expiryDate: '2027-03-14',
+      certificateNumber: 'NTI-2024-0042',
+      serialNumber: '000731'
+    });
+    expect(formatDocument(extractDocument({ text: CERTIFICATE }))).toBe('Certificate: Certificate of Authenticity, issued to Jane Doe, '
+      + 'by Northern Trade Institute, on 2024-03-14, number NTI-2024-0042, serial number 000731');
+  });
+
+  test('reads the text of the document layout before the plain text', () => {
+    const { type, fields } = extractDocument({ text: 'blurry', document: { text: RECEIPT, languages: [{ languageCode: 'en', confidence: 0.9 }] } });
+    expect(type).toBe('receipt');
+    expect(fields.total.amount).toBe(13.5);
+  });
+
+  test('detects no type in text without cues, and refuses unknown types', () => {
+    expect(extractDocument({ text: 'Hello world' })).toMatchObject({ type: null, fields: {} });
+    expect(() => extractDocument({ text: RECEIPT }, { type: 'passport' })).toThrow(expect.objectContaining({ code: 'INVALID_REQUEST' }));
+  });
+});
+
+describe('parseDate', () => {
+  test('normalizes dates whose day and month are certain', () => {
+    expect(parseDate('Date: 13/04/2024')).toEqual({ iso: '2024-04-13', raw: '13/04/2024' });
+    expect(parseDate('04-13-24')).toEqual({ iso: '2024-04-13', raw: '04-13-24' });
+    expect(parseDate('12th Mar 2024')).toEqual({ iso: '2024-03-12', raw: '12th Mar 2024' });
+  });
+
+  test('keeps ambiguous and invalid dates from being normalized', () => {
+    expect(parseDate('03/04/2024')).toEqual({ iso: null, raw: '03/04/2024' });
+    expect(parseDate('30/02/24')).toBeNull();
+  });
+});
+
+describe('parseAmounts', () => {
+  test('reads decimal separators and currencies on either side', () => {
+    expect(parseAmounts('€1.234,56 and 1,234.56 GBP and 9.99')).toEqual([
+      { amount: 1234.56, currency: 'EUR', raw: '€1.234,56' },
+      { amount: 1234.56, currency: 'GBP', raw: '1,234.56 GBP' },
+      { amount: 9.99, currency: null, raw: '9.99' }
+    ]);
+  });
+});
+
+describe('isValidGtin', () => {
+  test('checks the check digit', () => {
+    expect(isValidGtin('4006381333931')).toBe(true);
+    expect(isValidGtin('4006381333932')).toBe(false);
+    expect(isValidGtin('036000291452')).toBe(true);
+    expect(isValidGtin('12345')).toBe(false);
+  });
+});
@@ -0,0 +1,119 @@
+/**
+ * Document layout of an OCR analysis
+ *
+ * DOCUMENT_TEXT_DETECTION returns the text of dense documents as a hierarchy of pages,
+ * blocks, paragraphs, words and symbols, each with a bounding box, a confidence and the
+ * languages detected in it. The layout keeps that hierarchy down to words, whose text is
+ * assembled from their symbols, so callers can tell where on the page a line was read.
+ *
+ * {
+ *   text:      string
+ *   languages: Array<{ languageCode, confidence }>   // over all pages, most confident first
+ *   pages:     Array<{ width, height, confidence, languages, blocks: Array<{
+ *                type, confidence, boundingPoly, languages, text, paragraphs: Array<{
+ *                  text, confidence, boundingPoly, words: Array<{ text, confidence, boundingPoly }>
+ *                }>
+ *              }> }>
+ * }
+ */
+
+// Analysis modes: document mode reads text with DOCUMENT_TEXT_DETECTION and keeps its layout
+export const ANALYSIS_MODES = ['default', 'document'];
+
+export const DOCUMENT_FEATURES = ['DOCUMENT_TEXT_DETECTION'];
+
+// Block types, by their enum number in the protobuf response
+const BLOCK_TYPES = ['UNKNOWN', 'TEXT', 'TABLE', 'PICTURE', 'RULER', 'BARCODE'];
+
+// What a detected break after a symbol adds to the text, by name and by enum number
+const BREAKS = {
+  SPACE: ' ',
+  SURE_SPACE: ' ',
+  EOL_SURE_SPACE: '\n',
+  HYPHEN: '-\n',
+  LINE_BREAK: '\n'
+};
+const BREAK_TYPES = ['UNKNOWN', 'SPACE', 'SURE_SPACE', 'EOL_SURE_SPACE', 'HYPHEN', 'LINE_BREAK'];
+
+const round = value => (typeof value === 'number' ? Math.round(value * 1000) / 1000 : null);
+
+const toLanguages = property => (property?.detectedLanguages || [])
+  .filter(language => language.languageCode)
+  .map(({ languageCode, confidence }) => ({ languageCode, confidence: round(confidence ?? 0) }));
+
+const breakAfter = symbol => {
+  const type = symbol.property?.detectedBreak?.type;
+  return BREAKS[typeof type === 'number' ? BREAK_TYPES[type] : type] ?? '';
+};
+
+/**
+ * Replaces TEXT_DETECTION with DOCUMENT_TEXT_DETECTION in a feature list, or adds it
+ * @param {Array<string>} features - Requested features
+ * @returns {Array<string>}
+ */
+export function withDocumentText(features) {
+  const others = features.filter(feature => feature !== 'TEXT_DETECTION' && feature !== 'DOCUMENT_TEXT_DETECTION');
+  return [...others, ...DOCUMENT_FEATURES];
+}
+
+/**
+ * Converts the fullTextAnnotation of a Google annotate response to a document layout
+ * @param {Object} annotation - TextAnnotation with pages
+ * @returns {Object|null} - Document layout, or null without an annotation
+ */
+export function fromFullTextAnnotation(annotation) {
+  if (!annotation) {
+    return null;
+  }
+
+  const pages = (annotation.pages || []).map(page => ({
+    width: page.width ?? null,
+    height: page.height ?? null,
+    confidence: round(page.confidence),
+    languages: toLanguages(page.property),
+    blocks: (page.blocks || []).map(block => {
+      const paragraphs = (block.paragraphs || []).map(paragraph => {
+        let text = '';
+        const words = (paragraph.words || []).map(word => {
+          const symbols = word.symbols || [];
+          const wordText = symbols.map(symbol => symbol.text || '').join('');
+          text += wordText + (symbols.length > 0 ? breakAfter(symbols[symbols.length - 1]) : ' ');
+          return { text: wordText, confidence: round(word.confidence), boundingPoly: word.boundingBox ?? null };
+        });
+        return { text: text.trim(), confidence: round(paragraph.confidence), boundingPoly: paragraph.boundingBox ?? null, words };
+      });
+      return {
+        type: typeof block.blockType === 'number' ? BLOCK_TYPES[block.blockType] ?? 'UNKNOWN' : block.blockType ?? 'UNKNOWN',
+        confidence: round(block.confidence),
+        boundingPoly: block.boundingBox ?? null,
+        languages: toLanguages(block.property),
+        text: paragraphs.map(paragraph => paragraph.text).join('\n'),
+        paragraphs
+      };
+    })
+  }));
+
+  // A language detected on several pages keeps its best confidence
+  const languages = new Map();
+  for (const language of pages.flatMap(page => page.languages)) {
+    if ((languages.get(language.languageCode)?.confidence ?? -1) < language.confidence) {
+      languages.set(language.languageCode, language);
+    }
+  }
+
+  return {
+    text: annotation.text || '',
+    languages: [...languages.values()].sort((a, b) => b.confidence - a.confidence),
+    pages
+  };
+}
+
+/**
+ * Lines of text of an analysis, from its document layout when it has one
+ * @param {Object} analysis - Image analysis (see analysisSchema.js)
+ * @returns {Array<string>} - Trimmed, non-empty lines in reading order
+ */
+export function getTextLines(analysis) {
+  const text = analysis.document?.text || analysis.text || '';
+  return text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+}
@@ -0,0 +1,77 @@
+import { describe, expect, test } from '@jest/globals';
+import { fromFullTextAnnotation, getTextLines, withDocumentText } from './documentLayout.js';
+
+// Word of a fullTextAnnotation, with the break detected after its last symbol
+const word = (text, breakType) => ({
+  confidence: 0.98,
+  symbols: [...text].map((symbol, index) => ({
+    text: symbol,
+    ...(index === text.length - 1 && breakType !== undefined && { property: { detectedBreak: { type: breakType } } })
+  }))
+});
+
+// Receipt lines as Google returns them: break types by name or by enum number
+const ANNOTATION = {
+  text: 'CORNER CAFE\nTotal $13.50\n',
+  pages: [
+    {
+      width: 600,
+      height: 900,
+      confidence: 0.97,
+      property: { detectedLanguages: [{ languageCode: 'en', confidence: 0.8 }] },
+      blocks: [
+        {
+          blockType: 1,
+          confidence: 0.96,
+          property: { detectedLanguages: [{ languageCode: 'en', confidence: 0.8 }] },
+          paragraphs: [
+            { confidence: 0.95, words: [word('CORNER', 'SPACE'), word('CAFE', 5)] },
+            { confidence: 0.94, words: [word('Total', 1), word('$'), word('13.50', 'LINE_BREAK')] }
+          ]
+        },
+        { blockType: 'BARCODE', paragraphs: [] }
+      ]
+    },
+    {
+      property: { detectedLanguages: [{ languageCode: 'fr', confidence: 0.4 }, { languageCode: 'en', confidence: 0.95 }] },
+      blocks: []
+    }
+  ]
+};
+
+describe('fromFullTextAnnotation', () => {
+  test('assembles the text of paragraphs and blocks from their symbols and breaks', () => {
+    const { pages } = fromFullTextAnnotation(ANNOTATION);
+    const [text, barcode] = pages[0].blocks;
+    expect(text).toMatchObject({ type: 'TEXT', confidence: 0.96, text: 'CORNER CAFE\nTotal $13.50' });
+    expect(text.paragraphs[1].words.map(({ text }) => text)).toEqual(['Total', '$', '13.50']);
+    expect(barcode).toMatchObject({ type: 'BARCODE', confidence: null, text: '', paragraphs: [] });
+    expect(pages[1]).toMatchObject({ width: null, height: null, confidence: null, blocks: [] });
+  });
+
+  test('keeps the best confidence of each language over the pages, most confident first', () => {
+    expect(fromFullTextAnnotation(ANNOTATION).languages).toEqual([
+      { languageCode: 'en', confidence: 0.95 },
+      { languageCode: 'fr', confidence: 0.4 }
+    ]);
+  });
+
+  test('returns null without an annotation', () => {
+    expect(fromFullTextAnnotation(undefined)).toBeNull();
+  });
+});
+
+describe('getTextLines', () => {
+  test('reads the document text before the plain text, without blank lines', () => {
+    expect(getTextLines({ text: 'blurry', document: fromFullTextAnnotation(ANNOTATION) })).toEqual(['CORNER CAFE', 'Total $13.50']);
+    expect(getTextLines({ text: '  Receipt \r\n\r\n Total 1.00 ' })).toEqual(['Receipt', 'Total 1.00']);
+    expect(getTextLines({})).toEqual([]);
+  });
+});
+
+describe('withDocumentText', () => {
+  test('replaces TEXT_DETECTION with DOCUMENT_TEXT_DETECTION', () => {
+    expect(withDocumentText(['LABEL_DETECTION', 'TEXT_DETECTION'])).toEqual(['LABEL_DETECTION', 'DOCUMENT_TEXT_DETECTION']);
+    expect(withDocumentText(['DOCUMENT_TEXT_DETECTION'])).toEqual(['DOCUMENT_TEXT_DETECTION']);
+  });
+});
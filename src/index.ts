@@ -13,19 +13,27 @@ import fs from "fs";
 import net from "net";
 import path from "path";
 import { fileURLToPath } from "url";
+import { AgentManager } from "./agents/index.ts";
+import { VisionApi } from "./api/visionApi.js";
 import { initializeDbCache } from "./cache/index.ts";
 import { character } from "./character.ts";
 import { startChat } from "./chat/index.ts";
-import { initializeClients } from "./clients/index.ts";
+import { initializeClients, stopClients } from "./clients/index.ts";
 import {
-  getTokenForProvider,
-  loadCharacters,
   parseArguments,
+  requireModelProvider,
+  resolveCharacterPath,
 } from "./config/index.ts";
 import { initializeDatabase } from "./database/index.ts";
+import { createVisionPlugin } from "./plugins/visionPlugin.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
+const dataDir = path.join(__dirname, "../data");
+const charactersDir = path.join(__dirname, "../characters");
+
+// Vision endpoints of every agent, served on the DirectClient under /:agentId/vision
+const visionApi = new VisionApi();
 
 export const wait = (minTime: number = 1000, maxTime: number = 3000) => {
   const waitTime =
@@ -57,6 +65,8 @@ export function createAgent(
     character,
     plugins: [
       bootstrapPlugin,
+      // registered before nodePlugin so its image description service wins
+      createVisionPlugin(),
       nodePlugin,
       character.settings?.secrets?.WALLET_PUBLIC_KEY ? solanaPlugin : null,
     ].filter(Boolean),
@@ -73,8 +83,18 @@ async function startAgent(character: Character, directClient: DirectClient) {
     character.id ??= stringToUuid(character.name);
     character.username ??= character.name;
 
-    const token = getTokenForProvider(character.modelProvider, character);
-    const dataDir = path.join(__dirname, "../data");
+    const resolved = requireModelProvider(character);
+    if (!resolved) {
+      elizaLogger.warn(
+        `${character.name} uses ${character.modelProvider}, which is not in the provider registry; its API key is not checked`,
+      );
+    }
+    const { apiKey: token, apiKeyName, fallback, provider } = resolved ?? {};
+    if (fallback) {
+      elizaLogger.warn(
+        `${character.name} uses ${apiKeyName} for ${provider.name}`,
+      );
+    }
 
     if (!fs.existsSync(dataDir)) {
       fs.mkdirSync(dataDir, { recursive: true });
@@ -92,6 +112,7 @@ async function startAgent(character: Character, directClient: DirectClient) {
     runtime.clients = await initializeClients(character, runtime);
 
     directClient.registerAgent(runtime);
+    await visionApi.addAgent({ runtime, db });
 
     // report to console
     elizaLogger.debug(`Started ${character.name} as ${runtime.agentId}`);
@@ -107,6 +128,15 @@ async function startAgent(character: Character, directClient: DirectClient) {
   }
 }
 
+async function stopAgent(runtime: AgentRuntime, directClient: DirectClient) {
+  directClient.unregisterAgent(runtime);
+  visionApi.removeAgent(runtime.agentId);
+  await stopClients(runtime);
+  await runtime.databaseAdapter.close();
+
+  elizaLogger.debug(`Stopped ${runtime.character.name}`);
+}
+
 const checkPortAvailable = (port: number): Promise<boolean> => {
   return new Promise((resolve) => {
     const server = net.createServer();
@@ -132,20 +162,43 @@ const startAgents = async () => {
   const args = parseArguments();
 
   let charactersArg = args.characters || args.character;
-  let characters = [character];
 
   console.log("charactersArg", charactersArg);
+  const agents = new AgentManager({
+    check: (character) => requireModelProvider(character),
+    start: (character) => startAgent(character, directClient),
+    stop: (runtime) => stopAgent(runtime as AgentRuntime, directClient),
+  });
+  // A character that fails to load or start is reported and the others still start;
+  // a fixed file is picked up by the watcher
   if (charactersArg) {
-    characters = await loadCharacters(charactersArg);
+    for (const file of charactersArg.split(",").map(resolveCharacterPath)) {
+      try {
+        await agents.startFile(file);
+      } catch (error) {
+        elizaLogger.error("Error starting agent:", error.message);
+      }
+    }
+  } else {
+    await agents.start(character).catch((error) =>
+      elizaLogger.error("Error starting agent:", error.message)
+    );
   }
-  console.log("characters", characters);
+  // names only, since characters carry their resolved secrets
+  const characters = agents.list();
+  console.log("characters", characters.map(({ name }) => name));
+
+  // Jobs run with the tasks of their agent, so the queue starts once the agents are added
   try {
-    for (const character of characters) {
-      await startAgent(character, directClient as DirectClient);
-    }
+    const jobsDb = initializeDatabase(dataDir);
+    await jobsDb.init();
+    await visionApi.startJobQueue(jobsDb);
   } catch (error) {
-    elizaLogger.error("Error starting agents:", error);
+    elizaLogger.error("Vision job queue unavailable:", error);
+    await visionApi.startJobQueue(null);
   }
+  visionApi.mount(directClient.app);
+  agents.mount(directClient.app);
 
   while (!(await checkPortAvailable(serverPort))) {
     elizaLogger.warn(`Port ${serverPort} is in use, trying ${serverPort + 1}`);
@@ -154,18 +207,26 @@ const startAgents = async () => {
 
   // upload some agent functionality into directClient
   directClient.startAgent = async (character: Character) => {
-    // wrap it so we don't have to inject directClient later
-    return startAgent(character, directClient);
+    // started through the manager so that the agent can be listed, stopped and reloaded
+    const { id } = await agents.start(character);
+    return agents.getRuntime(id);
   };
 
   directClient.start(serverPort);
+  // The HTTP server of the DirectClient also carries the vision WebSocket streams
+  await visionApi.attachWebSockets(directClient["server"]);
 
   if (serverPort !== parseInt(settings.SERVER_PORT || "3000")) {
     elizaLogger.log(`Server started on alternate port ${serverPort}`);
   }
 
+  // Edited and new character files are applied without restarting the process
+  if (settings.CHARACTERS_WATCH !== "false" && fs.existsSync(charactersDir)) {
+    agents.watch(charactersDir);
+  }
+
   const isDaemonProcess = process.env.DAEMON_PROCESS === "true";
-  if(!isDaemonProcess) {
+  if(!isDaemonProcess && characters.length > 0) {
     elizaLogger.log("Chat started. Type 'exit' to quit.");
     const chat = startChat(characters);
     chat();
@@ -0,0 +1,190 @@
+/**
+ * Intent classification of questions about an image
+ *
+ * Each intent lists cues: regular expressions with a weight between 0 and 1. A question
+ * scores, for every intent, the probability that at least one of its matching cues is
+ * right, so several weak cues add up without ever passing 1. All intents scoring at least
+ * the threshold, and close enough to the best one, are returned, so "what is this and what
+ * does it say?" gets both identify and read-text.
+ *
+ * Characters extend the built-in intents with settings.vision.intents:
+ *
+ * {
+ *   threshold:   0.4,                      // minimum score of an intent
+ *   maxIntents:  3,                        // intents answered per question
+ *   disabled:    ['compare'],              // built-in intents to leave out
+ *   definitions: [
+ *     { name: 'read-text', cues: [{ pattern: '\\bmenu\\b', weight: 0.7 }] },          // more cues
+ *     { name: 'vintage', cues: [...], response: 'I can see {{labels}}.' }             // new intent
+ *   ]
+ * }
+ */
+
+import { getVisionSettings } from '../config/settings.js';
+import { BUILT_IN_INTENTS, renderIntentTemplate } from './intentHandlers.js';
+
+export const DEFAULT_INTENT_THRESHOLD = 0.4;
+export const DEFAULT_MAX_INTENTS = 3;
+
+// Intents scoring below this share of the best score are left out, so that a generic
+// "what is" does not add a description to "what is the colour of the car?"
+const RELATIVE_THRESHOLD = 0.6;
+
+const clamp = value => Math.min(Math.max(value, 0), 1);
+const round = value => Math.round(value * 100) / 100;
+
+// Classifiers by agent, so the character settings are compiled once
+const classifiers = new WeakMap();
+
+function compileCue(cue, where) {
+  const { pattern, weight, flags = 'i' } = cue instanceof RegExp ? { pattern: cue, weight: 1 } : cue ?? {};
+  if (!pattern || typeof weight !== 'number' || weight <= 0 || weight > 1) {
+    throw new Error(`${where} needs a pattern and a weight between 0 and 1`);
+  }
+  try {
+    return { regex: pattern instanceof RegExp ? pattern : new RegExp(pattern, flags), weight };
+  } catch (error) {
+    throw new Error(`${where} is not a valid regular expression: ${error.message}`);
+  }
+}
+
+export class IntentClassifier {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.threshold] - Minimum score of a returned intent
+   * @param {number} [options.maxIntents] - Maximum intents returned
+   */
+  constructor({ threshold = DEFAULT_INTENT_THRESHOLD, maxIntents = DEFAULT_MAX_INTENTS } = {}) {
+    this.threshold = threshold;
+    this.maxIntents = maxIntents;
+    this.intents = new Map();
+  }
+
+  /**
+   * Registers an intent, or adds cues to an intent registered with the same name
+   * @param {Object} intent
+   * @param {string} intent.name - Intent name
+   * @param {Array<Object|RegExp>} intent.cues - { pattern, weight, flags } entries or regular expressions
+   * @param {Function} [intent.handle] - (context) => answer, or null when the intent cannot answer
+   * @returns {IntentClassifier} - This classifier
+   */
+  register({ name, cues = [], handle }) {
+    if (!name) {
+      throw new Error('An intent needs a name');
+    }
+    const existing = this.intents.get(name);
+    if (!existing && typeof handle !== 'function') {
+      throw new Error(`Intent ${name} needs a handler`);
+    }
+    const compiled = cues.map((cue, index) => compileCue(cue, `Intent ${name} cues[${index}]`));
+    this.intents.set(name, {
+      name,
+      cues: [...(existing?.cues || []), ...compiled],
+      handle: handle ?? existing.handle
+    });
+    return this;
+  }
+
+  /**
+   * @param {string} name - Intent name
+   * @returns {boolean} - Whether the intent was registered
+   */
+  unregister(name) {
+    return this.intents.delete(name);
+  }
+
+  /**
+   * @param {string} name - Intent name
+   * @returns {Object|undefined} - Registered intent
+   */
+  get(name) {
+    return this.intents.get(name);
+  }
+
+  /**
+   * Scores every intent against a question
+   * @param {string} query - User question
+   * @returns {Array<{name: string, score: number, cues: Array<string>}>} - Intents that matched, best first
+   */
+  score(query) {
+    const scores = [];
+    for (const intent of this.intents.values()) {
+      const matched = intent.cues.filter(cue => cue.regex.test(query));
+      if (matched.length === 0) {
+        continue;
+      }
+      const score = 1 - matched.reduce((rest, cue) => rest * (1 - clamp(cue.weight)), 1);
+      scores.push({ name: intent.name, score: round(score), cues: matched.map(cue => cue.regex.source) });
+    }
+    // Sort is stable, so ties keep the registration order
+    return scores.sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Returns the intents of a question
+   * @param {string} query - User question
+   * @returns {Array<{name: string, score: number, cues: Array<string>}>} - Intents above the thresholds, best first
+   */
+  classify(query) {
+    const scores = this.score(query);
+    const best = scores[0]?.score ?? 0;
+    return scores
+      .filter(({ score }) => score >= this.threshold && score >= best * RELATIVE_THRESHOLD)
+      .slice(0, this.maxIntents);
+  }
+}
+
+/**
+ * Creates a classifier with the built-in intents and the intents of the character settings
+ * @param {Object} [settings] - settings.vision.intents
+ * @returns {IntentClassifier}
+ * @throws {Error} - When a definition is malformed
+ */
+export function createIntentClassifier(settings = {}) {
+  const { threshold, maxIntents, disabled = [], definitions = [] } = settings;
+  const classifier = new IntentClassifier({ threshold, maxIntents });
+
+  for (const intent of BUILT_IN_INTENTS) {
+    if (!disabled.includes(intent.name)) {
+      classifier.register(intent);
+    }
+  }
+
+  definitions.forEach((definition, index) => {
+    const where = `settings.vision.intents.definitions[${index}]`;
+    if (!definition?.name || !Array.isArray(definition.cues)) {
+      throw new Error(`${where} needs a name and cues`);
+    }
+    if (!classifier.get(definition.name) && typeof definition.response !== 'string') {
+      throw new Error(`${where} (${definition.name}) is not a built-in intent, so it needs a response`);
+    }
+    try {
+      classifier.register({
+        name: definition.name,
+        cues: definition.cues,
+        handle: definition.response === undefined
+          ? undefined
+          : context => renderIntentTemplate(definition.response, context)
+      });
+    } catch (error) {
+      throw new Error(`${where}: ${error.message}`);
+    }
+  });
+
+  return classifier;
+}
+
+/**
+ * Returns the intent classifier configured for an agent
+ * @param {Object} agent - Agent runtime or mock agent
+ * @returns {IntentClassifier}
+ */
+export function getIntentClassifier(agent) {
+  if (!agent || typeof agent !== 'object') {
+    return createIntentClassifier();
+  }
+  if (!classifiers.has(agent)) {
+    classifiers.set(agent, createIntentClassifier(getVisionSettings(agent).intents));
+  }
+  return classifiers.get(agent);
+}
@@ -0,0 +1,101 @@
+import { describe, expect, test } from '@jest/globals';
+import fs from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { createIntentClassifier, getIntentClassifier, IntentClassifier } from './intentClassifier.js';
+
+const corpusPath = join(dirname(fileURLToPath(import.meta.url)), 'intentCorpus.json');
+const { queries } = JSON.parse(fs.readFileSync(corpusPath, 'utf8'));
+
+const intentsOf = (classifier, query) => classifier.classify(query).map(({ name }) => name);
+
+describe('intent corpus', () => {
+  const classifier = createIntentClassifier();
+
+  test.each(queries.map(({ query, intents }) => [query, intents]))('"%s" gets %j', (query, intents) => {
+    expect(intentsOf(classifier, query)).toEqual(intents);
+  });
+});
+
+describe('IntentClassifier', () => {
+  test('adds up the weights of matching cues without passing 1', () => {
+    const classifier = new IntentClassifier().register({
+      name: 'color',
+      cues: [{ pattern: '\\bcolou?r\\b', weight: 0.5 }, { pattern: '\\bred\\b', weight: 0.5 }],
+      handle: () => 'red'
+    });
+    expect(classifier.score('Is the colour red?')).toEqual([
+      { name: 'color', score: 0.75, cues: ['\\bcolou?r\\b', '\\bred\\b'] }
+    ]);
+  });
+
+  test('leaves out intents below the threshold or far below the best one', () => {
+    const classifier = new IntentClassifier({ threshold: 0.4 })
+      .register({ name: 'strong', cues: [{ pattern: 'a', weight: 0.9 }], handle: () => '' })
+      .register({ name: 'close', cues: [{ pattern: 'b', weight: 0.6 }], handle: () => '' })
+      .register({ name: 'far', cues: [{ pattern: 'c', weight: 0.45 }], handle: () => '' })
+      .register({ name: 'weak', cues: [{ pattern: 'd', weight: 0.3 }], handle: () => '' });
+    expect(intentsOf(classifier, 'a b c d')).toEqual(['strong', 'close']);
+  });
+
+  test('returns at most maxIntents intents', () => {
+    const classifier = new IntentClassifier({ maxIntents: 1 })
+      .register({ name: 'first', cues: [{ pattern: 'a', weight: 0.9 }], handle: () => '' })
+      .register({ name: 'second', cues: [{ pattern: 'b', weight: 0.9 }], handle: () => '' });
+    expect(intentsOf(classifier, 'a b')).toEqual(['first']);
+  });
+
+  test('refuses intents without a handler and malformed cues', () => {
+    expect(() => new IntentClassifier().register({ name: 'silent', cues: [] })).toThrow('Intent silent needs a handler');
+    expect(() => new IntentClassifier().register({ name: 'heavy', cues: [{ pattern: 'a', weight: 2 }], handle: () => '' }))
+      .toThrow('Intent heavy cues[0] needs a pattern and a weight between 0 and 1');
+    expect(() => new IntentClassifier().register({ name: 'broken', cues: [{ pattern: '(', weight: 0.5 }], handle: () => '' }))
+      .toThrow('Intent broken cues[0] is not a valid regular expression');
+  });
+});
+
+describe('createIntentClassifier', () => {
+  test('adds cues of the character to built-in intents', () => {
+    const query = 'What does the menu offer?';
+    expect(intentsOf(createIntentClassifier(), query)).not.toContain('read-text');
+
+    const classifier = createIntentClassifier({
+      definitions: [{ name: 'read-text', cues: [{ pattern: '\\bmenu\\b', weight: 0.9 }] }]
+    });
+    expect(intentsOf(classifier, query)[0]).toBe('read-text');
+  });
+
+  test('registers new intents of the character with their response template', () => {
+    const classifier = createIntentClassifier({
+      definitions: [{ name: 'vintage', cues: [{ pattern: '\\bvintage\\b', weight: 0.9 }], response: 'I can see {{labels}}.' }]
+    });
+    expect(intentsOf(classifier, 'Is this vintage?')).toEqual(['vintage']);
+    expect(typeof classifier.get('vintage').handle).toBe('function');
+  });
+
+  test('leaves out disabled built-in intents', () => {
+    const classifier = createIntentClassifier({ disabled: ['compare'] });
+    expect(classifier.get('compare')).toBeUndefined();
+    expect(classifier.get('identify')).toBeDefined();
+  });
+
+  test('names the malformed definition', () => {
+    expect(() => createIntentClassifier({ definitions: [{ name: 'vintage' }] }))
+      .toThrow('settings.vision.intents.definitions[0] needs a name and cues');
+    expect(() => createIntentClassifier({ definitions: [{ name: 'vintage', cues: [] }] }))
+      .toThrow('settings.vision.intents.definitions[0] (vintage) is not a built-in intent, so it needs a response');
+    expect(() => createIntentClassifier({ definitions: [{ name: 'color', cues: [{ pattern: 'a' }] }] }))
+      .toThrow('settings.vision.intents.definitions[0]: Intent color cues[0] needs a pattern and a weight between 0 and 1');
+  });
+});
+
+describe('getIntentClassifier', () => {
+  test('compiles the settings of an agent once', () => {
+    const vintage = { name: 'vintage', cues: [{ pattern: '\\bvintage\\b', weight: 0.9 }], response: 'Old' };
+    const agent = { character: { settings: { vision: { intents: { definitions: [vintage] } } } } };
+    const classifier = getIntentClassifier(agent);
+    expect(getIntentClassifier(agent)).toBe(classifier);
+    expect(classifier.get('vintage')).toBeDefined();
+    expect(getIntentClassifier(undefined).get('vintage')).toBeUndefined();
+  });
+});
@@ -0,0 +1,510 @@
+/**
+ * Built-in intents of the offline answer engine
+ *
+ * Each handler answers one kind of question from the image analysis. A handler may return
+ * null to leave the question to the other intents it matched.
+ */
+
+import { appraise, formatAppraisal } from '../appraisal/appraiser.js';
+import { getTaxonomy } from '../appraisal/taxonomy.js';
+import { DOCUMENT_TYPES, extractDocument, formatAmount, formatDate, formatDocument } from '../documents/documentExtractors.js';
+import { analyzeSpatial } from '../services/spatialAnalysis.js';
+
+const COLOR_LABELS = ['red', 'blue', 'green', 'yellow', 'black', 'white', 'purple', 'orange', 'pink', 'brown', 'gray', 'grey', 'silver', 'gold'];
+const ANIMAL_LABELS = ['animal', 'mammal', 'wildlife'];
+const PEOPLE_NOUNS = ['people', 'person', 'persons', 'face', 'faces', 'man', 'men', 'woman', 'women', 'human', 'humans'];
+
+/**
+ * Builds what intent handlers answer from
+ * @param {Object} imageAnalysis - Image analysis data (see analysisSchema.js)
+ * @param {string} query - User question
+ * @param {Object} [agent] - Agent runtime or mock agent, for the appraisal taxonomy
+ * @returns {Object} - Handler context; the appraisal, spatial analysis and document extraction
+ *   are computed on first use
+ */
+export function createIntentContext(imageAnalysis, query, agent) {
+  const { labels = [], objects = [] } = imageAnalysis;
+  const mainLabels = labels.slice(0, 5).map(l => l.description.toLowerCase());
+  const mainObjects = objects.map(o => o.name.toLowerCase());
+  let appraisal;
+  let spatial;
+  let document;
+
+  return {
+    analysis: imageAnalysis,
+    query,
+    queryLower: query.toLowerCase(),
+    mainLabels,
+    mainObjects,
+    allEntities: [...mainLabels, ...mainObjects],
+    get appraisal() {
+      appraisal ??= appraise(imageAnalysis, getTaxonomy(agent));
+      return appraisal;
+    },
+    get spatial() {
+      spatial ??= analyzeSpatial(imageAnalysis);
+      return spatial;
+    },
+    get document() {
+      document ??= extractDocument(imageAnalysis);
+      return document;
+    }
+  };
+}
+
+/**
+ * Fills {{labels}}, {{objects}}, {{text}}, {{logos}}, {{colors}}, {{landmarks}} and {{query}}
+ * in the response of an intent defined in the character settings
+ * @param {string} template - Response template
+ * @param {Object} context - Handler context
+ * @returns {string}
+ */
+export function renderIntentTemplate(template, context) {
+  const { analysis } = context;
+  const values = {
+    labels: context.mainLabels.join(', ') || 'nothing recognizable',
+    objects: analysis.objects?.map(o => o.name).join(', ') || 'no objects',
+    text: analysis.text?.trim() || 'no text',
+    logos: analysis.logos?.map(logo => logo.description).join(', ') || 'no logos',
+    colors: analysis.colors?.slice(0, 3).map(color => color.name.toLowerCase()).join(', ') || 'unknown colors',
+    landmarks: analysis.landmarks?.map(landmark => landmark.description).join(', ') || 'no landmarks',
+    query: context.query
+  };
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => values[key] ?? match);
+}
+
+const singular = noun => noun.replace(/(?:ies)$/, 'y').replace(/(?:ches|shes|sses|xes)$/, m => m.slice(0, -2)).replace(/s$/, '');
+
+/**
+ * Describes the image without a more specific question
+ * @param {Object} context - Handler context
+ * @returns {string}
+ */
+export function describeImage({ analysis, mainLabels, mainObjects }) {
+  const { objects = [], text } = analysis;
+
+  if (mainLabels.includes('cat') || mainObjects.includes('cat')) {
+    return "This image shows a cat. It appears to be a domestic feline, commonly kept as a pet. Cats are known for their independent nature, agility, and grooming habits.";
+  } else if (mainLabels.includes('dog') || mainObjects.includes('dog')) {
+    return "This image shows a dog. Dogs are domesticated mammals that have been bred for various tasks such as hunting, herding, protection, and companionship.";
+  } else if (mainLabels.includes('person') || mainObjects.includes('person')) {
+    return "This image shows a person. I can see a human figure in the frame, though I cannot identify specific individuals.";
+  } else if (mainLabels.includes('food') || mainObjects.includes('food')) {
+    return "This image shows food. It appears to be a prepared dish or meal, though I cannot identify the specific cuisine or ingredients in detail.";
+  } else if (mainLabels.includes('car') || mainObjects.includes('car')) {
+    return "This image shows a car. It's a motor vehicle designed for transportation on roads, typically with four wheels.";
+  } else if (text && text.length > 10) {
+    // Only prioritize text if it's substantial and no other significant objects are detected
+    return `This image contains text that reads: "${text}". It appears to be a document or text-containing image.`;
+  } else if (mainLabels.includes('landscape') || mainLabels.includes('nature')) {
+    return "This image depicts a landscape photo featuring trees and sky with clouds. It's a natural outdoor scene showing elements of nature.";
+  }
+
+  // Generic response based on top labels and objects
+  const textNote = text && text.length > 0 ? `There is also some text visible: "${text}".` : '';
+  if (objects.length > 0) {
+    return `This image shows ${objects.map(o => o.name).join(', ')}. The key features include ${mainLabels.join(', ')}. ${textNote}`.trim();
+  } else if (mainLabels.length > 0) {
+    return `This image shows ${mainLabels[0]} with features including ${mainLabels.slice(1).join(', ')}. ${textNote}`.trim();
+  }
+  return "This image doesn't contain clearly identifiable objects or features that I can describe with confidence.";
+}
+
+function identify(context) {
+  const { analysis, queryLower, mainLabels, allEntities } = context;
+  const { objects = [], text } = analysis;
+
+  // Collectibles are identified with an appraisal
+  const { appraisal } = context;
+  if (appraisal.brand || appraisal.category) {
+    return formatAppraisal(appraisal);
+  }
+
+  if (/\b(animal|pet|breed|species)s?\b/.test(queryLower)) {
+    if (allEntities.includes('cat')) {
+      return "The image shows a cat. Cats are domestic felines known for their independent nature and grooming habits. They are popular pets worldwide.";
+    } else if (allEntities.includes('dog')) {
+      return "The image shows a dog. Dogs are domesticated mammals known for their loyalty and companionship. They are one of the most popular pets globally.";
+    } else if (mainLabels.some(label => ANIMAL_LABELS.includes(label))) {
+      const animalType = mainLabels.find(label => !ANIMAL_LABELS.includes(label));
+      return `The image appears to show a ${animalType || 'wild animal'}. I can see characteristics typical of ${animalType || 'wildlife'} in the image.`;
+    }
+    return "I don't see any animals in this image. The image appears to show " +
+      (mainLabels[0] ? `a ${mainLabels[0]}` : "a scene without animals") + ".";
+  }
+
+  if (/\b(objects?|things?|items?)\b|what's in|show me/.test(queryLower)) {
+    if (objects.length > 0) {
+      return `The main objects in this image are: ${objects.map(o => o.name).join(', ')}. The image primarily shows ${mainLabels[0] || 'a scene'} with ${objects.length} identifiable objects.`;
+    } else if (mainLabels.length > 0) {
+      return `This image shows ${mainLabels[0]} with features including ${mainLabels.slice(1, 4).join(', ')}. ${
+        text && text.length > 0 ? `There is also text visible: "${text}".` : ''
+      }`.trim();
+    }
+    return "The image doesn't contain clearly defined objects. It appears to be a scene.";
+  }
+
+  return describeImage(context);
+}
+
+// Lists the positions of located objects: "on the left and in the bottom right"
+const joinPositions = entries => {
+  const positions = [...new Set(entries.map(({ position }) => position === 'center' ? 'in the center' : `on the ${position}`))];
+  return positions.length > 1 ? `${positions.slice(0, -1).join(', ')} and ${positions[positions.length - 1]}` : positions[0];
+};
+
+// Located objects named by a noun of the question, in singular or plural
+const findNamed = (spatial, noun) => {
+  const name = singular(noun);
+  return spatial.objects.filter(o => singular(o.name.toLowerCase()) === name);
+};
+
+function count({ analysis, queryLower, spatial }) {
+  const { objects = [], faces = [], labels = [] } = analysis;
+  const noun = queryLower.match(/\b(?:how many|count(?: the)?|number of)\s+(?:of the\s+)?([a-z]+)/)?.[1];
+
+  if (!noun || ['object', 'objects', 'thing', 'things', 'item', 'items'].includes(noun)) {
+    const counted = Object.entries(spatial.counts).map(([name, n]) => `${n} ${n === 1 ? name : `${name}s`}`);
+    return objects.length > 0
+      ? `I count ${objects.length} object${objects.length === 1 ? '' : 's'} in the image${counted.length > 0 ? `: ${counted.join(', ')}` : `: ${objects.map(o => o.name).join(', ')}`}.`
+      : "I can't make out separate objects to count in this image.";
+  }
+
+  if (PEOPLE_NOUNS.includes(noun)) {
+    // Faces and person objects often describe the same people
+    const people = Math.max(faces.length, objects.filter(o => o.name.toLowerCase() === 'person').length);
+    return people > 0
+      ? `I count ${people} ${people === 1 ? 'person' : 'people'} in the image.`
+      : "I don't see any people in the image.";
+  }
+
+  const name = singular(noun);
+  const located = findNamed(spatial, noun);
+  const matches = located.length > 0 ? located : objects.filter(o => singular(o.name.toLowerCase()) === name);
+  if (matches.length > 0) {
+    const where = located.length > 0 ? `, ${joinPositions(located)}` : '';
+    return `I count ${matches.length} ${matches.length === 1 ? name : noun} in the image${where}.`;
+  }
+  if (labels.some(label => singular(label.description.toLowerCase()) === name)) {
+    return `The image shows ${noun}, but they were not located individually, so I can't count them.`;
+  }
+  return `I don't see any ${noun} in the image.`;
+}
+
+function readText({ analysis }) {
+  const { text } = analysis;
+  return text && text.length > 0
+    ? `The text in the image reads: "${text}".`
+    : "There is no visible text in this image.";
+}
+
+function color({ analysis, mainLabels, mainObjects }) {
+  const { colors = [] } = analysis;
+  // Image properties give the measured colors
+  if (colors.length > 0) {
+    const named = colors.slice(0, 3).map(color => `${color.name.toLowerCase()} (${Math.round((color.fraction ?? color.score) * 100)}%)`);
+    return `The dominant colors in this image are ${named.join(', ')}.`;
+  }
+
+  const colorLabels = mainLabels.filter(label => COLOR_LABELS.includes(label));
+  if (colorLabels.length > 0) {
+    return `The dominant colors in this image appear to be ${colorLabels.join(', ')}.`;
+  } else if (mainLabels.includes('sky') || mainObjects.includes('sky')) {
+    return "The image contains sky which appears blue, and likely has other natural colors typical of an outdoor scene.";
+  } else if (mainLabels.includes('landscape') || mainLabels.includes('nature')) {
+    return "The image shows a natural landscape with typical earth tones, greens from vegetation, and blues from the sky.";
+  }
+  return "I cannot specifically identify the colors in this image, but it appears to show " +
+    (mainLabels[0] ? `a ${mainLabels[0]}` : "a scene") + " with its typical coloration.";
+}
+
+function location({ analysis, mainLabels }) {
+  const { landmarks = [] } = analysis;
+  if (landmarks.length > 0) {
+    const coordinates = landmarks[0].locations?.[0];
+    return `This appears to be ${landmarks[0].description}${
+      coordinates ? `, located at ${coordinates.latitude.toFixed(4)}, ${coordinates.longitude.toFixed(4)}` : ''
+    }.`;
+  }
+  if (mainLabels.includes('landscape') || mainLabels.includes('nature') || mainLabels.includes('outdoor')) {
+    return "This appears to be an outdoor natural setting. Based on the visible elements like " +
+      (mainLabels.includes('tree') ? "trees" : "natural features") +
+      ", it's likely a park, forest, or natural landscape area.";
+  } else if (mainLabels.includes('indoor') || mainLabels.includes('room')) {
+    return "This appears to be an indoor setting, possibly a " +
+      (mainLabels.includes('kitchen') ? "kitchen" :
+        mainLabels.includes('bedroom') ? "bedroom" :
+          mainLabels.includes('office') ? "office" : "room or building interior") + ".";
+  } else if (mainLabels.includes('urban') || mainLabels.includes('city')) {
+    return "This appears to be an urban setting, possibly in a city or town environment.";
+  }
+  return "I cannot determine the specific location from this image. It appears to show " +
+    (mainLabels[0] ? `a ${mainLabels[0]}` : "a scene") + ".";
+}
+
+function compare({ analysis, queryLower, spatial }) {
+  const { objects = [] } = analysis;
+  const size = entry => `about ${Math.max(Math.round(entry.box.area * 100), 1)}% of the image`;
+
+  // Superlatives only need the located objects
+  if (/\b(?:largest|biggest|smallest|tiniest)\b/.test(queryLower) && spatial.objects.length > 0) {
+    const entry = /\b(?:smallest|tiniest)\b/.test(queryLower) ? spatial.smallest : spatial.largest;
+    return `The ${/\b(?:smallest|tiniest)\b/.test(queryLower) ? 'smallest' : 'largest'} object is the ${entry.name.toLowerCase()} ${entry.position === 'center' ? 'in the center' : `on the ${entry.position}`}, taking up ${size(entry)}.`;
+  }
+
+  if (objects.length < 2) {
+    return objects.length === 1
+      ? `I can only make out one ${objects[0].name.toLowerCase()}, so there is nothing in this image to compare it with.`
+      : "I can't make out separate objects to compare in this image.";
+  }
+
+  if (spatial.objects.length === objects.length) {
+    const [largest, next] = [...spatial.objects].sort((a, b) => b.box.area - a.box.area);
+    return `Of the ${objects.length} objects detected, the ${largest.name.toLowerCase()} takes up the most of the image (${size(largest)}), followed by the ${next.name.toLowerCase()} (${size(next)}).`;
+  }
+  const [clearest, next] = [...objects].sort((a, b) => b.score - a.score);
+  return `Of the ${objects.length} objects detected, the ${clearest.name.toLowerCase()} is the most clearly visible (${Math.round(clearest.score * 100)}% confidence), followed by the ${next.name.toLowerCase()} (${Math.round(next.score * 100)}%).`;
+}
+
+const REGIONS = {
+  left: position => position.endsWith('left'),
+  right: position => position.endsWith('right'),
+  top: position => position.startsWith('top'),
+  bottom: position => position.startsWith('bottom'),
+  center: position => position === 'center',
+  centre: position => position === 'center',
+  middle: position => position === 'center'
+};
+
+const RELATION_WORDS = [
+  { pattern: /\b(?:left of|to the left of)\s+(?:the\s+)?([a-z]+)/, relation: 'left of' },
+  { pattern: /\b(?:right of|to the right of)\s+(?:the\s+)?([a-z]+)/, relation: 'right of' },
+  { pattern: /\b(?:above|over|on top of)\s+(?:the\s+)?([a-z]+)/, relation: 'above' },
+  { pattern: /\b(?:below|under|beneath|underneath)\s+(?:the\s+)?([a-z]+)/, relation: 'below' },
+  { pattern: /\b(?:inside|in|within)\s+(?:the\s+)?([a-z]+)/, relation: 'inside' },
+  { pattern: /\b(?:next to|beside|near|by)\s+(?:the\s+)?([a-z]+)/, relation: 'near' }
+];
+
+const nameList = entries => {
+  const names = entries.map(entry => `a ${entry.name.toLowerCase()}`);
+  return names.length > 1 ? `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}` : names[0];
+};
+
+function position({ queryLower, spatial }) {
+  if (spatial.objects.length === 0) {
+    return "I can't locate separate objects in this image, so I can't tell where things are.";
+  }
+
+  // "What is left of the dog?", "what is next to the car?"
+  for (const { pattern, relation } of RELATION_WORDS) {
+    const noun = queryLower.match(pattern)?.[1];
+    const anchors = noun ? findNamed(spatial, noun) : [];
+    if (anchors.length === 0) {
+      continue;
+    }
+    const anchor = anchors[0];
+    const others = spatial.objects.filter(entry => entry !== anchor);
+    const related = relation === 'near'
+      ? [...others].sort((a, b) =>
+        Math.hypot(a.box.centerX - anchor.box.centerX, a.box.centerY - anchor.box.centerY)
+        - Math.hypot(b.box.centerX - anchor.box.centerX, b.box.centerY - anchor.box.centerY)).slice(0, 1)
+      : others.filter(entry => spatial.relations.some(r => r.subject === entry.index && r.object === anchor.index && r.relation === relation));
+    const phrase = relation === 'near' ? 'next to' : relation;
+    return related.length > 0
+      ? `${nameList(related).replace(/^a/, 'A')} ${related.length > 1 ? 'are' : 'is'} ${phrase} the ${anchor.name.toLowerCase()}.`
+      : `I don't see anything ${phrase} the ${anchor.name.toLowerCase()}.`;
+  }
+
+  // "What is on the left?"
+  const region = Object.keys(REGIONS).find(word => new RegExp(`\\b${word}\\b`).test(queryLower));
+  if (region) {
+    const inRegion = spatial.objects.filter(entry => REGIONS[region](entry.position));
+    const where = ['center', 'centre', 'middle'].includes(region) ? 'In the center' : `On the ${region}`;
+    return inRegion.length > 0
+      ? `${where} of the image there ${inRegion.length > 1 ? 'are' : 'is'} ${nameList(inRegion)}.`
+      : `${where} of the image I don't see any distinct object.`;
+  }
+
+  // "Where is the dog?"
+  const named = spatial.objects.find(entry => queryLower.includes(singular(entry.name.toLowerCase())));
+  if (named) {
+    const relations = spatial.relations
+      .filter(r => r.subject === named.index && ['left of', 'right of', 'above', 'below', 'inside'].includes(r.relation))
+      .slice(0, 2)
+      .map(r => {
+        const other = spatial.objects[r.object].name.toLowerCase();
+        return `${r.relation} the ${other === named.name.toLowerCase() ? `other ${other}` : other}`;
+      });
+    return `The ${named.name.toLowerCase()} is ${named.position === 'center' ? 'in the center' : `on the ${named.position}`} of the image${
+      relations.length > 0 ? `, ${relations.join(' and ')}` : ''
+    }.`;
+  }
+
+  return `The image shows ${spatial.objects.map(entry => `a ${entry.name.toLowerCase()} ${entry.position === 'center' ? 'in the center' : `on the ${entry.position}`}`).join(', ')}.`;
+}
+
+function appraiseItem(context) {
+  const { appraisal, analysis } = context;
+  const { logos = [] } = analysis;
+  if (appraisal.brand || appraisal.category) {
+    return formatAppraisal(appraisal);
+  }
+  // Brands outside the taxonomy are answered from the detected logos
+  if (logos.length > 0) {
+    return `The image shows the ${logos.map(logo => logo.description).join(', ')} logo${logos.length > 1 ? 's' : ''}, so the item appears to be from ${logos[0].description}.`;
+  }
+  return "I can't recognize a brand or a collectible item in this image, so I can't tell what it is worth or whether it is authentic.";
+}
+
+// Fields a document question asks for, with the document types that have them
+const DOCUMENT_QUESTIONS = [
+  { pattern: /\bsub[- ]?total\b/, noun: 'subtotal', fields: [['receipt', 'subtotal']] },
+  { pattern: /\b(?:tax|vat|gst|hst)\b/, noun: 'tax', fields: [['receipt', 'tax']] },
+  { pattern: /\b(?:tip|gratuity)\b/, noun: 'tip', fields: [['receipt', 'tip']] },
+  { pattern: /\b(?:items?|bought|buy|purchased?|ordered)\b/, noun: 'items', fields: [['receipt', 'items']] },
+  { pattern: /\b(?:store|shop|merchant|restaurant|vendor)\b/, noun: 'merchant', fields: [['receipt', 'merchant']] },
+  { pattern: /\b(?:pay|paid) (?:with|by)\b|\bpayment\b/, noun: 'payment method', fields: [['receipt', 'paymentMethod']] },
+  { pattern: /\b(?:total|amount due|how much|cost|paid|pay|spen[dt])\b/, noun: 'total', fields: [['receipt', 'total']] },
+  { pattern: /\bserial\b/, noun: 'serial number', fields: [['label', 'serialNumber'], ['certificate', 'serialNumber']] },
+  { pattern: /\b(?:certificate|licen[cs]e|registration) (?:number|no|id)\b/, noun: 'certificate number', fields: [['certificate', 'certificateNumber']] },
+  { pattern: /\bmodel\b/, noun: 'model number', fields: [['label', 'modelNumber']] },
+  { pattern: /\b(?:lot|batch)\b/, noun: 'lot number', fields: [['label', 'lotNumber']] },
+  { pattern: /\b(?:barcode|upc|ean|gtin)\b/, noun: 'barcode', fields: [['label', 'barcode']] },
+  { pattern: /\bingredients?\b/, noun: 'ingredients', fields: [['label', 'ingredients']] },
+  { pattern: /\b(?:expir\w*|best before|use by|valid until)\b/, noun: 'expiry date', fields: [['label', 'expiryDate'], ['certificate', 'expiryDate']] },
+  { pattern: /\b(?:issued|awarded|presented|granted) to\b|\brecipient\b|\bwho\b/, noun: 'recipient', fields: [['certificate', 'recipient']] },
+  { pattern: /\b(?:issued|signed|certified) by\b|\bissuer\b/, noun: 'issuer', fields: [['certificate', 'issuer']] },
+  { pattern: /\b(?:date|when|dated)\b/, noun: 'date', fields: [['receipt', 'date'], ['certificate', 'issueDate'], ['label', 'expiryDate']] }
+];
+
+const formatField = (field, value) => {
+  if (field === 'items') {
+    return value.map(item => `${item.quantity > 1 ? `${item.quantity} x ` : ''}${item.description} (${formatAmount({ amount: item.amount, currency: null })})`).join(', ');
+  }
+  if (typeof value.amount === 'number') {
+    return formatAmount(value);
+  }
+  if ('iso' in value) {
+    return formatDate(value);
+  }
+  return value.value;
+};
+
+function readDocument({ analysis, queryLower, document }) {
+  const question = DOCUMENT_QUESTIONS.find(({ pattern }) => pattern.test(queryLower));
+  if (!question) {
+    // Without a specific field, the summary of a recognized document
+    return document.type ? `${formatDocument(document)}.` : null;
+  }
+
+  // The field of the detected document type first, then those of the other types
+  const candidates = [...question.fields].sort(([a], [b]) => (b === document.type) - (a === document.type));
+  for (const [type, field] of candidates) {
+    const extraction = type === document.type ? document : extractDocument(analysis, { type });
+    const value = extraction.fields[field];
+    if (value && (!Array.isArray(value) || value.length > 0)) {
+      const verb = field === 'items' || field === 'ingredients' ? 'are' : 'is';
+      return `The ${question.noun} on this ${type} ${verb} ${formatField(field, value)}${field === 'items' ? '' : ` (read from "${value.text}")`}.`;
+    }
+  }
+
+  const named = DOCUMENT_TYPES.find(type => queryLower.includes(type)) ?? document.type;
+  return analysis.text?.trim()
+    ? `I can't find the ${question.noun} in the text of this ${named ?? 'image'}.`
+    : `There is no readable text in this image, so I can't find the ${question.noun}.`;
+}
+
+// Registration order breaks ties between equal scores
+export const BUILT_IN_INTENTS = [
+  {
+    name: 'identify',
+    cues: [
+      { pattern: /\bwhat(?:'s| is| are)\s+(?:this|that|these|those|it|shown|in (?:this|the) (?:image|picture|photo))\b/i, weight: 0.7 },
+      { pattern: /\bwhat(?:'s| is| are)\b/i, weight: 0.3 },
+      { pattern: /\bwhat (?:kind|type|sort|breed|species)s? of\b/i, weight: 0.8 },
+      { pattern: /\b(?:identify|recogni[sz]e)\b/i, weight: 0.8 },
+      { pattern: /\b(?:describe|description|show me|tell me about)\b/i, weight: 0.6 },
+      { pattern: /\b(?:animal|pet|object|thing|item)s?\b/i, weight: 0.2 }
+    ],
+    handle: identify
+  },
+  {
+    name: 'count',
+    cues: [
+      { pattern: /\bhow many\b/i, weight: 0.95 },
+      { pattern: /\b(?:count|number of)\b/i, weight: 0.8 }
+    ],
+    handle: count
+  },
+  {
+    name: 'read-text',
+    cues: [
+      { pattern: /\b(?:read|text|written|writing|inscription)\b/i, weight: 0.85 },
+      { pattern: /\b(?:say|says|saying|words?)\b/i, weight: 0.6 },
+      { pattern: /\b(?:sign|caption|label)\b/i, weight: 0.4 }
+    ],
+    handle: readText
+  },
+  {
+    name: 'color',
+    cues: [
+      { pattern: /\bcolou?r(?:s|ed)?\b/i, weight: 0.95 },
+      { pattern: /\b(?:shade|hue|tint)s?\b/i, weight: 0.6 }
+    ],
+    handle: color
+  },
+  {
+    name: 'location',
+    cues: [
+      { pattern: /\bwhere\b(?! (?:is|are) the\b)/i, weight: 0.8 },
+      { pattern: /\b(?:location|place|city|country|landmark)\b/i, weight: 0.7 },
+      { pattern: /\btaken\b/i, weight: 0.3 }
+    ],
+    handle: location
+  },
+  {
+    name: 'compare',
+    cues: [
+      { pattern: /\b(?:compare|comparison|difference|differ|versus|vs)\b/i, weight: 0.9 },
+      { pattern: /\b(?:bigger|smaller|larger|taller|shorter|closer)\b/i, weight: 0.6 },
+      { pattern: /\b(?:largest|biggest|smallest|tiniest)\b/i, weight: 0.8 },
+      { pattern: /\bwhich (?:one|is)\b/i, weight: 0.4 }
+    ],
+    handle: compare
+  },
+  {
+    name: 'position',
+    cues: [
+      { pattern: /\b(?:left|right|top|bottom|middle|center|centre|corner)\b/i, weight: 0.7 },
+      { pattern: /\b(?:on|in|at) the (?:left|right|top|bottom|middle|center|centre)\b/i, weight: 0.5 },
+      { pattern: /\b(?:above|below|under|beneath|next to|beside|behind|in front of|inside|within)\b/i, weight: 0.7 },
+      { pattern: /\bwhere (?:is|are) the\b/i, weight: 0.85 }
+    ],
+    handle: position
+  },
+  {
+    name: 'appraise',
+    cues: [
+      { pattern: /\b(?:authentic|genuine|fake|counterfeit|replica|legit)\b/i, weight: 0.85 },
+      { pattern: /\b(?:is|are) (?:it|this|that|these|those)\b.*\breal\b/i, weight: 0.85 },
+      { pattern: /\b(?:worth|value|price|appraise|appraisal)\b/i, weight: 0.8 },
+      { pattern: /\b(?:brand|logo|who makes|made by|manufacturer)\b/i, weight: 0.8 },
+      { pattern: /\bmodel\b/i, weight: 0.5 }
+    ],
+    handle: appraiseItem
+  },
+  {
+    name: 'document',
+    cues: [
+      { pattern: /\b(?:sub[- ]?total|total|amount due|tax|vat|gst|tip)\b/i, weight: 0.8 },
+      { pattern: /\b(?:receipt|invoice|bill|certificate|diploma|licen[cs]e)\b/i, weight: 0.6 },
+      { pattern: /\bserial\b|\b(?:model|lot|batch|certificate|registration) (?:number|no)\b/i, weight: 0.8 },
+      { pattern: /\b(?:expir\w*|best before|use by|barcode|ingredients)\b/i, weight: 0.8 },
+      { pattern: /\b(?:issued|awarded|presented|granted|signed) (?:to|by)\b/i, weight: 0.7 },
+      { pattern: /\bhow much did\b|\b(?:paid|spent)\b/i, weight: 0.6 },
+      { pattern: /\bwhat did (?:i|we) (?:buy|order|purchase|get)\b/i, weight: 0.7 },
+      { pattern: /\b(?:date|dated)\b/i, weight: 0.3 }
+    ],
+    handle: readDocument
+  }
+];
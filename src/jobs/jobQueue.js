@@ -0,0 +1,229 @@
+/**
+ * Asynchronous job queue for analysis tasks
+ * Jobs are stored with JobStore, delivered to workers by a transport (local or AMQP),
+ * run with the analysis tasks, and reported to their webhook when they finish.
+ */
+
+import { createSqlClient } from '../database/sql.js';
+import {
+  ConflictError,
+  InvalidRequestError,
+  NotFoundError,
+  ServiceUnavailableError,
+  toErrorResponse
+} from '../services/errors.js';
+import { JobStore } from './jobStore.js';
+import { createJobTransport } from './transports.js';
+import { checkWebhookUrl, deliverWebhook } from './webhooks.js';
+
+// Batch progress is written at most this often
+const PROGRESS_INTERVAL_MS = 1000;
+
+export class JobQueue {
+  /**
+   * @param {Object} options
+   * @param {JobStore} options.store - Job persistence
+   * @param {Object<string, Function>|function(string|null): Object<string, Function>} options.tasks - Tasks by
+   *   job type, from createAnalysisTasks, or a function returning the tasks of an agent from its id, for
+   *   queues shared by several agents
+   * @param {LocalJobTransport|AmqpJobTransport} options.transport - Job delivery
+   * @param {string} [options.webhookSecret] - Secret signing the webhooks; without it callbacks are refused
+   */
+  constructor({ store, tasks, transport, webhookSecret }) {
+    this.store = store;
+    this.tasks = tasks;
+    this.transport = transport;
+    this.webhookSecret = webhookSecret;
+    // Abort controllers of the jobs running in this process
+    this.running = new Map();
+  }
+
+  /**
+   * @param {string|null} agentId - Agent of a job
+   * @returns {Object<string, Function>|undefined} - Tasks by job type, none when the agent does not run here
+   */
+  getTasks(agentId) {
+    return typeof this.tasks === 'function' ? this.tasks(agentId) : this.tasks;
+  }
+
+  /**
+   * Starts the workers and resumes the jobs left by a previous run
+   */
+  async start() {
+    await this.transport.start((id, { redelivered }) => this.runJob(id, { reclaim: redelivered }));
+
+    // An AMQP broker keeps and redelivers its own messages
+    if (this.transport.name === 'local') {
+      const requeued = await this.store.requeueRunning();
+      const queued = await this.store.listIds('queued');
+      if (queued.length > 0) {
+        console.log(`Resuming ${queued.length} queued jobs (${requeued} interrupted)`);
+      }
+      for (const id of queued) {
+        await this.transport.enqueue(id);
+      }
+    }
+    console.log(`Job queue started (${this.transport.name})`);
+  }
+
+  async stop() {
+    for (const controller of this.running.values()) {
+      controller.abort();
+    }
+    await this.transport.stop();
+  }
+
+  /**
+   * Stores and schedules a job
+   * @param {string} type - Task type
+   * @param {Object} params - Task parameters
+   * @param {Object} [options]
+   * @param {string} [options.callbackUrl] - Webhook called when the job finishes
+   * @param {string} [options.agentId] - Agent whose tasks run the job
+   * @param {string|null} [options.apiKeyId] - API key submitting the job, the only one to find it later
+   * @returns {Promise<Object>} - The queued job
+   */
+  async submit(type, params, { callbackUrl, agentId, apiKeyId } = {}) {
+    const tasks = this.getTasks(agentId ?? null) ?? {};
+    if (!tasks[type]) {
+      throw new InvalidRequestError(`Unknown job type "${type}". Expected one of: ${Object.keys(tasks).join(', ')}`);
+    }
+    if (callbackUrl) {
+      if (!this.webhookSecret) {
+        throw new InvalidRequestError('Webhooks are disabled: set JOB_WEBHOOK_SECRET to enable callbackUrl', {
+          code: 'WEBHOOKS_DISABLED'
+        });
+      }
+      await checkWebhookUrl(callbackUrl);
+    }
+
+    const job = await this.store.create({ type, params, callbackUrl, agentId, apiKeyId });
+    await this.transport.enqueue(job.id);
+    return job;
+  }
+
+  /**
+   * @param {string} id - Job id
+   * @param {Object} [options]
+   * @param {string|null} [options.agentId] - Only find the job among the jobs of this agent
+   * @param {string|null} [options.apiKeyId] - Only find the job among the jobs of this API key
+   * @returns {Promise<Object>} - The job
+   */
+  async get(id, { agentId, apiKeyId } = {}) {
+    const job = await this.store.get(id);
+    if (!job || (agentId !== undefined && job.agentId !== agentId) || (apiKeyId !== undefined && job.apiKeyId !== apiKeyId)) {
+      throw new NotFoundError(`Job ${id} not found`, { code: 'JOB_NOT_FOUND' });
+    }
+    return job;
+  }
+
+  /**
+   * Cancels a queued or running job; a running job is stopped if it runs in this process
+   * @param {string} id - Job id
+   * @param {Object} [options]
+   * @param {string|null} [options.agentId] - Only cancel the job if it belongs to this agent
+   * @param {string|null} [options.apiKeyId] - Only cancel the job if it belongs to this API key
+   * @returns {Promise<Object>} - The cancelled job
+   */
+  async cancel(id, { agentId, apiKeyId } = {}) {
+    if (agentId !== undefined || apiKeyId !== undefined) {
+      await this.get(id, { agentId, apiKeyId });
+    }
+    if (!(await this.store.cancel(id))) {
+      const job = await this.get(id);
+      throw new ConflictError(`Job ${id} is already ${job.status}`, { code: 'JOB_NOT_CANCELLABLE' });
+    }
+    this.running.get(id)?.abort();
+
+    const job = await this.get(id);
+    this.notify(job);
+    return job;
+  }
+
+  /**
+   * Runs a delivered job unless another worker claimed it or it was cancelled
+   * @param {string} id - Job id
+   * @param {Object} [options]
+   * @param {boolean} [options.reclaim] - The job may have been left running by a stopped worker
+   */
+  async runJob(id, { reclaim = false } = {}) {
+    if (!(await this.store.claim(id, { reclaim }))) {
+      return;
+    }
+    const job = await this.store.get(id);
+    const params = await this.store.getParams(id);
+    const controller = new AbortController();
+    this.running.set(id, controller);
+    console.log(`Running job ${id} (${job.type})`);
+
+    let lastProgressAt = 0;
+    const reportProgress = progress => {
+      const now = Date.now();
+      if (now - lastProgressAt >= PROGRESS_INTERVAL_MS || progress.completed === progress.total) {
+        lastProgressAt = now;
+        this.store.updateProgress(id, progress).catch(error => {
+          console.warn(`Could not record progress of job ${id}:`, error.message);
+        });
+      }
+    };
+
+    let outcome;
+    try {
+      const task = this.getTasks(job.agentId)?.[job.type];
+      if (!task) {
+        throw new ServiceUnavailableError(`Agent ${job.agentId} of the job does not run in this process`, {
+          code: 'AGENT_UNAVAILABLE'
+        });
+      }
+      const result = await task(params, { signal: controller.signal, reportProgress });
+      outcome = { status: 'succeeded', result };
+    } catch (error) {
+      outcome = { status: 'failed', error: toErrorResponse(error) };
+    } finally {
+      this.running.delete(id);
+    }
+
+    // A cancelled job keeps its cancelled status and was already reported
+    if (await this.store.finish(id, outcome)) {
+      console.log(`Job ${id} ${outcome.status}`);
+      this.notify(await this.store.get(id));
+    }
+  }
+
+  /**
+   * Sends the job to its webhook, without waiting for the delivery
+   * @param {Object} job - Finished job
+   */
+  notify(job) {
+    if (!job.callbackUrl || !this.webhookSecret) {
+      return;
+    }
+    deliverWebhook(job.callbackUrl, { event: `job.${job.status}`, job }, { secret: this.webhookSecret })
+      .then(delivered => {
+        if (!delivered) {
+          console.error(`Webhook for job ${job.id} could not be delivered to ${job.callbackUrl}`);
+        }
+      });
+  }
+}
+
+/**
+ * Creates the job queue over an agent database and starts its workers
+ * @param {Object} options
+ * @param {Object} options.db - Database adapter from initializeDatabase, already initialized
+ * @param {Object<string, Function>|Function} options.tasks - Tasks by job type, or the tasks of each agent (see JobQueue)
+ * @returns {Promise<JobQueue>}
+ */
+export async function startJobQueue({ db, tasks }) {
+  const store = new JobStore(createSqlClient(db));
+  await store.init();
+
+  const queue = new JobQueue({
+    store,
+    tasks,
+    transport: createJobTransport(),
+    webhookSecret: process.env.JOB_WEBHOOK_SECRET
+  });
+  await queue.start();
+  return queue;
+}
@@ -0,0 +1,67 @@
+import { afterEach, beforeEach, describe, expect, jest, test } from '@jest/globals';
+import Database from 'better-sqlite3';
+import { createSqlClient } from '../database/sql.js';
+import { JobQueue } from './jobQueue.js';
+import { JobStore } from './jobStore.js';
+import { LocalJobTransport } from './transports.js';
+
+let queue;
+let store;
+
+// Resolves once the job left the queued and running statuses
+const settled = async id => {
+  for (let job = await store.get(id); ; job = await store.get(id)) {
+    if (!['queued', 'running'].includes(job.status)) {
+      return job;
+    }
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+};
+
+beforeEach(async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  store = new JobStore(createSqlClient({ db: new Database(':memory:') }));
+  await store.init();
+  queue = new JobQueue({
+    store,
+    tasks: { analyze: async ({ imageUrl }) => ({ success: true, imageUrl }) },
+    transport: new LocalJobTransport()
+  });
+  await queue.start();
+});
+
+afterEach(async () => {
+  await queue.stop();
+  jest.restoreAllMocks();
+});
+
+describe('JobQueue', () => {
+  test('runs submitted jobs and keeps their results', async () => {
+    const job = await queue.submit('analyze', { imageUrl: 'https://example.com/dog.jpg' }, { agentId: 'agent-1', apiKeyId: 'key-1' });
+    expect(job).toMatchObject({ status: 'queued', agentId: 'agent-1', apiKeyId: 'key-1' });
+    expect(await settled(job.id)).toMatchObject({ status: 'succeeded', result: { imageUrl: 'https://example.com/dog.jpg' } });
+  });
+
+  test('refuses unknown job types', async () => {
+    await expect(queue.submit('teleport', {})).rejects.toThrow('Unknown job type "teleport". Expected one of: analyze');
+  });
+
+  test('keeps the jobs of an API key from the other keys', async () => {
+    const job = await queue.submit('analyze', { imageUrl: 'https://example.com/dog.jpg' }, { agentId: 'agent-1', apiKeyId: 'key-1' });
+    await settled(job.id);
+    const notFound = expect.objectContaining({ code: 'JOB_NOT_FOUND', httpStatus: 404 });
+
+    for (const owner of [{ agentId: 'agent-1', apiKeyId: 'key-2' }, { agentId: 'agent-1', apiKeyId: null }, { agentId: 'agent-2', apiKeyId: 'key-1' }]) {
+      await expect(queue.get(job.id, owner)).rejects.toThrow(notFound);
+      await expect(queue.cancel(job.id, owner)).rejects.toThrow(notFound);
+    }
+    expect((await queue.get(job.id, { agentId: 'agent-1', apiKeyId: 'key-1' })).result).toEqual({ success: true, imageUrl: 'https://example.com/dog.jpg' });
+  });
+
+  test('cancels queued jobs of the key', async () => {
+    await queue.stop();
+    const job = await queue.submit('analyze', { imageUrl: 'https://example.com/dog.jpg' }, { apiKeyId: 'key-1' });
+    expect(await queue.cancel(job.id, { apiKeyId: 'key-1' })).toMatchObject({ status: 'cancelled' });
+    await expect(queue.cancel(job.id, { apiKeyId: 'key-1' })).rejects.toThrow(expect.objectContaining({ code: 'JOB_NOT_CANCELLABLE' }));
+  });
+});
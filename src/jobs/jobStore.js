@@ -0,0 +1,206 @@
+/**
+ * Persistence of analysis jobs in the agent database (SQLite or Postgres)
+ *
+ * Job lifecycle: queued -> running -> succeeded | failed, or cancelled from queued or running.
+ * Status changes are conditional updates, so concurrent workers never run the same job
+ * twice and a cancelled job is never overwritten by the result of its last run.
+ */
+
+import crypto from 'crypto';
+
+export const JOB_STATUSES = ['queued', 'running', 'succeeded', 'failed', 'cancelled'];
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS vision_jobs (
+    id TEXT PRIMARY KEY,
+    agent_id TEXT,
+    api_key_id TEXT,
+    type TEXT NOT NULL,
+    status TEXT NOT NULL,
+    params TEXT NOT NULL,
+    result TEXT,
+    error TEXT,
+    progress TEXT,
+    callback_url TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    started_at TEXT,
+    finished_at TEXT
+  );
+  CREATE INDEX IF NOT EXISTS vision_jobs_status_idx ON vision_jobs (status, created_at);
+`;
+
+const parseJson = value => (value == null ? null : JSON.parse(value));
+
+/**
+ * Converts a row to the job returned by the API; parameters are left out because
+ * they may hold whole uploaded images
+ * @param {Object} row - vision_jobs row
+ * @returns {Object}
+ */
+function toJob(row) {
+  return {
+    id: row.id,
+    agentId: row.agent_id ?? null,
+    apiKeyId: row.api_key_id ?? null,
+    type: row.type,
+    status: row.status,
+    progress: parseJson(row.progress),
+    result: parseJson(row.result),
+    error: parseJson(row.error),
+    callbackUrl: row.callback_url ?? null,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    startedAt: row.started_at ?? null,
+    finishedAt: row.finished_at ?? null
+  };
+}
+
+export class JobStore {
+  /**
+   * @param {SqlClient} sql - Client returned by createSqlClient
+   */
+  constructor(sql) {
+    this.sql = sql;
+  }
+
+  /**
+   * Creates the jobs table when it does not exist
+   */
+  async init() {
+    await this.sql.exec(SCHEMA);
+    // Tables created before jobs belonged to agents and API keys lack their columns
+    for (const column of ['agent_id', 'api_key_id']) {
+      try {
+        await this.sql.get(`SELECT ${column} FROM vision_jobs LIMIT 1`);
+      } catch {
+        await this.sql.exec(`ALTER TABLE vision_jobs ADD COLUMN ${column} TEXT`);
+      }
+    }
+  }
+
+  /**
+   * Stores a new queued job
+   * @param {Object} job
+   * @param {string} job.type - Task type
+   * @param {Object} job.params - Task parameters
+   * @param {string} [job.callbackUrl] - Webhook called when the job finishes
+   * @param {string} [job.agentId] - Agent whose tasks run the job
+   * @param {string} [job.apiKeyId] - API key submitting the job
+   * @returns {Promise<Object>} - The job
+   */
+  async create({ type, params, callbackUrl, agentId, apiKeyId }) {
+    const id = crypto.randomUUID();
+    const now = new Date().toISOString();
+    await this.sql.run(
+      `INSERT INTO vision_jobs (id, agent_id, api_key_id, type, status, params, callback_url, created_at, updated_at)
+       VALUES (?, ?, ?, ?, 'queued', ?, ?, ?, ?)`,
+      [id, agentId ?? null, apiKeyId ?? null, type, JSON.stringify(params), callbackUrl ?? null, now, now]
+    );
+    return this.get(id);
+  }
+
+  /**
+   * @param {string} id - Job id
+   * @returns {Promise<Object|null>} - The job, or null when it does not exist
+   */
+  async get(id) {
+    const row = await this.sql.get('SELECT * FROM vision_jobs WHERE id = ?', [id]);
+    return row ? toJob(row) : null;
+  }
+
+  /**
+   * @param {string} id - Job id
+   * @returns {Promise<Object|null>} - Task parameters of the job
+   */
+  async getParams(id) {
+    const row = await this.sql.get('SELECT params FROM vision_jobs WHERE id = ?', [id]);
+    return row ? parseJson(row.params) : null;
+  }
+
+  /**
+   * Ids of the jobs in a status, oldest first
+   * @param {string} status - Job status
+   * @returns {Promise<Array<string>>}
+   */
+  async listIds(status) {
+    const rows = await this.sql.all('SELECT id FROM vision_jobs WHERE status = ? ORDER BY created_at', [status]);
+    return rows.map(row => row.id);
+  }
+
+  /**
+   * Marks a queued job as running
+   * @param {string} id - Job id
+   * @param {Object} [options]
+   * @param {boolean} [options.reclaim] - Also claim a job left running by a worker that stopped
+   * @returns {Promise<boolean>} - Whether this caller now owns the job
+   */
+  async claim(id, { reclaim = false } = {}) {
+    const now = new Date().toISOString();
+    const statuses = reclaim ? "('queued', 'running')" : "('queued')";
+    const { changes } = await this.sql.run(
+      `UPDATE vision_jobs SET status = 'running', started_at = ?, updated_at = ?
+       WHERE id = ? AND status IN ${statuses}`,
+      [now, now, id]
+    );
+    return changes > 0;
+  }
+
+  /**
+   * Records the progress of a running job
+   * @param {string} id - Job id
+   * @param {Object} progress - Progress, e.g. { completed, total }
+   */
+  async updateProgress(id, progress) {
+    await this.sql.run(
+      `UPDATE vision_jobs SET progress = ?, updated_at = ? WHERE id = ? AND status = 'running'`,
+      [JSON.stringify(progress), new Date().toISOString(), id]
+    );
+  }
+
+  /**
+   * Records the outcome of a running job
+   * @param {string} id - Job id
+   * @param {Object} outcome
+   * @param {'succeeded'|'failed'} outcome.status - Final status
+   * @param {Object} [outcome.result] - Task result
+   * @param {{code: string, message: string}} [outcome.error] - Task error
+   * @returns {Promise<boolean>} - False when the job was cancelled meanwhile
+   */
+  async finish(id, { status, result, error }) {
+    const now = new Date().toISOString();
+    const { changes } = await this.sql.run(
+      `UPDATE vision_jobs SET status = ?, result = ?, error = ?, finished_at = ?, updated_at = ?
+       WHERE id = ? AND status = 'running'`,
+      [status, result === undefined ? null : JSON.stringify(result), error ? JSON.stringify(error) : null, now, now, id]
+    );
+    return changes > 0;
+  }
+
+  /**
+   * Cancels a queued or running job
+   * @param {string} id - Job id
+   * @returns {Promise<boolean>} - False when the job does not exist or already finished
+   */
+  async cancel(id) {
+    const now = new Date().toISOString();
+    const { changes } = await this.sql.run(
+      `UPDATE vision_jobs SET status = 'cancelled', finished_at = ?, updated_at = ?
+       WHERE id = ? AND status IN ('queued', 'running')`,
+      [now, now, id]
+    );
+    return changes > 0;
+  }
+
+  /**
+   * Puts jobs left running by a stopped process back in the queue
+   * @returns {Promise<number>} - Number of requeued jobs
+   */
+  async requeueRunning() {
+    const { changes } = await this.sql.run(
+      `UPDATE vision_jobs SET status = 'queued', started_at = NULL, updated_at = ? WHERE status = 'running'`,
+      [new Date().toISOString()]
+    );
+    return changes;
+  }
+}
@@ -0,0 +1,119 @@
+/**
+ * Job transports: how queued job ids reach the workers
+ *
+ * A transport has:
+ * - start(onJob): begins delivering job ids to onJob(id, { redelivered }), which resolves
+ *   once the job is done
+ * - enqueue(id): schedules a job
+ * - stop(): stops delivering jobs
+ *
+ * The local transport runs jobs in this process. The AMQP transport publishes job ids to a
+ * durable queue so that several server processes share the work and queued jobs survive
+ * restarts of every process.
+ */
+
+import { createLimiter } from '../utils/concurrency.js';
+
+export class LocalJobTransport {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.concurrency] - Jobs run at the same time
+   */
+  constructor({ concurrency = 2 } = {}) {
+    this.name = 'local';
+    this.limit = createLimiter(concurrency);
+  }
+
+  async start(onJob) {
+    this.onJob = onJob;
+  }
+
+  async enqueue(id) {
+    this.limit(() => this.onJob?.(id, { redelivered: false })).catch(error => {
+      console.error(`Job ${id} failed unexpectedly:`, error.message);
+    });
+  }
+
+  async stop() {
+    this.onJob = null;
+  }
+}
+
+export class AmqpJobTransport {
+  /**
+   * @param {Object} options
+   * @param {string} options.url - AMQP broker URL
+   * @param {string} [options.queue] - Queue name
+   * @param {number} [options.concurrency] - Unacknowledged jobs per process
+   * @param {boolean} [options.consume] - Whether this process runs jobs, or only submits them
+   */
+  constructor({ url, queue = 'vision_jobs', concurrency = 2, consume = true }) {
+    if (!url) {
+      throw new Error('AMQP_URL is required for the amqp job queue');
+    }
+    this.name = 'amqp';
+    this.url = url;
+    this.queue = queue;
+    this.concurrency = concurrency;
+    this.consume = consume;
+  }
+
+  async start(onJob) {
+    const { default: amqp } = await import('amqplib');
+    this.connection = await amqp.connect(this.url);
+    this.channel = await this.connection.createChannel();
+    await this.channel.assertQueue(this.queue, { durable: true });
+
+    if (!this.consume) {
+      return;
+    }
+    await this.channel.prefetch(this.concurrency);
+    await this.channel.consume(this.queue, async message => {
+      if (!message) {
+        return;
+      }
+      const id = message.content.toString();
+      try {
+        await onJob(id, { redelivered: message.fields.redelivered });
+      } catch (error) {
+        console.error(`Job ${id} failed unexpectedly:`, error.message);
+      }
+      this.channel.ack(message);
+    });
+  }
+
+  async enqueue(id) {
+    this.channel.sendToQueue(this.queue, Buffer.from(id), { persistent: true });
+  }
+
+  async stop() {
+    await this.channel?.close();
+    await this.connection?.close();
+  }
+}
+
+/**
+ * Creates the transport selected by JOB_QUEUE_MODE
+ * @param {Object} [options]
+ * @param {string} [options.mode] - local or amqp
+ * @param {number} [options.concurrency] - Jobs run at the same time by this process
+ * @returns {LocalJobTransport|AmqpJobTransport}
+ */
+export function createJobTransport({
+  mode = process.env.JOB_QUEUE_MODE || 'local',
+  concurrency = Number(process.env.JOB_CONCURRENCY) || 2
+} = {}) {
+  switch (mode) {
+    case 'local':
+      return new LocalJobTransport({ concurrency });
+    case 'amqp':
+      return new AmqpJobTransport({
+        url: process.env.AMQP_URL,
+        queue: process.env.JOB_QUEUE_NAME || 'vision_jobs',
+        concurrency,
+        consume: process.env.JOB_WORKER !== 'false'
+      });
+    default:
+      throw new Error(`Unknown job queue mode "${mode}". Expected local or amqp`);
+  }
+}
@@ -0,0 +1,174 @@
+/**
+ * Signed webhook delivery for finished jobs
+ *
+ * Each request carries the header
+ *   X-Vision-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>">
+ * computed with JOB_WEBHOOK_SECRET. Receivers recompute the HMAC over the raw body and
+ * reject stale timestamps to prevent replays.
+ *
+ * Webhook URLs come from API clients, so they get the checks of image downloads: http(s)
+ * without credentials, and hosts that resolve to no private, loopback, link-local or
+ * reserved address (unless JOB_WEBHOOK_ALLOW_PRIVATE=true). Deliveries connect to the
+ * checked address and do not follow redirects.
+ */
+
+import crypto from 'crypto';
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import { ImageUrlBlockedError, InvalidRequestError } from '../services/errors.js';
+import { createCheckedLookup, isBlockedAddress } from '../utils/safeFetch.js';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Computes the signature header of a webhook body
+ * @param {string} body - Raw request body
+ * @param {string} secret - Shared secret
+ * @param {number} [timestamp] - Unix time in seconds
+ * @returns {string} - X-Vision-Signature header value
+ */
+export function signWebhook(body, secret, timestamp = Math.floor(Date.now() / 1000)) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${digest}`;
+}
+
+/**
+ * Checks a signature header, for receivers written in JavaScript
+ * @param {string} body - Raw request body
+ * @param {string} header - X-Vision-Signature header value
+ * @param {string} secret - Shared secret
+ * @param {Object} [options]
+ * @param {number} [options.toleranceSeconds] - Oldest accepted timestamp
+ * @returns {boolean}
+ */
+export function verifyWebhookSignature(body, header, secret, { toleranceSeconds = 300 } = {}) {
+  const parts = Object.fromEntries((header || '').split(',').map(part => part.split('=')));
+  const timestamp = Number(parts.t);
+  if (!timestamp || !parts.v1 || Math.abs(Date.now() / 1000 - timestamp) > toleranceSeconds) {
+    return false;
+  }
+  const expected = Buffer.from(signWebhook(body, secret, timestamp).split('v1=')[1], 'hex');
+  const actual = Buffer.from(parts.v1, 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Webhook policy from the environment
+ * @returns {{allowPrivateNetworks: boolean}}
+ */
+export function getWebhookPolicy() {
+  return { allowPrivateNetworks: process.env.JOB_WEBHOOK_ALLOW_PRIVATE === 'true' };
+}
+
+const blocked = message => new InvalidRequestError(`callbackUrl ${message}`, { code: 'CALLBACK_URL_BLOCKED' });
+
+/**
+ * Checks a webhook URL and the addresses its host resolves to
+ * @param {string} url - Webhook URL
+ * @param {Object} [policy] - Webhook policy, defaults to getWebhookPolicy()
+ * @returns {Promise<URL>} - Parsed URL
+ * @throws {InvalidRequestError} - CALLBACK_URL_BLOCKED when webhooks may not be sent to the URL
+ */
+export async function checkWebhookUrl(url, policy = getWebhookPolicy()) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw blocked('must be an http(s) URL');
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    throw blocked('must be an http(s) URL');
+  }
+  if (parsed.username || parsed.password) {
+    throw blocked('must not contain credentials');
+  }
+  if (policy.allowPrivateNetworks) {
+    return parsed;
+  }
+
+  // IPv6 hosts are bracketed in URLs
+  const host = parsed.hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  try {
+    addresses = net.isIP(host) ? [{ address: host }] : await dns.promises.lookup(host, { all: true });
+  } catch (error) {
+    throw blocked(`host ${host} cannot be resolved: ${error.code || error.message}`);
+  }
+  const address = addresses.find(entry => isBlockedAddress(entry.address));
+  if (address) {
+    throw blocked(`may not point to the private or reserved address ${address.address}`);
+  }
+  return parsed;
+}
+
+// Sends one POST and resolves to the status code; the lookup refuses blocked addresses again
+function postOnce(url, headers, body, { policy, timeoutMs }) {
+  return new Promise((resolve, reject) => {
+    const client = url.protocol === 'https:' ? https : http;
+    const req = client.request(url, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      lookup: createCheckedLookup(policy),
+      signal: AbortSignal.timeout(timeoutMs)
+    }, res => {
+      res.resume();
+      resolve(res.statusCode);
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+/**
+ * Posts a signed event to a webhook URL, retrying failed deliveries with exponential backoff
+ * @param {string} url - Webhook URL
+ * @param {Object} payload - Event payload
+ * @param {Object} options
+ * @param {string} options.secret - Shared secret
+ * @param {number} [options.maxAttempts] - Delivery attempts
+ * @param {number} [options.timeoutMs] - Timeout of each attempt
+ * @param {number} [options.retryBaseMs] - Delay before the first retry
+ * @param {Object} [options.policy] - Webhook policy, defaults to getWebhookPolicy()
+ * @returns {Promise<boolean>} - Whether the receiver answered with a 2xx status
+ */
+export async function deliverWebhook(url, payload, {
+  secret,
+  maxAttempts = 3,
+  timeoutMs = 10000,
+  retryBaseMs = 1000,
+  policy = getWebhookPolicy()
+}) {
+  const body = JSON.stringify(payload);
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    try {
+      // Checked again, since the host may resolve elsewhere than when the job was submitted
+      const target = await checkWebhookUrl(url, policy);
+      const status = await postOnce(target, {
+        'Content-Type': 'application/json',
+        'X-Vision-Event': payload.event,
+        'X-Vision-Signature': signWebhook(body, secret)
+      }, body, { policy, timeoutMs });
+      if (status >= 200 && status < 300) {
+        return true;
+      }
+      console.warn(`Webhook ${url} answered ${status} (attempt ${attempt}/${maxAttempts})`);
+      // Client errors other than rate limiting will not be fixed by retrying, nor redirects,
+      // which are not followed
+      if (status < 500 && status !== 429) {
+        return false;
+      }
+    } catch (error) {
+      console.warn(`Webhook ${url} failed: ${error.message} (attempt ${attempt}/${maxAttempts})`);
+      if (error.code === 'CALLBACK_URL_BLOCKED' || error instanceof ImageUrlBlockedError) {
+        return false;
+      }
+    }
+    if (attempt < maxAttempts) {
+      await sleep(retryBaseMs * 2 ** (attempt - 1));
+    }
+  }
+  return false;
+}
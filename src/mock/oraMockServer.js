@@ -0,0 +1,122 @@
+/**
+ * Local stand-in for the ORA API and OpenAI-compatible endpoints
+ * Lets the whole analyze-and-query path run without network access:
+ *
+ *   ORA_MOCK_PORT=4010 node src/mock/oraMockServer.js
+ *   ORA_BACKEND=ora ORA_API_URL=http://localhost:4010/api/v1/query npm start
+ *   ORA_BACKEND=openai ORA_OPENAI_BASE_URL=http://localhost:4010/v1 npm start
+ *
+ * Answers are built deterministically from the context string. Set ORA_MOCK_API_KEY
+ * to require a bearer token, ORA_MOCK_FAIL_FIRST to fail the first N requests with a
+ * 503 and ORA_MOCK_DELAY_MS to slow every response down, to exercise the client's
+ * auth, retry and timeout handling.
+ */
+
+import http from 'http';
+import { fileURLToPath } from 'url';
+
+/**
+ * Builds a deterministic answer from the image analysis context
+ * @param {string} context - Context string produced by OraAction.prepareContextString
+ * @param {string} query - User query
+ * @returns {string} - Completion text
+ */
+export function buildMockCompletion(context = '', query = '') {
+  const labelsLine = context.match(/^Labels: (.*)$/m)?.[1] || '';
+  const labels = labelsLine
+    .split(/\), /)
+    .map(label => label.replace(/ \(confidence.*$/, '').trim())
+    .filter(Boolean);
+  const text = context.match(/^Text detected: (.*)$/m)?.[1];
+
+  let completion = `[mock ORA] Regarding "${query}": `;
+  completion += labels.length > 0
+    ? `the image shows ${labels.slice(0, 3).join(', ')}.`
+    : 'the analysis contains no labels.';
+  if (text && text !== 'None') {
+    completion += ` The visible text reads "${text}".`;
+  }
+  return completion;
+}
+
+/**
+ * Creates the mock server
+ * @param {Object} [options]
+ * @param {string} [options.apiKey] - Bearer token required on every request
+ * @param {number} [options.failFirst] - Number of initial requests answered with 503
+ * @param {number} [options.delayMs] - Delay before every response
+ * @returns {http.Server}
+ */
+export function createOraMockServer({ apiKey, failFirst = 0, delayMs = 0 } = {}) {
+  let requestCount = 0;
+
+  return http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk.toString();
+    });
+    req.on('end', async () => {
+      requestCount++;
+      const reply = (status, data) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(data));
+      };
+
+      if (delayMs > 0) {
+        await new Promise(resolve => setTimeout(resolve, delayMs));
+      }
+
+      if (apiKey && req.headers.authorization !== `Bearer ${apiKey}`) {
+        return reply(401, { error: 'Invalid API key' });
+      }
+
+      if (requestCount <= failFirst) {
+        return reply(503, { error: `Simulated failure ${requestCount}/${failFirst}` });
+      }
+
+      let data;
+      try {
+        data = body ? JSON.parse(body) : {};
+      } catch (error) {
+        return reply(400, { error: 'Invalid JSON' });
+      }
+
+      if (req.method === 'POST' && req.url.startsWith('/api/v1/query')) {
+        return reply(200, { completion: buildMockCompletion(data.context, data.query) });
+      }
+
+      if (req.method === 'POST' && req.url.startsWith('/v1/chat/completions')) {
+        const system = data.messages?.find(message => message.role === 'system')?.content;
+        const user = data.messages?.filter(message => message.role === 'user').pop()?.content;
+        return reply(200, {
+          id: `chatcmpl-mock-${requestCount}`,
+          object: 'chat.completion',
+          model: data.model || 'mock',
+          choices: [{
+            index: 0,
+            finish_reason: 'stop',
+            message: { role: 'assistant', content: buildMockCompletion(system, user) }
+          }]
+        });
+      }
+
+      reply(404, { error: 'Not Found' });
+    });
+  });
+}
+
+// Run directly: node src/mock/oraMockServer.js
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const PORT = process.env.ORA_MOCK_PORT || 4010;
+  const server = createOraMockServer({
+    apiKey: process.env.ORA_MOCK_API_KEY,
+    failFirst: Number(process.env.ORA_MOCK_FAIL_FIRST || 0),
+    delayMs: Number(process.env.ORA_MOCK_DELAY_MS || 0)
+  });
+
+  server.listen(PORT, () => {
+    console.log(`Mock ORA server running at http://localhost:${PORT}`);
+    console.log(`  - POST /api/v1/query`);
+    console.log(`  - POST /v1/chat/completions`);
+  });
+}
@@ -0,0 +1,25 @@
+/**
+ * Vision plugin for the ElizaOS runtime
+ * Bundles the image analysis action, provider and service so that characters can
+ * see and answer questions about images in the normal conversation flow.
+ */
+
+import { actionRegistry } from '../config/agentConfig.js';
+import { imageAnalysisProvider } from '../providers/imageAnalysisProvider.js';
+import { VisionService } from '../services/visionService.js';
+
+/**
+ * Creates the vision plugin. Each runtime needs its own plugin because the
+ * service keeps a reference to the runtime it was initialized with.
+ * @returns {Object} - ElizaOS plugin
+ */
+export function createVisionPlugin() {
+  return {
+    name: 'vision',
+    description: 'Image analysis with Google Vision AI and ORA',
+    actions: actionRegistry,
+    providers: [imageAnalysisProvider],
+    evaluators: [],
+    services: [new VisionService()]
+  };
+}
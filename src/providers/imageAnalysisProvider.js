@@ -0,0 +1,31 @@
+/**
+ * ElizaOS provider that adds image analysis results to the conversation state
+ */
+
+import { ServiceType } from '@elizaos/core';
+import { getMessageImageUrls } from '../services/visionService.js';
+
+export const imageAnalysisProvider = {
+  get: async (runtime, message) => {
+    const imageUrls = getMessageImageUrls(message);
+    if (imageUrls.length === 0) {
+      return '';
+    }
+
+    const visionService = runtime.getService(ServiceType.IMAGE_DESCRIPTION);
+    const sections = [];
+
+    for (const imageUrl of imageUrls) {
+      const analysis = visionService?.getRecentAnalysis?.(imageUrl);
+      if (analysis) {
+        sections.push(visionService.oraAction.prepareContextString(analysis).trim());
+      }
+    }
+
+    if (sections.length === 0) {
+      return `# Images\nThe message contains ${imageUrls.length} image(s) that have not been analyzed yet. Use the ANALYZE_IMAGE action to look at them.`;
+    }
+
+    return `# Images\n${sections.join('\n\n')}`;
+  }
+};
@@ -0,0 +1,188 @@
+/**
+ * Normalized image analysis schema
+ *
+ * Every provider result is normalized to the same shape, whichever features were requested:
+ *
+ * {
+ *   schemaVersion: 3,
+ *   labels:      Array<{ description, score }>
+ *   text:        string
+ *   objects:     Array<{ name, score, boundingPoly }>
+ *   faces:       Array<{ score, boundingPoly, joy, sorrow, anger, surprise, headwear, blurred, underExposed }>
+ *   logos:       Array<{ description, score, boundingPoly }>
+ *   landmarks:   Array<{ description, score, boundingPoly, locations: Array<{ latitude, longitude }> }>
+ *   safeSearch:  { adult, spoof, medical, violence, racy } | null
+ *   colors:      Array<{ hex, name, rgb: { red, green, blue }, score, fraction }>
+ *   web:         { bestGuessLabels, entities, fullMatchingImages, partialMatchingImages,
+ *                  pagesWithMatchingImages, visuallySimilarImages } | null
+ *   cropHints:   Array<{ boundingPoly, confidence, importanceFraction }>
+ *   document:    { text, languages, pages } | null   // DOCUMENT_TEXT_DETECTION, see documentLayout.js
+ * }
+ *
+ * Likelihoods (face expressions, safe search) are Google's names: VERY_UNLIKELY, UNLIKELY,
+ * POSSIBLE, LIKELY, VERY_LIKELY or UNKNOWN. Features that were not requested, or found
+ * nothing, are empty arrays or null. Version 1 analyses only had labels, text and objects,
+ * version 2 analyses had no document layout.
+ */
+
+import { fromFullTextAnnotation } from '../documents/documentLayout.js';
+import { nameColor } from '../utils/imageInfo.js';
+
+export const ANALYSIS_SCHEMA_VERSION = 3;
+
+// Features accepted by the Google Vision API
+export const VISION_FEATURES = [
+  'LABEL_DETECTION',
+  'TEXT_DETECTION',
+  'DOCUMENT_TEXT_DETECTION',
+  'OBJECT_LOCALIZATION',
+  'FACE_DETECTION',
+  'LOGO_DETECTION',
+  'LANDMARK_DETECTION',
+  'SAFE_SEARCH_DETECTION',
+  'IMAGE_PROPERTIES',
+  'WEB_DETECTION',
+  'CROP_HINTS'
+];
+
+export const LIKELIHOODS = ['UNKNOWN', 'VERY_UNLIKELY', 'UNLIKELY', 'POSSIBLE', 'LIKELY', 'VERY_LIKELY'];
+
+// Web detection lists can hold dozens of URLs; the context only needs the first ones
+const WEB_LIST_LIMIT = 10;
+
+/**
+ * Normalizes a likelihood given as an enum name or number
+ * @param {string|number} value - Likelihood
+ * @returns {string} - One of LIKELIHOODS
+ */
+export function toLikelihood(value) {
+  if (typeof value === 'number') {
+    return LIKELIHOODS[value] ?? 'UNKNOWN';
+  }
+  return LIKELIHOODS.includes(value) ? value : 'UNKNOWN';
+}
+
+/**
+ * Whether a likelihood is LIKELY or VERY_LIKELY
+ * @param {string} likelihood - One of LIKELIHOODS
+ * @returns {boolean}
+ */
+export function isLikely(likelihood) {
+  return likelihood === 'LIKELY' || likelihood === 'VERY_LIKELY';
+}
+
+const toHex = ({ red, green, blue }) =>
+  '#' + [red, green, blue].map(value => value.toString(16).padStart(2, '0')).join('');
+
+/**
+ * Completes a provider result with the fields of the current schema
+ * @param {Object} analysis - Partial analysis from a provider, fixture or mock
+ * @returns {Object} - Analysis with every schema field
+ */
+export function normalizeAnalysis(analysis) {
+  return {
+    schemaVersion: ANALYSIS_SCHEMA_VERSION,
+    labels: [],
+    text: '',
+    objects: [],
+    faces: [],
+    logos: [],
+    landmarks: [],
+    safeSearch: null,
+    colors: [],
+    web: null,
+    cropHints: [],
+    document: null,
+    ...analysis
+  };
+}
+
+/**
+ * Converts a Google annotate response to the analysis schema
+ * @param {Object} result - AnnotateImageResponse
+ * @param {Object} [options]
+ * @param {boolean} [options.document] - Keep the layout of the text, for DOCUMENT_TEXT_DETECTION
+ * @returns {Object} - Analysis
+ */
+export function fromGoogleAnnotation(result, { document = false } = {}) {
+  const safeSearch = result.safeSearchAnnotation;
+  const web = result.webDetection;
+  const urls = images => (images || []).slice(0, WEB_LIST_LIMIT).map(image => image.url);
+
+  return normalizeAnalysis({
+    labels: result.labelAnnotations?.map(label => ({
+      description: label.description,
+      score: label.score
+    })) || [],
+    text: result.fullTextAnnotation?.text || '',
+    objects: result.localizedObjectAnnotations?.map(obj => ({
+      name: obj.name,
+      score: obj.score,
+      boundingPoly: obj.boundingPoly
+    })) || [],
+    faces: result.faceAnnotations?.map(face => ({
+      score: face.detectionConfidence,
+      boundingPoly: face.boundingPoly,
+      joy: toLikelihood(face.joyLikelihood),
+      sorrow: toLikelihood(face.sorrowLikelihood),
+      anger: toLikelihood(face.angerLikelihood),
+      surprise: toLikelihood(face.surpriseLikelihood),
+      headwear: toLikelihood(face.headwearLikelihood),
+      blurred: toLikelihood(face.blurredLikelihood),
+      underExposed: toLikelihood(face.underExposedLikelihood)
+    })) || [],
+    logos: result.logoAnnotations?.map(logo => ({
+      description: logo.description,
+      score: logo.score,
+      boundingPoly: logo.boundingPoly
+    })) || [],
+    landmarks: result.landmarkAnnotations?.map(landmark => ({
+      description: landmark.description,
+      score: landmark.score,
+      boundingPoly: landmark.boundingPoly,
+      locations: (landmark.locations || [])
+        .filter(location => location.latLng)
+        .map(({ latLng }) => ({ latitude: latLng.latitude, longitude: latLng.longitude }))
+    })) || [],
+    safeSearch: safeSearch
+      ? {
+        adult: toLikelihood(safeSearch.adult),
+        spoof: toLikelihood(safeSearch.spoof),
+        medical: toLikelihood(safeSearch.medical),
+        violence: toLikelihood(safeSearch.violence),
+        racy: toLikelihood(safeSearch.racy)
+      }
+      : null,
+    colors: result.imagePropertiesAnnotation?.dominantColors?.colors?.map(({ color, score, pixelFraction }) => {
+      // Channels are floats, and missing when zero, in the protobuf response
+      const rgb = {
+        red: Math.round(color.red ?? 0),
+        green: Math.round(color.green ?? 0),
+        blue: Math.round(color.blue ?? 0)
+      };
+      return { hex: toHex(rgb), name: nameColor(rgb), rgb, score, fraction: pixelFraction };
+    }) || [],
+    web: web
+      ? {
+        bestGuessLabels: (web.bestGuessLabels || []).map(label => label.label),
+        entities: (web.webEntities || [])
+          .filter(entity => entity.description)
+          .slice(0, WEB_LIST_LIMIT)
+          .map(entity => ({ description: entity.description, score: entity.score })),
+        fullMatchingImages: urls(web.fullMatchingImages),
+        partialMatchingImages: urls(web.partialMatchingImages),
+        pagesWithMatchingImages: (web.pagesWithMatchingImages || [])
+          .slice(0, WEB_LIST_LIMIT)
+          // Page titles highlight the matched terms with <b> tags
+          .map(page => ({ url: page.url, title: page.pageTitle?.replace(/<[^>]+>/g, '') ?? null })),
+        visuallySimilarImages: urls(web.visuallySimilarImages)
+      }
+      : null,
+    cropHints: result.cropHintsAnnotation?.cropHints?.map(hint => ({
+      boundingPoly: hint.boundingPoly,
+      confidence: hint.confidence,
+      importanceFraction: hint.importanceFraction
+    })) || [],
+    document: document ? fromFullTextAnnotation(result.fullTextAnnotation) : null
+  });
+}
@@ -0,0 +1,191 @@
+/**
+ * Analysis tasks shared by the REST endpoints and the job queue
+ * Each task runs the vision and ORA actions of an agent and resolves to its result,
+ * or throws a ServiceError carrying the code and HTTP status of the failed step.
+ */
+
+import { APPRAISAL_FEATURES } from '../appraisal/appraiser.js';
+import { extractDocument } from '../documents/documentExtractors.js';
+import { DOCUMENT_FEATURES } from '../documents/documentLayout.js';
+import { annotateImage } from '../utils/annotateImage.js';
+import { mapWithConcurrency } from '../utils/concurrency.js';
+import { loadImageBytes, toDataUrl } from '../utils/imageInput.js';
+import { perceptualHash } from '../utils/perceptualHash.js';
+import { DEFAULT_FEATURES } from './googleVisionService.js';
+import { ServiceError } from './errors.js';
+import { getBatchLimits, summarizeBatch } from './batchAnalysis.js';
+import { COMPARE_FEATURES } from './imageComparison.js';
+import { SPATIAL_FEATURES } from './spatialAnalysis.js';
+
+export const TASK_TYPES = ['analyze', 'analyze-and-query', 'annotate', 'appraise', 'batch', 'compare', 'extract-document'];
+
+const toServiceError = (result, prefix = '') =>
+  new ServiceError(`${prefix}${result.error}`, { code: result.code, httpStatus: result.httpStatus });
+
+/**
+ * Creates the analysis tasks of an agent
+ * @param {Object} agent - Agent exposing executeAction(name, params)
+ * @returns {Object<string, function(Object, Object=): Promise<Object>>} - Tasks by type, called with
+ *   their parameters and { signal, reportProgress, onEvent }
+ */
+export function createAnalysisTasks(agent) {
+  const analyze = async ({ imageUrl, features = DEFAULT_FEATURES, cacheMode }, prefix) => {
+    const result = await agent.executeAction('analyze_image', { imageUrl, features, cacheMode });
+    if (!result.success) {
+      throw toServiceError(result, prefix);
+    }
+    return result;
+  };
+
+  return {
+    /**
+     * Analyzes one image
+     * @returns {Promise<{source: string, provider: string, cache: string, data: Object}>}
+     */
+    analyze: async params => {
+      const { source, provider, cache, data } = await analyze(params);
+      return { source, provider, cache, data };
+    },
+
+    /**
+     * Analyzes one image and asks ORA about it
+     * onEvent receives the stages as they happen: { type: 'fetching' } when the image is fetched
+     * and analyzed, { type: 'vision', ... } with the analysis, then { type: 'token', text } for
+     * each piece of the answer
+     * @returns {Promise<{source: string, provider: string, cache: string, imageAnalysis: Object, oraResponse: Object}>}
+     */
+    'analyze-and-query': async ({ query, ...params }, { signal, onEvent } = {}) => {
+      onEvent?.({ type: 'fetching' });
+      const imageAnalysis = await analyze(params, 'Failed to analyze image: ');
+      onEvent?.({
+        type: 'vision',
+        source: imageAnalysis.source,
+        provider: imageAnalysis.provider,
+        cache: imageAnalysis.cache,
+        imageAnalysis: imageAnalysis.data
+      });
+
+      const oraResponse = await agent.executeAction('query_ora', {
+        imageAnalysis: imageAnalysis.data,
+        query,
+        signal,
+        onToken: onEvent && (text => onEvent({ type: 'token', text }))
+      });
+      if (!oraResponse.success) {
+        throw toServiceError(oraResponse);
+      }
+
+      return {
+        source: imageAnalysis.source,
+        provider: imageAnalysis.provider,
+        cache: imageAnalysis.cache,
+        imageAnalysis: imageAnalysis.data,
+        oraResponse: oraResponse.data
+      };
+    },
+
+    /**
+     * Analyzes an image with the spatial features and draws the located objects and faces on it
+     * @returns {Promise<{source: string, provider: string, cache: string, imageAnalysis: Object, spatial: Object, annotatedImage: Object}>}
+     */
+    annotate: async ({ format, features = SPATIAL_FEATURES, ...params }) => {
+      const imageAnalysis = await analyze({ ...params, features }, 'Failed to analyze image: ');
+      const annotation = annotateImage(await loadImageBytes(params.imageUrl), imageAnalysis.data, { format });
+
+      return {
+        source: imageAnalysis.source,
+        provider: imageAnalysis.provider,
+        cache: imageAnalysis.cache,
+        imageAnalysis: imageAnalysis.data,
+        spatial: annotation.spatial,
+        annotatedImage: {
+          mimeType: annotation.mimeType,
+          width: annotation.width,
+          height: annotation.height,
+          boxes: annotation.boxes,
+          dataUrl: toDataUrl(annotation)
+        }
+      };
+    },
+
+    /**
+     * Analyzes an image with the appraisal features and appraises the item it shows
+     * @returns {Promise<{source: string, provider: string, cache: string, imageAnalysis: Object, appraisal: Object}>}
+     */
+    appraise: async ({ features = APPRAISAL_FEATURES, ...params }) => {
+      const imageAnalysis = await analyze({ ...params, features }, 'Failed to analyze image: ');
+
+      const appraisal = await agent.executeAction('appraise_item', { imageAnalysis: imageAnalysis.data, features });
+      if (!appraisal.success) {
+        throw toServiceError(appraisal);
+      }
+
+      return {
+        source: imageAnalysis.source,
+        provider: imageAnalysis.provider,
+        cache: imageAnalysis.cache,
+        imageAnalysis: imageAnalysis.data,
+        appraisal: appraisal.data
+      };
+    },
+
+    /**
+     * Reads an image in document mode and extracts the fields of the receipt, label or certificate it shows
+     * @returns {Promise<{source: string, provider: string, cache: string, imageAnalysis: Object, extraction: Object}>}
+     */
+    'extract-document': async ({ documentType, features = DOCUMENT_FEATURES, ...params }) => {
+      const imageAnalysis = await analyze({ ...params, features }, 'Failed to analyze image: ');
+
+      return {
+        source: imageAnalysis.source,
+        provider: imageAnalysis.provider,
+        cache: imageAnalysis.cache,
+        imageAnalysis: imageAnalysis.data,
+        extraction: extractDocument(imageAnalysis.data, { type: documentType })
+      };
+    },
+
+    /**
+     * Analyzes several images and compares them, with perceptual hashes when asked
+     * @returns {Promise<{images: Array<Object>, comparison: Object}>}
+     */
+    compare: async ({ items, query, features = COMPARE_FEATURES, cacheMode, concurrency = getBatchLimits().concurrency, perceptualHash: withHashes }, { signal, reportProgress } = {}) => {
+      let completed = 0;
+      const images = await mapWithConcurrency(items, concurrency, async ({ image, id }, index) => {
+        const imageId = id ?? String(index + 1);
+        const result = await analyze({ imageUrl: image, features, cacheMode }, `Failed to analyze image ${imageId}: `);
+        const hash = withHashes ? perceptualHash(await loadImageBytes(image)) : undefined;
+        reportProgress?.({ completed: ++completed, total: items.length });
+        return { id: imageId, source: result.source, provider: result.provider, cache: result.cache, imageAnalysis: result.data, perceptualHash: hash ?? null };
+      }, { signal });
+
+      const comparison = await agent.executeAction('compare_images', {
+        images: images.map(({ id, imageAnalysis, perceptualHash: hash }) => ({ id, imageAnalysis, perceptualHash: hash })),
+        query
+      });
+      if (!comparison.success) {
+        throw toServiceError(comparison);
+      }
+
+      return { images, comparison: comparison.data };
+    },
+
+    /**
+     * Analyzes many images, reporting progress after each one
+     * @returns {Promise<{total: number, succeeded: number, failed: number, cacheHits: number, results: Array<Object>}>}
+     */
+    batch: async (params, { signal, reportProgress, onItem } = {}) => {
+      let completed = 0;
+      const results = await agent.executeAction('analyze_batch', {
+        ...params,
+        signal,
+        onItem: result => {
+          completed++;
+          onItem?.(result);
+          reportProgress?.({ completed, total: params.items.length });
+        }
+      });
+      return { ...summarizeBatch(results), results };
+    }
+  };
+}
@@ -0,0 +1,135 @@
+/**
+ * Batch analysis pipeline
+ * Analyzes many images through the vision action and, when a query is given, asks ORA
+ * about each image as soon as its analysis is done. Every item succeeds or fails on its
+ * own, so one bad image does not fail the batch.
+ */
+
+import { createLimiter } from '../utils/concurrency.js';
+
+// Default number of provider and ORA calls in flight (BATCH_CONCURRENCY)
+export const DEFAULT_BATCH_CONCURRENCY = 4;
+
+// Default largest number of images per batch (BATCH_MAX_ITEMS)
+export const DEFAULT_BATCH_MAX_ITEMS = 100;
+
+// Default size limit of all images uploaded in one batch request (BATCH_MAX_UPLOAD_BYTES)
+export const DEFAULT_BATCH_MAX_UPLOAD_BYTES = 50 * 1024 * 1024;
+
+/**
+ * Batch limits from the environment
+ * @returns {{maxItems: number, concurrency: number, maxUploadBytes: number}}
+ */
+export function getBatchLimits() {
+  return {
+    maxItems: Number(process.env.BATCH_MAX_ITEMS) || DEFAULT_BATCH_MAX_ITEMS,
+    concurrency: Number(process.env.BATCH_CONCURRENCY) || DEFAULT_BATCH_CONCURRENCY,
+    maxUploadBytes: Number(process.env.BATCH_MAX_UPLOAD_BYTES) || DEFAULT_BATCH_MAX_UPLOAD_BYTES
+  };
+}
+
+/**
+ * Counts the succeeded, failed and cached items of a batch
+ * @param {Array<Object>} results - Batch item results
+ * @returns {{total: number, succeeded: number, failed: number, cacheHits: number}}
+ */
+export function summarizeBatch(results) {
+  const succeeded = results.filter(result => result.success).length;
+  const cacheHits = results.filter(result => result.cache === 'hit').length;
+  return { total: results.length, succeeded, failed: results.length - succeeded, cacheHits };
+}
+
+/**
+ * Runs the batch pipeline
+ * @param {Object} params
+ * @param {GoogleVisionAction} params.visionAction - Vision action used for the analyses
+ * @param {OraAction} [params.oraAction] - ORA action, required when a query is given
+ * @param {Array<{image: string|Buffer|Object, query?: string, id?: string}>} params.items - Images, each
+ *   with an optional query overriding the shared one and an optional client id
+ * @param {string} [params.query] - Query asked about every image
+ * @param {Array<string>} [params.features] - Features to detect
+ * @param {number} [params.concurrency] - Maximum vision and ORA calls in flight, each
+ * @param {string} [params.cacheMode] - default, refresh or bypass
+ * @param {function(Object): void} [params.onItem] - Called with each item result as soon as it is done
+ * @param {AbortSignal} [params.signal] - Stops starting new calls once aborted
+ * @returns {Promise<Array<Object>>} - Item results in the order of the items: { index, id, success,
+ *   source, provider, cache, imageAnalysis, oraResponse } or { index, id, success: false, error, code, httpStatus }
+ */
+export async function runBatchAnalysis({
+  visionAction,
+  oraAction,
+  items,
+  query,
+  features,
+  concurrency = DEFAULT_BATCH_CONCURRENCY,
+  cacheMode,
+  onItem,
+  signal
+}) {
+  const queryLimit = createLimiter(concurrency);
+  const pending = [];
+
+  const finish = async analysis => {
+    const { index } = analysis;
+    const { id } = items[index];
+    const itemQuery = items[index].query ?? query;
+
+    let result;
+    if (!analysis.success) {
+      const { error, code, httpStatus } = analysis;
+      result = { index, id, success: false, error: `Failed to analyze image: ${error}`, code, httpStatus };
+    } else if (!itemQuery) {
+      result = {
+        index,
+        id,
+        success: true,
+        source: analysis.source,
+        provider: analysis.provider,
+        cache: analysis.cache,
+        imageAnalysis: analysis.data
+      };
+    } else {
+      const oraResponse = await queryLimit(() => {
+        signal?.throwIfAborted();
+        return oraAction.execute({ imageAnalysis: analysis.data, query: itemQuery });
+      });
+      result = oraResponse.success
+        ? {
+          index,
+          id,
+          success: true,
+          source: analysis.source,
+          provider: analysis.provider,
+          cache: analysis.cache,
+          imageAnalysis: analysis.data,
+          oraResponse: oraResponse.data
+        }
+        : { index, id, success: false, error: oraResponse.error, code: oraResponse.code, httpStatus: oraResponse.httpStatus };
+    }
+
+    onItem?.(result);
+    return result;
+  };
+
+  try {
+    await visionAction.executeBatch(
+      { images: items.map(item => item.image), features, concurrency, cacheMode },
+      {
+        signal,
+        onResult: analysis => {
+          const result = finish(analysis);
+          // Failures are collected below; this only keeps them from being reported as unhandled
+          result.catch(() => {});
+          pending.push(result);
+        }
+      }
+    );
+  } catch (error) {
+    // Let the ORA calls already started settle before reporting the failure
+    await Promise.allSettled(pending);
+    throw error;
+  }
+
+  const results = await Promise.all(pending);
+  return results.sort((a, b) => a.index - b.index);
+}
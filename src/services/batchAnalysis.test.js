@@ -0,0 +1,94 @@
+import { beforeEach, describe, expect, jest, test } from '@jest/globals';
+import GoogleVisionAction from '../actions/googleVisionAction.js';
+import { runBatchAnalysis, summarizeBatch } from './batchAnalysis.js';
+import { VisionProviderError } from './errors.js';
+
+const IMAGES = Array.from({ length: 10 }, (_, index) => ({ image: `https://example.com/${index}.jpg`, id: `image-${index}` }));
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 2));
+
+// Records the calls in flight around an async function
+const tracked = fn => {
+  const calls = { inFlight: 0, peak: 0, count: 0 };
+  calls.run = async (...args) => {
+    calls.count++;
+    calls.peak = Math.max(calls.peak, ++calls.inFlight);
+    try {
+      await tick();
+      return await fn(...args);
+    } finally {
+      calls.inFlight--;
+    }
+  };
+  return calls;
+};
+
+// Vision action over a fake provider that cannot analyze image 3
+const createVisionAction = () => {
+  const provider = tracked(async image => {
+    if (image.endsWith('/3.jpg')) {
+      throw new VisionProviderError('The image could not be processed');
+    }
+    return { labels: [{ description: image.split('/').pop(), score: 0.9 }], text: '', objects: [] };
+  });
+  const action = new GoogleVisionAction({ getSetting: name => ({ VISION_PROVIDER: 'local' })[name] });
+  action.visionClient.provider = { name: 'fake', analyze: provider.run };
+  return { action, provider };
+};
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+describe('runBatchAnalysis', () => {
+  test('keeps at most `concurrency` provider calls in flight and fails only the bad item', async () => {
+    const { action, provider } = createVisionAction();
+    const onItem = jest.fn();
+    const results = await runBatchAnalysis({ visionAction: action, items: IMAGES, concurrency: 3, onItem });
+
+    expect(provider.count).toBe(10);
+    expect(provider.peak).toBe(3);
+    expect(results.map(({ index, id }) => [index, id])).toEqual(IMAGES.map(({ id }, index) => [index, id]));
+    expect(results[3]).toEqual({
+      index: 3,
+      id: 'image-3',
+      success: false,
+      error: 'Failed to analyze image: The image could not be processed',
+      code: 'VISION_PROVIDER_ERROR',
+      httpStatus: 502
+    });
+    expect(results[4]).toMatchObject({ success: true, source: 'live', provider: 'fake', cache: 'off', imageAnalysis: { labels: [{ description: '4.jpg' }] } });
+    expect(onItem).toHaveBeenCalledTimes(10);
+    expect(summarizeBatch(results)).toEqual({ total: 10, succeeded: 9, failed: 1, cacheHits: 0 });
+  });
+
+  test('asks ORA about each analyzed image with bounded concurrency and the query of the item', async () => {
+    const { action } = createVisionAction();
+    const ora = tracked(async ({ imageAnalysis, query }) => (query === 'fail'
+      ? { success: false, error: 'ORA is unavailable', code: 'ORA_ERROR', httpStatus: 503 }
+      : { success: true, data: { completion: `${imageAnalysis.labels[0].description}: ${query}` } }));
+    const items = IMAGES.map((item, index) => (index === 5 ? { ...item, query: 'fail' } : index === 6 ? { ...item, query: 'What is it?' } : item));
+
+    const results = await runBatchAnalysis({ visionAction: action, oraAction: { execute: ora.run }, items, query: 'Describe it', concurrency: 2 });
+    expect(ora.count).toBe(9);
+    expect(ora.peak).toBe(2);
+    expect(results[0].oraResponse).toEqual({ completion: '0.jpg: Describe it' });
+    expect(results[6].oraResponse).toEqual({ completion: '6.jpg: What is it?' });
+    expect(results[5]).toEqual({ index: 5, id: 'image-5', success: false, error: 'ORA is unavailable', code: 'ORA_ERROR', httpStatus: 503 });
+    expect(summarizeBatch(results)).toMatchObject({ succeeded: 8, failed: 2 });
+  });
+
+  test('stops starting analyses once aborted', async () => {
+    const { action, provider } = createVisionAction();
+    const controller = new AbortController();
+    const onItem = jest.fn(() => controller.abort());
+    await expect(runBatchAnalysis({ visionAction: action, items: IMAGES, concurrency: 2, onItem, signal: controller.signal }))
+      .rejects.toThrow(expect.objectContaining({ name: 'AbortError' }));
+    expect(provider.count).toBeLessThan(IMAGES.length);
+    // The call of the other worker still settles
+    while (provider.inFlight > 0) {
+      await tick();
+    }
+  });
+});
@@ -0,0 +1,244 @@
+/**
+ * Error types raised by the vision and ORA services and the REST server
+ * Every error carries a stable `code` for API clients and the `httpStatus`
+ * the REST server answers with.
+ */
+
+export class ServiceError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [options]
+   * @param {string} [options.code] - Stable error code
+   * @param {number} [options.httpStatus] - HTTP status for API responses
+   * @param {Error} [options.cause] - Underlying error
+   */
+  constructor(message, { code = 'INTERNAL_ERROR', httpStatus = 500, cause } = {}) {
+    super(message, { cause });
+    this.name = this.constructor.name;
+    this.code = code;
+    this.httpStatus = httpStatus;
+  }
+
+  toJSON() {
+    return { code: this.code, message: this.message };
+  }
+}
+
+export class VisionError extends ServiceError {
+  constructor(message, { provider, ...options } = {}) {
+    super(message, { code: 'VISION_ERROR', httpStatus: 502, ...options });
+    this.provider = provider;
+  }
+
+  toJSON() {
+    return { ...super.toJSON(), provider: this.provider };
+  }
+}
+
+/** The vision provider rejected or is missing its credentials */
+export class VisionAuthError extends VisionError {
+  constructor(message, options = {}) {
+    super(message, { code: 'VISION_AUTH_FAILED', httpStatus: 502, ...options });
+  }
+}
+
+/** The vision provider's quota or rate limit was exceeded */
+export class VisionQuotaError extends VisionError {
+  constructor(message, options = {}) {
+    super(message, { code: 'VISION_QUOTA_EXCEEDED', httpStatus: 429, ...options });
+  }
+}
+
+/** The image data is missing, corrupt or in an unsupported format */
+export class InvalidImageError extends VisionError {
+  constructor(message, options = {}) {
+    super(message, { code: 'INVALID_IMAGE', httpStatus: 400, ...options });
+  }
+}
+
+/** The image URL could not be downloaded */
+export class ImageFetchError extends VisionError {
+  constructor(message, options = {}) {
+    super(message, { code: 'IMAGE_FETCH_FAILED', httpStatus: 422, ...options });
+  }
+}
+
+/** The image URL points to a scheme, host or network that images may not be downloaded from */
+export class ImageUrlBlockedError extends ImageFetchError {
+  constructor(message, options = {}) {
+    super(message, { code: 'IMAGE_URL_BLOCKED', httpStatus: 403, ...options });
+  }
+}
+
+/** The image at the URL is larger than the download limit */
+export class ImageTooLargeError extends ImageFetchError {
+  constructor(message, options = {}) {
+    super(message, { code: 'IMAGE_TOO_LARGE', httpStatus: 413, ...options });
+  }
+}
+
+/** The image download did not finish in time */
+export class ImageFetchTimeoutError extends ImageFetchError {
+  constructor(message, options = {}) {
+    super(message, { code: 'IMAGE_FETCH_TIMEOUT', httpStatus: 504, ...options });
+  }
+}
+
+/** Any other failure of the vision provider */
+export class VisionProviderError extends VisionError {
+  constructor(message, options = {}) {
+    super(message, { code: 'VISION_PROVIDER_ERROR', httpStatus: 502, ...options });
+  }
+}
+
+/** The request is malformed or misses a required field */
+export class InvalidRequestError extends ServiceError {
+  constructor(message, options = {}) {
+    super(message, { code: 'INVALID_REQUEST', httpStatus: 400, ...options });
+  }
+}
+
+/** The request does not match the schema of its endpoint; `errors` lists the fields at fault */
+export class ValidationError extends InvalidRequestError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [options]
+   * @param {Array<{field: string, message: string}>} [options.errors] - Field-level errors
+   */
+  constructor(message, { errors = [], ...options } = {}) {
+    super(message, { code: 'VALIDATION_FAILED', ...options });
+    this.errors = errors;
+  }
+
+  toJSON() {
+    return { ...super.toJSON(), errors: this.errors };
+  }
+}
+
+/** The request body exceeds the configured size limit */
+export class PayloadTooLargeError extends ServiceError {
+  constructor(message, options = {}) {
+    super(message, { code: 'PAYLOAD_TOO_LARGE', httpStatus: 413, ...options });
+  }
+}
+
+/** The request body or uploaded file has a content type the server does not accept */
+export class UnsupportedMediaTypeError extends ServiceError {
+  constructor(message, options = {}) {
+    super(message, { code: 'UNSUPPORTED_MEDIA_TYPE', httpStatus: 415, ...options });
+  }
+}
+
+/** The requested resource does not exist */
+export class NotFoundError extends ServiceError {
+  constructor(message, options = {}) {
+    super(message, { code: 'NOT_FOUND', httpStatus: 404, ...options });
+  }
+}
+
+/** The request conflicts with the current state of the resource */
+export class ConflictError extends ServiceError {
+  constructor(message, options = {}) {
+    super(message, { code: 'CONFLICT', httpStatus: 409, ...options });
+  }
+}
+
+/** A server feature is not configured or failed to start */
+export class ServiceUnavailableError extends ServiceError {
+  constructor(message, options = {}) {
+    super(message, { code: 'SERVICE_UNAVAILABLE', httpStatus: 503, ...options });
+  }
+}
+
+/** The request carries no API key, or one that is unknown or revoked */
+export class UnauthorizedError extends ServiceError {
+  constructor(message, options = {}) {
+    super(message, { code: 'UNAUTHORIZED', httpStatus: 401, ...options });
+  }
+}
+
+/** The API key is valid but not allowed to make this request */
+export class ForbiddenError extends ServiceError {
+  constructor(message, options = {}) {
+    super(message, { code: 'FORBIDDEN', httpStatus: 403, ...options });
+  }
+}
+
+/** The API key made too many requests; the REST server answers with a Retry-After header */
+export class RateLimitError extends ServiceError {
+  constructor(message, { retryAfterSeconds, ...options } = {}) {
+    super(message, { code: 'RATE_LIMITED', httpStatus: 429, ...options });
+    this.retryAfterSeconds = retryAfterSeconds;
+  }
+}
+
+/** The API key used up its daily Vision or LLM calls */
+export class QuotaExceededError extends RateLimitError {
+  constructor(message, options = {}) {
+    super(message, { code: 'QUOTA_EXCEEDED', ...options });
+  }
+}
+
+export class OraApiError extends ServiceError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [options]
+   * @param {number} [options.status] - HTTP status returned by the backend
+   * @param {boolean} [options.retryable] - Whether the request may succeed if retried
+   * @param {number} [options.retryAfterMs] - Delay requested by the backend before retrying
+   */
+  constructor(message, { status, retryable = false, retryAfterMs } = {}) {
+    let code = 'ORA_ERROR';
+    if (status === 401 || status === 403) code = 'ORA_AUTH_FAILED';
+    else if (status === 429) code = 'ORA_QUOTA_EXCEEDED';
+    else if (status === 504) code = 'ORA_TIMEOUT';
+
+    super(message, {
+      code,
+      // Without a status the request never left this process (e.g. missing configuration)
+      httpStatus: !status ? 500 : status === 429 || status === 504 ? status : 502
+    });
+    this.status = status;
+    this.retryable = retryable;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+/** A character file cannot be loaded; the message starts with the file, line and path at fault */
+export class CharacterError extends ServiceError {
+  /**
+   * @param {string} message - What is wrong
+   * @param {Object} [options]
+   * @param {string} [options.file] - Character or fragment file
+   * @param {string} [options.path] - Path in the file, e.g. settings.secrets.OPENAI_API_KEY
+   * @param {number} [options.line] - Line in the file, when it is known
+   * @param {number} [options.column] - Column in the line, when it is known
+   */
+  constructor(message, { file, path, line, column, ...options } = {}) {
+    const location = [file, line, line && column].filter(Boolean).join(':');
+    super([location, path, message].filter(Boolean).join(': '), {
+      code: 'INVALID_CHARACTER',
+      httpStatus: 422,
+      ...options
+    });
+    this.file = file;
+    this.path = path;
+    this.line = line;
+    this.column = column;
+  }
+
+  toJSON() {
+    return { ...super.toJSON(), file: this.file, path: this.path, line: this.line };
+  }
+}
+
+/**
+ * Converts any error to the { code, message } body returned by the API
+ * @param {Error} error - Error to convert
+ * @returns {{code: string, message: string}}
+ */
+export function toErrorResponse(error) {
+  return error instanceof ServiceError
+    ? error.toJSON()
+    : { code: 'INTERNAL_ERROR', message: error.message };
+}
@@ -1,129 +1,264 @@
 /**
  * Google Vision AI service implementation
- * This service uses a service account JSON key file for authentication
+ * Delegates the analysis to the configured vision provider (google, local or fixture)
+ * and reports which provider served each response. Results, mock ones included, follow
+ * the versioned analysis schema of analysisSchema.js.
+ *
+ * Failures are raised as VisionError subclasses. Only when strict mode is turned off
+ * (VISION_STRICT=false) does an analysis the provider failed fall back to a mock response,
+ * which is then marked with source: 'mock' and the reason it was used. Images that are
+ * invalid, blocked or cannot be downloaded fail in either mode.
+ *
+ * With a VisionCache, live analyses are cached and every result reports cache: 'hit',
+ * 'miss' or 'bypass' ('off' without a cache).
  */
 
-import fs from 'fs';
-import path from 'path';
-import { ImageAnnotatorClient } from '@google-cloud/vision';
+import { chunk, mapWithConcurrency } from '../utils/concurrency.js';
+import { describeImageInput, normalizeImageInput } from '../utils/imageInput.js';
+import { normalizeAnalysis } from './analysisSchema.js';
+import { ServiceError, VisionAuthError, VisionError, VisionProviderError, VisionQuotaError } from './errors.js';
+import { createVisionProvider } from './visionProviders/index.js';
+
+export const DEFAULT_FEATURES = ['LABEL_DETECTION', 'TEXT_DETECTION', 'OBJECT_LOCALIZATION'];
+
+// Failures of the provider or its credentials, the only ones a mock analysis stands in for
+const FALLBACK_ERRORS = [VisionAuthError, VisionQuotaError, VisionProviderError];
 
 export class GoogleVisionClient {
-  constructor() {
-    // Path to the service account key file
-    this.keyFilePath = process.env.GOOGLE_APPLICATION_CREDENTIALS || 
-                       path.resolve(process.cwd(), 'ethdenver-452221-b65f6c14e20f.json');
-    
-    console.log(`Initializing Google Vision client with credentials from: ${this.keyFilePath}`);
-    
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.provider] - Vision provider name, defaults to VISION_PROVIDER or google
+   * @param {boolean} [options.strict] - Raise errors instead of falling back to mock responses,
+   *   defaults to true unless VISION_STRICT=false
+   * @param {VisionCache} [options.cache] - Cache of analyses
+   */
+  constructor(options = {}) {
+    const {
+      provider = process.env.VISION_PROVIDER || 'google',
+      strict = process.env.VISION_STRICT !== 'false',
+      cache,
+      ...providerOptions
+    } = options;
+
+    this.strict = strict;
+    this.cache = cache;
+    console.log(`Initializing vision client with provider: ${provider}${strict ? '' : ' (mock fallback enabled)'}`);
+
     try {
-      // Check if the key file exists
-      if (fs.existsSync(this.keyFilePath)) {
-        console.log('Service account key file found');
-        
-        // Initialize the Google Vision client
-        this.client = new ImageAnnotatorClient({
-          keyFilename: this.keyFilePath
-        });
-        
-        console.log('Successfully initialized Google Vision client');
-      } else {
-        console.warn(`Warning: Service account key file not found at ${this.keyFilePath}`);
-        console.warn('Using mock responses for demonstration purposes');
-      }
+      this.provider = createVisionProvider(provider, providerOptions);
     } catch (error) {
-      console.error('Error initializing Google Vision client:', error.message);
-      console.warn('Using mock responses for demonstration purposes');
+      console.error('Error initializing vision provider:', error.message);
+      this.initError = new VisionProviderError(`Vision provider "${provider}" is not available: ${error.message}`, {
+        provider,
+        cause: error
+      });
     }
   }
 
   /**
    * Analyzes an image and returns structured data about its content
-   * @param {string} imageUrl - URL or base64 data of the image to analyze
+   * @param {string|Buffer|Object} imageUrl - URL, base64 data URL or bytes of the image to analyze
    * @param {Array<string>} features - Features to detect (e.g., LABEL_DETECTION, TEXT_DETECTION)
-   * @returns {Promise<Object>} - Structured data about the image content
+   * @param {Object} [options]
+   * @param {string} [options.cacheMode] - default, refresh or bypass (see CACHE_MODES)
+   * @returns {Promise<Object>} - Structured data about the image content, with the provider
+   *   that served it, its source ('live' or 'mock') and the cache outcome
+   * @throws {VisionError} - When the analysis fails in strict mode
    */
-  async analyzeImage(imageUrl, features = ['LABEL_DETECTION', 'TEXT_DETECTION', 'OBJECT_LOCALIZATION']) {
-    console.log(`Analyzing image: ${imageUrl.substring(0, 50)}...`);
+  async analyzeImage(imageUrl, features = DEFAULT_FEATURES, { cacheMode = 'default' } = {}) {
+    console.log(`Analyzing image: ${describeImageInput(imageUrl)}`);
     console.log(`Detecting features: ${features.join(', ')}`);
     
-    try {
-      // Check if the client is initialized
-      if (!this.client) {
-        throw new Error('Google Vision client not initialized');
+    const { key, hit } = await this.lookupCache(imageUrl, features, cacheMode);
+    if (hit) {
+      return hit;
+    }
+    
+    const result = await this.completeAnalysis(imageUrl, () => this.provider.analyze(imageUrl, features));
+    return this.storeInCache(key, result);
+  }
+  
+  /**
+   * Analyzes many images, with at most `concurrency` provider calls in flight
+   * Cached images are answered first. Providers with a batch API receive the other images
+   * in groups of their batch limit, and each call then covers a whole group. Failures are
+   * reported per image instead of failing the whole batch.
+   * @param {Array<string|Buffer|Object>} images - URLs, base64 data URLs or bytes of the images
+   * @param {Array<string>} features - Features to detect
+   * @param {Object} [options]
+   * @param {number} [options.concurrency] - Maximum provider calls in flight
+   * @param {string} [options.cacheMode] - default, refresh or bypass (see CACHE_MODES)
+   * @param {function(Object): void} [options.onResult] - Called with each item as soon as it is done
+   * @param {AbortSignal} [options.signal] - Stops starting new provider calls once aborted
+   * @returns {Promise<Array<{index: number, data?: Object, error?: VisionError}>>} - One item per image, in order
+   */
+  async analyzeImages(images, features = DEFAULT_FEATURES, { concurrency = 4, cacheMode = 'default', onResult, signal } = {}) {
+    console.log(`Analyzing ${images.length} images with concurrency ${concurrency}`);
+    
+    const items = new Array(images.length);
+    const settle = async (index, run) => {
+      try {
+        items[index] = { index, data: await run() };
+      } catch (error) {
+        items[index] = { index, error };
       }
-      
-      let image;
-      
-      // Handle base64 or URL
-      if (imageUrl.startsWith('data:image/')) {
-        console.log('Detected base64 encoded image');
-        // Extract the base64 data (remove the prefix)
-        const base64Data = imageUrl.split(',')[1];
-        image = { content: base64Data };
+      onResult?.(items[index]);
+      return items[index];
+    };
+    
+    // Answer cached images first, the provider only sees the others
+    const pending = [];
+    for (const [index, image] of images.entries()) {
+      let lookup;
+      try {
+        lookup = await this.lookupCache(image, features, cacheMode);
+      } catch (error) {
+        await settle(index, () => Promise.reject(error));
+        continue;
+      }
+      if (lookup.hit) {
+        await settle(index, async () => lookup.hit);
       } else {
-        // For URL
-        image = { source: { imageUri: imageUrl } };
+        pending.push({ image, index, key: lookup.key });
       }
-      
-      // Convert feature strings to proper format
-      const featureRequests = features.map(feature => ({
-        type: feature
-      }));
-      
-      // Make the actual API call
-      console.log('Making API call to Google Vision...');
-      const [result] = await this.client.annotateImage({
-        image,
-        features: featureRequests
-      });
-      
-      console.log('Google Vision API response received:');
-      console.log('Labels found:', result.labelAnnotations?.length || 0);
-      console.log('Text found:', result.fullTextAnnotation ? 'Yes' : 'No');
-      console.log('Objects found:', result.localizedObjectAnnotations?.length || 0);
-      
-      if (result.error) {
-        console.error('Google Vision API returned an error:', result.error);
-        throw new Error(`Google Vision API error: ${result.error.message}`);
+    }
+    
+    if (!this.provider?.analyzeBatch) {
+      await mapWithConcurrency(
+        pending,
+        concurrency,
+        ({ image, index, key }) => settle(index, async () =>
+          this.storeInCache(key, await this.completeAnalysis(image, () => this.provider.analyze(image, features)))
+        ),
+        { signal }
+      );
+      return items;
+    }
+    
+    const groups = chunk(pending, this.provider.batchLimit);
+    await mapWithConcurrency(groups, concurrency, async group => {
+      let entries;
+      try {
+        entries = await this.provider.analyzeBatch(group.map(({ image }) => image), features);
+      } catch (error) {
+        entries = group.map(() => ({ error }));
+      }
+      for (const [i, { image, index, key }] of group.entries()) {
+        const { result, error } = entries[i];
+        await settle(index, async () => this.storeInCache(key, await this.completeAnalysis(image, async () => {
+          if (error) throw error;
+          return result;
+        })));
+      }
+    }, { signal });
+    return items;
+  }
+  
+  /**
+   * Looks an analysis up in the cache
+   * @param {string|Buffer|Object} imageUrl - Image being analyzed
+   * @param {Array<string>} features - Requested features
+   * @param {string} cacheMode - default, refresh or bypass
+   * @returns {Promise<{key: string|null, hit?: Object}>} - Key to store the analysis under,
+   *   null when it must not be cached, and the cached analysis on a hit
+   */
+  async lookupCache(imageUrl, features, cacheMode) {
+    if (!this.cache || !this.provider || cacheMode === 'bypass') {
+      return { key: null };
+    }
+    const key = this.cache.keyFor(imageUrl, features, this.provider.name);
+    if (cacheMode !== 'refresh') {
+      const cached = await this.cache.get(key);
+      if (cached) {
+        console.log(`Vision cache hit: ${key}`);
+        return { key, hit: { ...cached, cache: 'hit' } };
+      }
+    }
+    return { key };
+  }
+  
+  /**
+   * Caches a live analysis under the key from lookupCache and tags it with the cache outcome
+   * @param {string|null} key - Cache key, null when the analysis must not be cached
+   * @param {Object} result - Analysis
+   * @returns {Promise<Object>} - The analysis with its cache outcome
+   */
+  async storeInCache(key, result) {
+    if (!key) {
+      return { ...result, cache: this.cache ? 'bypass' : 'off' };
+    }
+    // Mock fallbacks describe no real image and must not hide the next live analysis
+    if (result.source === 'live') {
+      await this.cache.set(key, result);
+    }
+    return { ...result, cache: 'miss' };
+  }
+  
+  /**
+   * Runs a provider call and tags its result, or handles its failure according to strict mode
+   * @param {string|Buffer|Object} imageUrl - Image being analyzed
+   * @param {function(): Promise<Object>} analyze - Provider call
+   * @returns {Promise<Object>} - Tagged analysis, or a mock analysis when not strict and the provider failed
+   * @throws {ServiceError} - Errors of the image or the request, whatever the mode
+   */
+  async completeAnalysis(imageUrl, analyze) {
+    try {
+      // Check if the provider is initialized
+      if (!this.provider) {
+        throw this.initError;
       }
       
-      // Process and return the results
       const processedResult = {
-        labels: result.labelAnnotations?.map(label => ({
-          description: label.description,
-          score: label.score
-        })) || [],
-        text: result.fullTextAnnotation?.text || '',
-        objects: result.localizedObjectAnnotations?.map(obj => ({
-          name: obj.name,
-          score: obj.score,
-          boundingPoly: obj.boundingPoly
-        })) || []
+        ...normalizeAnalysis(await analyze()),
+        provider: this.provider.name,
+        source: 'live'
       };
       
-      console.log('Processed Google Vision API response:');
+      console.log('Processed vision response:');
       console.log(JSON.stringify(processedResult, null, 2));
       
       return processedResult;
-    } catch (error) {
-      console.error('Error analyzing image with Google Vision:', error);
+    } catch (caught) {
+      // Errors of the request, such as an invalid image input, are not the provider's
+      if (caught instanceof ServiceError && !(caught instanceof VisionError)) {
+        throw caught;
+      }
+      const error = caught instanceof VisionError
+        ? caught
+        : new VisionProviderError(caught.message, { cause: caught });
+      error.provider ??= this.provider?.name;
       
-      // Fallback to mock implementation if the API call fails
-      console.warn('Falling back to mock implementation');
-      return this.getMockResponse(imageUrl);
+      console.error(`Error analyzing image with ${error.provider || 'vision'} provider:`, error.message);
+      
+      if (this.strict || !FALLBACK_ERRORS.some(type => error instanceof type)) {
+        throw error;
+      }
+      
+      // Fallback to mock implementation, flagged so callers can tell it apart from a real analysis
+      console.warn('Falling back to mock implementation (VISION_STRICT=false)');
+      return {
+        ...normalizeAnalysis(this.getMockResponse(imageUrl)),
+        provider: 'mock',
+        source: 'mock',
+        degraded: error.toJSON()
+      };
     }
   }
   
   /**
    * Provides mock responses for demonstration purposes
-   * @param {string} imageUrl - URL or base64 data of the image
+   * @param {string|Buffer|Object} imageUrl - URL, base64 data URL or bytes of the image
    * @returns {Object} - Mock structured data about the image content
    */
   getMockResponse(imageUrl) {
+    const { url, buffer } = normalizeImageInput(imageUrl);
+    // Only the start of the image data is needed to recognize the known signature
+    const imageData = buffer ? buffer.subarray(0, 96).toString('base64') : '';
+    
     // Extract the image ID from Unsplash URLs
     let imageId = '';
-    if (imageUrl.includes('unsplash.com/photo-')) {
-      const match = imageUrl.match(/photo-([a-zA-Z0-9-]+)/);
+    if (url?.includes('unsplash.com/photo-')) {
+      const match = url.match(/photo-([a-zA-Z0-9-]+)/);
       if (match && match[1]) {
         imageId = match[1];
         console.log(`Extracted Unsplash image ID: ${imageId}`);
@@ -131,11 +266,11 @@ export class GoogleVisionClient {
     }
     
     // Check if the image is a base64 encoded image
-    if (imageUrl.startsWith('data:image/')) {
+    if (buffer) {
       console.log('Using mock response for base64 image');
       
       // Check for specific patterns in the base64 data to determine content
-      if (imageUrl.includes('/9j/4AAQSkZJRgABAQAAAQABAAD/2wCEAAkGBxISEBMQEhIWFhEQFxUZEhgSFhcYEhATGhUXGRcRFhUY')) {
+      if (imageData.startsWith('/9j/4AAQSkZJRgABAQAAAQABAAD/2wCEAAkGBxISEBMQEhIWFhEQFxUZEhgSFhcYEhATGhUXGRcRFhUY')) {
         // This is a specific base64 signature for a person image
         console.log('Detected person image from base64 signature');
         return {
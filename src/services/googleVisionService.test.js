@@ -0,0 +1,53 @@
+import { beforeEach, describe, expect, jest, test } from '@jest/globals';
+import { GoogleVisionClient } from './googleVisionService.js';
+
+const DOG = { labels: [{ description: 'Dog', score: 0.98 }], text: '', objects: [] };
+
+// Fixture client that only knows images by their bytes, so URLs are downloaded
+const createClient = options => new GoogleVisionClient({
+  provider: 'fixture',
+  fixtures: [{ sha256: '0'.repeat(64), result: DOG }],
+  ...options
+});
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+describe('GoogleVisionClient', () => {
+  test('reports the provider of live analyses', async () => {
+    const client = createClient({ fixtures: [{ url: 'https://example.com/dog.jpg', result: DOG }] });
+    expect(await client.analyzeImage('https://example.com/dog.jpg')).toMatchObject({ ...DOG, provider: 'fixture', source: 'live', cache: 'off' });
+  });
+
+  test('raises provider errors in strict mode', async () => {
+    const client = createClient({ fixtures: [], strict: true });
+    await expect(client.analyzeImage('https://example.com/dog.jpg')).rejects.toThrow(expect.objectContaining({ code: 'VISION_PROVIDER_ERROR' }));
+  });
+
+  test('falls back to a mock analysis when the provider fails and strict mode is off', async () => {
+    const result = await createClient({ fixtures: [], strict: false }).analyzeImage('https://example.com/dog.jpg');
+    expect(result).toMatchObject({
+      provider: 'mock',
+      source: 'mock',
+      degraded: { code: 'VISION_PROVIDER_ERROR', message: 'No vision fixture matches the image', provider: 'fixture' }
+    });
+  });
+
+  test('falls back to a mock analysis when the provider is not available and strict mode is off', async () => {
+    const result = await new GoogleVisionClient({ provider: 'unknown', strict: false }).analyzeImage('https://example.com/dog.jpg');
+    expect(result).toMatchObject({ source: 'mock', degraded: { code: 'VISION_PROVIDER_ERROR' } });
+  });
+
+  test('raises blocked image URLs whatever the mode', async () => {
+    await expect(createClient({ strict: false }).analyzeImage('http://127.0.0.1/dog.jpg'))
+      .rejects.toThrow(expect.objectContaining({ code: 'IMAGE_URL_BLOCKED', httpStatus: 403 }));
+  });
+
+  test('raises invalid images whatever the mode', async () => {
+    await expect(createClient({ strict: false }).analyzeImage('not a url'))
+      .rejects.toThrow(expect.objectContaining({ code: 'INVALID_IMAGE', httpStatus: 400 }));
+  });
+});
@@ -0,0 +1,232 @@
+/**
+ * Comparison of the analyses of several images
+ *
+ * Lines up the labels, objects, logos, OCR text and dominant colors of the images: what all
+ * of them share, what only one of them has, and how similar each pair is per aspect and
+ * overall. Perceptual hashes, when given, tell whether two photos are the same picture,
+ * while the content similarity tells whether they show the same things.
+ */
+
+import { hashSimilarity } from '../utils/perceptualHash.js';
+
+// Features the comparison lines up
+export const COMPARE_FEATURES = ['LABEL_DETECTION', 'TEXT_DETECTION', 'OBJECT_LOCALIZATION', 'LOGO_DETECTION', 'IMAGE_PROPERTIES'];
+
+export const MIN_COMPARE_IMAGES = 2;
+export const MAX_COMPARE_IMAGES = 10;
+
+// Pairs at or above these similarities are reported as the same picture or similar content
+const SAME_PICTURE_SIMILARITY = 0.9;
+const SIMILAR_CONTENT_SIMILARITY = 0.6;
+
+// Largest distance between two RGB colors
+const MAX_COLOR_DISTANCE = Math.sqrt(3 * 255 ** 2);
+
+const round = value => Math.round(value * 1000) / 1000;
+
+const jaccard = (a, b) => {
+  if (a.size === 0 && b.size === 0) {
+    return null;
+  }
+  const shared = [...a].filter(value => b.has(value)).length;
+  return shared / (a.size + b.size - shared);
+};
+
+const textWords = text => new Set((text || '').toLowerCase().match(/[\p{L}\p{N}]{2,}/gu) || []);
+
+// Per-class counts of the objects of an analysis
+const countObjects = objects => {
+  const counts = {};
+  for (const { name } of objects || []) {
+    const key = name.toLowerCase();
+    counts[key] = (counts[key] || 0) + 1;
+  }
+  return counts;
+};
+
+function countSimilarity(a, b) {
+  const names = new Set([...Object.keys(a), ...Object.keys(b)]);
+  if (names.size === 0) {
+    return null;
+  }
+  let shared = 0;
+  let total = 0;
+  for (const name of names) {
+    shared += Math.min(a[name] || 0, b[name] || 0);
+    total += Math.max(a[name] || 0, b[name] || 0);
+  }
+  return shared / total;
+}
+
+// How close each dominant color of one image is to the nearest one of the other, by pixel share
+function paletteCoverage(from, to) {
+  let weighted = 0;
+  let weights = 0;
+  for (const color of from) {
+    const nearest = Math.min(...to.map(other => Math.hypot(
+      color.rgb.red - other.rgb.red,
+      color.rgb.green - other.rgb.green,
+      color.rgb.blue - other.rgb.blue
+    )));
+    const weight = color.fraction ?? color.score ?? 1;
+    weighted += weight * (1 - nearest / MAX_COLOR_DISTANCE);
+    weights += weight;
+  }
+  return weights > 0 ? weighted / weights : 0;
+}
+
+function colorSimilarity(a, b) {
+  const from = (a || []).filter(color => color.rgb).slice(0, 5);
+  const to = (b || []).filter(color => color.rgb).slice(0, 5);
+  if (from.length === 0 || to.length === 0) {
+    return null;
+  }
+  return (paletteCoverage(from, to) + paletteCoverage(to, from)) / 2;
+}
+
+// Values found in every set, and the values only each set has
+function lineUp(sets, ids) {
+  const all = new Set(sets.flatMap(set => [...set]));
+  const common = [...all].filter(value => sets.every(set => set.has(value)));
+  const unique = {};
+  sets.forEach((set, index) => {
+    unique[ids[index]] = [...set].filter(value => sets.every((other, j) => j === index || !other.has(value)));
+  });
+  return { common, unique };
+}
+
+/**
+ * Compares the analyses of several images
+ * @param {Array<{id: string, analysis: Object, perceptualHash?: string}>} images - Analyzed images, at least two
+ * @returns {Object} - {
+ *   images: Array<string>,
+ *   labels, logos, text: { common, unique: Object<id, Array<string>> },
+ *   objects: { counts: Object<id, Object<name, number>>, differences: Array<{ name, counts }> },
+ *   text.byImage: Object<id, string>,
+ *   colors: Object<id, Array<{ name, hex }>>,
+ *   pairs: Array<{ a, b, similarity: { labels, objects, logos, text, colors, overall, perceptual }, samePicture, similarContent }>
+ * }
+ */
+export function compareAnalyses(images) {
+  const ids = images.map(image => image.id);
+  const labelSets = images.map(({ analysis }) => new Set((analysis.labels || []).map(label => label.description.toLowerCase())));
+  const logoSets = images.map(({ analysis }) => new Set((analysis.logos || []).map(logo => logo.description)));
+  const wordSets = images.map(({ analysis }) => textWords(analysis.text));
+  const counts = images.map(({ analysis }) => countObjects(analysis.objects));
+
+  const objectNames = [...new Set(counts.flatMap(count => Object.keys(count)))];
+  const differences = objectNames
+    .filter(name => new Set(counts.map(count => count[name] || 0)).size > 1)
+    .map(name => ({ name, counts: Object.fromEntries(ids.map((id, index) => [id, counts[index][name] || 0])) }));
+
+  const pairs = [];
+  for (let i = 0; i < images.length; i++) {
+    for (let j = i + 1; j < images.length; j++) {
+      const similarity = {
+        labels: jaccard(labelSets[i], labelSets[j]),
+        objects: countSimilarity(counts[i], counts[j]),
+        logos: jaccard(logoSets[i], logoSets[j]),
+        text: jaccard(wordSets[i], wordSets[j]),
+        colors: colorSimilarity(images[i].analysis.colors, images[j].analysis.colors)
+      };
+      const measured = Object.values(similarity).filter(value => value !== null);
+      similarity.overall = measured.length > 0 ? measured.reduce((sum, value) => sum + value, 0) / measured.length : null;
+
+      const hashes = [images[i].perceptualHash, images[j].perceptualHash];
+      similarity.perceptual = hashes.every(Boolean) ? hashSimilarity(...hashes) : null;
+
+      for (const [aspect, value] of Object.entries(similarity)) {
+        similarity[aspect] = value === null ? null : round(value);
+      }
+      pairs.push({
+        a: ids[i],
+        b: ids[j],
+        similarity,
+        samePicture: similarity.perceptual === null ? null : similarity.perceptual >= SAME_PICTURE_SIMILARITY,
+        similarContent: similarity.overall === null ? null : similarity.overall >= SIMILAR_CONTENT_SIMILARITY
+      });
+    }
+  }
+
+  return {
+    images: ids,
+    labels: lineUp(labelSets, ids),
+    objects: { counts: Object.fromEntries(ids.map((id, index) => [id, counts[index]])), differences },
+    logos: lineUp(logoSets, ids),
+    text: {
+      byImage: Object.fromEntries(images.map(({ id, analysis }) => [id, analysis.text || ''])),
+      ...lineUp(wordSets, ids)
+    },
+    colors: Object.fromEntries(images.map(({ id, analysis }) => [
+      id,
+      (analysis.colors || []).slice(0, 5).map(({ name, hex }) => ({ name, hex }))
+    ])),
+    pairs
+  };
+}
+
+const list = (values, limit = 5) => {
+  const shown = values.slice(0, limit);
+  const rest = values.length > limit ? ` and ${values.length - limit} more` : '';
+  return shown.length > 1 ? `${shown.slice(0, -1).join(', ')}${rest ? ', ' : ' and '}${shown[shown.length - 1]}${rest}` : `${shown[0]}${rest}`;
+};
+
+const percent = value => `${Math.round(value * 100)}%`;
+
+/**
+ * Describes a comparison in a few sentences, for the offline backend and as LLM context
+ * @param {Object} comparison - Result of compareAnalyses
+ * @returns {string}
+ */
+export function formatComparison(comparison) {
+  const { images, labels, objects, logos, text, pairs } = comparison;
+  const sentences = [];
+
+  for (const { a, b, similarity, samePicture, similarContent } of pairs) {
+    const verdict = samePicture
+      ? 'look like the same picture'
+      : similarContent
+        ? 'show similar content'
+        : similarContent === false ? 'show different content' : 'could not be compared';
+    const scores = [
+      similarity.overall !== null ? `content similarity ${percent(similarity.overall)}` : null,
+      similarity.perceptual !== null ? `perceptual similarity ${percent(similarity.perceptual)}` : null
+    ].filter(Boolean);
+    sentences.push(`Images ${a} and ${b} ${verdict}${scores.length > 0 ? ` (${scores.join(', ')})` : ''}.`);
+  }
+
+  if (labels.common.length > 0) {
+    sentences.push(`${images.length > 2 ? 'All of them' : 'Both'} show ${list(labels.common)}.`);
+  }
+  for (const id of images) {
+    if (labels.unique[id].length > 0) {
+      sentences.push(`Only image ${id} shows ${list(labels.unique[id])}.`);
+    }
+  }
+  for (const { name, counts } of objects.differences.slice(0, 5)) {
+    sentences.push(`The number of ${name} objects differs: ${images.map(id => `${counts[id]} in image ${id}`).join(', ')}.`);
+  }
+  if (logos.common.length > 0) {
+    sentences.push(`The ${list(logos.common)} logo appears in ${images.length > 2 ? 'all of them' : 'both'}.`);
+  }
+  for (const id of images) {
+    if (logos.unique[id].length > 0) {
+      sentences.push(`Only image ${id} has the ${list(logos.unique[id])} logo.`);
+    }
+  }
+
+  const withText = images.filter(id => text.byImage[id].trim().length > 0);
+  if (withText.length > 0) {
+    if (images.length === 2 && withText.length === 2 && text.unique[images[0]].length === 0 && text.unique[images[1]].length === 0) {
+      sentences.push('Their text is the same.');
+    } else {
+      for (const id of images) {
+        if (text.unique[id].length > 0) {
+          sentences.push(`Only image ${id} has the text ${list(text.unique[id].map(word => `"${word}"`), 8)}.`);
+        }
+      }
+    }
+  }
+
+  return sentences.join(' ');
+}
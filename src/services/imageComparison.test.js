@@ -0,0 +1,82 @@
+import { describe, expect, test } from '@jest/globals';
+import { compareAnalyses, formatComparison } from './imageComparison.js';
+
+const RED = { name: 'red', hex: '#ff0000', rgb: { red: 255, green: 0, blue: 0 } };
+const BLUE = { name: 'blue', hex: '#0000ff', rgb: { red: 0, green: 0, blue: 255 } };
+const BLACK = { name: 'black', hex: '#000000', rgb: { red: 0, green: 0, blue: 0 } };
+const WHITE = { name: 'white', hex: '#ffffff', rgb: { red: 255, green: 255, blue: 255 } };
+
+const analysis = ({ labels = [], objects = [], logos = [], text = '', colors = [] }) => ({
+  labels: labels.map(description => ({ description, score: 0.9 })),
+  objects: objects.map(name => ({ name, score: 0.9 })),
+  logos: logos.map(description => ({ description, score: 0.9 })),
+  text,
+  colors
+});
+
+const DOG = analysis({
+  labels: ['Dog', 'Grass'],
+  objects: ['Dog'],
+  logos: ['Acme'],
+  text: 'Good boy',
+  colors: [{ ...RED, fraction: 1 }]
+});
+
+const pairOf = (a, b) => compareAnalyses([{ id: '1', ...a }, { id: '2', ...b }]).pairs[0];
+
+describe('compareAnalyses', () => {
+  test('rates identical analyses and hashes as the same picture', () => {
+    const pair = pairOf({ analysis: DOG, perceptualHash: 'f0f0f0f0f0f0f0f0' }, { analysis: DOG, perceptualHash: 'f0f0f0f0f0f0f0f0' });
+    expect(pair).toEqual({
+      a: '1',
+      b: '2',
+      similarity: { labels: 1, objects: 1, logos: 1, text: 1, colors: 1, overall: 1, perceptual: 1 },
+      samePicture: true,
+      similarContent: true
+    });
+  });
+
+  test('rates disjoint analyses as different content', () => {
+    const car = analysis({ labels: ['Car'], objects: ['Car'], logos: ['Globex'], text: 'Parking only', colors: [{ ...WHITE, fraction: 1 }] });
+    const pair = pairOf({ analysis: { ...DOG, colors: [{ ...BLACK, fraction: 1 }] } }, { analysis: car });
+    expect(pair).toEqual({
+      a: '1',
+      b: '2',
+      similarity: { labels: 0, objects: 0, logos: 0, text: 0, colors: 0, overall: 0, perceptual: null },
+      samePicture: null,
+      similarContent: false
+    });
+  });
+
+  test('rates partly overlapping analyses by Jaccard and palette similarity', () => {
+    const park = analysis({ labels: ['dog', 'grass', 'ball'], objects: ['Dog', 'Dog', 'Ball'], text: 'Good dog', colors: [{ ...RED, fraction: 0.5 }, { ...BLUE, fraction: 0.5 }] });
+    const garden = analysis({ labels: ['Dog', 'Grass', 'Tree'], objects: ['Dog'], text: 'good boy', colors: [{ ...RED, fraction: 1 }] });
+    const { similarity, similarContent } = pairOf({ analysis: park }, { analysis: garden });
+
+    // Blue is 360.6 of 441.7 away from red: (0.5 + 0.5 * 0.184 + 1) / 2
+    expect(similarity).toEqual({ labels: 0.5, objects: 0.333, logos: null, text: 0.333, colors: 0.796, overall: 0.491, perceptual: null });
+    expect(similarContent).toBe(false);
+  });
+
+  test('reports the same picture and similar content from their thresholds', () => {
+    const samePicture = hash => pairOf({ analysis: DOG, perceptualHash: 'ffffffffffffffff' }, { analysis: DOG, perceptualHash: hash }).samePicture;
+    expect(samePicture('fffffffffffffff0')).toBe(true);
+    expect(samePicture('ffffffffffffff00')).toBe(false);
+
+    const similarContent = labels => pairOf({ analysis: analysis({ labels: ['a', 'b', 'c', 'd', 'e'] }) }, { analysis: analysis({ labels }) }).similarContent;
+    expect(similarContent(['a', 'b', 'c'])).toBe(true);
+    expect(similarContent(['a', 'b'])).toBe(false);
+  });
+
+  test('lines up the shared and unique labels and the differing object counts', () => {
+    const comparison = compareAnalyses([
+      { id: '1', analysis: analysis({ labels: ['Dog', 'Grass'], objects: ['Dog', 'Dog'] }) },
+      { id: '2', analysis: analysis({ labels: ['dog', 'Tree'], objects: ['Dog'] }) },
+      { id: '3', analysis: analysis({ labels: ['DOG'], objects: ['Dog', 'Dog'] }) }
+    ]);
+    expect(comparison.labels).toEqual({ common: ['dog'], unique: { 1: ['grass'], 2: ['tree'], 3: [] } });
+    expect(comparison.objects.differences).toEqual([{ name: 'dog', counts: { 1: 2, 2: 1, 3: 2 } }]);
+    expect(comparison.pairs.map(({ a, b }) => `${a}-${b}`)).toEqual(['1-2', '1-3', '2-3']);
+    expect(formatComparison(comparison)).toContain('All of them show dog. Only image 1 shows grass. Only image 2 shows tree.');
+  });
+});
@@ -0,0 +1,311 @@
+/**
+ * ORA client with pluggable LLM backends
+ * Sends the image analysis context and the user query to one of:
+ * - ora:     the ORA API (ORA_API_URL)
+ * - openai:  any OpenAI-compatible chat completions endpoint
+ * - model:   the character's modelProvider, with the API key startAgent resolved
+ *            from the model provider registry
+ * - offline: the local rule engine, no network access
+ * The openai backend can stream its answer token by token; the others answer in one piece.
+ */
+
+import { getSetting } from '../config/settings.js';
+import { OraApiError } from './errors.js';
+
+export const ORA_BACKENDS = ['ora', 'openai', 'model', 'offline'];
+
+const SYSTEM_PROMPT = 'You are a vision assistant. Answer the user\'s question about an image using only the image analysis results provided. If the analysis does not contain the answer, say so.';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+export class OraClient {
+  /**
+   * @param {Object} options
+   * @param {string} options.backend - One of ORA_BACKENDS
+   * @param {string} [options.apiUrl] - Endpoint for the ora and openai backends
+   * @param {string} [options.apiKey] - Bearer token for the ora and openai backends
+   * @param {string} [options.model] - Model name for the openai backend
+   * @param {number} [options.timeoutMs] - Timeout for each HTTP attempt
+   * @param {number} [options.maxRetries] - Retries after the first attempt for retryable failures
+   * @param {number} [options.retryBaseMs] - Backoff before the first retry, doubled for each further retry
+   * @param {Object} [options.runtime] - Agent runtime, required by the model backend
+   * @param {Function} [options.offlineResponder] - Rule engine used by the offline backend
+   */
+  constructor({ backend, apiUrl, apiKey, model, timeoutMs = 15000, maxRetries = 2, retryBaseMs = 500, runtime, offlineResponder }) {
+    if (!ORA_BACKENDS.includes(backend)) {
+      throw new Error(`Unknown ORA backend "${backend}". Expected one of: ${ORA_BACKENDS.join(', ')}`);
+    }
+
+    this.backend = backend;
+    this.apiUrl = apiUrl;
+    this.apiKey = apiKey;
+    this.model = model;
+    this.timeoutMs = timeoutMs;
+    this.maxRetries = maxRetries;
+    this.retryBaseMs = retryBaseMs;
+    this.runtime = runtime;
+    this.offlineResponder = offlineResponder;
+  }
+
+  /**
+   * Asks the configured backend a question about an analyzed image
+   * @param {Object} request
+   * @param {string} request.context - Context string built from the image analysis
+   * @param {string} request.query - User query about the image
+   * @param {Object} [request.imageAnalysis] - Raw analysis, used by the offline backend
+   * @param {Array<{query: string, completion: string}>} [request.history] - Earlier turns of the
+   *   conversation about the image, oldest first
+   * @param {Object} [options]
+   * @param {function(string): void} [options.onToken] - Receives the completion as it is generated;
+   *   backends that cannot stream send it in one piece once it is complete
+   * @param {AbortSignal} [options.signal] - Cancels the request to the openai backend
+   * @returns {Promise<{completion: string, backend: string}>}
+   */
+  async complete(request, { onToken, signal } = {}) {
+    let completion;
+    let streamed = false;
+
+    switch (this.backend) {
+      case 'ora':
+        completion = await this.completeWithOra(request);
+        break;
+      case 'openai':
+        completion = await this.completeWithOpenAI(request, { onToken, signal });
+        streamed = Boolean(onToken);
+        break;
+      case 'model':
+        completion = await this.completeWithModelProvider(request);
+        break;
+      case 'offline':
+        completion = await this.offlineResponder(request);
+        break;
+    }
+
+    if (onToken && !streamed) {
+      onToken(completion);
+    }
+    return { completion, backend: this.backend };
+  }
+
+  async completeWithOra({ context, query, history = [] }) {
+    const data = await this.postJson(this.apiUrl, history.length > 0 ? { context, query, history } : { context, query });
+    const completion = data.completion ?? data.data?.completion ?? data.answer;
+
+    if (typeof completion !== 'string') {
+      throw new OraApiError('ORA API response did not contain a completion', { status: 502 });
+    }
+    return completion;
+  }
+
+  async completeWithOpenAI({ context, query, history = [] }, { onToken, signal } = {}) {
+    const url = `${this.apiUrl.replace(/\/+$/, '')}/chat/completions`;
+    const body = {
+      model: this.model,
+      messages: [
+        { role: 'system', content: `${SYSTEM_PROMPT}\n\n${context}` },
+        ...history.flatMap(turn => [
+          { role: 'user', content: turn.query },
+          { role: 'assistant', content: turn.completion }
+        ]),
+        { role: 'user', content: query }
+      ]
+    };
+    const data = onToken
+      ? await this.postJson(url, { ...body, stream: true }, { signal, read: response => this.readCompletionStream(response, onToken, signal) })
+      : await this.postJson(url, body, { signal });
+    const completion = data.choices?.[0]?.message?.content;
+
+    if (typeof completion !== 'string') {
+      throw new OraApiError('Chat completions response did not contain a message', { status: 502 });
+    }
+    return completion.trim();
+  }
+
+  async completeWithModelProvider({ context, query, history = [] }) {
+    if (!this.runtime?.character) {
+      throw new OraApiError('The model backend requires an agent runtime');
+    }
+
+    // Loaded lazily so the standalone server doesn't pull in the whole core package
+    const { generateText, ModelClass } = await import('@elizaos/core');
+    const conversation = history.map(turn => `Question: ${turn.query}\nAnswer: ${turn.completion}\n`).join('');
+    const completion = await generateText({
+      runtime: this.runtime,
+      context: `${SYSTEM_PROMPT}\n\n${context}\n${conversation}Question: ${query}\nAnswer:`,
+      modelClass: ModelClass.SMALL
+    });
+
+    return completion.trim();
+  }
+
+  /**
+   * Reads a streamed chat completion (server-sent events of completion chunks), passing
+   * each piece of content on as it arrives
+   * Once content was passed on the request is not retried, since the answer would repeat.
+   * @param {Response} response - Response of a request made with stream: true
+   * @param {function(string): void} onToken - Receives each piece of content
+   * @param {AbortSignal} [signal] - Signal of the caller, telling a cancellation from a timeout
+   * @returns {Promise<Object>} - The completion, shaped as a response without streaming
+   */
+  async readCompletionStream(response, onToken, signal) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let completion = '';
+    const readLine = line => {
+      const data = line.startsWith('data:') ? line.slice(5).trim() : '';
+      if (!data || data === '[DONE]') {
+        return;
+      }
+      const content = JSON.parse(data).choices?.[0]?.delta?.content;
+      if (content) {
+        completion += content;
+        onToken(content);
+      }
+    };
+
+    try {
+      for await (const chunk of response.body) {
+        buffer += decoder.decode(chunk, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        lines.forEach(line => readLine(line.trim()));
+      }
+      readLine(buffer.trim());
+    } catch (error) {
+      if (signal?.aborted) {
+        throw this.cancelled();
+      }
+      throw new OraApiError(
+        error.name === 'AbortError'
+          ? `Request to ${this.backend} backend timed out after ${this.timeoutMs}ms`
+          : `Stream from ${this.backend} backend failed: ${error.message}`,
+        { status: error.name === 'AbortError' ? 504 : 502, retryable: completion === '' }
+      );
+    }
+    return { choices: [{ message: { content: completion } }] };
+  }
+
+  /**
+   * POSTs a JSON body, retrying timeouts, network errors, 429 and 5xx responses
+   * with exponential backoff
+   * @param {string} url - Endpoint
+   * @param {Object} body - Request body
+   * @param {Object} [options]
+   * @param {function(Response): Promise<Object>} [options.read] - Reads a successful response, as JSON by default
+   * @param {AbortSignal} [options.signal] - Cancels the request, which is then not retried
+   */
+  async postJson(url, body, { read, signal } = {}) {
+    if (!url) {
+      throw new OraApiError(`No endpoint configured for the ${this.backend} backend`);
+    }
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.postOnce(url, headers, body, { read, signal });
+      } catch (error) {
+        if (!error.retryable || attempt >= this.maxRetries || signal?.aborted) {
+          throw error;
+        }
+        const delay = error.retryAfterMs ?? this.retryBaseMs * 2 ** attempt;
+        console.warn(`ORA request failed (${error.message}), retrying in ${delay}ms (attempt ${attempt + 1}/${this.maxRetries})`);
+        await sleep(delay);
+      }
+    }
+  }
+
+  cancelled() {
+    return new OraApiError(`Request to ${this.backend} backend was cancelled`, { retryable: false });
+  }
+
+  async postOnce(url, headers, body, { read = response => response.json(), signal } = {}) {
+    if (signal?.aborted) {
+      throw this.cancelled();
+    }
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeoutMs);
+    const cancel = () => controller.abort();
+    signal?.addEventListener('abort', cancel, { once: true });
+
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(body),
+        signal: controller.signal
+      });
+
+      if (!response.ok) {
+        const detail = (await response.text()).substring(0, 200);
+        const retryAfter = Number(response.headers.get('retry-after'));
+        throw new OraApiError(
+          response.status === 401 || response.status === 403
+            ? `Authentication with ${this.backend} backend failed (${response.status})`
+            : `${this.backend} backend returned ${response.status}: ${detail}`,
+          {
+            status: response.status,
+            retryable: response.status === 429 || response.status >= 500,
+            retryAfterMs: retryAfter > 0 ? retryAfter * 1000 : undefined
+          }
+        );
+      }
+
+      return await read(response);
+    } catch (error) {
+      if (error instanceof OraApiError) {
+        throw error;
+      }
+      if (signal?.aborted) {
+        throw this.cancelled();
+      }
+      if (error.name === 'AbortError') {
+        throw new OraApiError(`Request to ${this.backend} backend timed out after ${this.timeoutMs}ms`, { status: 504, retryable: true });
+      }
+      throw new OraApiError(`Request to ${this.backend} backend failed: ${error.message}`, { status: 502, retryable: true });
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', cancel);
+    }
+  }
+}
+
+/**
+ * Creates an ORA client configured from the agent settings or environment
+ * @param {Object} agent - Agent runtime or mock agent
+ * @param {Function} offlineResponder - Rule engine for the offline backend
+ * @returns {OraClient}
+ */
+export function createOraClient(agent, offlineResponder) {
+  const oraApiKey = getSetting(agent, 'ORA_API_KEY');
+  let backend = getSetting(agent, 'ORA_BACKEND');
+
+  if (!backend) {
+    backend = oraApiKey ? 'ora' : 'offline';
+    if (backend === 'offline') {
+      console.warn('ORA_API_KEY is not set and ORA_BACKEND is not configured, using the offline backend');
+    }
+  }
+
+  const options = {
+    backend: backend.toLowerCase(),
+    timeoutMs: Number(getSetting(agent, 'ORA_TIMEOUT_MS', 15000)),
+    maxRetries: Number(getSetting(agent, 'ORA_MAX_RETRIES', 2)),
+    runtime: agent?.character ? agent : undefined,
+    offlineResponder
+  };
+
+  if (options.backend === 'ora') {
+    options.apiUrl = getSetting(agent, 'ORA_API_URL', 'https://api.ora.ai/api/v1/query');
+    options.apiKey = oraApiKey;
+  } else if (options.backend === 'openai') {
+    options.apiUrl = getSetting(agent, 'ORA_OPENAI_BASE_URL', 'https://api.openai.com/v1');
+    options.apiKey = getSetting(agent, 'ORA_OPENAI_API_KEY') ?? getSetting(agent, 'OPENAI_API_KEY');
+    options.model = getSetting(agent, 'ORA_OPENAI_MODEL', 'gpt-4o-mini');
+  }
+
+  return new OraClient(options);
+}
@@ -0,0 +1,112 @@
+import { afterEach, describe, expect, jest, test } from '@jest/globals';
+import { buildMockCompletion, createOraMockServer } from '../mock/oraMockServer.js';
+import { OraClient } from './oraClient.js';
+
+const CONTEXT = [
+  'Labels: dog (confidence: 98.0%), grass (confidence: 90.0%), frisbee (confidence: 85.0%), park (confidence: 70.0%)',
+  'Text detected: GOOD BOY'
+].join('\n');
+
+let server;
+
+// Starts the mock server on a free port and returns its base URL
+async function startMock(options) {
+  server = createOraMockServer(options);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return `http://127.0.0.1:${server.address().port}`;
+}
+
+afterEach(async () => {
+  jest.restoreAllMocks();
+  if (server) {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+    server = undefined;
+  }
+});
+
+describe('buildMockCompletion', () => {
+  test('answers from the labels and text of the context', () => {
+    expect(buildMockCompletion(CONTEXT, 'What is this?')).toBe(
+      '[mock ORA] Regarding "What is this?": the image shows dog, grass, frisbee. The visible text reads "GOOD BOY".'
+    );
+  });
+
+  test('says so when the context has no labels', () => {
+    expect(buildMockCompletion('', 'What is this?')).toContain('the analysis contains no labels');
+  });
+});
+
+describe('OraClient against the mock server', () => {
+  test('sends the context and query to the ora backend', async () => {
+    const url = await startMock();
+    const client = new OraClient({ backend: 'ora', apiUrl: `${url}/api/v1/query` });
+
+    const result = await client.complete({ context: CONTEXT, query: 'What is this?' });
+    expect(result).toEqual({ backend: 'ora', completion: buildMockCompletion(CONTEXT, 'What is this?') });
+  });
+
+  test('sends the context as system prompt to the openai backend', async () => {
+    const url = await startMock();
+    const client = new OraClient({ backend: 'openai', apiUrl: `${url}/v1`, model: 'mock-model' });
+
+    const { completion } = await client.complete({ context: CONTEXT, query: 'What does it say?' });
+    expect(completion).toContain('The visible text reads "GOOD BOY"');
+  });
+
+  test('sends the bearer token', async () => {
+    const url = await startMock({ apiKey: 'secret' });
+    const client = new OraClient({ backend: 'ora', apiUrl: `${url}/api/v1/query`, apiKey: 'secret' });
+
+    await expect(client.complete({ context: CONTEXT, query: 'What is this?' })).resolves.toMatchObject({ backend: 'ora' });
+  });
+
+  test('does not retry authentication failures', async () => {
+    const url = await startMock({ apiKey: 'secret' });
+    const client = new OraClient({ backend: 'ora', apiUrl: `${url}/api/v1/query`, apiKey: 'wrong', retryBaseMs: 1 });
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    await expect(client.complete({ context: CONTEXT, query: 'What is this?' }))
+      .rejects.toMatchObject({ status: 401, message: expect.stringContaining('Authentication') });
+    expect(warn).not.toHaveBeenCalled();
+  });
+
+  test('retries server errors with backoff', async () => {
+    const url = await startMock({ failFirst: 2 });
+    const client = new OraClient({ backend: 'ora', apiUrl: `${url}/api/v1/query`, maxRetries: 2, retryBaseMs: 1 });
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    await expect(client.complete({ context: CONTEXT, query: 'What is this?' })).resolves.toMatchObject({ backend: 'ora' });
+    expect(warn).toHaveBeenCalledTimes(2);
+  });
+
+  test('gives up after the last retry', async () => {
+    const url = await startMock({ failFirst: 5 });
+    const client = new OraClient({ backend: 'ora', apiUrl: `${url}/api/v1/query`, maxRetries: 1, retryBaseMs: 1 });
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    await expect(client.complete({ context: CONTEXT, query: 'What is this?' })).rejects.toMatchObject({ status: 503 });
+  });
+
+  test('times out slow responses', async () => {
+    const url = await startMock({ delayMs: 500 });
+    const client = new OraClient({ backend: 'ora', apiUrl: `${url}/api/v1/query`, timeoutMs: 50, maxRetries: 0 });
+
+    await expect(client.complete({ context: CONTEXT, query: 'What is this?' }))
+      .rejects.toMatchObject({ status: 504, message: expect.stringContaining('timed out') });
+  });
+
+  test('uses the rule engine of the offline backend without a server', async () => {
+    const offlineResponder = jest.fn(async ({ query }) => `offline answer to ${query}`);
+    const client = new OraClient({ backend: 'offline', offlineResponder });
+    const onToken = jest.fn();
+
+    const result = await client.complete({ context: CONTEXT, query: 'What is this?' }, { onToken });
+    expect(result).toEqual({ backend: 'offline', completion: 'offline answer to What is this?' });
+    expect(onToken).toHaveBeenCalledWith('offline answer to What is this?');
+  });
+
+  test('refuses unknown backends', () => {
+    expect(() => new OraClient({ backend: 'carrier-pigeon' })).toThrow(/Unknown ORA backend/);
+  });
+});
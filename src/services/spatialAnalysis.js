@@ -0,0 +1,192 @@
+/**
+ * Spatial analysis of the objects and faces of an image analysis
+ *
+ * Boxes are normalized to fractions of the image (0 to 1, origin at the top left). Google
+ * returns objects with normalized vertices and faces with pixel vertices; pixel vertices
+ * are divided by the image dimensions when known. Without them, pixel boxes are left out,
+ * unless every box is in pixels (as in mock analyses): the extent of all the boxes is then
+ * used as an estimate of the frame.
+ */
+
+// Features whose results carry bounding boxes
+export const SPATIAL_FEATURES = ['OBJECT_LOCALIZATION', 'FACE_DETECTION'];
+
+export const SPATIAL_RELATIONS = ['left of', 'right of', 'above', 'below', 'overlapping', 'inside', 'containing'];
+
+// Share of a box lying within another one for it to count as inside it
+const INSIDE_RATIO = 0.9;
+
+// Relations are only listed between the first objects, the pairs grow quadratically
+const MAX_RELATED_OBJECTS = 20;
+
+const round = value => Math.round(value * 1000) / 1000;
+
+/**
+ * Converts a bounding polygon to a normalized box
+ * @param {Object} boundingPoly - { normalizedVertices } or { vertices } in pixels
+ * @param {{width: number, height: number}} [frame] - Size that pixel vertices are divided by
+ * @returns {Object|null} - { left, top, right, bottom, width, height, area, centerX, centerY }, or
+ *   null when the polygon has no usable vertices
+ */
+export function normalizeBox(boundingPoly, frame) {
+  const normalized = boundingPoly?.normalizedVertices?.length >= 3;
+  const vertices = normalized ? boundingPoly.normalizedVertices : boundingPoly?.vertices;
+  if (!vertices || vertices.length < 3 || (!normalized && !(frame?.width > 0 && frame?.height > 0))) {
+    return null;
+  }
+
+  // Coordinates equal to 0 are left out of the protobuf response
+  const scaleX = normalized ? 1 : frame.width;
+  const scaleY = normalized ? 1 : frame.height;
+  const xs = vertices.map(v => Math.min(Math.max((v.x ?? 0) / scaleX, 0), 1));
+  const ys = vertices.map(v => Math.min(Math.max((v.y ?? 0) / scaleY, 0), 1));
+  const left = Math.min(...xs);
+  const top = Math.min(...ys);
+  const right = Math.max(...xs);
+  const bottom = Math.max(...ys);
+
+  return {
+    left: round(left),
+    top: round(top),
+    right: round(right),
+    bottom: round(bottom),
+    width: round(right - left),
+    height: round(bottom - top),
+    area: round((right - left) * (bottom - top)),
+    centerX: round((left + right) / 2),
+    centerY: round((top + bottom) / 2)
+  };
+}
+
+/**
+ * Names the region of the image a box is centered in
+ * @param {Object} box - Normalized box
+ * @returns {string} - 'top left', 'top', 'top right', 'left', 'center', 'right', 'bottom left', 'bottom' or 'bottom right'
+ */
+export function describePosition(box) {
+  const horizontal = box.centerX < 1 / 3 ? 'left' : box.centerX > 2 / 3 ? 'right' : null;
+  const vertical = box.centerY < 1 / 3 ? 'top' : box.centerY > 2 / 3 ? 'bottom' : null;
+  return [vertical, horizontal].filter(Boolean).join(' ') || 'center';
+}
+
+/**
+ * Relations of a box to another one
+ * @param {Object} a - Normalized box
+ * @param {Object} b - Normalized box
+ * @returns {Array<string>} - SPATIAL_RELATIONS that hold from a to b
+ */
+export function relateBoxes(a, b) {
+  const relations = [];
+  if (a.centerX < b.left) {
+    relations.push('left of');
+  } else if (a.centerX > b.right) {
+    relations.push('right of');
+  }
+  if (a.centerY < b.top) {
+    relations.push('above');
+  } else if (a.centerY > b.bottom) {
+    relations.push('below');
+  }
+
+  const intersection = Math.max(0, Math.min(a.right, b.right) - Math.max(a.left, b.left))
+    * Math.max(0, Math.min(a.bottom, b.bottom) - Math.max(a.top, b.top));
+  if (intersection > 0) {
+    if (a.area > 0 && intersection / a.area >= INSIDE_RATIO && a.area < b.area) {
+      relations.push('inside');
+    } else if (b.area > 0 && intersection / b.area >= INSIDE_RATIO && b.area < a.area) {
+      relations.push('containing');
+    } else {
+      relations.push('overlapping');
+    }
+  }
+  return relations;
+}
+
+// Pixel boxes are measured against the image, or else against the extent of all boxes
+function getFrame(polygons, dimensions) {
+  if (dimensions?.width > 0 && dimensions?.height > 0) {
+    return { ...dimensions, estimated: false };
+  }
+  if (polygons.some(poly => poly?.normalizedVertices?.length)) {
+    return null;
+  }
+  const vertices = polygons.flatMap(poly => poly?.vertices || []);
+  if (vertices.length === 0) {
+    return null;
+  }
+  return {
+    width: Math.max(...vertices.map(v => v.x ?? 0)),
+    height: Math.max(...vertices.map(v => v.y ?? 0)),
+    estimated: true
+  };
+}
+
+/**
+ * Locates the objects and faces of an analysis and relates them to each other
+ * @param {Object} analysis - Image analysis (see analysisSchema.js)
+ * @param {Object} [options]
+ * @param {{width: number, height: number}} [options.dimensions] - Image size in pixels
+ * @returns {Object} - {
+ *   estimatedFrame: boolean,
+ *   objects: Array<{ index, kind, name, score, box, position }>,  // objects then faces, named 'Face'
+ *   counts: Object<string, number>,                          // located objects (not faces) by lowercase name
+ *   faces: number,                                           // located faces
+ *   largest, smallest,                                       // entries of objects, or null
+ *   relations: Array<{ subject, relation, object }>          // indexes into objects
+ * }
+ */
+export function analyzeSpatial(analysis, { dimensions } = {}) {
+  const { objects = [], faces = [] } = analysis;
+  const entries = [
+    ...objects.map(object => ({ kind: 'object', name: object.name, score: object.score, boundingPoly: object.boundingPoly })),
+    ...faces.map(face => ({ kind: 'face', name: 'Face', score: face.score, boundingPoly: face.boundingPoly }))
+  ];
+  const frame = getFrame(entries.map(entry => entry.boundingPoly), dimensions);
+
+  const located = entries
+    .map(({ kind, name, score, boundingPoly }) => ({ kind, name, score, box: normalizeBox(boundingPoly, frame) }))
+    .filter(entry => entry.box && entry.box.area > 0)
+    .map((entry, index) => ({ index, ...entry, position: describePosition(entry.box) }));
+
+  const counts = {};
+  for (const { kind, name } of located) {
+    if (kind === 'object') {
+      const key = name.toLowerCase();
+      counts[key] = (counts[key] || 0) + 1;
+    }
+  }
+
+  const bySize = [...located].sort((a, b) => b.box.area - a.box.area);
+  const related = located.slice(0, MAX_RELATED_OBJECTS);
+  const relations = [];
+  for (const subject of related) {
+    for (const object of related) {
+      if (subject !== object) {
+        for (const relation of relateBoxes(subject.box, object.box)) {
+          relations.push({ subject: subject.index, relation, object: object.index });
+        }
+      }
+    }
+  }
+
+  return {
+    estimatedFrame: frame?.estimated ?? false,
+    objects: located,
+    counts,
+    faces: located.filter(entry => entry.kind === 'face').length,
+    largest: bySize[0] ?? null,
+    smallest: bySize[bySize.length - 1] ?? null,
+    relations
+  };
+}
+
+/**
+ * Describes where each located object is, e.g. for the ORA context
+ * @param {Object} spatial - Result of analyzeSpatial
+ * @returns {string} - "Dog (bottom left, 25% of the image), Ball (center, 4% of the image)"
+ */
+export function formatLayout(spatial) {
+  return spatial.objects
+    .map(({ name, box, position }) => `${name} (${position}, ${Math.max(Math.round(box.area * 100), 1)}% of the image)`)
+    .join(', ');
+}
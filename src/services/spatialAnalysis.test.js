@@ -0,0 +1,119 @@
+import { describe, expect, test } from '@jest/globals';
+import { BUILT_IN_INTENTS, createIntentContext } from '../intents/intentHandlers.js';
+import { analyzeSpatial, describePosition, normalizeBox, relateBoxes } from './spatialAnalysis.js';
+
+// Bounding polygon of the rectangle from (left, top) to (right, bottom)
+const normalized = (left, top, right, bottom) => ({
+  normalizedVertices: [{ x: left, y: top }, { x: right, y: top }, { x: right, y: bottom }, { x: left, y: bottom }]
+});
+const pixels = (left, top, right, bottom) => ({
+  vertices: [{ x: left, y: top }, { x: right, y: top }, { x: right, y: bottom }, { x: left, y: bottom }]
+});
+
+const box = (left, top, right, bottom) => normalizeBox(normalized(left, top, right, bottom));
+
+// Two people, a dog at the feet of the first and a car, with two faces in pixels of a 1000x500 image
+const STREET = {
+  labels: [{ description: 'Street', score: 0.9 }],
+  objects: [
+    { name: 'Person', score: 0.9, boundingPoly: normalized(0.05, 0.2, 0.25, 0.9) },
+    { name: 'Person', score: 0.9, boundingPoly: normalized(0.3, 0.3, 0.45, 0.9) },
+    { name: 'Car', score: 0.8, boundingPoly: normalized(0.5, 0.4, 0.95, 0.9) },
+    { name: 'Dog', score: 0.7, boundingPoly: normalized(0.1, 0.75, 0.2, 0.9) }
+  ],
+  faces: [
+    { score: 0.9, boundingPoly: pixels(100, 100, 200, 200) },
+    { score: 0.8, boundingPoly: pixels(330, 150, 400, 220) }
+  ]
+};
+
+const answer = (analysis, query) => {
+  const intent = BUILT_IN_INTENTS.find(({ name }) => name === query.intent);
+  return intent.handle(createIntentContext(analysis, query.text));
+};
+
+describe('normalizeBox', () => {
+  test('reads coordinates left out of the response as 0', () => {
+    expect(normalizeBox({ normalizedVertices: [{}, { x: 0.5 }, { x: 0.5, y: 0.5 }, { y: 0.5 }] })).toEqual({
+      left: 0, top: 0, right: 0.5, bottom: 0.5, width: 0.5, height: 0.5, area: 0.25, centerX: 0.25, centerY: 0.25
+    });
+  });
+
+  test('divides pixel vertices by the frame and keeps normalized vertices as they are', () => {
+    const expected = { left: 0.25, top: 0.25, right: 0.75, bottom: 0.75, width: 0.5, height: 0.5, area: 0.25, centerX: 0.5, centerY: 0.5 };
+    expect(normalizeBox(pixels(50, 25, 150, 75), { width: 200, height: 100 })).toEqual(expected);
+    expect(normalizeBox(normalized(0.25, 0.25, 0.75, 0.75), { width: 200, height: 100 })).toEqual(expected);
+  });
+
+  test('clamps boxes to the image', () => {
+    expect(normalizeBox(pixels(-20, 50, 250, 150), { width: 200, height: 100 })).toMatchObject({ left: 0, top: 0.5, right: 1, bottom: 1 });
+  });
+
+  test('returns null for pixel vertices without a frame and for too few vertices', () => {
+    expect(normalizeBox(pixels(50, 25, 150, 75))).toBeNull();
+    expect(normalizeBox({ normalizedVertices: [{ x: 0.1, y: 0.1 }, { x: 0.2, y: 0.2 }] })).toBeNull();
+    expect(normalizeBox(undefined)).toBeNull();
+  });
+});
+
+describe('relateBoxes', () => {
+  test('places boxes by their center against the edges of the other', () => {
+    const left = box(0, 0, 0.3, 0.3);
+    const right = box(0.6, 0.6, 1, 1);
+    expect(relateBoxes(left, right)).toEqual(['left of', 'above']);
+    expect(relateBoxes(right, left)).toEqual(['right of', 'below']);
+  });
+
+  test('tells inside and containing from overlapping', () => {
+    const dog = box(0.1, 0.75, 0.2, 0.9);
+    const person = box(0.05, 0.2, 0.25, 0.9);
+    expect(relateBoxes(dog, person)).toEqual(['inside']);
+    expect(relateBoxes(person, dog)).toEqual(['above', 'containing']);
+    expect(relateBoxes(box(0.2, 0.2, 0.6, 0.6), box(0.3, 0.3, 0.8, 0.8))).toEqual(['overlapping']);
+    expect(relateBoxes(box(0, 0, 0.2, 0.2), box(0.5, 0, 0.7, 0.2))).toEqual(['left of']);
+  });
+
+  test('names the region a box is centered in', () => {
+    expect([box(0, 0, 0.2, 0.2), box(0.4, 0.4, 0.6, 0.6), box(0.8, 0.4, 1, 0.6)].map(describePosition)).toEqual(['top left', 'center', 'right']);
+  });
+});
+
+describe('analyzeSpatial', () => {
+  test('counts the located objects and faces and finds the largest and smallest', () => {
+    const spatial = analyzeSpatial(STREET, { dimensions: { width: 1000, height: 500 } });
+    expect(spatial.estimatedFrame).toBe(false);
+    expect(spatial.counts).toEqual({ person: 2, car: 1, dog: 1 });
+    expect(spatial.faces).toBe(2);
+    expect(spatial.objects.map(({ name, position }) => [name, position])).toEqual([
+      ['Person', 'left'], ['Person', 'center'], ['Car', 'right'], ['Dog', 'bottom left'], ['Face', 'top left'], ['Face', 'center']
+    ]);
+    expect(spatial.largest).toMatchObject({ index: 2, name: 'Car' });
+    expect(spatial.smallest).toMatchObject({ index: 5, name: 'Face', box: { left: 0.33, top: 0.3, right: 0.4, bottom: 0.44 } });
+    expect(spatial.relations).toContainEqual({ subject: 3, relation: 'inside', object: 0 });
+  });
+
+  test('leaves out pixel boxes when other boxes are normalized and the image size is unknown', () => {
+    const spatial = analyzeSpatial(STREET);
+    expect(spatial.faces).toBe(0);
+    expect(spatial.smallest).toMatchObject({ name: 'Dog' });
+  });
+
+  test('estimates the frame from the boxes when all of them are in pixels', () => {
+    const spatial = analyzeSpatial({
+      objects: [
+        { name: 'Cup', score: 0.9, boundingPoly: pixels(0, 0, 100, 50) },
+        { name: 'Plate', score: 0.9, boundingPoly: pixels(100, 50, 200, 100) }
+      ]
+    });
+    expect(spatial.estimatedFrame).toBe(true);
+    expect(spatial.objects.map(({ box: { left, top, right, bottom } }) => [left, top, right, bottom])).toEqual([[0, 0, 0.5, 0.5], [0.5, 0.5, 1, 1]]);
+    expect(spatial.relations.filter(({ subject }) => subject === 0).map(({ relation }) => relation)).toEqual(['left of', 'above']);
+  });
+
+  test('answers how many, where and which is largest from the located objects', () => {
+    expect(answer(STREET, { intent: 'count', text: 'How many people are there?' })).toBe('I count 2 people in the image.');
+    expect(answer(STREET, { intent: 'position', text: 'What is on the left?' })).toBe('On the left of the image there are a person and a dog.');
+    expect(answer(STREET, { intent: 'compare', text: 'Which is the largest object?' }))
+      .toBe('The largest object is the car on the right, taking up about 23% of the image.');
+  });
+});
@@ -0,0 +1,67 @@
+/**
+ * Fixture-driven vision provider for tests and demos
+ * Returns canned analyses matched by image URL, URL pattern or SHA-256 of the image bytes.
+ *
+ * Fixture file format (VISION_FIXTURES_PATH):
+ * {
+ *   "fixtures": [
+ *     { "url": "https://example.com/cat.jpg", "result": { "labels": [...], "text": "", "objects": [] } },
+ *     { "urlPattern": "unsplash\\.com", "result": { ... } },
+ *     { "sha256": "9f86d0...", "result": { ... } }
+ *   ],
+ *   "default": { ... }
+ * }
+ */
+
+import fs from 'fs';
+import { VisionProviderError } from '../errors.js';
+import { hashImageBytes, loadImageBytes, normalizeImageInput } from '../../utils/imageInput.js';
+
+export class FixtureVisionProvider {
+  /**
+   * @param {Object} [options]
+   * @param {Array<Object>} [options.fixtures] - Fixtures, instead of reading a file
+   * @param {Object} [options.defaultResult] - Result for images that match no fixture
+   * @param {string} [options.fixturesPath] - Fixture file
+   */
+  constructor({ fixtures, defaultResult, fixturesPath = process.env.VISION_FIXTURES_PATH } = {}) {
+    this.name = 'fixture';
+
+    if (!fixtures) {
+      if (!fixturesPath) {
+        throw new Error('The fixture vision provider requires VISION_FIXTURES_PATH or fixtures');
+      }
+      const file = JSON.parse(fs.readFileSync(fixturesPath, 'utf8'));
+      fixtures = file.fixtures || [];
+      defaultResult ??= file.default;
+    }
+
+    this.fixtures = fixtures;
+    this.defaultResult = defaultResult;
+  }
+
+  /**
+   * Returns the fixture result matching the image
+   * @param {string|Buffer|Object} image - URL, data URL or bytes of the image
+   * @returns {Promise<Object>} - Labels, text and objects from the fixture
+   */
+  async analyze(image) {
+    const { url } = normalizeImageInput(image);
+
+    let match = url && this.fixtures.find(fixture =>
+      fixture.url === url || (fixture.urlPattern && new RegExp(fixture.urlPattern).test(url))
+    );
+
+    if (!match && this.fixtures.some(fixture => fixture.sha256)) {
+      const hash = hashImageBytes(await loadImageBytes(image));
+      match = this.fixtures.find(fixture => fixture.sha256 === hash);
+    }
+
+    const result = match?.result ?? this.defaultResult;
+    if (!result) {
+      throw new VisionProviderError('No vision fixture matches the image', { provider: this.name });
+    }
+
+    return structuredClone({ labels: [], text: '', objects: [], ...result });
+  }
+}
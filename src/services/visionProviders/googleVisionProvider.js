@@ -0,0 +1,187 @@
+/**
+ * Google Vision AI provider
+ * Authenticates with the service account key file named by GOOGLE_APPLICATION_CREDENTIALS,
+ * or with Application Default Credentials when it is not set.
+ */
+
+import fs from 'fs';
+import { ImageAnnotatorClient } from '@google-cloud/vision';
+import { normalizeImageInput } from '../../utils/imageInput.js';
+import { checkImageUrl } from '../../utils/safeFetch.js';
+import { fromGoogleAnnotation } from '../analysisSchema.js';
+import {
+  ImageFetchError,
+  InvalidImageError,
+  VisionAuthError,
+  VisionProviderError,
+  VisionQuotaError
+} from '../errors.js';
+
+// Most images Google Vision accepts in one batchAnnotateImages request
+export const GOOGLE_BATCH_LIMIT = 16;
+
+// gRPC status codes returned by the Google client
+const GRPC_INVALID_ARGUMENT = 3;
+const GRPC_PERMISSION_DENIED = 7;
+const GRPC_RESOURCE_EXHAUSTED = 8;
+const GRPC_UNAUTHENTICATED = 16;
+
+/**
+ * Maps a Google client error, or the per-image error of an annotate response,
+ * to a vision error type
+ * @param {Object} error - Error with gRPC `code` and `message`
+ * @returns {VisionError}
+ */
+function classifyGoogleError(error) {
+  const message = `Google Vision API error: ${error.message}`;
+  const options = { provider: 'google', cause: error instanceof Error ? error : undefined };
+
+  if (/access the URL|download the content/i.test(error.message)) {
+    return new ImageFetchError(message, options);
+  }
+  switch (error.code) {
+    case GRPC_UNAUTHENTICATED:
+    case GRPC_PERMISSION_DENIED:
+      return new VisionAuthError(message, options);
+    case GRPC_RESOURCE_EXHAUSTED:
+      return new VisionQuotaError(message, options);
+    case GRPC_INVALID_ARGUMENT:
+      return new InvalidImageError(message, options);
+  }
+  if (/credentials/i.test(error.message)) {
+    return new VisionAuthError(message, options);
+  }
+  return new VisionProviderError(message, options);
+}
+
+export class GoogleVisionProvider {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.keyFilePath] - Service account key file
+   */
+  constructor({ keyFilePath = process.env.GOOGLE_APPLICATION_CREDENTIALS } = {}) {
+    this.name = 'google';
+    this.batchLimit = GOOGLE_BATCH_LIMIT;
+    this.keyFilePath = keyFilePath;
+
+    try {
+      if (!keyFilePath) {
+        console.log('GOOGLE_APPLICATION_CREDENTIALS is not set, using Application Default Credentials');
+        this.client = new ImageAnnotatorClient();
+      } else if (fs.existsSync(keyFilePath)) {
+        console.log(`Initializing Google Vision client with credentials from: ${keyFilePath}`);
+        this.client = new ImageAnnotatorClient({ keyFilename: keyFilePath });
+      } else {
+        console.warn(`Warning: Service account key file not found at ${keyFilePath}`);
+      }
+    } catch (error) {
+      console.error('Error initializing Google Vision client:', error.message);
+    }
+  }
+
+  /**
+   * Analyzes an image with Google Vision AI
+   * @param {string|Buffer|Object} image - URL, data URL or bytes of the image
+   * @param {Array<string>} features - Features to detect (e.g., LABEL_DETECTION, TEXT_DETECTION)
+   * @returns {Promise<Object>} - Analysis in the schema of analysisSchema.js
+   */
+  async analyze(image, features) {
+    this.assertClient();
+
+    console.log('Making API call to Google Vision...');
+    let result;
+    try {
+      [result] = await this.client.annotateImage(this.buildRequest(image, features));
+    } catch (error) {
+      throw classifyGoogleError(error);
+    }
+
+    console.log('Google Vision API response received:');
+    console.log('Labels found:', result.labelAnnotations?.length || 0);
+    console.log('Text found:', result.fullTextAnnotation ? 'Yes' : 'No');
+    console.log('Objects found:', result.localizedObjectAnnotations?.length || 0);
+    console.log('Faces, logos, landmarks found:', result.faceAnnotations?.length || 0,
+      result.logoAnnotations?.length || 0, result.landmarkAnnotations?.length || 0);
+
+    if (result.error) {
+      console.error('Google Vision API returned an error:', result.error);
+      throw classifyGoogleError(result.error);
+    }
+
+    return this.toAnalysis(result, features);
+  }
+
+  /**
+   * Analyzes up to GOOGLE_BATCH_LIMIT images in a single batchAnnotateImages request
+   * @param {Array<string|Buffer|Object>} images - URLs, data URLs or bytes of the images
+   * @param {Array<string>} features - Features to detect
+   * @returns {Promise<Array<{result?: Object, error?: VisionError}>>} - One entry per image, in order
+   */
+  async analyzeBatch(images, features) {
+    this.assertClient();
+    if (images.length > GOOGLE_BATCH_LIMIT) {
+      throw new VisionProviderError(`Google Vision accepts at most ${GOOGLE_BATCH_LIMIT} images per batch`, {
+        provider: this.name
+      });
+    }
+
+    // Invalid inputs fail on their own without failing the rest of the batch
+    const entries = images.map(image => {
+      try {
+        return { request: this.buildRequest(image, features) };
+      } catch (error) {
+        return { error };
+      }
+    });
+    const requests = entries.filter(entry => entry.request).map(entry => entry.request);
+
+    console.log(`Making batch API call to Google Vision for ${requests.length} images...`);
+    let responses = [];
+    if (requests.length > 0) {
+      try {
+        [{ responses }] = await this.client.batchAnnotateImages({ requests });
+      } catch (error) {
+        throw classifyGoogleError(error);
+      }
+    }
+
+    let next = 0;
+    return entries.map(entry => {
+      if (entry.error) {
+        return { error: entry.error };
+      }
+      const response = responses[next++];
+      return response.error
+        ? { error: classifyGoogleError(response.error) }
+        : { result: this.toAnalysis(response, features) };
+    });
+  }
+
+  assertClient() {
+    if (!this.client) {
+      throw new VisionAuthError(
+        this.keyFilePath
+          ? `Google Vision credentials not found at ${this.keyFilePath}`
+          : 'Google Vision client not initialized',
+        { provider: this.name }
+      );
+    }
+  }
+
+  buildRequest(image, features) {
+    const { url, buffer } = normalizeImageInput(image);
+    // Google downloads URLs itself, but the hosts they may point to are still restricted
+    if (url) {
+      checkImageUrl(url);
+    }
+    return {
+      image: buffer ? { content: buffer.toString('base64') } : { source: { imageUri: url } },
+      features: features.map(feature => ({ type: feature }))
+    };
+  }
+
+  toAnalysis(result, features) {
+    // The layout of plain TEXT_DETECTION results is not worth keeping
+    return fromGoogleAnnotation(result, { document: features.includes('DOCUMENT_TEXT_DETECTION') });
+  }
+}
@@ -0,0 +1,54 @@
+/**
+ * Vision provider registry
+ *
+ * A vision provider is an object with:
+ * - name: identifier reported with every analysis
+ * - analyze(image, features): resolves to an analysis in the schema of analysisSchema.js,
+ *   at least { labels, text, objects } where
+ *     labels:  Array<{ description: string, score: number }>
+ *     text:    string
+ *     objects: Array<{ name: string, score: number, boundingPoly: Object }>
+ *   and `image` is an http(s) URL, a data:image/ URL or a Buffer. Missing schema fields
+ *   are filled in by GoogleVisionClient.
+ * - analyzeBatch(images, features) (optional): analyzes several images in one provider
+ *   call and resolves to one { result } or { error } entry per image, in order; providers
+ *   that implement it also set batchLimit, the most images accepted per call
+ */
+
+import { getSetting, getVisionSettings } from '../../config/settings.js';
+import { FixtureVisionProvider } from './fixtureVisionProvider.js';
+import { GoogleVisionProvider } from './googleVisionProvider.js';
+import { LocalVisionProvider } from './localVisionProvider.js';
+
+const PROVIDERS = {
+  google: GoogleVisionProvider,
+  local: LocalVisionProvider,
+  fixture: FixtureVisionProvider
+};
+
+export const VISION_PROVIDERS = Object.keys(PROVIDERS);
+
+/**
+ * Creates a vision provider by name
+ * @param {string} name - One of VISION_PROVIDERS
+ * @param {Object} [options] - Provider specific options
+ * @returns {Object} - Vision provider
+ */
+export function createVisionProvider(name, options = {}) {
+  const Provider = PROVIDERS[name];
+  if (!Provider) {
+    throw new Error(`Unknown vision provider "${name}". Expected one of: ${VISION_PROVIDERS.join(', ')}`);
+  }
+  return new Provider(options);
+}
+
+/**
+ * Resolves the vision provider configured for an agent: the character's
+ * settings.vision.provider, then the VISION_PROVIDER setting, then google
+ * @param {Object} agent - Agent runtime or mock agent
+ * @returns {string} - Provider name
+ */
+export function getVisionProviderName(agent) {
+  const name = getVisionSettings(agent).provider ?? getSetting(agent, 'VISION_PROVIDER', 'google');
+  return name.toLowerCase();
+}
@@ -0,0 +1,50 @@
+/**
+ * Local vision provider
+ * Deterministic, offline analysis computed from the image bytes: format, dimensions,
+ * dominant colors and EXIF metadata. It cannot recognize objects or read text, so it
+ * reports the dominant color names as labels and colors, and leaves text and objects empty.
+ */
+
+import { inspectImage } from '../../utils/imageInfo.js';
+import { loadImageBytes } from '../../utils/imageInput.js';
+
+export class LocalVisionProvider {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.timeoutMs] - Timeout when downloading image URLs, defaults to IMAGE_FETCH_TIMEOUT_MS
+   */
+  constructor({ timeoutMs } = {}) {
+    this.name = 'local';
+    this.timeoutMs = timeoutMs;
+  }
+
+  /**
+   * Computes image facts. The requested features are ignored.
+   * @param {string|Buffer|Object} image - URL, data URL or bytes of the image
+   * @returns {Promise<Object>} - Color labels and colors, empty text and objects, and the image properties
+   */
+  async analyze(image) {
+    const buffer = await loadImageBytes(image, { timeoutMs: this.timeoutMs });
+    const properties = inspectImage(buffer);
+
+    // Several buckets can share a color name, so sum their coverage
+    const coverage = new Map();
+    for (const color of properties.dominantColors) {
+      coverage.set(color.name, (coverage.get(color.name) || 0) + color.fraction);
+    }
+
+    const labels = [...coverage.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .map(([name, fraction]) => ({ description: name, score: Math.round(fraction * 100) / 100 }));
+
+    console.log(`Local analysis: ${properties.format} ${properties.width}x${properties.height}, colors: ${labels.map(l => l.description).join(', ') || 'n/a'}`);
+
+    return {
+      labels,
+      text: '',
+      objects: [],
+      colors: properties.dominantColors.map(({ hex, name, rgb, fraction }) => ({ hex, name, rgb, score: fraction, fraction })),
+      properties
+    };
+  }
+}
@@ -0,0 +1,185 @@
+/**
+ * Vision service for the ElizaOS runtime
+ * Registers as the runtime's image description service so that images posted
+ * through Discord or Telegram are analyzed with Google Vision AI, and exposes
+ * the analysis to the vision actions and providers.
+ */
+
+import { elizaLogger, Service, ServiceType } from '@elizaos/core';
+import GoogleVisionAction from '../actions/googleVisionAction.js';
+import { AppraisalAction } from '../actions/appraisalAction.js';
+import { CompareAction } from '../actions/compareAction.js';
+import { OraAction } from '../actions/oraAction.js';
+import { APPRAISAL_FEATURES } from '../appraisal/appraiser.js';
+import { createVisionCache } from '../cache/visionCache.js';
+import { ServiceError } from './errors.js';
+import { COMPARE_FEATURES } from './imageComparison.js';
+
+// Number of analyses remembered so a single turn doesn't analyze an image twice
+const RECENT_ANALYSIS_LIMIT = 20;
+
+const IMAGE_URL_PATTERN = /https?:\/\/\S+\.(?:png|jpe?g|gif|webp|bmp)(?:\?\S*)?/gi;
+
+/**
+ * Collects the image URLs referenced by a message, from its attachments and its text
+ * @param {Object} message - Memory object received by an action or provider
+ * @returns {Array<string>} - Unique image URLs
+ */
+export function getMessageImageUrls(message) {
+  const urls = [];
+
+  for (const attachment of message?.content?.attachments || []) {
+    const isImage = attachment.contentType?.startsWith('image/') ||
+                    attachment.source === 'Image' ||
+                    /\.(png|jpe?g|gif|webp|bmp)(\?|$)/i.test(attachment.url || '');
+    if (isImage && attachment.url) {
+      urls.push(attachment.url);
+    }
+  }
+
+  const text = message?.content?.text || '';
+  urls.push(...(text.match(IMAGE_URL_PATTERN) || []));
+
+  return [...new Set(urls)];
+}
+
+export class VisionService extends Service {
+  static get serviceType() {
+    return ServiceType.IMAGE_DESCRIPTION;
+  }
+
+  constructor() {
+    super();
+    this.runtime = null;
+    this.recentAnalyses = new Map();
+  }
+
+  async initialize(runtime) {
+    this.runtime = runtime;
+
+    // Analyses are cached in the agent database, shared with the other agents and the REST server
+    try {
+      this.cache = await createVisionCache(runtime.databaseAdapter, runtime);
+    } catch (error) {
+      elizaLogger.warn(`Vision cache unavailable: ${error.message}`);
+      this.cache = null;
+    }
+
+    this.visionAction = new GoogleVisionAction(runtime, { cache: this.cache });
+    this.oraAction = new OraAction(runtime);
+    this.appraisalAction = new AppraisalAction(runtime);
+    this.compareAction = new CompareAction(runtime);
+    elizaLogger.log(`Vision service initialized for ${runtime.character.name}`);
+  }
+
+  /**
+   * Analyzes an image, reusing the result when the same image was analyzed recently
+   * @param {string} imageUrl - URL or base64 data of the image to analyze
+   * @param {Array<string>} [features] - Google Vision features to detect
+   * @returns {Promise<Object>} - Analysis with labels, text and objects
+   */
+  async analyzeImage(imageUrl, features) {
+    const recent = this.getRecentAnalysis(imageUrl);
+    if (recent && !features) {
+      return recent;
+    }
+
+    const result = await this.visionAction.execute({ imageUrl, features });
+    if (!result.success) {
+      throw new ServiceError(`Failed to analyze image: ${result.error}`, {
+        code: result.code,
+        httpStatus: result.httpStatus
+      });
+    }
+
+    // Mock fallbacks are not remembered, so the next request retries the provider
+    if (result.source === 'mock') {
+      return result.data;
+    }
+
+    this.recentAnalyses.set(imageUrl, result.data);
+    if (this.recentAnalyses.size > RECENT_ANALYSIS_LIMIT) {
+      const oldest = this.recentAnalyses.keys().next().value;
+      this.recentAnalyses.delete(oldest);
+    }
+
+    return result.data;
+  }
+
+  /**
+   * Returns an analysis produced earlier in the conversation, if any
+   * @param {string} imageUrl - URL of the image
+   * @returns {Object|undefined} - Cached analysis
+   */
+  getRecentAnalysis(imageUrl) {
+    return this.recentAnalyses.get(imageUrl);
+  }
+
+  /**
+   * Image description service contract used by the Discord and Telegram clients
+   * @param {string} imageUrl - URL of the image to describe
+   * @returns {Promise<{title: string, description: string}>}
+   */
+  async describeImage(imageUrl) {
+    const analysis = await this.analyzeImage(imageUrl);
+    const mainLabel = analysis.labels[0]?.description;
+
+    return {
+      title: mainLabel ? `Image of ${mainLabel.toLowerCase()}` : 'Image',
+      description: this.oraAction.prepareContextString(analysis).trim()
+    };
+  }
+
+  /**
+   * Appraises the collectible item shown in an image
+   * @param {string} imageUrl - URL of the image
+   * @returns {Promise<Object>} - Appraisal report with its summary
+   */
+  async appraiseImage(imageUrl) {
+    const analysis = await this.analyzeImage(imageUrl, APPRAISAL_FEATURES);
+    const response = await this.appraisalAction.execute({ imageAnalysis: analysis, features: APPRAISAL_FEATURES });
+
+    if (!response.success) {
+      throw new ServiceError(response.error, { code: response.code, httpStatus: response.httpStatus });
+    }
+
+    return response.data;
+  }
+
+  /**
+   * Compares several images and describes their differences
+   * @param {Array<string>} imageUrls - URLs of the images, in the order they were posted
+   * @param {string} [query] - User question about the images
+   * @returns {Promise<Object>} - Comparison with its completion
+   */
+  async compareImages(imageUrls, query) {
+    const images = [];
+    for (const [index, imageUrl] of imageUrls.entries()) {
+      images.push({ id: String(index + 1), imageAnalysis: await this.analyzeImage(imageUrl, COMPARE_FEATURES) });
+    }
+    const response = await this.compareAction.execute({ images, query });
+
+    if (!response.success) {
+      throw new ServiceError(response.error, { code: response.code, httpStatus: response.httpStatus });
+    }
+
+    return response.data;
+  }
+
+  /**
+   * Answers a question about an image using its analysis
+   * @param {string} imageUrl - URL of the image
+   * @param {string} query - User question about the image
+   * @returns {Promise<{analysis: Object, completion: string}>}
+   */
+  async answerQuestion(imageUrl, query) {
+    const analysis = await this.analyzeImage(imageUrl);
+    const response = await this.oraAction.execute({ imageAnalysis: analysis, query });
+
+    if (!response.success) {
+      throw new ServiceError(response.error, { code: response.code, httpStatus: response.httpStatus });
+    }
+
+    return { analysis, completion: response.data.completion };
+  }
+}
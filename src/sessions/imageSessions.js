@@ -0,0 +1,176 @@
+/**
+ * Image sessions: multi-turn conversations about one analyzed image
+ * The image is analyzed once when the session starts. Each question is then answered from
+ * the stored analysis together with the last turns of the session, so follow-up questions
+ * can refer to earlier answers. A session is only found with the API key that started it.
+ */
+
+import { createSqlClient } from '../database/sql.js';
+import { createAnalysisTasks } from '../services/analysisTasks.js';
+import { ConflictError, InvalidRequestError, NotFoundError, ServiceError } from '../services/errors.js';
+import { hashImageBytes, normalizeImageInput } from '../utils/imageInput.js';
+import { SessionStore } from './sessionStore.js';
+
+export const DEFAULT_SESSION_HISTORY_TURNS = 10;
+export const MAX_SESSION_LIST_LIMIT = 100;
+
+/**
+ * Reference of an image stored with its session: the URL, or the hash of uploaded bytes
+ * @param {string|Buffer|Object} image - Image input
+ * @returns {string}
+ */
+function toImageReference(image) {
+  const { url, buffer } = normalizeImageInput(image);
+  return url ?? `sha256:${hashImageBytes(buffer)}`;
+}
+
+export class ImageSessions {
+  /**
+   * @param {Object} options
+   * @param {SessionStore} options.store - Session persistence
+   * @param {Object} options.agent - Agent exposing executeAction(name, params)
+   * @param {number} [options.historyTurns] - Earlier turns sent along with each question
+   */
+  constructor({ store, agent, historyTurns = DEFAULT_SESSION_HISTORY_TURNS }) {
+    this.store = store;
+    this.agent = agent;
+    this.tasks = createAnalysisTasks(agent);
+    this.historyTurns = historyTurns;
+  }
+
+  /**
+   * Analyzes an image and starts a session about it, answering the first question if any
+   * @param {Object} params
+   * @param {string|Buffer|Object} params.imageUrl - URL, data URL or upload of the image
+   * @param {Array<string>} [params.features] - Features to detect
+   * @param {string} [params.cacheMode] - default, refresh or bypass
+   * @param {string} [params.query] - First question
+   * @param {string|null} [params.apiKeyId] - API key of the request, the owner of the session
+   * @returns {Promise<{session: Object, source: string, cache: string, turn?: Object}>}
+   */
+  async create({ imageUrl, features, cacheMode, query, apiKeyId = null }) {
+    const analysis = await this.tasks.analyze({ imageUrl, features, cacheMode });
+    const session = await this.store.create({
+      image: toImageReference(imageUrl),
+      features: features ?? [],
+      analysis: analysis.data,
+      apiKeyId
+    });
+    console.log(`Started image session ${session.id}`);
+
+    const result = { session, source: analysis.source, cache: analysis.cache };
+    if (query) {
+      try {
+        result.turn = (await this.ask(session.id, query, { apiKeyId })).turn;
+      } catch (error) {
+        // The caller never learns the id of a session whose first question failed
+        await this.store.delete(session.id, { apiKeyId });
+        throw error;
+      }
+      result.session = await this.store.get(session.id, { apiKeyId });
+    }
+    return result;
+  }
+
+  /**
+   * Answers a question about the image of a session and records the turn
+   * @param {string} id - Session id
+   * @param {string} query - User question
+   * @param {Object} [options]
+   * @param {string|null} [options.apiKeyId] - API key of the request
+   * @returns {Promise<{sessionId: string, source: string, turn: Object}>}
+   */
+  async ask(id, query, { apiKeyId = null } = {}) {
+    if (!query || typeof query !== 'string') {
+      throw new InvalidRequestError('query is required');
+    }
+    const session = await this.requireSession(id, apiKeyId);
+    const history = await this.store.listTurns(id, { last: this.historyTurns });
+
+    const response = await this.agent.executeAction('query_ora', {
+      imageAnalysis: session.analysis,
+      query,
+      history: history.map(({ query, completion }) => ({ query, completion }))
+    });
+    if (!response.success) {
+      throw new ServiceError(response.error, { code: response.code, httpStatus: response.httpStatus });
+    }
+
+    const turn = await this.store.addTurn(id, session.turnCount, {
+      query,
+      completion: response.data.completion,
+      backend: response.data.backend
+    });
+    if (!turn) {
+      throw new ConflictError(`Session ${id} received another question meanwhile, ask again`, {
+        code: 'SESSION_CONFLICT'
+      });
+    }
+    return { sessionId: id, source: response.source, turn };
+  }
+
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.limit] - Maximum sessions returned, at most MAX_SESSION_LIST_LIMIT
+   * @param {number} [options.offset] - Sessions skipped
+   * @param {string|null} [options.apiKeyId] - API key of the request
+   * @returns {Promise<Array<Object>>} - Sessions of the key, most recently used first
+   */
+  async list({ limit, offset, apiKeyId = null } = {}) {
+    return this.store.list({
+      limit: Math.min(Math.max(Number(limit) || 20, 1), MAX_SESSION_LIST_LIMIT),
+      offset: Math.max(Number(offset) || 0, 0),
+      apiKeyId
+    });
+  }
+
+  /**
+   * @param {string} id - Session id
+   * @param {Object} [options]
+   * @param {string|null} [options.apiKeyId] - API key of the request
+   * @returns {Promise<Object>} - The session with its analysis and all its turns
+   */
+  async get(id, { apiKeyId = null } = {}) {
+    const session = await this.requireSession(id, apiKeyId);
+    return { ...session, turns: await this.store.listTurns(id) };
+  }
+
+  /**
+   * @param {string} id - Session id
+   * @param {Object} [options]
+   * @param {string|null} [options.apiKeyId] - API key of the request
+   */
+  async delete(id, { apiKeyId = null } = {}) {
+    if (!(await this.store.delete(id, { apiKeyId }))) {
+      throw new NotFoundError(`Session ${id} not found`, { code: 'SESSION_NOT_FOUND' });
+    }
+    console.log(`Deleted image session ${id}`);
+  }
+
+  // Sessions of other API keys are not found, as if they did not exist
+  async requireSession(id, apiKeyId) {
+    const session = await this.store.get(id, { apiKeyId });
+    if (!session) {
+      throw new NotFoundError(`Session ${id} not found`, { code: 'SESSION_NOT_FOUND' });
+    }
+    return session;
+  }
+}
+
+/**
+ * Creates the image sessions of an agent over its database
+ * @param {Object} options
+ * @param {Object} options.db - Database adapter from initializeDatabase, already initialized
+ * @param {Object} options.agent - Agent exposing executeAction(name, params)
+ * @param {string} [options.agentId] - Agent owning the sessions
+ * @returns {Promise<ImageSessions>}
+ */
+export async function startImageSessions({ db, agent, agentId }) {
+  const store = new SessionStore(createSqlClient(db), { agentId });
+  await store.init();
+  return new ImageSessions({
+    store,
+    agent,
+    historyTurns: Number(process.env.SESSION_HISTORY_TURNS) || DEFAULT_SESSION_HISTORY_TURNS
+  });
+}
@@ -0,0 +1,70 @@
+import { beforeEach, describe, expect, jest, test } from '@jest/globals';
+import Database from 'better-sqlite3';
+import { createSqlClient } from '../database/sql.js';
+import { ImageSessions } from './imageSessions.js';
+import { SessionStore } from './sessionStore.js';
+
+const ANALYSIS = { labels: [{ description: 'dog', score: 0.98 }], text: '' };
+
+// Agent answering every question with the number of earlier turns it was sent
+const agent = {
+  executeAction: async (name, params) => name === 'analyze_image'
+    ? { success: true, source: 'live', provider: 'mock', cache: 'miss', data: ANALYSIS }
+    : { success: true, source: 'offline', data: { completion: `${params.history.length} earlier turns`, backend: 'offline' } }
+};
+
+let db;
+
+const createSessions = agentId => new ImageSessions({ store: new SessionStore(createSqlClient({ db }), { agentId }), agent });
+
+beforeEach(async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  db = new Database(':memory:');
+  await new SessionStore(createSqlClient({ db })).init();
+});
+
+describe('ImageSessions', () => {
+  test('answers follow-up questions with the earlier turns', async () => {
+    const sessions = createSessions('agent-1');
+    const { session, turn } = await sessions.create({ imageUrl: 'https://example.com/dog.jpg', query: 'What is this?' });
+    expect(turn).toMatchObject({ index: 0, completion: '0 earlier turns' });
+
+    expect((await sessions.ask(session.id, 'What color is it?')).turn).toMatchObject({ index: 1, completion: '1 earlier turns' });
+    expect(await sessions.get(session.id)).toMatchObject({ turnCount: 2, analysis: ANALYSIS, turns: [{ index: 0 }, { index: 1 }] });
+  });
+
+  test('keeps the sessions of an API key from the other keys', async () => {
+    const sessions = createSessions('agent-1');
+    const { session } = await sessions.create({ imageUrl: 'https://example.com/dog.jpg', apiKeyId: 'key-1' });
+    const notFound = expect.objectContaining({ code: 'SESSION_NOT_FOUND', httpStatus: 404 });
+
+    for (const apiKeyId of ['key-2', null]) {
+      await expect(sessions.get(session.id, { apiKeyId })).rejects.toThrow(notFound);
+      await expect(sessions.ask(session.id, 'What is this?', { apiKeyId })).rejects.toThrow(notFound);
+      await expect(sessions.delete(session.id, { apiKeyId })).rejects.toThrow(notFound);
+      expect(await sessions.list({ apiKeyId })).toEqual([]);
+    }
+
+    expect((await sessions.ask(session.id, 'What is this?', { apiKeyId: 'key-1' })).turn.index).toBe(0);
+    expect((await sessions.list({ apiKeyId: 'key-1' })).map(({ id }) => id)).toEqual([session.id]);
+    await sessions.delete(session.id, { apiKeyId: 'key-1' });
+    expect(await sessions.list({ apiKeyId: 'key-1' })).toEqual([]);
+  });
+
+  test('keeps the sessions of an agent from the other agents', async () => {
+    const { session } = await createSessions('agent-1').create({ imageUrl: 'https://example.com/dog.jpg' });
+    await expect(createSessions('agent-2').get(session.id)).rejects.toThrow(`Session ${session.id} not found`);
+  });
+});
+
+describe('SessionStore', () => {
+  test('adds the api_key_id column to tables created before it', async () => {
+    db = new Database(':memory:');
+    db.exec('CREATE TABLE vision_sessions (id TEXT PRIMARY KEY, agent_id TEXT, image TEXT NOT NULL, features TEXT NOT NULL, '
+      + 'analysis TEXT NOT NULL, turn_count INTEGER NOT NULL DEFAULT 0, created_at TEXT NOT NULL, updated_at TEXT NOT NULL)');
+    const store = new SessionStore(createSqlClient({ db }));
+    await store.init();
+    const session = await store.create({ image: 'sha256:00', features: [], analysis: ANALYSIS, apiKeyId: 'key-1' });
+    expect(await store.get(session.id, { apiKeyId: 'key-1' })).toMatchObject({ id: session.id });
+  });
+});
@@ -0,0 +1,220 @@
+/**
+ * Persistence of image sessions in the agent database (SQLite or Postgres)
+ *
+ * A session keeps the analysis of one image and the questions asked about it, so that
+ * follow-up questions are answered with the earlier turns of the conversation.
+ * Turns are numbered from 0 and appended with a conditional update of the turn count,
+ * so two answers computed from the same history never both land in the session.
+ * Sessions belong to the API key that started them: the other keys do not see them.
+ */
+
+import crypto from 'crypto';
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS vision_sessions (
+    id TEXT PRIMARY KEY,
+    agent_id TEXT,
+    api_key_id TEXT,
+    image TEXT NOT NULL,
+    features TEXT NOT NULL,
+    analysis TEXT NOT NULL,
+    turn_count INTEGER NOT NULL DEFAULT 0,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS vision_sessions_updated_idx ON vision_sessions (agent_id, updated_at);
+  CREATE TABLE IF NOT EXISTS vision_session_turns (
+    session_id TEXT NOT NULL,
+    turn_index INTEGER NOT NULL,
+    query TEXT NOT NULL,
+    completion TEXT NOT NULL,
+    backend TEXT,
+    created_at TEXT NOT NULL,
+    PRIMARY KEY (session_id, turn_index)
+  );
+`;
+
+/**
+ * Converts a row to the session returned by the API
+ * @param {Object} row - vision_sessions row
+ * @param {Object} [options]
+ * @param {boolean} [options.withAnalysis] - Include the stored analysis
+ * @returns {Object}
+ */
+function toSession(row, { withAnalysis = false } = {}) {
+  const session = {
+    id: row.id,
+    image: row.image,
+    features: JSON.parse(row.features),
+    turnCount: Number(row.turn_count),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+  if (withAnalysis) {
+    session.analysis = JSON.parse(row.analysis);
+  }
+  return session;
+}
+
+function toTurn(row) {
+  return {
+    index: Number(row.turn_index),
+    query: row.query,
+    completion: row.completion,
+    backend: row.backend ?? null,
+    createdAt: row.created_at
+  };
+}
+
+export class SessionStore {
+  /**
+   * @param {SqlClient} sql - Client returned by createSqlClient
+   * @param {Object} [options]
+   * @param {string} [options.agentId] - Agent owning the sessions; sessions of other agents are not visible
+   */
+  constructor(sql, { agentId = null } = {}) {
+    this.sql = sql;
+    this.agentId = agentId;
+  }
+
+  /**
+   * Creates the session tables when they do not exist
+   */
+  async init() {
+    await this.sql.exec(SCHEMA);
+    // Tables created before sessions belonged to API keys lack the api_key_id column
+    try {
+      await this.sql.get('SELECT api_key_id FROM vision_sessions LIMIT 1');
+    } catch {
+      await this.sql.exec('ALTER TABLE vision_sessions ADD COLUMN api_key_id TEXT');
+    }
+  }
+
+  // Matches the sessions of this store's agent and of an API key; a missing agent or key
+  // matches the sessions that have none
+  ownerFilter(apiKeyId) {
+    const clauses = [];
+    const params = [];
+    for (const [column, value] of [['agent_id', this.agentId], ['api_key_id', apiKeyId]]) {
+      if (value) {
+        clauses.push(`${column} = ?`);
+        params.push(value);
+      } else {
+        clauses.push(`${column} IS NULL`);
+      }
+    }
+    return { clause: clauses.join(' AND '), params };
+  }
+
+  /**
+   * Stores a new session without turns
+   * @param {Object} session
+   * @param {string} session.image - Reference of the analyzed image (URL or content hash)
+   * @param {Array<string>} session.features - Analyzed features
+   * @param {Object} session.analysis - Image analysis
+   * @param {string|null} [session.apiKeyId] - API key starting the session
+   * @returns {Promise<Object>} - The session, with its analysis
+   */
+  async create({ image, features, analysis, apiKeyId = null }) {
+    const id = crypto.randomUUID();
+    const now = new Date().toISOString();
+    await this.sql.run(
+      `INSERT INTO vision_sessions (id, agent_id, api_key_id, image, features, analysis, turn_count, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, 0, ?, ?)`,
+      [id, this.agentId, apiKeyId, image, JSON.stringify(features), JSON.stringify(analysis), now, now]
+    );
+    return this.get(id, { apiKeyId });
+  }
+
+  /**
+   * @param {string} id - Session id
+   * @param {Object} [options]
+   * @param {string|null} [options.apiKeyId] - API key of the request
+   * @returns {Promise<Object|null>} - The session with its analysis, or null when it does not exist or
+   *   belongs to another key
+   */
+  async get(id, { apiKeyId = null } = {}) {
+    const { clause, params } = this.ownerFilter(apiKeyId);
+    const row = await this.sql.get(`SELECT * FROM vision_sessions WHERE id = ? AND ${clause}`, [id, ...params]);
+    return row ? toSession(row, { withAnalysis: true }) : null;
+  }
+
+  /**
+   * Sessions of the agent and API key, most recently used first, without their analyses
+   * @param {Object} [options]
+   * @param {number} [options.limit] - Maximum sessions returned
+   * @param {number} [options.offset] - Sessions skipped
+   * @param {string|null} [options.apiKeyId] - API key of the request
+   * @returns {Promise<Array<Object>>}
+   */
+  async list({ limit = 20, offset = 0, apiKeyId = null } = {}) {
+    const { clause, params } = this.ownerFilter(apiKeyId);
+    const rows = await this.sql.all(
+      `SELECT id, image, features, turn_count, created_at, updated_at FROM vision_sessions
+       WHERE ${clause} ORDER BY updated_at DESC LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+    return rows.map(row => toSession(row));
+  }
+
+  /**
+   * Turns of a session, oldest first
+   * @param {string} id - Session id
+   * @param {Object} [options]
+   * @param {number} [options.last] - Only return the last turns
+   * @returns {Promise<Array<Object>>}
+   */
+  async listTurns(id, { last } = {}) {
+    const rows = last
+      ? (await this.sql.all(
+        'SELECT * FROM vision_session_turns WHERE session_id = ? ORDER BY turn_index DESC LIMIT ?',
+        [id, last]
+      )).reverse()
+      : await this.sql.all('SELECT * FROM vision_session_turns WHERE session_id = ? ORDER BY turn_index', [id]);
+    return rows.map(toTurn);
+  }
+
+  /**
+   * Appends a turn, unless another turn was appended since the session was read
+   * @param {string} id - Session id
+   * @param {number} index - Index of the new turn, the turn count read with the session
+   * @param {Object} turn
+   * @param {string} turn.query - User question
+   * @param {string} turn.completion - Answer
+   * @param {string} [turn.backend] - ORA backend that answered
+   * @returns {Promise<Object|null>} - The stored turn, or null on a conflicting append
+   */
+  async addTurn(id, index, { query, completion, backend }) {
+    const now = new Date().toISOString();
+    const { changes } = await this.sql.run(
+      'UPDATE vision_sessions SET turn_count = turn_count + 1, updated_at = ? WHERE id = ? AND turn_count = ?',
+      [now, id, index]
+    );
+    if (changes === 0) {
+      return null;
+    }
+    await this.sql.run(
+      `INSERT INTO vision_session_turns (session_id, turn_index, query, completion, backend, created_at)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [id, index, query, completion, backend ?? null, now]
+    );
+    return toTurn({ turn_index: index, query, completion, backend, created_at: now });
+  }
+
+  /**
+   * Deletes a session and its turns
+   * @param {string} id - Session id
+   * @param {Object} [options]
+   * @param {string|null} [options.apiKeyId] - API key of the request
+   * @returns {Promise<boolean>} - False when the session does not exist or belongs to another key
+   */
+  async delete(id, { apiKeyId = null } = {}) {
+    const { clause, params } = this.ownerFilter(apiKeyId);
+    const { changes } = await this.sql.run(`DELETE FROM vision_sessions WHERE id = ? AND ${clause}`, [id, ...params]);
+    if (changes === 0) {
+      return false;
+    }
+    await this.sql.run('DELETE FROM vision_session_turns WHERE session_id = ?', [id]);
+    return true;
+  }
+}
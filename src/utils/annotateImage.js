@@ -0,0 +1,134 @@
+/**
+ * Draws the located objects and faces of an analysis over the image
+ * JPEG output draws box outlines into the decoded pixels (PNG and JPEG sources only);
+ * SVG output wraps the original image of any format with labeled rectangles.
+ */
+
+import jpeg from 'jpeg-js';
+import { InvalidImageError, InvalidRequestError } from '../services/errors.js';
+import { analyzeSpatial } from '../services/spatialAnalysis.js';
+import { decodePixels, detectImageFormat, getImageDimensions } from './imageInfo.js';
+
+export const ANNOTATION_FORMATS = ['jpeg', 'svg'];
+
+const JPEG_QUALITY = 90;
+
+// One color per object class, in order of first appearance
+const PALETTE = [
+  [230, 25, 75], [60, 180, 75], [255, 225, 25], [0, 130, 200], [245, 130, 48],
+  [145, 30, 180], [70, 240, 240], [240, 50, 230], [210, 245, 60], [250, 190, 212]
+];
+
+const toHex = rgb => '#' + rgb.map(value => value.toString(16).padStart(2, '0')).join('');
+
+const escapeXml = text => String(text).replace(/[<>&"']/g, char => `&#${char.charCodeAt(0)};`);
+
+function drawRectangle({ width, height, data }, { left, top, right, bottom }, rgb, thickness) {
+  const x0 = Math.round(left * (width - 1));
+  const x1 = Math.round(right * (width - 1));
+  const y0 = Math.round(top * (height - 1));
+  const y1 = Math.round(bottom * (height - 1));
+  const paint = (x, y) => {
+    if (x >= 0 && x < width && y >= 0 && y < height) {
+      data.set([...rgb, 255], (y * width + x) * 4);
+    }
+  };
+
+  for (let t = 0; t < thickness; t++) {
+    for (let x = x0; x <= x1; x++) {
+      paint(x, y0 + t);
+      paint(x, y1 - t);
+    }
+    for (let y = y0; y <= y1; y++) {
+      paint(x0 + t, y);
+      paint(x1 - t, y);
+    }
+  }
+}
+
+function renderSvg(buffer, mimeType, { width, height }, boxes) {
+  const fontSize = Math.max(12, Math.round(Math.min(width, height) / 40));
+  const strokeWidth = Math.max(2, Math.round(Math.min(width, height) / 250));
+  const shapes = boxes.map(({ name, color, box }) => {
+    const x = Math.round(box.left * width);
+    const y = Math.round(box.top * height);
+    return `<g><rect x="${x}" y="${y}" width="${Math.round(box.width * width)}" height="${Math.round(box.height * height)}" fill="none" stroke="${color}" stroke-width="${strokeWidth}"/>` +
+      `<text x="${x + strokeWidth}" y="${Math.max(y - strokeWidth, fontSize)}" fill="${color}" font-family="sans-serif" font-size="${fontSize}">${escapeXml(name)}</text></g>`;
+  });
+
+  return Buffer.from(
+    `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">` +
+    `<image width="${width}" height="${height}" xlink:href="data:${mimeType};base64,${buffer.toString('base64')}"/>` +
+    shapes.join('') +
+    '</svg>'
+  );
+}
+
+/**
+ * Draws the boxes of an analysis over the image it was made from
+ * @param {Buffer} buffer - Image bytes
+ * @param {Object} analysis - Image analysis with objects and faces
+ * @param {Object} [options]
+ * @param {string} [options.format] - One of ANNOTATION_FORMATS
+ * @returns {{buffer: Buffer, mimeType: string, width: number, height: number, spatial: Object,
+ *   boxes: Array<{name: string, color: string, position: string}>}}
+ * @throws {InvalidImageError} - When the image cannot be read, or decoded for JPEG output
+ */
+export function annotateImage(buffer, analysis, { format = 'jpeg' } = {}) {
+  if (!ANNOTATION_FORMATS.includes(format)) {
+    throw new InvalidRequestError(`format must be one of: ${ANNOTATION_FORMATS.join(', ')}`);
+  }
+  const detected = detectImageFormat(buffer);
+  if (!detected) {
+    throw new InvalidImageError('Unrecognized image format');
+  }
+  const dimensions = getImageDimensions(buffer, detected.format);
+  if (!dimensions) {
+    throw new InvalidImageError(`The dimensions of ${detected.format} images cannot be read`);
+  }
+
+  const spatial = analyzeSpatial(analysis, { dimensions });
+  const colors = new Map();
+  const boxes = spatial.objects.map(({ name, box, position }) => {
+    const key = name.toLowerCase();
+    if (!colors.has(key)) {
+      colors.set(key, PALETTE[colors.size % PALETTE.length]);
+    }
+    return { name, rgb: colors.get(key), color: toHex(colors.get(key)), box, position };
+  });
+  const legend = boxes.map(({ name, color, position }) => ({ name, color, position }));
+
+  if (format === 'svg') {
+    return {
+      buffer: renderSvg(buffer, detected.mimeType, dimensions, boxes),
+      mimeType: 'image/svg+xml',
+      ...dimensions,
+      spatial,
+      boxes: legend
+    };
+  }
+
+  let pixels;
+  try {
+    pixels = decodePixels(buffer, detected.format);
+  } catch (error) {
+    throw new InvalidImageError(`Corrupt ${detected.format} image: ${error.message}`, { cause: error });
+  }
+  if (!pixels) {
+    throw new InvalidImageError(`${detected.format} images cannot be annotated as JPEG, ask for the svg format`);
+  }
+
+  const thickness = Math.max(2, Math.round(Math.min(pixels.width, pixels.height) / 250));
+  for (const { box, rgb } of boxes) {
+    drawRectangle(pixels, box, rgb, thickness);
+  }
+
+  return {
+    buffer: Buffer.from(jpeg.encode(pixels, JPEG_QUALITY).data),
+    mimeType: 'image/jpeg',
+    width: pixels.width,
+    height: pixels.height,
+    spatial,
+    boxes: legend
+  };
+}
@@ -0,0 +1,77 @@
+/**
+ * Concurrency helpers for running many asynchronous tasks with a bounded number in flight
+ */
+
+/**
+ * Maps items through an async function, running at most `concurrency` calls at a time
+ * Results keep the order of the items; a rejected call rejects the whole map, so
+ * callers that want per-item errors catch them inside `fn`.
+ * @param {Array} items - Items to map
+ * @param {number} concurrency - Maximum number of calls in flight
+ * @param {function(*, number): Promise<*>} fn - Called with each item and its index
+ * @param {Object} [options]
+ * @param {function(*, number): void} [options.onResult] - Called with each result as soon as it is available
+ * @param {AbortSignal} [options.signal] - Stops starting new calls once aborted
+ * @returns {Promise<Array>}
+ */
+export async function mapWithConcurrency(items, concurrency, fn, { onResult, signal } = {}) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      signal?.throwIfAborted();
+      const index = next++;
+      results[index] = await fn(items[index], index);
+      onResult?.(results[index], index);
+    }
+  };
+
+  const workers = Math.max(1, Math.min(concurrency, items.length));
+  await Promise.all(Array.from({ length: workers }, worker));
+  return results;
+}
+
+/**
+ * Splits an array into chunks of at most `size` items
+ * @param {Array} items - Items to split
+ * @param {number} size - Chunk size
+ * @returns {Array<Array>}
+ */
+export function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
+
+/**
+ * Creates a limiter that runs the functions passed to it with at most `concurrency` in flight
+ * @param {number} concurrency - Maximum number of functions in flight
+ * @returns {function(function(): Promise<*>): Promise<*>} - Runs a function once a slot is free
+ */
+export function createLimiter(concurrency) {
+  const queue = [];
+  let active = 0;
+
+  const startNext = () => {
+    if (active >= concurrency || queue.length === 0) {
+      return;
+    }
+    const { fn, resolve, reject } = queue.shift();
+    active++;
+    Promise.resolve()
+      .then(fn)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        startNext();
+      });
+  };
+
+  return fn => new Promise((resolve, reject) => {
+    queue.push({ fn, resolve, reject });
+    startNext();
+  });
+}
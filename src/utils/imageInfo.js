@@ -0,0 +1,458 @@
+/**
+ * Image inspection helpers used by the local vision provider
+ * Detects the format and dimensions of an image, reads its EXIF metadata and
+ * decodes PNG and JPEG pixels to compute dominant colors, without native dependencies.
+ */
+
+import zlib from 'zlib';
+import jpeg from 'jpeg-js';
+import { InvalidImageError } from '../services/errors.js';
+
+// Images larger than this are not decoded to keep memory usage bounded
+const MAX_DECODE_PIXELS = 25_000_000;
+
+// Pixels sampled when computing dominant colors
+const COLOR_SAMPLE_TARGET = 10_000;
+
+const FORMATS = [
+  { format: 'png', mimeType: 'image/png', test: b => b.length > 8 && b.readUInt32BE(0) === 0x89504e47 },
+  { format: 'jpeg', mimeType: 'image/jpeg', test: b => b.length > 3 && b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  { format: 'gif', mimeType: 'image/gif', test: b => b.length > 6 && b.toString('ascii', 0, 4) === 'GIF8' },
+  { format: 'webp', mimeType: 'image/webp', test: b => b.length > 12 && b.toString('ascii', 0, 4) === 'RIFF' && b.toString('ascii', 8, 12) === 'WEBP' },
+  { format: 'bmp', mimeType: 'image/bmp', test: b => b.length > 26 && b.toString('ascii', 0, 2) === 'BM' },
+  { format: 'tiff', mimeType: 'image/tiff', test: b => b.length > 8 && (b.toString('ascii', 0, 4) === 'II*\0' || b.toString('ascii', 0, 4) === 'MM\0*') }
+];
+
+/**
+ * Detects the image format from its magic bytes
+ * @param {Buffer} buffer - Image bytes
+ * @returns {{format: string, mimeType: string}|null} - Detected format, or null for unknown data
+ */
+export function detectImageFormat(buffer) {
+  const match = FORMATS.find(({ test }) => test(buffer));
+  return match ? { format: match.format, mimeType: match.mimeType } : null;
+}
+
+/**
+ * Reads the pixel dimensions from the image header
+ * @param {Buffer} buffer - Image bytes
+ * @param {string} format - Format returned by detectImageFormat
+ * @returns {{width: number, height: number}|null}
+ */
+export function getImageDimensions(buffer, format) {
+  switch (format) {
+    case 'png':
+      return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+    case 'gif':
+      return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+    case 'bmp':
+      return { width: buffer.readInt32LE(18), height: Math.abs(buffer.readInt32LE(22)) };
+    case 'webp':
+      return getWebpDimensions(buffer);
+    case 'jpeg':
+      return getJpegDimensions(buffer);
+    default:
+      return null;
+  }
+}
+
+function getWebpDimensions(buffer) {
+  const chunk = buffer.toString('ascii', 12, 16);
+  if (chunk === 'VP8X') {
+    return { width: 1 + buffer.readUIntLE(24, 3), height: 1 + buffer.readUIntLE(27, 3) };
+  }
+  if (chunk === 'VP8L') {
+    const bits = buffer.readUInt32LE(21);
+    return { width: 1 + (bits & 0x3fff), height: 1 + ((bits >> 14) & 0x3fff) };
+  }
+  if (chunk === 'VP8 ') {
+    return { width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+  }
+  return null;
+}
+
+function getJpegDimensions(buffer) {
+  for (const { marker, offset } of jpegSegments(buffer)) {
+    // SOF0-SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+    if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+      return { height: buffer.readUInt16BE(offset + 5), width: buffer.readUInt16BE(offset + 7) };
+    }
+  }
+  return null;
+}
+
+function* jpegSegments(buffer) {
+  let offset = 2;
+  while (offset + 4 <= buffer.length && buffer[offset] === 0xff) {
+    const marker = buffer[offset + 1];
+    // Start of scan: entropy-coded data follows, no more headers
+    if (marker === 0xda) {
+      return;
+    }
+    const length = buffer.readUInt16BE(offset + 2);
+    yield { marker, offset, data: buffer.subarray(offset + 4, offset + 2 + length) };
+    offset += 2 + length;
+  }
+}
+
+const EXIF_TAGS = {
+  0x010f: 'make',
+  0x0110: 'model',
+  0x0112: 'orientation',
+  0x0131: 'software',
+  0x0132: 'dateTime',
+  0x829a: 'exposureTime',
+  0x829d: 'fNumber',
+  0x8827: 'iso',
+  0x9003: 'dateTimeOriginal',
+  0x920a: 'focalLength',
+  0xa434: 'lensModel'
+};
+
+const EXIF_IFD_POINTER = 0x8769;
+const GPS_IFD_POINTER = 0x8825;
+
+/**
+ * Reads the EXIF metadata embedded in a JPEG (APP1) or PNG (eXIf) image
+ * @param {Buffer} buffer - Image bytes
+ * @param {string} format - Format returned by detectImageFormat
+ * @returns {Object|null} - EXIF fields such as make, model and dateTimeOriginal
+ */
+export function readExif(buffer, format) {
+  let tiff = null;
+
+  if (format === 'jpeg') {
+    for (const { marker, data } of jpegSegments(buffer)) {
+      if (marker === 0xe1 && data.toString('ascii', 0, 6) === 'Exif\0\0') {
+        tiff = data.subarray(6);
+        break;
+      }
+    }
+  } else if (format === 'png') {
+    tiff = pngChunks(buffer).find(chunk => chunk.type === 'eXIf')?.data;
+  }
+
+  if (!tiff || tiff.length < 8) {
+    return null;
+  }
+
+  try {
+    return parseTiff(tiff);
+  } catch (error) {
+    console.warn('Ignoring malformed EXIF data:', error.message);
+    return null;
+  }
+}
+
+function parseTiff(tiff) {
+  const little = tiff.toString('ascii', 0, 2) === 'II';
+  const u16 = offset => (little ? tiff.readUInt16LE(offset) : tiff.readUInt16BE(offset));
+  const u32 = offset => (little ? tiff.readUInt32LE(offset) : tiff.readUInt32BE(offset));
+  const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+  const readValue = (type, count, valueOffset) => {
+    const size = TYPE_SIZES[type] * count;
+    const offset = size > 4 ? u32(valueOffset) : valueOffset;
+    switch (type) {
+      case 2:
+        return tiff.toString('ascii', offset, offset + count).replace(/\0+$/, '').trim();
+      case 3:
+        return count === 1 ? u16(offset) : Array.from({ length: count }, (_, i) => u16(offset + i * 2));
+      case 4:
+      case 9:
+        return u32(offset);
+      case 5:
+      case 10: {
+        const values = Array.from({ length: count }, (_, i) => {
+          const denominator = u32(offset + i * 8 + 4);
+          return denominator ? u32(offset + i * 8) / denominator : 0;
+        });
+        return count === 1 ? values[0] : values;
+      }
+      default:
+        return undefined;
+    }
+  };
+
+  const readIfd = (offset) => {
+    const entries = new Map();
+    const count = u16(offset);
+    for (let i = 0; i < count; i++) {
+      const entry = offset + 2 + i * 12;
+      entries.set(u16(entry), readValue(u16(entry + 2), u32(entry + 4), entry + 8));
+    }
+    return entries;
+  };
+
+  const ifd0 = readIfd(u32(4));
+  const tags = new Map(ifd0);
+  if (ifd0.has(EXIF_IFD_POINTER)) {
+    for (const [tag, value] of readIfd(ifd0.get(EXIF_IFD_POINTER))) {
+      tags.set(tag, value);
+    }
+  }
+
+  const exif = {};
+  for (const [tag, name] of Object.entries(EXIF_TAGS)) {
+    const value = tags.get(Number(tag));
+    if (value !== undefined && value !== '') {
+      exif[name] = value;
+    }
+  }
+
+  if (ifd0.has(GPS_IFD_POINTER)) {
+    const gps = readIfd(ifd0.get(GPS_IFD_POINTER));
+    const toDegrees = ([degrees, minutes, seconds]) => degrees + minutes / 60 + seconds / 3600;
+    if (Array.isArray(gps.get(2)) && Array.isArray(gps.get(4))) {
+      exif.gps = {
+        latitude: toDegrees(gps.get(2)) * (gps.get(1) === 'S' ? -1 : 1),
+        longitude: toDegrees(gps.get(4)) * (gps.get(3) === 'W' ? -1 : 1)
+      };
+    }
+  }
+
+  return Object.keys(exif).length > 0 ? exif : null;
+}
+
+function pngChunks(buffer) {
+  const chunks = [];
+  let offset = 8;
+  while (offset + 8 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('ascii', offset + 4, offset + 8);
+    chunks.push({ type, data: buffer.subarray(offset + 8, offset + 8 + length) });
+    if (type === 'IEND') {
+      break;
+    }
+    offset += 12 + length;
+  }
+  return chunks;
+}
+
+/**
+ * Decodes PNG and JPEG images to RGBA pixels
+ * @param {Buffer} buffer - Image bytes
+ * @param {string} format - Format returned by detectImageFormat
+ * @returns {{width: number, height: number, data: Uint8Array}|null} - Pixels, or null when
+ *   the format is not supported or the image is too large to decode
+ */
+export function decodePixels(buffer, format) {
+  const dimensions = getImageDimensions(buffer, format);
+  if (!dimensions || dimensions.width * dimensions.height > MAX_DECODE_PIXELS) {
+    return null;
+  }
+
+  if (format === 'jpeg') {
+    return jpeg.decode(buffer, { useTArray: true, formatAsRGBA: true, maxResolutionInMP: MAX_DECODE_PIXELS / 1e6 });
+  }
+  if (format === 'png') {
+    return decodePng(buffer);
+  }
+  return null;
+}
+
+function decodePng(buffer) {
+  const chunks = pngChunks(buffer);
+  const header = chunks.find(chunk => chunk.type === 'IHDR').data;
+  const width = header.readUInt32BE(0);
+  const height = header.readUInt32BE(4);
+  const bitDepth = header[8];
+  const colorType = header[9];
+  const interlaced = header[12] === 1;
+  const channels = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 }[colorType];
+
+  if (interlaced || !channels) {
+    return null;
+  }
+
+  const palette = chunks.find(chunk => chunk.type === 'PLTE')?.data;
+  const alphaTable = chunks.find(chunk => chunk.type === 'tRNS')?.data;
+  const bitsPerPixel = channels * bitDepth;
+  const bytesPerPixel = Math.max(1, bitsPerPixel >> 3);
+  const stride = Math.ceil((width * bitsPerPixel) / 8);
+
+  // The header bounds the pixels, not the compressed stream: a tiny image can inflate to gigabytes
+  const compressed = Buffer.concat(chunks.filter(chunk => chunk.type === 'IDAT').map(chunk => chunk.data));
+  let raw;
+  try {
+    raw = zlib.inflateSync(compressed, { maxOutputLength: height * (stride + 1) });
+  } catch (error) {
+    if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+      throw new InvalidImageError(`The PNG data is larger than its ${width}x${height} header allows`, { cause: error });
+    }
+    throw error;
+  }
+  const data = new Uint8Array(width * height * 4);
+  let previous = new Uint8Array(stride);
+
+  for (let y = 0; y < height; y++) {
+    const start = y * (stride + 1);
+    const filter = raw[start];
+    const row = Uint8Array.from(raw.subarray(start + 1, start + 1 + stride));
+    unfilterRow(filter, row, previous, bytesPerPixel);
+
+    const sample = (index) => {
+      if (bitDepth === 8) return row[index];
+      if (bitDepth === 16) return row[index * 2];
+      const bit = index * bitDepth;
+      const value = (row[bit >> 3] >> (8 - bitDepth - (bit & 7))) & ((1 << bitDepth) - 1);
+      // Palette indices are used as-is, grayscale samples are scaled to 0-255
+      return colorType === 3 ? value : Math.round((value * 255) / ((1 << bitDepth) - 1));
+    };
+
+    for (let x = 0; x < width; x++) {
+      const out = (y * width + x) * 4;
+      const first = x * channels;
+      if (colorType === 3) {
+        const index = sample(first);
+        data.set([palette[index * 3], palette[index * 3 + 1], palette[index * 3 + 2], alphaTable?.[index] ?? 255], out);
+      } else if (colorType === 0 || colorType === 4) {
+        const gray = sample(first);
+        data.set([gray, gray, gray, colorType === 4 ? sample(first + 1) : 255], out);
+      } else {
+        data.set([sample(first), sample(first + 1), sample(first + 2), colorType === 6 ? sample(first + 3) : 255], out);
+      }
+    }
+    previous = row;
+  }
+
+  return { width, height, data };
+}
+
+function unfilterRow(filter, row, previous, bytesPerPixel) {
+  for (let i = 0; i < row.length; i++) {
+    const left = i >= bytesPerPixel ? row[i - bytesPerPixel] : 0;
+    const up = previous[i];
+    const upLeft = i >= bytesPerPixel ? previous[i - bytesPerPixel] : 0;
+    switch (filter) {
+      case 1:
+        row[i] = (row[i] + left) & 0xff;
+        break;
+      case 2:
+        row[i] = (row[i] + up) & 0xff;
+        break;
+      case 3:
+        row[i] = (row[i] + ((left + up) >> 1)) & 0xff;
+        break;
+      case 4: {
+        const p = left + up - upLeft;
+        const pa = Math.abs(p - left);
+        const pb = Math.abs(p - up);
+        const pc = Math.abs(p - upLeft);
+        row[i] = (row[i] + (pa <= pb && pa <= pc ? left : pb <= pc ? up : upLeft)) & 0xff;
+        break;
+      }
+    }
+  }
+}
+
+/**
+ * Computes the dominant colors of decoded pixels by bucketing sampled pixels
+ * @param {{width: number, height: number, data: Uint8Array}} pixels - Decoded RGBA pixels
+ * @param {number} [limit] - Number of colors to return
+ * @returns {Array<{hex: string, name: string, rgb: Object, fraction: number}>}
+ */
+export function getDominantColors({ width, height, data }, limit = 5) {
+  const step = Math.max(1, Math.floor(Math.sqrt((width * height) / COLOR_SAMPLE_TARGET)));
+  const buckets = new Map();
+  let total = 0;
+
+  for (let y = 0; y < height; y += step) {
+    for (let x = 0; x < width; x += step) {
+      const i = (y * width + x) * 4;
+      // Skip transparent pixels
+      if (data[i + 3] < 128) continue;
+
+      const key = ((data[i] >> 4) << 8) | ((data[i + 1] >> 4) << 4) | (data[i + 2] >> 4);
+      const bucket = buckets.get(key) || { count: 0, red: 0, green: 0, blue: 0 };
+      bucket.count++;
+      bucket.red += data[i];
+      bucket.green += data[i + 1];
+      bucket.blue += data[i + 2];
+      buckets.set(key, bucket);
+      total++;
+    }
+  }
+
+  return [...buckets.values()]
+    .sort((a, b) => b.count - a.count)
+    .slice(0, limit)
+    .map(bucket => {
+      const rgb = {
+        red: Math.round(bucket.red / bucket.count),
+        green: Math.round(bucket.green / bucket.count),
+        blue: Math.round(bucket.blue / bucket.count)
+      };
+      return {
+        hex: '#' + [rgb.red, rgb.green, rgb.blue].map(value => value.toString(16).padStart(2, '0')).join(''),
+        name: nameColor(rgb),
+        rgb,
+        fraction: bucket.count / total
+      };
+    });
+}
+
+/**
+ * Maps an RGB color to a basic color name
+ * @param {{red: number, green: number, blue: number}} rgb
+ * @returns {string} - Color name such as 'Blue' or 'Gray'
+ */
+export function nameColor({ red, green, blue }) {
+  const max = Math.max(red, green, blue) / 255;
+  const min = Math.min(red, green, blue) / 255;
+  const lightness = (max + min) / 2;
+  const saturation = max === min ? 0 : (max - min) / (1 - Math.abs(2 * lightness - 1));
+
+  if (lightness < 0.12) return 'Black';
+  if (lightness > 0.92) return 'White';
+  if (saturation < 0.15) return 'Gray';
+
+  let hue;
+  const r = red / 255;
+  const g = green / 255;
+  const b = blue / 255;
+  if (max === r) hue = 60 * (((g - b) / (max - min)) % 6);
+  else if (max === g) hue = 60 * ((b - r) / (max - min) + 2);
+  else hue = 60 * ((r - g) / (max - min) + 4);
+  if (hue < 0) hue += 360;
+
+  if (hue < 15 || hue >= 345) return lightness < 0.3 ? 'Brown' : 'Red';
+  if (hue < 45) return lightness < 0.4 ? 'Brown' : 'Orange';
+  if (hue < 70) return 'Yellow';
+  if (hue < 165) return 'Green';
+  if (hue < 200) return 'Cyan';
+  if (hue < 260) return 'Blue';
+  if (hue < 290) return 'Purple';
+  return 'Pink';
+}
+
+/**
+ * Collects every fact the local provider can compute about an image
+ * @param {Buffer} buffer - Image bytes
+ * @returns {Object} - Format, dimensions, dominant colors and EXIF metadata
+ */
+export function inspectImage(buffer) {
+  const detected = detectImageFormat(buffer);
+  if (!detected) {
+    throw new InvalidImageError('Unrecognized image format');
+  }
+
+  let dimensions;
+  let pixels;
+  try {
+    dimensions = getImageDimensions(buffer, detected.format);
+    pixels = decodePixels(buffer, detected.format);
+  } catch (error) {
+    throw new InvalidImageError(`Corrupt ${detected.format} image: ${error.message}`, { cause: error });
+  }
+
+  return {
+    format: detected.format,
+    mimeType: detected.mimeType,
+    width: dimensions?.width ?? null,
+    height: dimensions?.height ?? null,
+    byteLength: buffer.length,
+    dominantColors: pixels ? getDominantColors(pixels) : [],
+    exif: readExif(buffer, detected.format)
+  };
+}
@@ -0,0 +1,66 @@
+import { describe, expect, test } from '@jest/globals';
+import zlib from 'zlib';
+import { decodePixels, detectImageFormat, getImageDimensions, inspectImage } from './imageInfo.js';
+import { perceptualHash } from './perceptualHash.js';
+
+const chunk = (type, data) => {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(zlib.crc32(Buffer.concat([Buffer.from(type, 'ascii'), data])));
+  return Buffer.concat([length, Buffer.from(type, 'ascii'), data, crc]);
+};
+
+// An 8-bit RGB PNG whose IDAT holds `scanlines`, the filtered rows, whatever the header says
+const png = (width, height, scanlines) => {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8;
+  header[9] = 2;
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk('IHDR', header),
+    chunk('IDAT', zlib.deflateSync(scanlines)),
+    chunk('IEND', Buffer.alloc(0))
+  ]);
+};
+
+// Two red pixels over two blue ones, each row with filter 0
+const SMALL = png(2, 2, Buffer.from([0, 255, 0, 0, 255, 0, 0, 0, 0, 0, 255, 0, 0, 255]));
+
+// Says 1x1 but inflates to 64 MB
+const BOMB = png(1, 1, Buffer.alloc(64 * 1024 * 1024));
+
+describe('decodePixels', () => {
+  test('decodes PNG pixels to RGBA', () => {
+    expect(detectImageFormat(SMALL)).toEqual({ format: 'png', mimeType: 'image/png' });
+    expect(getImageDimensions(SMALL, 'png')).toEqual({ width: 2, height: 2 });
+    const { width, height, data } = decodePixels(SMALL, 'png');
+    expect({ width, height }).toEqual({ width: 2, height: 2 });
+    expect([...data]).toEqual([255, 0, 0, 255, 255, 0, 0, 255, 0, 0, 255, 255, 0, 0, 255, 255]);
+  });
+
+  test('refuses PNG data larger than the header allows without inflating it', () => {
+    expect(BOMB.length).toBeLessThan(100 * 1024);
+    expect(() => decodePixels(BOMB, 'png')).toThrow(expect.objectContaining({
+      code: 'INVALID_IMAGE',
+      message: 'The PNG data is larger than its 1x1 header allows'
+    }));
+  });
+});
+
+describe('inspectImage', () => {
+  test('reports the format, size and colors of a PNG', () => {
+    expect(inspectImage(SMALL)).toMatchObject({ format: 'png', width: 2, height: 2, byteLength: SMALL.length });
+  });
+
+  test('refuses decompression bombs as corrupt images', () => {
+    expect(() => inspectImage(BOMB)).toThrow(expect.objectContaining({ code: 'INVALID_IMAGE', httpStatus: 400 }));
+    expect(perceptualHash(BOMB)).toBeNull();
+  });
+
+  test('refuses unknown formats', () => {
+    expect(() => inspectImage(Buffer.from('plain text, not an image'))).toThrow('Unrecognized image format');
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * Helpers for the image inputs accepted by the vision providers
+ * An image is given either as an http(s) URL, a data:image/ URL, or raw bytes.
+ */
+
+import crypto from 'crypto';
+import { InvalidImageError } from '../services/errors.js';
+import { safeFetchImage } from './safeFetch.js';
+
+/**
+ * Normalizes an image input
+ * @param {string|Buffer|{buffer: Buffer, mimeType?: string}} image - URL, data URL or bytes
+ * @returns {{url?: string, buffer?: Buffer, mimeType?: string}}
+ */
+export function normalizeImageInput(image) {
+  if (Buffer.isBuffer(image)) {
+    return { buffer: image };
+  }
+  if (image && Buffer.isBuffer(image.buffer)) {
+    return { buffer: image.buffer, mimeType: image.mimeType };
+  }
+  if (typeof image === 'string' && image.startsWith('data:image/')) {
+    const [header, data] = image.split(',');
+    if (!data) {
+      throw new InvalidImageError('The data URL contains no image data');
+    }
+    return {
+      buffer: Buffer.from(data, 'base64'),
+      mimeType: header.slice('data:'.length).split(';')[0]
+    };
+  }
+  if (typeof image === 'string' && image.length > 0) {
+    return { url: image };
+  }
+  throw new InvalidImageError('Image must be a URL, a data:image/ URL or a Buffer');
+}
+
+/**
+ * Short description of an image input for log messages
+ * @param {string|Buffer|Object} image - Image input
+ * @returns {string}
+ */
+export function describeImageInput(image) {
+  const { url, buffer } = normalizeImageInput(image);
+  return url ? `${url.substring(0, 50)}...` : `<${buffer.length} bytes>`;
+}
+
+/**
+ * Returns the bytes of an image, downloading it when given a URL
+ * URLs are downloaded under the download policy of safeFetch.js.
+ * @param {string|Buffer|Object} image - Image input
+ * @param {Object} [options] - Overrides of the download policy, e.g. { timeoutMs }
+ * @returns {Promise<Buffer>}
+ * @throws {ImageFetchError} - When the URL is blocked, too large, too slow or fails
+ */
+export async function loadImageBytes(image, options = {}) {
+  const { url, buffer } = normalizeImageInput(image);
+  if (buffer) {
+    return buffer;
+  }
+  return (await safeFetchImage(url, options)).buffer;
+}
+
+/**
+ * SHA-256 of image bytes, used to identify images independently of their URL
+ * @param {Buffer} buffer - Image bytes
+ * @returns {string} - Hex digest
+ */
+export function hashImageBytes(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+/**
+ * Converts image bytes to a data URL, e.g. to store an upload as JSON
+ * @param {{buffer: Buffer, mimeType: string}} image - Image bytes and type
+ * @returns {string}
+ */
+export function toDataUrl({ buffer, mimeType }) {
+  return `data:${mimeType};base64,${buffer.toString('base64')}`;
+}
@@ -0,0 +1,74 @@
+/**
+ * Perceptual hashes of images, to tell whether two photos show the same picture
+ * The difference hash (dHash) shrinks the grayscale image to 9x8 cells and records whether
+ * each cell is brighter than its right neighbour, so resizing, recompression and small
+ * color changes barely change the 64 bits.
+ */
+
+import { decodePixels, detectImageFormat } from './imageInfo.js';
+
+const HASH_WIDTH = 9;
+const HASH_HEIGHT = 8;
+const HASH_BITS = (HASH_WIDTH - 1) * HASH_HEIGHT;
+
+/**
+ * Computes the difference hash of an image
+ * @param {Buffer} buffer - Image bytes
+ * @returns {string|null} - 16 hex digits, or null when the image cannot be decoded (only PNG and JPEG are)
+ */
+export function perceptualHash(buffer) {
+  const detected = detectImageFormat(buffer);
+  let pixels;
+  try {
+    pixels = detected && decodePixels(buffer, detected.format);
+  } catch {
+    return null;
+  }
+  if (!pixels || pixels.width < 1 || pixels.height < 1) {
+    return null;
+  }
+
+  // Mean luminance of each cell of a 9x8 grid
+  const { width, height, data } = pixels;
+  const cells = new Float64Array(HASH_WIDTH * HASH_HEIGHT);
+  for (let cy = 0; cy < HASH_HEIGHT; cy++) {
+    const y0 = Math.floor((cy * height) / HASH_HEIGHT);
+    const y1 = Math.max(y0 + 1, Math.floor(((cy + 1) * height) / HASH_HEIGHT));
+    for (let cx = 0; cx < HASH_WIDTH; cx++) {
+      const x0 = Math.floor((cx * width) / HASH_WIDTH);
+      const x1 = Math.max(x0 + 1, Math.floor(((cx + 1) * width) / HASH_WIDTH));
+      let sum = 0;
+      for (let y = y0; y < y1; y++) {
+        for (let x = x0; x < x1; x++) {
+          const offset = (y * width + x) * 4;
+          sum += 0.299 * data[offset] + 0.587 * data[offset + 1] + 0.114 * data[offset + 2];
+        }
+      }
+      cells[cy * HASH_WIDTH + cx] = sum / ((y1 - y0) * (x1 - x0));
+    }
+  }
+
+  let hash = 0n;
+  for (let cy = 0; cy < HASH_HEIGHT; cy++) {
+    for (let cx = 0; cx < HASH_WIDTH - 1; cx++) {
+      hash = (hash << 1n) | (cells[cy * HASH_WIDTH + cx] > cells[cy * HASH_WIDTH + cx + 1] ? 1n : 0n);
+    }
+  }
+  return hash.toString(16).padStart(HASH_BITS / 4, '0');
+}
+
+/**
+ * Similarity of two perceptual hashes
+ * @param {string} a - Hash from perceptualHash
+ * @param {string} b - Hash from perceptualHash
+ * @returns {number} - 1 for identical hashes, 0 when every bit differs
+ */
+export function hashSimilarity(a, b) {
+  let difference = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let distance = 0;
+  while (difference > 0n) {
+    distance += Number(difference & 1n);
+    difference >>= 1n;
+  }
+  return Math.round((1 - distance / HASH_BITS) * 1000) / 1000;
+}
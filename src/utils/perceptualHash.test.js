@@ -0,0 +1,46 @@
+import { describe, expect, test } from '@jest/globals';
+import jpeg from 'jpeg-js';
+import { hashSimilarity, perceptualHash } from './perceptualHash.js';
+
+// JPEG of width x height whose gray level at each point is brightness(x, y), both in 0..1
+const jpegOf = (width, height, brightness) => {
+  const data = Buffer.alloc(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const level = Math.round(255 * brightness(x / width, y / height));
+      data.set([level, level, level, 255], (y * width + x) * 4);
+    }
+  }
+  return jpeg.encode({ width, height, data }, 85).data;
+};
+
+// Soft diagonal waves, so that neighbouring cells of the hash grid differ clearly
+const waves = (x, y) => 0.5 + 0.4 * Math.sin(2 * Math.PI * (1.5 * x + 0.5 * y));
+const mirrored = (x, y) => waves(1 - x, y);
+
+describe('perceptualHash', () => {
+  test('gives 64-bit hashes that survive resizing and recompression', () => {
+    const large = perceptualHash(jpegOf(360, 240, waves));
+    const small = perceptualHash(jpegOf(90, 60, waves));
+    expect(large).toMatch(/^[0-9a-f]{16}$/);
+    expect(hashSimilarity(large, small)).toBeGreaterThanOrEqual(0.9);
+  });
+
+  test('tells different pictures apart', () => {
+    const original = perceptualHash(jpegOf(360, 240, waves));
+    expect(hashSimilarity(original, perceptualHash(jpegOf(360, 240, mirrored)))).toBeLessThan(0.6);
+  });
+
+  test('returns null for images it cannot decode', () => {
+    expect(perceptualHash(Buffer.from('GIF89a'.padEnd(64, '\0')))).toBeNull();
+    expect(perceptualHash(Buffer.from('not an image'))).toBeNull();
+  });
+});
+
+describe('hashSimilarity', () => {
+  test('is the share of equal bits', () => {
+    expect(hashSimilarity('ffffffffffffffff', 'ffffffffffffffff')).toBe(1);
+    expect(hashSimilarity('ffffffffffffffff', 'fffffffffffffff0')).toBe(0.938);
+    expect(hashSimilarity('ffffffffffffffff', '0000000000000000')).toBe(0);
+  });
+});
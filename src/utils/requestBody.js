@@ -0,0 +1,342 @@
+/**
+ * Request body readers for the REST server
+ * Image endpoints accept a JSON body, a multipart/form-data upload or a raw image/* body.
+ * Bodies are read as streams of chunks and rejected as soon as they exceed their size
+ * limit, and uploaded images are checked against their magic bytes before being used.
+ */
+
+import busboy from 'busboy';
+import { VISION_FEATURES } from '../services/analysisSchema.js';
+import {
+  InvalidImageError,
+  InvalidRequestError,
+  PayloadTooLargeError,
+  UnsupportedMediaTypeError
+} from '../services/errors.js';
+import { detectImageFormat } from './imageInfo.js';
+
+// Default largest accepted image upload (UPLOAD_MAX_BYTES)
+export const DEFAULT_UPLOAD_MAX_BYTES = 10 * 1024 * 1024;
+
+// Default accepted image types (UPLOAD_ALLOWED_TYPES)
+export const DEFAULT_UPLOAD_ALLOWED_TYPES = [
+  'image/png',
+  'image/jpeg',
+  'image/gif',
+  'image/webp',
+  'image/bmp',
+  'image/tiff'
+];
+
+// Bytes needed to recognize every supported image format from its header
+const SNIFF_BYTES = 32;
+
+// Room for the other fields of a JSON body around a base64 data URL
+const JSON_OVERHEAD_BYTES = 64 * 1024;
+
+/**
+ * Upload limits from the environment
+ * @returns {{maxBytes: number, allowedTypes: Array<string>}}
+ */
+export function getUploadLimits() {
+  const maxBytes = Number(process.env.UPLOAD_MAX_BYTES) || DEFAULT_UPLOAD_MAX_BYTES;
+  const allowedTypes = process.env.UPLOAD_ALLOWED_TYPES
+    ? process.env.UPLOAD_ALLOWED_TYPES.split(',').map(type => type.trim().toLowerCase()).filter(Boolean)
+    : DEFAULT_UPLOAD_ALLOWED_TYPES;
+  return { maxBytes, allowedTypes };
+}
+
+/**
+ * Largest JSON body accepted when images are limited to maxBytes, so that a
+ * base64 data URL of an image within the limit still fits
+ * @param {number} maxBytes - Image size limit
+ * @returns {number}
+ */
+export function getJsonLimit(maxBytes) {
+  return Math.ceil(maxBytes * 4 / 3) + JSON_OVERHEAD_BYTES;
+}
+
+/**
+ * Media type of a request without its parameters, e.g. "multipart/form-data"
+ * @param {http.IncomingMessage} req - Request
+ * @returns {string}
+ */
+export function getMediaType(req) {
+  return (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+}
+
+/**
+ * Reads the request body into a Buffer, failing once it exceeds maxBytes
+ * @param {http.IncomingMessage} req - Request
+ * @param {Object} options
+ * @param {number} options.maxBytes - Size limit
+ * @param {function(Buffer): void} [options.onHead] - Called once with the first bytes of the body,
+ *   may throw to reject the body before the rest is read
+ * @returns {Promise<Buffer>}
+ */
+export async function readBody(req, { maxBytes, onHead }) {
+  const declaredLength = Number(req.headers['content-length']);
+  if (declaredLength > maxBytes) {
+    throw new PayloadTooLargeError(`Request body exceeds the limit of ${maxBytes} bytes`);
+  }
+
+  const chunks = [];
+  let size = 0;
+  let sniffed = !onHead;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > maxBytes) {
+      throw new PayloadTooLargeError(`Request body exceeds the limit of ${maxBytes} bytes`);
+    }
+    chunks.push(chunk);
+    if (!sniffed && size >= SNIFF_BYTES) {
+      sniffed = true;
+      onHead(Buffer.concat(chunks, size));
+    }
+  }
+  return Buffer.concat(chunks, size);
+}
+
+/**
+ * Reads a JSON request body
+ * @param {http.IncomingMessage} req - Request
+ * @param {Object} options
+ * @param {number} options.maxBytes - Size limit
+ * @returns {Promise<Object>} - Parsed body, or an empty object for an empty body
+ */
+export async function readJsonBody(req, { maxBytes }) {
+  // Bodies a body-parser middleware already read, with its own limit; the vision routes are
+  // mounted ahead of those of the DirectClient
+  if (req._body) {
+    return req.body ?? {};
+  }
+  const body = await readBody(req, { maxBytes });
+  if (body.length === 0) {
+    return {};
+  }
+  try {
+    return JSON.parse(body.toString('utf8'));
+  } catch (error) {
+    throw new InvalidRequestError('Invalid JSON', { code: 'INVALID_JSON' });
+  }
+}
+
+/**
+ * Checks that image bytes are of an allowed format and match the declared content type
+ * @param {Buffer} buffer - Image bytes, or at least their first chunk
+ * @param {string} [declaredType] - Content type sent by the client
+ * @param {Array<string>} allowedTypes - Accepted MIME types
+ * @returns {{format: string, mimeType: string}} - Detected format
+ */
+export function validateImageBytes(buffer, declaredType, allowedTypes) {
+  const detected = detectImageFormat(buffer);
+  if (!detected) {
+    throw new InvalidImageError('The uploaded data is not a recognized image');
+  }
+  if (!allowedTypes.includes(detected.mimeType)) {
+    throw new UnsupportedMediaTypeError(`Images of type ${detected.mimeType} are not accepted`);
+  }
+
+  const declared = declaredType?.toLowerCase();
+  // Generic types say nothing about the format; anything else must agree with the bytes
+  const isGeneric = !declared || declared === 'application/octet-stream' || declared === 'image/*';
+  const isAlias = declared === 'image/jpg' && detected.mimeType === 'image/jpeg';
+  if (!isGeneric && !isAlias && declared !== detected.mimeType) {
+    throw new InvalidImageError(`The upload is declared as ${declared} but contains ${detected.mimeType} data`);
+  }
+  return detected;
+}
+
+/**
+ * Reads a raw image/* request body
+ * @param {http.IncomingMessage} req - Request
+ * @param {Object} options
+ * @param {number} options.maxBytes - Size limit
+ * @param {Array<string>} options.allowedTypes - Accepted MIME types
+ * @returns {Promise<{buffer: Buffer, mimeType: string}>}
+ */
+export async function readRawImageBody(req, { maxBytes, allowedTypes }) {
+  const declaredType = getMediaType(req);
+  // Reject non-images from their header instead of after reading the whole body
+  const buffer = await readBody(req, {
+    maxBytes,
+    onHead: head => validateImageBytes(head, declaredType, allowedTypes)
+  });
+  if (buffer.length === 0) {
+    throw new InvalidRequestError('The request body is empty');
+  }
+  const { mimeType } = validateImageBytes(buffer, declaredType, allowedTypes);
+  return { buffer, mimeType };
+}
+
+/**
+ * Reads a multipart/form-data body with its text fields and image files
+ * @param {http.IncomingMessage} req - Request
+ * @param {Object} options
+ * @param {number} options.maxBytes - Size limit of each image file
+ * @param {Array<string>} options.allowedTypes - Accepted MIME types
+ * @param {number} [options.maxFiles] - Most image files accepted
+ * @param {number} [options.maxTotalBytes] - Size limit of all image files together
+ * @returns {Promise<{fields: Object, images: Array<Object>, image?: {buffer: Buffer, mimeType: string, filename?: string}}>}
+ *   - The images in upload order; `image` is the first one
+ */
+export function readMultipartBody(req, { maxBytes, allowedTypes, maxFiles = 1, maxTotalBytes = maxBytes * maxFiles }) {
+  return new Promise((resolve, reject) => {
+    let parser;
+    try {
+      parser = busboy({
+        headers: req.headers,
+        limits: { files: maxFiles, fields: 20, fieldSize: 64 * 1024, fileSize: maxBytes }
+      });
+    } catch (error) {
+      reject(new InvalidRequestError(`Invalid multipart request: ${error.message}`));
+      return;
+    }
+
+    const fields = {};
+    const images = [];
+    const uploads = [];
+    let totalBytes = 0;
+    let failed = false;
+
+    const fail = error => {
+      if (failed) return;
+      failed = true;
+      req.unpipe(parser);
+      reject(error);
+    };
+
+    parser.on('field', (name, value) => {
+      fields[name] = value;
+    });
+
+    parser.on('file', (name, stream, { filename, mimeType }) => {
+      const position = uploads.length;
+      const chunks = [];
+      let size = 0;
+      let sniffed = false;
+      uploads.push(new Promise(resolveUpload => {
+        stream.on('data', chunk => {
+          if (failed) return;
+          size += chunk.length;
+          totalBytes += chunk.length;
+          if (totalBytes > maxTotalBytes) {
+            fail(new PayloadTooLargeError(`The uploaded images exceed the limit of ${maxTotalBytes} bytes`));
+            return;
+          }
+          chunks.push(chunk);
+          if (!sniffed && size >= SNIFF_BYTES) {
+            sniffed = true;
+            try {
+              validateImageBytes(Buffer.concat(chunks, size), mimeType, allowedTypes);
+            } catch (error) {
+              fail(error);
+            }
+          }
+        });
+        stream.on('limit', () => {
+          fail(new PayloadTooLargeError(`The uploaded image exceeds the limit of ${maxBytes} bytes`));
+        });
+        stream.on('close', () => {
+          if (!failed && size > 0) {
+            const buffer = Buffer.concat(chunks, size);
+            try {
+              images[position] = {
+                buffer,
+                mimeType: validateImageBytes(buffer, mimeType, allowedTypes).mimeType,
+                filename: filename || undefined
+              };
+            } catch (error) {
+              fail(error);
+            }
+          }
+          resolveUpload();
+        });
+      }));
+    });
+
+    parser.on('filesLimit', () => {
+      fail(new InvalidRequestError(
+        maxFiles === 1 ? 'Only one image may be uploaded per request' : `At most ${maxFiles} images may be uploaded per request`
+      ));
+    });
+    parser.on('error', error => {
+      fail(new InvalidRequestError(`Invalid multipart request: ${error.message}`));
+    });
+    parser.on('close', async () => {
+      await Promise.all(uploads);
+      if (!failed) {
+        // Empty file parts leave holes
+        const uploaded = images.filter(Boolean);
+        resolve({ fields, images: uploaded, image: uploaded[0] });
+      }
+    });
+
+    req.on('error', fail);
+    req.pipe(parser);
+  });
+}
+
+/**
+ * Reads the body of an image endpoint in any of its accepted forms
+ * - application/json: { imageUrl, ...fields }
+ * - multipart/form-data: an image file part plus text fields
+ * - image/*: the image bytes, with the other fields in the query string
+ * @param {http.IncomingMessage} req - Request
+ * @param {Object} [options]
+ * @param {Object} [options.query] - Parsed query string, used for raw image bodies
+ * @param {number} [options.maxBytes] - Image size limit
+ * @param {Array<string>} [options.allowedTypes] - Accepted image MIME types
+ * @param {number} [options.maxFiles] - Most image files accepted in a multipart body
+ * @param {number} [options.maxTotalBytes] - Size limit of all files of a multipart body together
+ * @returns {Promise<{fields: Object, images?: Array<Object>, image?: {buffer: Buffer, mimeType: string, filename?: string}}>}
+ */
+export async function readImageRequest(req, { query = {}, maxFiles = 1, maxTotalBytes, ...options } = {}) {
+  const { maxBytes, allowedTypes } = { ...getUploadLimits(), ...options };
+  const mediaType = getMediaType(req);
+
+  if (mediaType === 'multipart/form-data') {
+    return readMultipartBody(req, { maxBytes, allowedTypes, maxFiles, maxTotalBytes });
+  }
+  if (mediaType.startsWith('image/') || mediaType === 'application/octet-stream') {
+    return { fields: { ...query }, image: await readRawImageBody(req, { maxBytes, allowedTypes }) };
+  }
+  if (!mediaType || mediaType === 'application/json') {
+    return { fields: await readJsonBody(req, { maxBytes: getJsonLimit(maxTotalBytes ?? maxBytes) }) };
+  }
+  throw new UnsupportedMediaTypeError(
+    `Unsupported content type ${mediaType}, use application/json, multipart/form-data or image/*`
+  );
+}
+
+/**
+ * Normalizes a features field given as an array, a JSON array or a comma-separated list
+ * @param {Array<string>|string} [features] - Features field
+ * @returns {Array<string>|undefined}
+ * @throws {InvalidRequestError} - When the field is malformed or names an unknown feature
+ */
+export function parseFeatures(features) {
+  if (features === undefined || features === '') {
+    return undefined;
+  }
+
+  let list = features;
+  if (typeof features === 'string' && features.trim().startsWith('[')) {
+    try {
+      list = JSON.parse(features);
+    } catch (error) {
+      throw new InvalidRequestError('features must be a JSON array or a comma-separated list');
+    }
+  } else if (!Array.isArray(features)) {
+    list = String(features).split(',').map(feature => feature.trim()).filter(Boolean);
+  }
+
+  if (!Array.isArray(list)) {
+    throw new InvalidRequestError('features must be a JSON array or a comma-separated list');
+  }
+  const unknown = list.filter(feature => !VISION_FEATURES.includes(feature));
+  if (unknown.length > 0) {
+    throw new InvalidRequestError(`Unknown features: ${unknown.join(', ')}. Expected any of: ${VISION_FEATURES.join(', ')}`);
+  }
+  return list.length > 0 ? list : undefined;
+}
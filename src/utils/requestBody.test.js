@@ -0,0 +1,128 @@
+import { describe, expect, test } from '@jest/globals';
+import jpeg from 'jpeg-js';
+import { Readable } from 'stream';
+import { readBody, readImageRequest, readMultipartBody, readRawImageBody } from './requestBody.js';
+
+// 1x1 PNG
+const PNG = Buffer.from(
+  'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8BQDwAEhQGAhKmMIQAAAABJRU5ErkJggg==',
+  'base64'
+);
+
+const JPEG = jpeg.encode({ width: 2, height: 2, data: Buffer.alloc(16, 255) }, 90).data;
+
+const ALLOWED_TYPES = ['image/png', 'image/jpeg'];
+
+const tooLarge = expect.objectContaining({ code: 'PAYLOAD_TOO_LARGE', httpStatus: 413 });
+
+// Request stream yielding `chunks` with `headers`; pulled counts the chunks that were read
+const fakeRequest = (chunks, headers = {}) => {
+  const req = Readable.from((function* () {
+    for (const chunk of chunks) {
+      req.pulled++;
+      yield chunk;
+    }
+  })(), { objectMode: false });
+  req.pulled = 0;
+  req.headers = headers;
+  return req;
+};
+
+const repeat = (chunk, count) => Array.from({ length: count }, () => chunk);
+
+// A multipart/form-data request of text fields and { name, filename, type, data } files
+const multipartRequest = (parts, boundary = 'test-boundary') => {
+  const body = Buffer.concat(parts.flatMap(({ name, filename, type, value, data }) => [
+    Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="${name}"`
+      + (filename ? `; filename="${filename}"\r\nContent-Type: ${type}` : '') + '\r\n\r\n'),
+    data ?? Buffer.from(value),
+    Buffer.from('\r\n')
+  ]).concat(Buffer.from(`--${boundary}--\r\n`)));
+  return fakeRequest([body], { 'content-type': `multipart/form-data; boundary=${boundary}` });
+};
+
+const file = (data, filename = 'image.png', type = 'image/png') => ({ name: 'image', filename, type, data });
+
+describe('readBody', () => {
+  test('refuses a declared Content-Length over the limit without reading the body', async () => {
+    const req = fakeRequest([Buffer.alloc(2048)], { 'content-length': '2048' });
+    await expect(readBody(req, { maxBytes: 1024 })).rejects.toThrow(tooLarge);
+    expect(req.pulled).toBe(0);
+  });
+
+  test('stops reading a body without Content-Length once it exceeds the limit', async () => {
+    const req = fakeRequest(repeat(Buffer.alloc(256), 16));
+    await expect(readBody(req, { maxBytes: 1024 })).rejects.toThrow('Request body exceeds the limit of 1024 bytes');
+    expect(req.pulled).toBe(5);
+  });
+
+  test('reads bodies within the limit', async () => {
+    expect(await readBody(fakeRequest(repeat(Buffer.from('ab'), 3)), { maxBytes: 6 })).toEqual(Buffer.from('ababab'));
+  });
+});
+
+describe('readRawImageBody', () => {
+  test('refuses a non-image body from its first 32 bytes', async () => {
+    const req = fakeRequest(repeat(Buffer.from('<html>'.padEnd(32, ' ')), 100), { 'content-type': 'image/png' });
+    await expect(readRawImageBody(req, { maxBytes: 1024 * 1024, allowedTypes: ALLOWED_TYPES }))
+      .rejects.toThrow(expect.objectContaining({ code: 'INVALID_IMAGE', message: 'The uploaded data is not a recognized image' }));
+    expect(req.pulled).toBe(1);
+  });
+
+  test('accepts image/jpg as an alias of image/jpeg', async () => {
+    const req = fakeRequest([JPEG], { 'content-type': 'image/jpg' });
+    expect(await readRawImageBody(req, { maxBytes: 1024, allowedTypes: ALLOWED_TYPES })).toEqual({ buffer: JPEG, mimeType: 'image/jpeg' });
+  });
+
+  test('refuses images whose bytes disagree with their content type', async () => {
+    const req = fakeRequest([PNG], { 'content-type': 'image/jpg' });
+    await expect(readRawImageBody(req, { maxBytes: 1024, allowedTypes: ALLOWED_TYPES }))
+      .rejects.toThrow('The upload is declared as image/jpg but contains image/png data');
+  });
+});
+
+describe('readMultipartBody', () => {
+  test('reads the text fields and the images in upload order', async () => {
+    const req = multipartRequest([{ name: 'query', value: 'What is this?' }, file(PNG), file(JPEG, 'photo.jpg', 'image/jpeg')]);
+    const { fields, images, image } = await readMultipartBody(req, { maxBytes: 1024, allowedTypes: ALLOWED_TYPES, maxFiles: 2 });
+    expect(fields).toEqual({ query: 'What is this?' });
+    expect(images.map(({ mimeType, filename }) => [mimeType, filename])).toEqual([['image/png', 'image.png'], ['image/jpeg', 'photo.jpg']]);
+    expect(image.buffer).toEqual(PNG);
+  });
+
+  test('refuses more files than maxFiles', async () => {
+    await expect(readMultipartBody(multipartRequest([file(PNG), file(PNG)]), { maxBytes: 1024, allowedTypes: ALLOWED_TYPES }))
+      .rejects.toThrow(expect.objectContaining({ code: 'INVALID_REQUEST', message: 'Only one image may be uploaded per request' }));
+    await expect(readMultipartBody(multipartRequest(repeat(file(PNG), 4)), { maxBytes: 1024, allowedTypes: ALLOWED_TYPES, maxFiles: 3 }))
+      .rejects.toThrow('At most 3 images may be uploaded per request');
+  });
+
+  test('refuses a file over maxBytes', async () => {
+    await expect(readMultipartBody(multipartRequest([file(Buffer.concat([PNG, Buffer.alloc(1024)]))]), { maxBytes: 1024, allowedTypes: ALLOWED_TYPES }))
+      .rejects.toThrow('The uploaded image exceeds the limit of 1024 bytes');
+  });
+
+  test('refuses files that together exceed maxTotalBytes', async () => {
+    const req = multipartRequest(repeat(file(PNG), 3));
+    await expect(readMultipartBody(req, { maxBytes: 1024, allowedTypes: ALLOWED_TYPES, maxFiles: 3, maxTotalBytes: PNG.length * 2 }))
+      .rejects.toThrow(expect.objectContaining({ code: 'PAYLOAD_TOO_LARGE', message: `The uploaded images exceed the limit of ${PNG.length * 2} bytes` }));
+  });
+
+  test('refuses non-image files from their first bytes', async () => {
+    const req = multipartRequest([file(Buffer.from('#!/bin/sh\n'.padEnd(64, '#')), 'script.png')]);
+    await expect(readMultipartBody(req, { maxBytes: 1024, allowedTypes: ALLOWED_TYPES })).rejects.toThrow('The uploaded data is not a recognized image');
+  });
+});
+
+describe('readImageRequest', () => {
+  test('takes the fields of raw image bodies from the query string', async () => {
+    const req = fakeRequest([PNG], { 'content-type': 'image/png' });
+    expect(await readImageRequest(req, { query: { query: 'What is this?' }, allowedTypes: ALLOWED_TYPES }))
+      .toEqual({ fields: { query: 'What is this?' }, image: { buffer: PNG, mimeType: 'image/png' } });
+  });
+
+  test('refuses other content types', async () => {
+    await expect(readImageRequest(fakeRequest([], { 'content-type': 'text/plain' })))
+      .rejects.toThrow(expect.objectContaining({ code: 'UNSUPPORTED_MEDIA_TYPE', httpStatus: 415 }));
+  });
+});
@@ -0,0 +1,282 @@
+/**
+ * Hardened download of images from URLs
+ *
+ * Image URLs come from API clients, so the server must not be usable to reach its own
+ * network. Every URL, and every redirect it leads to, is checked before a connection is
+ * made: only http(s) without credentials, hosts on the allow list (when there is one) and
+ * not on the deny list, and addresses outside private, loopback, link-local and other
+ * reserved ranges. Host names are resolved once and the connection goes to the checked
+ * address, so a second DNS answer cannot point it elsewhere.
+ *
+ * Downloads are limited in size (Content-Length and bytes received), in time (one deadline
+ * for all redirects) and in redirects, and the first bytes must be those of an image format
+ * whatever the Content-Type says.
+ */
+
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import {
+  ImageFetchError,
+  ImageFetchTimeoutError,
+  ImageTooLargeError,
+  ImageUrlBlockedError,
+  InvalidImageError
+} from '../services/errors.js';
+import { detectImageFormat } from './imageInfo.js';
+
+export const DEFAULT_FETCH_MAX_BYTES = 10 * 1024 * 1024;
+export const DEFAULT_FETCH_TIMEOUT_MS = 15000;
+export const DEFAULT_FETCH_MAX_REDIRECTS = 3;
+
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+// Bytes needed to recognize every supported image format from its header
+const SNIFF_BYTES = 32;
+
+// Addresses no image is downloaded from unless private networks are allowed
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], // "this" network
+  ['10.0.0.0', 8], // private
+  ['100.64.0.0', 10], // carrier-grade NAT
+  ['127.0.0.0', 8], // loopback
+  ['169.254.0.0', 16], // link-local, cloud metadata services
+  ['172.16.0.0', 12], // private
+  ['192.0.0.0', 24], // IETF protocol assignments
+  ['192.0.2.0', 24], // documentation
+  ['192.168.0.0', 16], // private
+  ['198.18.0.0', 15], // benchmarking
+  ['198.51.100.0', 24], // documentation
+  ['203.0.113.0', 24], // documentation
+  ['224.0.0.0', 4], // multicast
+  ['240.0.0.0', 4] // reserved, broadcast
+]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+// IPv4-mapped addresses (::ffff:127.0.0.1) are checked against the IPv4 ranges by BlockList
+// itself; a ::ffff:0:0/96 range would match every IPv4 address
+for (const [network, prefix] of [
+  ['::', 127], // unspecified and loopback
+  ['fc00::', 7], // unique local
+  ['fe80::', 10], // link-local
+  ['ff00::', 8], // multicast
+  ['2001:db8::', 32] // documentation
+]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+const parseList = value => (value || '').split(',').map(entry => entry.trim().toLowerCase()).filter(Boolean);
+
+const parseCount = (value, defaultValue) => (value !== undefined && value !== '' && Number.isInteger(Number(value)) && Number(value) >= 0
+  ? Number(value)
+  : defaultValue);
+
+/**
+ * Download policy from the environment
+ * @returns {{allowedHosts: Array<string>, blockedHosts: Array<string>, allowPrivateNetworks: boolean,
+ *   maxBytes: number, timeoutMs: number, maxRedirects: number}}
+ */
+export function getFetchPolicy() {
+  return {
+    allowedHosts: parseList(process.env.IMAGE_FETCH_ALLOWED_HOSTS),
+    blockedHosts: parseList(process.env.IMAGE_FETCH_BLOCKED_HOSTS),
+    allowPrivateNetworks: process.env.IMAGE_FETCH_ALLOW_PRIVATE === 'true',
+    maxBytes: Number(process.env.IMAGE_FETCH_MAX_BYTES) || DEFAULT_FETCH_MAX_BYTES,
+    timeoutMs: Number(process.env.IMAGE_FETCH_TIMEOUT_MS) || DEFAULT_FETCH_TIMEOUT_MS,
+    maxRedirects: parseCount(process.env.IMAGE_FETCH_MAX_REDIRECTS, DEFAULT_FETCH_MAX_REDIRECTS)
+  };
+}
+
+// A list entry matches the host itself and its subdomains; "*.example.com" only the subdomains
+const matchesHost = (host, entry) => (entry.startsWith('*.')
+  ? host.endsWith(entry.slice(1))
+  : host === entry || host.endsWith(`.${entry}`));
+
+/**
+ * Whether an IP address is in a private, loopback, link-local or reserved range
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+export function isBlockedAddress(address) {
+  const family = net.isIP(address);
+  return family === 0 || BLOCKED_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * Checks an image URL against the download policy, without resolving its host
+ * @param {string} imageUrl - Image URL
+ * @param {Object} [policy] - Download policy, defaults to getFetchPolicy()
+ * @returns {URL} - Parsed URL
+ * @throws {ImageUrlBlockedError} - When the URL may not be downloaded, or InvalidImageError
+ *   when it is not a URL
+ */
+export function checkImageUrl(imageUrl, policy = getFetchPolicy()) {
+  let parsed;
+  try {
+    parsed = new URL(imageUrl);
+  } catch {
+    throw new InvalidImageError(`Invalid image URL: ${String(imageUrl).substring(0, 100)}`);
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    throw new ImageUrlBlockedError(`Image URLs must use http or https, not ${parsed.protocol.slice(0, -1)}`);
+  }
+  if (parsed.username || parsed.password) {
+    throw new ImageUrlBlockedError('Image URLs must not contain credentials');
+  }
+
+  // IPv6 hosts are bracketed in URLs
+  const host = parsed.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (policy.blockedHosts.some(entry => matchesHost(host, entry))) {
+    throw new ImageUrlBlockedError(`Images may not be downloaded from ${host}`);
+  }
+  if (policy.allowedHosts.length > 0 && !policy.allowedHosts.some(entry => matchesHost(host, entry))) {
+    throw new ImageUrlBlockedError(`${host} is not an allowed image host`);
+  }
+  if (!policy.allowPrivateNetworks && net.isIP(host) && isBlockedAddress(host)) {
+    throw new ImageUrlBlockedError(`Images may not be downloaded from the private or reserved address ${host}`);
+  }
+  return parsed;
+}
+
+/**
+ * DNS lookup for http.request that refuses host names resolving to a blocked address, so that
+ * the connection goes to the address that was checked
+ * @param {{allowPrivateNetworks: boolean}} policy - Download policy
+ * @returns {Function} - lookup option of http.request
+ */
+export const createCheckedLookup = policy => (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      callback(new ImageFetchError(`Could not resolve ${hostname}: ${error.code || error.message}`, { cause: error }));
+      return;
+    }
+    const blocked = policy.allowPrivateNetworks ? undefined : addresses.find(({ address }) => isBlockedAddress(address));
+    if (blocked) {
+      callback(new ImageUrlBlockedError(`${hostname} resolves to the private or reserved address ${blocked.address}`));
+      return;
+    }
+    if (options.all) {
+      callback(null, addresses);
+    } else {
+      callback(null, addresses[0].address, addresses[0].family);
+    }
+  });
+};
+
+// Sends one request and resolves to the response, or to the location it redirects to
+function requestOnce(url, policy, signal) {
+  return new Promise((resolve, reject) => {
+    const client = url.protocol === 'https:' ? https : http;
+    const req = client.get(url, {
+      headers: { Accept: 'image/*', 'User-Agent': 'elizaos-vision-agent' },
+      lookup: createCheckedLookup(policy),
+      signal
+    }, res => {
+      if (REDIRECT_STATUSES.includes(res.statusCode) && res.headers.location) {
+        res.resume();
+        resolve({ redirect: res.headers.location });
+        return;
+      }
+      resolve({ res });
+    });
+    req.on('error', reject);
+  });
+}
+
+// Reads a response body up to the size limit, checking the first bytes are an image
+function readImageBody(res, url, policy) {
+  return new Promise((resolve, reject) => {
+    const declared = Number(res.headers['content-length']);
+    if (declared > policy.maxBytes) {
+      res.destroy();
+      reject(new ImageTooLargeError(`The image at ${url.host} is ${declared} bytes, more than the limit of ${policy.maxBytes}`));
+      return;
+    }
+
+    const chunks = [];
+    let received = 0;
+    let sniffed = false;
+    const fail = error => {
+      res.destroy();
+      reject(error);
+    };
+
+    res.on('data', chunk => {
+      received += chunk.length;
+      if (received > policy.maxBytes) {
+        fail(new ImageTooLargeError(`The image at ${url.host} is larger than the limit of ${policy.maxBytes} bytes`));
+        return;
+      }
+      chunks.push(chunk);
+      if (!sniffed && received >= SNIFF_BYTES) {
+        sniffed = true;
+        if (!detectImageFormat(Buffer.concat(chunks))) {
+          fail(new InvalidImageError(`The URL did not return a supported image (Content-Type: ${res.headers['content-type'] || 'none'})`));
+        }
+      }
+    });
+    res.on('end', () => {
+      const buffer = Buffer.concat(chunks);
+      const detected = detectImageFormat(buffer);
+      if (!detected) {
+        reject(new InvalidImageError(`The URL did not return a supported image (Content-Type: ${res.headers['content-type'] || 'none'})`));
+        return;
+      }
+      resolve({ buffer, mimeType: detected.mimeType });
+    });
+    res.on('error', reject);
+    // Connections cut before the end, e.g. by the deadline, may close without an error
+    res.on('close', () => {
+      if (!res.complete) {
+        reject(new ImageFetchError(`The connection to ${url.host} closed before the image was downloaded`));
+      }
+    });
+  });
+}
+
+/**
+ * Downloads an image under the download policy
+ * @param {string} imageUrl - http(s) URL of the image
+ * @param {Object} [options] - Overrides of the download policy (see getFetchPolicy)
+ * @returns {Promise<{buffer: Buffer, mimeType: string, url: string}>} - Image bytes, the type
+ *   sniffed from them and the URL they were finally downloaded from
+ * @throws {ImageFetchError} - IMAGE_URL_BLOCKED, IMAGE_TOO_LARGE, IMAGE_FETCH_TIMEOUT or
+ *   IMAGE_FETCH_FAILED, or INVALID_IMAGE when the response is not an image
+ */
+export async function safeFetchImage(imageUrl, options = {}) {
+  const overrides = Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined));
+  const policy = { ...getFetchPolicy(), ...overrides };
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), policy.timeoutMs);
+
+  try {
+    let url = checkImageUrl(imageUrl, policy);
+    for (let redirects = 0; ; redirects++) {
+      const { res, redirect } = await requestOnce(url, policy, controller.signal);
+      if (redirect) {
+        if (redirects >= policy.maxRedirects) {
+          throw new ImageFetchError(`Too many redirects downloading the image (limit ${policy.maxRedirects})`);
+        }
+        url = checkImageUrl(new URL(redirect, url).toString(), policy);
+        continue;
+      }
+      if (res.statusCode < 200 || res.statusCode >= 300) {
+        res.resume();
+        throw new ImageFetchError(`Failed to download image: ${res.statusCode} ${res.statusMessage}`);
+      }
+      return { ...(await readImageBody(res, url, policy)), url: url.toString() };
+    }
+  } catch (error) {
+    if (controller.signal.aborted) {
+      throw new ImageFetchTimeoutError(`The image download did not finish within ${policy.timeoutMs} ms`, { cause: error });
+    }
+    if (error instanceof ImageFetchError || error instanceof InvalidImageError) {
+      throw error;
+    }
+    throw new ImageFetchError(`Failed to download image: ${error.message}`, { cause: error });
+  } finally {
+    clearTimeout(timer);
+  }
+}
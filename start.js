@@ -1,5 +1,6 @@
-// Set the SERVER_PORT environment variable
-process.env.SERVER_PORT = 3000;
+// Standalone vision server; the agent process (npm run start:ts) serves the same
+// endpoints for each agent on its DirectClient port
+process.env.SERVER_PORT ||= '3000';
 
 // Import and run the server
 import('./src/server.js').catch(err => {
@@ -7,4 +8,4 @@ import('./src/server.js').catch(err => {
   process.exit(1);
 });
 
-console.log('Starting ElizaOS Vision Agent server on port 3000...'); 
\ No newline at end of file
+console.log(`Starting ElizaOS Vision Agent server on port ${process.env.SERVER_PORT}...`);